@@ -0,0 +1,66 @@
+// Headers the gateway owns; anything a client sends under these names is dropped
+const IDENTITY_HEADERS = ['x-user-id', 'x-user-email', 'x-user-roles', 'x-user-amr', 'x-session-id', 'x-gateway-secret'];
+
+const stripIdentity = (req) => {
+  IDENTITY_HEADERS.forEach(header => {
+    delete req.headers[header];
+  });
+};
+
+const sendUnauthorized = (res, code, message) => {
+  return res.status(401).json({
+    success: false,
+    error: { code, message }
+  });
+};
+
+// Public routes still must not smuggle identity headers to the upstreams
+const publicRoute = (req, res, next) => {
+  stripIdentity(req);
+  next();
+};
+
+const createAuthenticate = ({ gatewaySecret }, { jwks, revocations }) => async (req, res, next) => {
+  stripIdentity(req);
+
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return sendUnauthorized(res, 'UNAUTHORIZED', 'Bearer token required');
+  }
+
+  const token = authHeader.replace('Bearer ', '');
+
+  let decoded;
+  try {
+    decoded = await jwks.verify(token);
+  } catch (error) {
+    return sendUnauthorized(res, 'INVALID_TOKEN', 'Invalid or expired token');
+  }
+
+  if (revocations.isRevoked(decoded.sid)) {
+    return sendUnauthorized(res, 'TOKEN_REVOKED', 'Session has been revoked');
+  }
+
+  req.user = {
+    id: decoded.userId,
+    email: decoded.email,
+    roles: decoded.roles || []
+  };
+  req.tokenExpiresAt = decoded.exp ? decoded.exp * 1000 : null;
+
+  req.headers['x-user-id'] = req.user.id;
+  req.headers['x-user-email'] = req.user.email || '';
+  req.headers['x-user-roles'] = req.user.roles.join(',');
+  // How the session was signed in, for endpoints that need two factors
+  req.headers['x-user-amr'] = (decoded.amr || ['pwd']).join(',');
+  if (decoded.sid) {
+    req.headers['x-session-id'] = decoded.sid;
+  }
+  if (gatewaySecret) {
+    req.headers['x-gateway-secret'] = gatewaySecret;
+  }
+
+  next();
+};
+
+module.exports = { createAuthenticate, publicRoute };
@@ -0,0 +1,104 @@
+const { createAuthenticate, publicRoute } = require('./auth');
+
+const CLAIMS = { userId: 'user-1', email: 'user@example.com', roles: ['manager'], sid: 'session-1', amr: ['pwd', 'otp'] };
+
+const SMUGGLED = {
+  'x-user-id': 'admin-1',
+  'x-user-email': 'admin@example.com',
+  'x-user-roles': 'admin',
+  'x-user-amr': 'pwd,otp',
+  'x-session-id': 'session-9',
+  'x-gateway-secret': 'guessed'
+};
+
+const jwks = {
+  verify: async (token) => {
+    if (token === 'valid') {
+      return { ...CLAIMS, exp: 2000000000 };
+    }
+    throw new Error(token === 'expired' ? 'jwt expired' : 'invalid signature');
+  }
+};
+
+const revocations = { isRevoked: (sid) => sid === 'revoked-session' };
+
+const run = async (middleware, headers) => {
+  const req = { headers: { ...headers } };
+  const res = {
+    status: jest.fn(() => res),
+    json: jest.fn(() => res)
+  };
+  const next = jest.fn();
+  await middleware(req, res, next);
+  return { req, res, next };
+};
+
+const authenticate = createAuthenticate({ gatewaySecret: 'gateway-secret' }, { jwks, revocations });
+
+const expectUnauthorized = ({ res, next }, code) => {
+  expect(next).not.toHaveBeenCalled();
+  expect(res.status).toHaveBeenCalledWith(401);
+  expect(res.json).toHaveBeenCalledWith({ success: false, error: { code, message: expect.any(String) } });
+};
+
+describe('authenticate', () => {
+  test('replaces client-supplied identity headers with the ones from the token', async () => {
+    const { req, next } = await run(authenticate, { ...SMUGGLED, authorization: 'Bearer valid' });
+
+    expect(next).toHaveBeenCalled();
+    expect(req.headers).toMatchObject({
+      'x-user-id': 'user-1',
+      'x-user-email': 'user@example.com',
+      'x-user-roles': 'manager',
+      'x-user-amr': 'pwd,otp',
+      'x-session-id': 'session-1',
+      'x-gateway-secret': 'gateway-secret'
+    });
+    expect(req.user).toEqual({ id: 'user-1', email: 'user@example.com', roles: ['manager'] });
+    expect(req.tokenExpiresAt).toBe(2000000000 * 1000);
+  });
+
+  test('drops a smuggled session id when the token has none', async () => {
+    const noSession = { verify: async () => ({ userId: 'user-1', roles: [] }) };
+    const { req } = await run(createAuthenticate({}, { jwks: noSession, revocations }), {
+      ...SMUGGLED,
+      authorization: 'Bearer valid'
+    });
+
+    expect(req.headers['x-session-id']).toBeUndefined();
+    expect(req.headers['x-gateway-secret']).toBeUndefined();
+    expect(req.headers['x-user-amr']).toBe('pwd');
+  });
+
+  test('a missing or non-Bearer Authorization header is 401 UNAUTHORIZED', async () => {
+    expectUnauthorized(await run(authenticate, {}), 'UNAUTHORIZED');
+    expectUnauthorized(await run(authenticate, { authorization: 'Basic dXNlcjpwYXNz' }), 'UNAUTHORIZED');
+  });
+
+  test('an expired or forged token is 401 INVALID_TOKEN', async () => {
+    expectUnauthorized(await run(authenticate, { authorization: 'Bearer expired' }), 'INVALID_TOKEN');
+    expectUnauthorized(await run(authenticate, { authorization: 'Bearer forged' }), 'INVALID_TOKEN');
+  });
+
+  test('a token of a revoked session is 401 TOKEN_REVOKED', async () => {
+    const revoked = { verify: async () => ({ ...CLAIMS, sid: 'revoked-session' }) };
+    const middleware = createAuthenticate({}, { jwks: revoked, revocations });
+
+    expectUnauthorized(await run(middleware, { authorization: 'Bearer valid' }), 'TOKEN_REVOKED');
+  });
+
+  test('a rejected request still has the smuggled headers stripped', async () => {
+    const { req } = await run(authenticate, { ...SMUGGLED, authorization: 'Bearer expired' });
+
+    Object.keys(SMUGGLED).forEach(header => expect(req.headers[header]).toBeUndefined());
+  });
+});
+
+describe('publicRoute', () => {
+  test('passes the request on without identity headers', async () => {
+    const { req, next } = await run(publicRoute, { ...SMUGGLED, accept: 'application/json' });
+
+    expect(next).toHaveBeenCalled();
+    expect(req.headers).toEqual({ accept: 'application/json' });
+  });
+});
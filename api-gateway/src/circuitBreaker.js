@@ -0,0 +1,58 @@
+const STATE = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+// Per-upstream breaker: opens after `failureThreshold` consecutive failures,
+// lets a single trial request through once `resetTimeoutMs` has passed
+class CircuitBreaker {
+  constructor({ failureThreshold, resetTimeoutMs }) {
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+    this.state = STATE.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  // Reserves a slot for a request, false while the circuit is open
+  tryAcquire() {
+    if (this.state === STATE.CLOSED) {
+      return true;
+    }
+
+    // A trial that never reported back doesn't keep the circuit half-open forever
+    if (Date.now() - this.openedAt >= this.resetTimeoutMs) {
+      this.state = STATE.HALF_OPEN;
+      this.openedAt = Date.now();
+      return true;
+    }
+
+    return false;
+  }
+
+  success() {
+    this.state = STATE.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  failure() {
+    this.failures += 1;
+
+    if (this.state === STATE.HALF_OPEN || this.failures >= this.failureThreshold) {
+      this.state = STATE.OPEN;
+      this.openedAt = Date.now();
+    }
+  }
+
+  toJSON() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null
+    };
+  }
+}
+
+module.exports = { CircuitBreaker, STATE };
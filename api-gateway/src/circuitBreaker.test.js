@@ -0,0 +1,75 @@
+const { CircuitBreaker, STATE } = require('./circuitBreaker');
+
+describe('CircuitBreaker', () => {
+  let now;
+  beforeEach(() => {
+    now = 1000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const tripped = () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 2, resetTimeoutMs: 30000 });
+    breaker.failure();
+    breaker.failure();
+    return breaker;
+  };
+
+  test('stays closed below the threshold, a success resets the count', () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 2, resetTimeoutMs: 30000 });
+
+    breaker.failure();
+    breaker.success();
+    breaker.failure();
+
+    expect(breaker.state).toBe(STATE.CLOSED);
+    expect(breaker.tryAcquire()).toBe(true);
+  });
+
+  test('opens after `failureThreshold` consecutive failures and refuses requests', () => {
+    const breaker = tripped();
+
+    expect(breaker.state).toBe(STATE.OPEN);
+    expect(breaker.tryAcquire()).toBe(false);
+    expect(breaker.toJSON()).toEqual({ state: STATE.OPEN, failures: 2, openedAt: new Date(now).toISOString() });
+  });
+
+  test('lets a trial through once `resetTimeoutMs` has passed, a success closes it', () => {
+    const breaker = tripped();
+    now += 30000;
+
+    expect(breaker.tryAcquire()).toBe(true);
+    expect(breaker.state).toBe(STATE.HALF_OPEN);
+    // Only the one trial
+    expect(breaker.tryAcquire()).toBe(false);
+
+    breaker.success();
+    expect(breaker.state).toBe(STATE.CLOSED);
+    expect(breaker.failures).toBe(0);
+  });
+
+  test('a failed trial opens it again for another `resetTimeoutMs`', () => {
+    const breaker = tripped();
+    now += 30000;
+    breaker.tryAcquire();
+
+    breaker.failure();
+    expect(breaker.state).toBe(STATE.OPEN);
+    now += 29999;
+    expect(breaker.tryAcquire()).toBe(false);
+    now += 1;
+    expect(breaker.tryAcquire()).toBe(true);
+  });
+
+  test('a trial that never reports back lets another one through after `resetTimeoutMs`', () => {
+    const breaker = tripped();
+    now += 30000;
+    breaker.tryAcquire();
+
+    now += 30000;
+    expect(breaker.tryAcquire()).toBe(true);
+    expect(breaker.state).toBe(STATE.HALF_OPEN);
+  });
+});
@@ -0,0 +1,130 @@
+const fs = require('fs');
+const path = require('path');
+const { assertProductionSecret } = require('@micro-task/common/secrets');
+
+const DEFAULT_ROUTES_FILE = path.join(__dirname, 'routes.json');
+const DEFAULT_TIMEOUT = 5000;
+const DEFAULT_HEALTH_PATH = '/health';
+const DEFAULT_CIRCUIT_BREAKER = { failureThreshold: 5, resetTimeoutMs: 30000 };
+const DEFAULT_RETRY = { attempts: 2, backoffMs: 100 };
+
+// Comma-separated list of URLs -> array
+const parseUrlList = (value) => value
+  .split(',')
+  .map(url => url.trim().replace(/\/+$/, ''))
+  .filter(Boolean);
+
+// Route table comes from GATEWAY_ROUTES (inline JSON), GATEWAY_ROUTES_FILE or the bundled routes.json
+const readRouteTable = () => {
+  if (process.env.GATEWAY_ROUTES) {
+    return JSON.parse(process.env.GATEWAY_ROUTES);
+  }
+
+  const file = process.env.GATEWAY_ROUTES_FILE || DEFAULT_ROUTES_FILE;
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+};
+
+// <NAME>_SERVICE_URL overrides the upstreams of a service, e.g. ORDERS_SERVICE_URL=http://a:3002,http://b:3002
+const resolveServices = (services = {}) => {
+  return Object.entries(services).reduce((resolved, [name, service]) => {
+    const envUrls = process.env[`${name.toUpperCase()}_SERVICE_URL`];
+    const upstreams = envUrls ? parseUrlList(envUrls) : (service.upstreams || []).map(url => url.replace(/\/+$/, ''));
+
+    if (upstreams.length === 0) {
+      throw new Error(`Gateway config: service "${name}" has no upstreams`);
+    }
+
+    resolved[name] = {
+      ...service,
+      name,
+      upstreams,
+      timeout: service.timeout || DEFAULT_TIMEOUT,
+      healthPath: service.healthPath || DEFAULT_HEALTH_PATH,
+      circuitBreaker: { ...DEFAULT_CIRCUIT_BREAKER, ...service.circuitBreaker },
+      retry: { ...DEFAULT_RETRY, ...service.retry }
+    };
+    return resolved;
+  }, {});
+};
+
+// Tiers: { windowMs, max, key: 'ip' | 'user' }
+const resolveRateLimit = (rateLimit = {}) => {
+  const tiers = Object.entries(rateLimit.tiers || {}).reduce((resolved, [name, tier]) => {
+    if (!tier.windowMs || !tier.max) {
+      throw new Error(`Gateway config: rate limit tier "${name}" needs windowMs and max`);
+    }
+
+    resolved[name] = {
+      windowMs: tier.windowMs,
+      max: tier.max,
+      key: tier.key === 'user' ? 'user' : 'ip'
+    };
+    return resolved;
+  }, {});
+
+  return {
+    tiers,
+    store: {
+      type: process.env.RATE_LIMIT_STORE || rateLimit.store || 'memory',
+      url: process.env.REDIS_URL || rateLimit.redisUrl || 'redis://localhost:6379'
+    }
+  };
+};
+
+const resolveRoutes = (routes = [], services, rateLimit) => {
+  return routes.map((route, index) => {
+    if (!route.prefix || !route.prefix.startsWith('/')) {
+      throw new Error(`Gateway config: route #${index} must have a prefix starting with "/"`);
+    }
+
+    const service = services[route.service];
+    if (!service) {
+      throw new Error(`Gateway config: route "${route.prefix}" references unknown service "${route.service}"`);
+    }
+
+    if (route.rateLimit && !rateLimit.tiers[route.rateLimit]) {
+      throw new Error(`Gateway config: route "${route.prefix}" references unknown rate limit tier "${route.rateLimit}"`);
+    }
+
+    return {
+      ...route,
+      public: route.public === true,
+      idempotencyKeys: route.idempotencyKeys === true,
+      // Long-lived responses (Server-Sent Events): no proxy timeout, closed when the token expires
+      stream: route.stream === true,
+      timeout: route.stream ? null : route.timeout || service.timeout
+    };
+  });
+};
+
+const loadConfig = () => {
+  assertProductionSecret('GATEWAY_SECRET', process.env.GATEWAY_SECRET);
+
+  const table = readRouteTable();
+  const services = resolveServices(table.services);
+  const rateLimit = resolveRateLimit(table.rateLimit);
+  const routes = resolveRoutes(table.routes, services, rateLimit);
+
+  return {
+    port: parseInt(process.env.PORT, 10) || 3000,
+    gatewaySecret: process.env.GATEWAY_SECRET || null,
+    trustProxy: process.env.TRUST_PROXY || false,
+    services,
+    routes,
+    rateLimit,
+    jwks: {
+      url: process.env.JWKS_URL || (services.users ? services.users.upstreams[0] : null),
+      intervalMs: parseInt(process.env.JWKS_REFRESH_MS, 10) || 5 * 60 * 1000
+    },
+    revocations: {
+      url: process.env.REVOCATIONS_URL || (services.users ? services.users.upstreams[0] : null),
+      intervalMs: parseInt(process.env.REVOCATION_POLL_MS, 10) || 5000
+    },
+    health: {
+      intervalMs: parseInt(process.env.HEALTH_INTERVAL_MS, 10) || 10000,
+      timeoutMs: parseInt(process.env.HEALTH_TIMEOUT_MS, 10) || 2000
+    }
+  };
+};
+
+module.exports = { loadConfig };
@@ -0,0 +1,69 @@
+const { loadConfig } = require('./index');
+
+const table = {
+  services: {
+    users: { upstreams: ['http://users:3001/'] },
+    orders: { upstreams: ['http://orders:3002'], timeout: 10000 }
+  },
+  rateLimit: { tiers: { auth: { windowMs: 1000, max: 5 } } },
+  routes: [
+    { prefix: '/api/v1/login', service: 'users', public: true, rateLimit: 'auth' },
+    { prefix: '/api/v1/orders/stream', service: 'orders', stream: true },
+    { prefix: '/api/v1/orders', service: 'orders' }
+  ]
+};
+
+const withTable = (routeTable, env = {}) => {
+  process.env.GATEWAY_ROUTES = JSON.stringify(routeTable);
+  Object.assign(process.env, env);
+  return loadConfig();
+};
+
+describe('loadConfig', () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  test('resolves services with defaults and trims trailing slashes', () => {
+    const config = withTable(table);
+
+    expect(config.services.users).toMatchObject({
+      upstreams: ['http://users:3001'],
+      timeout: 5000,
+      healthPath: '/health',
+      circuitBreaker: { failureThreshold: 5, resetTimeoutMs: 30000 }
+    });
+    expect(config.services.orders.timeout).toBe(10000);
+  });
+
+  test('<SERVICE>_SERVICE_URL overrides the upstreams', () => {
+    const config = withTable(table, { ORDERS_SERVICE_URL: 'http://a:3002, http://b:3002/' });
+
+    expect(config.services.orders.upstreams).toEqual(['http://a:3002', 'http://b:3002']);
+  });
+
+  test('routes keep their order and inherit the service timeout', () => {
+    const { routes } = withTable(table);
+
+    expect(routes.map(route => route.prefix)).toEqual(['/api/v1/login', '/api/v1/orders/stream', '/api/v1/orders']);
+    expect(routes[0]).toMatchObject({ public: true, rateLimit: 'auth', timeout: 5000 });
+    expect(routes[1]).toMatchObject({ stream: true, timeout: null });
+    expect(routes[2]).toMatchObject({ public: false, timeout: 10000 });
+  });
+
+  test('rejects a route to an unknown service', () => {
+    expect(() => withTable({ ...table, routes: [{ prefix: '/x', service: 'billing' }] }))
+      .toThrow('unknown service "billing"');
+  });
+
+  test('rejects a route without a leading slash', () => {
+    expect(() => withTable({ ...table, routes: [{ prefix: 'x', service: 'users' }] })).toThrow('prefix starting with "/"');
+  });
+
+  test('refuses a placeholder gateway secret in production', () => {
+    expect(() => withTable(table, { NODE_ENV: 'production', GATEWAY_SECRET: 'dev-gateway-secret' }))
+      .toThrow('GATEWAY_SECRET is a default or too short');
+  });
+});
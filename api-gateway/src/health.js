@@ -0,0 +1,92 @@
+const STATUS = {
+  UP: 'up',
+  DEGRADED: 'degraded',
+  DOWN: 'down'
+};
+
+const checkInstance = async (instance, healthPath, timeoutMs) => {
+  const startedAt = Date.now();
+
+  try {
+    const response = await fetch(`${instance.url}${healthPath}`, {
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+
+    return {
+      url: instance.url,
+      status: response.ok ? STATUS.UP : STATUS.DOWN,
+      latencyMs: Date.now() - startedAt,
+      circuit: instance.breaker.state,
+      ...(response.ok ? {} : { error: `HTTP ${response.status}` })
+    };
+  } catch (error) {
+    return {
+      url: instance.url,
+      status: STATUS.DOWN,
+      latencyMs: Date.now() - startedAt,
+      circuit: instance.breaker.state,
+      error: error.name === 'TimeoutError' ? `Timed out after ${timeoutMs}ms` : (error.cause && error.cause.code) || error.message
+    };
+  }
+};
+
+// All up -> up, none up -> down, anything in between -> degraded
+const aggregate = (statuses) => {
+  if (statuses.every(status => status === STATUS.UP)) {
+    return STATUS.UP;
+  }
+  if (statuses.every(status => status === STATUS.DOWN)) {
+    return STATUS.DOWN;
+  }
+  return STATUS.DEGRADED;
+};
+
+const checkService = async (service, balancer, timeoutMs) => {
+  const instances = await Promise.all(
+    balancer.instances.map(instance => checkInstance(instance, service.healthPath, timeoutMs))
+  );
+
+  return {
+    status: aggregate(instances.map(instance => instance.status)),
+    latencyMs: Math.max(...instances.map(instance => instance.latencyMs)),
+    instances
+  };
+};
+
+// Polls every upstream's /health in the background and keeps the last snapshot
+const createHealthMonitor = ({ services, health }, balancers) => {
+  let snapshot = null;
+
+  const poll = async () => {
+    const names = Object.keys(services);
+    const results = await Promise.all(
+      names.map(name => checkService(services[name], balancers[name], health.timeoutMs))
+    );
+
+    snapshot = {
+      status: aggregate(results.map(result => result.status)),
+      service: 'api-gateway',
+      checkedAt: new Date().toISOString(),
+      services: names.reduce((acc, name, index) => {
+        acc[name] = results[index];
+        return acc;
+      }, {})
+    };
+    return snapshot;
+  };
+
+  const start = () => {
+    poll();
+    const timer = setInterval(poll, health.intervalMs);
+    timer.unref();
+  };
+
+  const handler = async (req, res) => {
+    const current = snapshot || await poll();
+    res.status(current.status === STATUS.DOWN ? 503 : 200).json(current);
+  };
+
+  return { start, handler };
+};
+
+module.exports = { createHealthMonitor, STATUS };
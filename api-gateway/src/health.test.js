@@ -0,0 +1,93 @@
+const { createHealthMonitor, STATUS } = require('./health');
+const { createRoundRobin } = require('./loadBalancer');
+
+const BREAKER = { failureThreshold: 5, resetTimeoutMs: 30000 };
+
+const config = {
+  services: {
+    users: { healthPath: '/health' },
+    orders: { healthPath: '/health' }
+  },
+  health: { timeoutMs: 50, intervalMs: 60000 }
+};
+
+// `down` lists the upstreams that answer 503
+const check = async (down) => {
+  global.fetch = jest.fn(async (url) => {
+    const { origin } = new URL(url);
+    return { ok: !down.includes(origin), status: down.includes(origin) ? 503 : 200 };
+  });
+  const balancers = {
+    users: createRoundRobin(['http://users-a', 'http://users-b'], BREAKER),
+    orders: createRoundRobin(['http://orders-a'], BREAKER)
+  };
+  const res = { status: jest.fn(() => res), json: jest.fn(() => res) };
+
+  await createHealthMonitor(config, balancers).handler({}, res);
+  return { status: res.status.mock.calls[0][0], body: res.json.mock.calls[0][0] };
+};
+
+describe('health monitor', () => {
+  const realFetch = global.fetch;
+  afterEach(() => {
+    global.fetch = realFetch;
+  });
+
+  test('every instance up is 200 up', async () => {
+    const { status, body } = await check([]);
+
+    expect(status).toBe(200);
+    expect(body.status).toBe(STATUS.UP);
+    expect(global.fetch).toHaveBeenCalledWith('http://users-a/health', expect.anything());
+    expect(body.services.users.instances).toEqual([
+      expect.objectContaining({ url: 'http://users-a', status: STATUS.UP, circuit: 'closed' }),
+      expect.objectContaining({ url: 'http://users-b', status: STATUS.UP, circuit: 'closed' })
+    ]);
+  });
+
+  test('one instance down degrades its service and the gateway, still 200', async () => {
+    const { status, body } = await check(['http://users-b']);
+
+    expect(status).toBe(200);
+    expect(body.status).toBe(STATUS.DEGRADED);
+    expect(body.services.users.status).toBe(STATUS.DEGRADED);
+    expect(body.services.users.instances[1]).toMatchObject({ status: STATUS.DOWN, error: 'HTTP 503' });
+    expect(body.services.orders.status).toBe(STATUS.UP);
+  });
+
+  test('a whole service down degrades the gateway', async () => {
+    const { status, body } = await check(['http://orders-a']);
+
+    expect(status).toBe(200);
+    expect(body.status).toBe(STATUS.DEGRADED);
+    expect(body.services.orders.status).toBe(STATUS.DOWN);
+  });
+
+  test('everything down is 503 down', async () => {
+    const { status, body } = await check(['http://users-a', 'http://users-b', 'http://orders-a']);
+
+    expect(status).toBe(503);
+    expect(body.status).toBe(STATUS.DOWN);
+  });
+
+  test('an instance that doesn\'t answer in time is down with the timeout as its error', async () => {
+    const balancers = {
+      users: createRoundRobin(['http://users-a'], BREAKER),
+      orders: createRoundRobin(['http://orders-a'], BREAKER)
+    };
+    global.fetch = jest.fn(async (url, { signal }) => {
+      if (url.startsWith('http://orders-a')) {
+        return { ok: true, status: 200 };
+      }
+      return new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(signal.reason)));
+    });
+    const res = { status: jest.fn(() => res), json: jest.fn(() => res) };
+
+    await createHealthMonitor(config, balancers).handler({}, res);
+
+    expect(res.json.mock.calls[0][0].services.users.instances[0]).toMatchObject({
+      status: STATUS.DOWN,
+      error: 'Timed out after 50ms'
+    });
+  });
+});
@@ -1,38 +1,98 @@
+const { startTracing } = require('@micro-task/common/tracing');
+
+startTracing('api-gateway');
+
 const express = require('express');
-const { createProxyMiddleware } = require('http-proxy-middleware');
+const createLogger = require('pino');
+const pino = require('pino-http');
+const { v4: uuidv4 } = require('uuid');
 const cors = require('cors');
+const helmet = require('helmet');
+const { loadConfig } = require('./config');
+const { createBalancers } = require('./loadBalancer');
+const { createRouteProxy } = require('./proxy');
+const { createAuthenticate, publicRoute } = require('./auth');
+const { createRateLimiting } = require('./rateLimit');
+const { createHealthMonitor } = require('./health');
+const { createRevocationList } = require('./revocations');
+const { createJwksVerifier } = require('@micro-task/common/jwks');
+
+// Request logs (req.log) and everything that runs outside a request
+const logger = createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  redact: ['req.headers.authorization', 'req.headers["x-gateway-secret"]']
+});
+
+const config = loadConfig();
+const balancers = createBalancers(config.services);
+const revocations = createRevocationList({ ...config.revocations, secret: config.gatewaySecret, log: logger });
+const jwks = createJwksVerifier({ ...config.jwks, log: logger });
+const authenticate = createAuthenticate(config, { jwks, revocations });
+const rateLimitFor = createRateLimiting(config.rateLimit, logger);
+const healthMonitor = createHealthMonitor(config, balancers);
 
 const app = express();
-const PORT = 3000;
+const PORT = config.port;
+
+if (config.trustProxy) {
+  app.set('trust proxy', /^\d+$/.test(config.trustProxy) ? parseInt(config.trustProxy, 10) : config.trustProxy);
+}
 
-app.use(cors());
+app.use(helmet());
+// Browsers only let scripts read these response headers cross-origin when they are exposed
+app.use(cors({ exposedHeaders: ['ETag', 'Idempotent-Replayed', 'X-Request-ID'] }));
 app.use(express.json());
 
 // Логирование
-app.use('*', (req, res, next) => {
-  console.log(`[GATEWAY] IN: ${req.method} ${req.originalUrl}`);
+app.use(pino({
+  logger,
+  serializers: {
+    req: (req) => ({
+      method: req.method,
+      url: req.url,
+    }),
+  },
+}));
+
+// Request ID, forwarded to the upstreams alongside traceparent
+app.use((req, res, next) => {
+  const requestId = req.headers['x-request-id'] || uuidv4();
+  req.headers['x-request-id'] = requestId;
+  res.setHeader('X-Request-ID', requestId);
   next();
 });
 
-// User Service proxy с полным логированием
-app.use('/api/v1/users', createProxyMiddleware({
-    target: 'http://localhost:3001',
-    changeOrigin: true,
-    followRedirects: true,
-    autoRewrite: true,
-    protocolRewrite: 'http',
-    headers: {
-      'Connection': 'keep-alive'
-    },
-    onError: (err, req, res) => {
-      console.error('[GATEWAY] Connection failed:', err.message);
-      res.status(502).json({ 
-        error: 'Service unavailable',
-        message: 'Use direct connection: http://localhost:3001/api/v1/login'
-      });
+// Aggregated health of all upstream services
+app.get('/health', healthMonitor.handler);
+
+// Proxy routes from the route table, in declaration order
+config.routes.forEach(route => {
+  app.use(
+    route.prefix,
+    route.public ? publicRoute : authenticate,
+    rateLimitFor(route),
+    createRouteProxy(route, balancers[route.service], config.services[route.service], logger)
+  );
+  logger.info(`Route ${route.prefix} -> ${route.service} (${balancers[route.service].upstreams.join(', ')})${route.public ? ' [public]' : ''}`);
+});
+
+app.use((req, res) => {
+  res.status(404).json({
+    success: false,
+    error: {
+      code: 'ROUTE_NOT_FOUND',
+      message: `No route for ${req.method} ${req.originalUrl}`
     }
-  }));
+  });
+});
 
 app.listen(PORT, () => {
-  console.log(`🚀 Gateway on port ${PORT}`);
-});
\ No newline at end of file
+  logger.info(`🚀 Gateway on port ${PORT}`);
+  healthMonitor.start();
+  if (config.revocations.url) {
+    revocations.start();
+  }
+  if (config.jwks.url) {
+    jwks.start();
+  }
+});
@@ -0,0 +1,37 @@
+const { CircuitBreaker } = require('./circuitBreaker');
+
+// Round-robin balancer over the upstream instances of a service, skipping instances with an open circuit
+const createRoundRobin = (upstreams, circuitBreaker) => {
+  const instances = upstreams.map(url => ({
+    url,
+    breaker: new CircuitBreaker(circuitBreaker)
+  }));
+  let cursor = 0;
+
+  return {
+    upstreams,
+    instances,
+    // Returns null when every instance has an open circuit
+    pick: () => {
+      for (let i = 0; i < instances.length; i++) {
+        const instance = instances[cursor];
+        cursor = (cursor + 1) % instances.length;
+
+        if (instance.breaker.tryAcquire()) {
+          return instance;
+        }
+      }
+      return null;
+    }
+  };
+};
+
+// One balancer per service, shared by every route pointing at it
+const createBalancers = (services) => {
+  return Object.values(services).reduce((balancers, service) => {
+    balancers[service.name] = createRoundRobin(service.upstreams, service.circuitBreaker);
+    return balancers;
+  }, {});
+};
+
+module.exports = { createRoundRobin, createBalancers };
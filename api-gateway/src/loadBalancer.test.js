@@ -0,0 +1,25 @@
+const { createRoundRobin } = require('./loadBalancer');
+
+describe('createRoundRobin', () => {
+  const breaker = { failureThreshold: 1, resetTimeoutMs: 60000 };
+
+  test('cycles through the upstreams', () => {
+    const balancer = createRoundRobin(['http://a', 'http://b'], breaker);
+
+    expect([1, 2, 3].map(() => balancer.pick().url)).toEqual(['http://a', 'http://b', 'http://a']);
+  });
+
+  test('skips instances with an open circuit', () => {
+    const balancer = createRoundRobin(['http://a', 'http://b'], breaker);
+    balancer.instances[0].breaker.failure();
+
+    expect([1, 2].map(() => balancer.pick().url)).toEqual(['http://b', 'http://b']);
+  });
+
+  test('returns null when every circuit is open', () => {
+    const balancer = createRoundRobin(['http://a'], breaker);
+    balancer.instances[0].breaker.failure();
+
+    expect(balancer.pick()).toBeNull();
+  });
+});
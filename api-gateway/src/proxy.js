@@ -0,0 +1,136 @@
+const { createProxyMiddleware, fixRequestBody } = require('http-proxy-middleware');
+const { v4: uuidv4 } = require('uuid');
+const { context, trace, SpanStatusCode } = require('@micro-task/common/tracing');
+
+const tracer = trace.getTracer('api-gateway');
+
+const IDEMPOTENT_METHODS = ['GET', 'HEAD'];
+const UNSAFE_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+const sendError = (res, status, code, message) => {
+  res.status(status).json({
+    success: false,
+    error: { code, message }
+  });
+};
+
+// http-proxy-middleware logs through a console-like provider, hand it the gateway logger instead
+const logProvider = (log) => () => ({
+  log: (message) => log.info(message),
+  debug: (message) => log.debug(message),
+  info: (message) => log.info(message),
+  warn: (message) => log.warn(message),
+  error: (message) => log.error(message)
+});
+
+const createRouteProxy = (route, balancer, service, log) => {
+  const { retry } = service;
+
+  // Routes with `idempotencyKeys` point at handlers that honour Idempotency-Key, so a keyed write
+  // can be retried like a GET: the upstream replays the first response instead of applying it twice
+  const canRetry = (req, res) => {
+    return (IDEMPOTENT_METHODS.includes(req.method) || (route.idempotencyKeys && req.headers['idempotency-key']))
+      && !res.headersSent
+      && !req.socket.destroyed
+      && req.proxyAttempt <= retry.attempts;
+  };
+
+  const proxy = createProxyMiddleware({
+    target: balancer.upstreams[0],
+    router: (req) => req.upstream.url,
+    changeOrigin: true,
+    xfwd: true,
+    pathRewrite: route.pathRewrite,
+    proxyTimeout: route.timeout,
+    logLevel: 'warn',
+    logProvider: logProvider(log),
+    onProxyReq: (proxyReq, req) => {
+      req.proxyReq = proxyReq;
+      proxyReq.on('timeout', () => {
+        req.proxyTimedOut = true;
+      });
+
+      // express.json() has already consumed the stream, write the parsed body back
+      fixRequestBody(proxyReq, req);
+    },
+    onProxyRes: (proxyRes, req) => {
+      req.proxySpan.setAttribute('http.response.status_code', proxyRes.statusCode);
+      req.proxySpan.end();
+
+      if (proxyRes.statusCode >= 500) {
+        req.upstream.breaker.failure();
+      } else {
+        req.upstream.breaker.success();
+      }
+    },
+    onError: (err, req, res) => {
+      req.upstream.breaker.failure();
+      req.proxySpan.recordException(err);
+      req.proxySpan.setStatus({ code: SpanStatusCode.ERROR, message: req.proxyTimedOut ? 'timeout' : err.message });
+      req.proxySpan.end();
+      req.log.error({ err, upstream: req.upstream.url, attempt: req.proxyAttempt }, `${route.service} upstream failed`);
+
+      if (canRetry(req, res)) {
+        const delay = retry.backoffMs * 2 ** (req.proxyAttempt - 1);
+        return setTimeout(() => forward(req, res, req.proxyNext), delay);
+      }
+
+      if (res.headersSent) {
+        return res.end();
+      }
+
+      if (req.proxyTimedOut) {
+        return sendError(res, 504, 'GATEWAY_TIMEOUT', `Service "${route.service}" did not respond within ${route.timeout}ms`);
+      }
+
+      sendError(res, 502, 'BAD_GATEWAY', `Service "${route.service}" is unreachable`);
+    }
+  });
+
+  const forward = (req, res, next) => {
+    const upstream = balancer.pick();
+    if (!upstream) {
+      res.setHeader('Retry-After', Math.ceil(service.circuitBreaker.resetTimeoutMs / 1000));
+      return sendError(res, 503, 'SERVICE_UNAVAILABLE', `Service "${route.service}" is temporarily unavailable`);
+    }
+
+    if (route.idempotencyKeys && UNSAFE_METHODS.includes(req.method) && !req.headers['idempotency-key']) {
+      req.headers['idempotency-key'] = uuidv4();
+    }
+
+    req.upstream = upstream;
+    req.proxyAttempt = (req.proxyAttempt || 0) + 1;
+    req.proxyTimedOut = false;
+    req.proxyNext = next;
+
+    // One span per hop, the outgoing HTTP client span becomes its child
+    req.proxySpan = tracer.startSpan(`proxy ${route.service}`, {
+      attributes: {
+        'gateway.route': route.prefix,
+        'gateway.service': route.service,
+        'gateway.upstream': upstream.url,
+        'gateway.attempt': req.proxyAttempt
+      }
+    });
+    context.with(trace.setSpan(context.active(), req.proxySpan), () => proxy(req, res, next));
+  };
+
+  if (!route.stream) {
+    return forward;
+  }
+
+  // A stream outlives the token it was opened with; cut it at expiry so the client reconnects with a fresh one.
+  // http-proxy doesn't notice a client leaving once the request is complete, so close the upstream side here.
+  return (req, res, next) => {
+    const expiry = req.tokenExpiresAt && setTimeout(() => res.destroy(), Math.max(req.tokenExpiresAt - Date.now(), 0));
+    res.on('close', () => {
+      clearTimeout(expiry);
+      if (req.proxyReq) {
+        req.proxyReq.destroy();
+      }
+    });
+    forward(req, res, next);
+  };
+};
+
+module.exports = { createRouteProxy };
@@ -0,0 +1,143 @@
+const express = require('express');
+const { createRouteProxy } = require('./proxy');
+const { createRoundRobin } = require('./loadBalancer');
+
+const silent = { debug: () => {}, info: () => {}, warn: () => {}, error: () => {} };
+
+const listen = (app) => new Promise(resolve => {
+  const server = app.listen(0, '127.0.0.1', () => resolve(server));
+});
+
+// Upstream that drops the connection on /drop, fails /fail, answers /slow late and everything else at once
+const startUpstream = async () => {
+  const hits = [];
+  const app = express();
+  app.use((req, res) => {
+    hits.push({ method: req.method, url: req.url, idempotencyKey: req.headers['idempotency-key'] });
+    if (req.url === '/drop') {
+      return req.socket.destroy();
+    }
+    if (req.url === '/fail') {
+      return res.status(500).json({ success: false });
+    }
+    setTimeout(() => res.json({ success: true }), req.url === '/slow' ? 500 : 0);
+  });
+  const server = await listen(app);
+  return { server, hits, url: `http://127.0.0.1:${server.address().port}` };
+};
+
+const SERVICE = {
+  circuitBreaker: { failureThreshold: 100, resetTimeoutMs: 30000 },
+  retry: { attempts: 2, backoffMs: 1 }
+};
+
+// A gateway in miniature with one route in front of the upstream
+const startGateway = async (upstream, route = {}) => {
+  const balancer = createRoundRobin([upstream.url], SERVICE.circuitBreaker);
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.log = silent;
+    next();
+  });
+  app.use(createRouteProxy({ prefix: '/', service: 'orders', timeout: 100, ...route }, balancer, SERVICE, silent));
+  const server = await listen(app);
+
+  const request = async (method, path, headers = {}) => {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}${path}`, {
+      method,
+      headers: { 'content-type': 'application/json', ...headers },
+      body: method === 'GET' ? undefined : '{}'
+    });
+    return { status: response.status, retryAfter: response.headers.get('retry-after'), body: await response.json() };
+  };
+  return { server, balancer, request };
+};
+
+describe('route proxy', () => {
+  let upstream;
+  let gateway;
+  afterEach(() => {
+    upstream.server.close();
+    gateway.server.close();
+  });
+
+  test('retries a GET up to `retry.attempts` times, then answers 502 BAD_GATEWAY', async () => {
+    upstream = await startUpstream();
+    gateway = await startGateway(upstream);
+
+    const response = await gateway.request('GET', '/drop');
+
+    expect(upstream.hits).toHaveLength(3);
+    expect(response.status).toBe(502);
+    expect(response.body).toEqual({
+      success: false,
+      error: { code: 'BAD_GATEWAY', message: 'Service "orders" is unreachable' }
+    });
+  });
+
+  test('doesn\'t retry a write on a route without idempotency keys', async () => {
+    upstream = await startUpstream();
+    gateway = await startGateway(upstream);
+
+    const response = await gateway.request('POST', '/drop', { 'idempotency-key': 'k1' });
+
+    expect(upstream.hits).toHaveLength(1);
+    expect(response.status).toBe(502);
+  });
+
+  test('retries a write on an `idempotencyKeys` route with the same key, generating one if missing', async () => {
+    upstream = await startUpstream();
+    gateway = await startGateway(upstream, { idempotencyKeys: true });
+
+    await gateway.request('POST', '/drop', { 'idempotency-key': 'k1' });
+    await gateway.request('POST', '/drop');
+
+    expect(upstream.hits.slice(0, 3).map(hit => hit.idempotencyKey)).toEqual(['k1', 'k1', 'k1']);
+    const generated = upstream.hits.slice(3).map(hit => hit.idempotencyKey);
+    expect(generated).toHaveLength(3);
+    expect(new Set(generated).size).toBe(1);
+    expect(generated[0]).not.toBe('k1');
+  });
+
+  test('an upstream slower than the route timeout is 504 GATEWAY_TIMEOUT', async () => {
+    upstream = await startUpstream();
+    gateway = await startGateway(upstream);
+
+    const response = await gateway.request('POST', '/slow');
+
+    expect(upstream.hits).toHaveLength(1);
+    expect(response.status).toBe(504);
+    expect(response.body).toEqual({
+      success: false,
+      error: { code: 'GATEWAY_TIMEOUT', message: 'Service "orders" did not respond within 100ms' }
+    });
+  });
+
+  test('every circuit open is 503 SERVICE_UNAVAILABLE with Retry-After, the upstream isn\'t called', async () => {
+    upstream = await startUpstream();
+    gateway = await startGateway(upstream);
+    gateway.balancer.instances[0].breaker.failureThreshold = 1;
+    gateway.balancer.instances[0].breaker.failure();
+
+    const response = await gateway.request('GET', '/orders');
+
+    expect(upstream.hits).toHaveLength(0);
+    expect(response.status).toBe(503);
+    expect(response.retryAfter).toBe('30');
+    expect(response.body.error.code).toBe('SERVICE_UNAVAILABLE');
+  });
+
+  test('a 5xx from the upstream counts as a breaker failure, a 2xx closes it', async () => {
+    upstream = await startUpstream();
+    gateway = await startGateway(upstream);
+    const { breaker } = gateway.balancer.instances[0];
+
+    const failed = await gateway.request('GET', '/fail');
+    expect(failed.status).toBe(500);
+    expect(breaker.failures).toBe(1);
+
+    await gateway.request('GET', '/orders');
+    expect(breaker.failures).toBe(0);
+  });
+});
@@ -0,0 +1,93 @@
+const { rateLimit } = require('express-rate-limit');
+const { getRedisClient } = require('./redis');
+
+// Fixed-window counters shared by every gateway instance pointing at the same Redis
+class RedisRateLimitStore {
+  constructor(client, prefix) {
+    this.client = client;
+    this.prefix = prefix;
+    this.localKeys = false;
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  async increment(key) {
+    const redisKey = this.prefix + key;
+    const [, totalHits, ttl] = await this.client.multi()
+      .set(redisKey, '0', { PX: this.windowMs, NX: true })
+      .incr(redisKey)
+      .pTTL(redisKey)
+      .exec();
+
+    return {
+      totalHits,
+      resetTime: new Date(Date.now() + Math.max(ttl, 0))
+    };
+  }
+
+  async decrement(key) {
+    await this.client.decr(this.prefix + key);
+  }
+
+  async resetKey(key) {
+    await this.client.del(this.prefix + key);
+  }
+}
+
+// Counter store per tier: express-rate-limit's MemoryStore by default, Redis when limits are shared between instances
+const createStore = (store, tierName, log) => {
+  if (store.type === 'redis') {
+    return new RedisRateLimitStore(getRedisClient(store.url, log), `rl:${tierName}:`);
+  }
+
+  return undefined;
+};
+
+const createLimiter = (tierName, tier, store, log) => rateLimit({
+  windowMs: tier.windowMs,
+  limit: tier.max,
+  standardHeaders: 'draft-6',
+  legacyHeaders: false,
+  store: createStore(store, tierName, log),
+  // Don't take the whole gateway down together with the shared store
+  passOnStoreError: true,
+  keyGenerator: (req) => (tier.key === 'user' && req.user ? `user:${req.user.id}` : `ip:${req.ip}`),
+  handler: (req, res, next, options) => {
+    const retryAfter = Math.max(Math.ceil((req.rateLimit.resetTime - Date.now()) / 1000), 1);
+
+    res.status(options.statusCode).json({
+      success: false,
+      error: {
+        code: 'RATE_LIMITED',
+        message: `Too many requests, retry in ${retryAfter}s`
+      }
+    });
+  }
+});
+
+// Returns a factory that builds the limiting middleware for a route
+const createRateLimiting = ({ tiers, store }, log) => {
+  const limiters = Object.entries(tiers).reduce((acc, [name, tier]) => {
+    acc[name] = createLimiter(name, tier, store, log);
+    return acc;
+  }, {});
+
+  const resolveTier = (route, req) => {
+    if (req.user && req.user.roles.includes('admin') && limiters.admin) {
+      return 'admin';
+    }
+    return route.rateLimit || (route.public ? 'public' : 'user');
+  };
+
+  return (route) => (req, res, next) => {
+    const limiter = limiters[resolveTier(route, req)];
+    if (!limiter) {
+      return next();
+    }
+    limiter(req, res, next);
+  };
+};
+
+module.exports = { RedisRateLimitStore, createRateLimiting };
@@ -0,0 +1,179 @@
+const express = require('express');
+const { RedisRateLimitStore, createRateLimiting } = require('./rateLimit');
+
+const TIERS = {
+  public: { windowMs: 60000, max: 3, key: 'ip' },
+  auth: { windowMs: 60000, max: 1, key: 'ip' },
+  user: { windowMs: 60000, max: 2, key: 'user' },
+  admin: { windowMs: 60000, max: 5, key: 'user' }
+};
+
+// A gateway in miniature: X-Test-User plays the part of `authenticate`, X-Forwarded-For sets the client ip
+const startApp = async () => {
+  const rateLimitFor = createRateLimiting({ tiers: TIERS, store: { type: 'memory' } });
+  const app = express();
+  app.set('trust proxy', 'loopback');
+  app.use((req, res, next) => {
+    const [id, role = 'user'] = (req.get('x-test-user') || '').split(':');
+    req.user = id ? { id, roles: [role] } : undefined;
+    next();
+  });
+  app.get('/public', rateLimitFor({ public: true }), (req, res) => res.json({ success: true }));
+  app.get('/login', rateLimitFor({ public: true, rateLimit: 'auth' }), (req, res) => res.json({ success: true }));
+  app.get('/orders', rateLimitFor({}), (req, res) => res.json({ success: true }));
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const request = async (path, { ip = '10.0.0.1', user } = {}) => {
+    const headers = { 'x-forwarded-for': ip };
+    if (user) {
+      headers['x-test-user'] = user;
+    }
+    const response = await fetch(`http://127.0.0.1:${server.address().port}${path}`, { headers });
+    return { status: response.status, body: await response.json(), limit: response.headers.get('ratelimit-limit') };
+  };
+  return { server, request };
+};
+
+// Just what the store uses: MULTI with SET NX PX, INCR and PTTL, plus DECR and DEL; keys expire on Date.now()
+const createFakeRedis = () => {
+  const values = new Map();
+  const live = (key) => {
+    const entry = values.get(key);
+    if (entry && entry.expiresAt <= Date.now()) {
+      values.delete(key);
+    }
+    return values.get(key);
+  };
+  const commands = {
+    set: (key, value, { PX, NX }) => {
+      if (NX && live(key)) {
+        return null;
+      }
+      values.set(key, { value: Number(value), expiresAt: Date.now() + PX });
+      return 'OK';
+    },
+    incr: (key) => {
+      const entry = live(key) || { value: 0, expiresAt: Infinity };
+      values.set(key, { ...entry, value: entry.value + 1 });
+      return entry.value + 1;
+    },
+    pTTL: (key) => (live(key) ? live(key).expiresAt - Date.now() : -2)
+  };
+
+  return {
+    values,
+    multi: () => {
+      const queued = [];
+      const chain = {
+        exec: async () => queued.map(run => run())
+      };
+      Object.entries(commands).forEach(([name, command]) => {
+        chain[name] = (...args) => {
+          queued.push(() => command(...args));
+          return chain;
+        };
+      });
+      return chain;
+    },
+    decr: async (key) => {
+      live(key).value -= 1;
+    },
+    del: async (key) => {
+      values.delete(key);
+    }
+  };
+};
+
+describe('rate limit tiers', () => {
+  let app;
+  beforeEach(async () => {
+    app = await startApp();
+  });
+  afterEach(() => new Promise(resolve => app.server.close(resolve)));
+
+  test('public routes use the public tier, keyed by ip', async () => {
+    for (let i = 0; i < 3; i += 1) {
+      expect((await app.request('/public')).status).toBe(200);
+    }
+    const limited = await app.request('/public');
+
+    expect(limited.status).toBe(429);
+    expect(limited.body).toEqual({
+      success: false,
+      error: { code: 'RATE_LIMITED', message: expect.stringMatching(/^Too many requests, retry in \d+s$/) }
+    });
+    expect((await app.request('/public', { ip: '10.0.0.2' })).status).toBe(200);
+  });
+
+  test("a route's own tier wins over public", async () => {
+    expect((await app.request('/login')).limit).toBe('1');
+    expect((await app.request('/login')).status).toBe(429);
+  });
+
+  test('the user tier counts per user, whatever the ip', async () => {
+    await app.request('/orders', { ip: '10.0.0.1', user: 'user-1' });
+    await app.request('/orders', { ip: '10.0.0.2', user: 'user-1' });
+
+    expect((await app.request('/orders', { ip: '10.0.0.3', user: 'user-1' })).status).toBe(429);
+    expect((await app.request('/orders', { ip: '10.0.0.3', user: 'user-2' })).status).toBe(200);
+  });
+
+  test('admins get the admin tier on every route', async () => {
+    const responses = [];
+    for (let i = 0; i < 5; i += 1) {
+      responses.push(await app.request('/login', { user: 'admin-1:admin' }));
+    }
+
+    expect(responses.map(response => response.status)).toEqual([200, 200, 200, 200, 200]);
+    expect(responses[0].limit).toBe('5');
+  });
+});
+
+describe('RedisRateLimitStore', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('counts hits in a fixed window under the tier prefix', async () => {
+    const client = createFakeRedis();
+    const store = new RedisRateLimitStore(client, 'rl:user:');
+    store.init({ windowMs: 60000 });
+    jest.spyOn(Date, 'now').mockReturnValue(1000);
+
+    await store.increment('user:1');
+    const second = await store.increment('user:1');
+
+    expect(second.totalHits).toBe(2);
+    expect(second.resetTime.getTime()).toBe(61000);
+    expect(client.values.get('rl:user:user:1')).toEqual({ value: 2, expiresAt: 61000 });
+  });
+
+  test('starts a new window once the key expired', async () => {
+    const store = new RedisRateLimitStore(createFakeRedis(), 'rl:user:');
+    store.init({ windowMs: 60000 });
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+    await store.increment('user:1');
+    await store.increment('user:1');
+
+    now.mockReturnValue(61001);
+    const next = await store.increment('user:1');
+
+    expect(next.totalHits).toBe(1);
+    expect(next.resetTime.getTime()).toBe(121001);
+  });
+
+  test('decrement and resetKey undo hits', async () => {
+    const client = createFakeRedis();
+    const store = new RedisRateLimitStore(client, 'rl:auth:');
+    store.init({ windowMs: 60000 });
+    await store.increment('ip:10.0.0.1');
+    await store.increment('ip:10.0.0.1');
+
+    await store.decrement('ip:10.0.0.1');
+    expect(client.values.get('rl:auth:ip:10.0.0.1').value).toBe(1);
+    await store.resetKey('ip:10.0.0.1');
+    expect(client.values.has('rl:auth:ip:10.0.0.1')).toBe(false);
+  });
+});
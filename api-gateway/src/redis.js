@@ -0,0 +1,20 @@
+const { createClient } = require('redis');
+
+const clients = new Map();
+
+// One lazily connected client per URL, shared by everything in the gateway that needs Redis
+const getRedisClient = (url, log) => {
+  if (!clients.has(url)) {
+    // Fail fast instead of queueing commands while Redis is unreachable
+    const client = createClient({ url, disableOfflineQueue: true });
+    client.on('error', (err) => {
+      log.error(`Redis ${url} error: ${err.message}`);
+    });
+    client.connect().catch(() => {});
+    clients.set(url, client);
+  }
+
+  return clients.get(url);
+};
+
+module.exports = { getRedisClient };
@@ -0,0 +1,46 @@
+// Local copy of recently revoked sessions, polled from users-service so revoked access tokens are rejected
+// before they expire. A failed poll keeps the last known list.
+const createRevocationList = ({ url, secret, intervalMs, log }) => {
+  const revoked = new Map();
+  let since = null;
+
+  const poll = async () => {
+    try {
+      const query = since ? `?since=${encodeURIComponent(since)}` : '';
+      const response = await fetch(`${url}/internal/revocations${query}`, {
+        headers: secret ? { 'x-gateway-secret': secret } : {},
+        signal: AbortSignal.timeout(intervalMs)
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      const { data } = await response.json();
+      data.revocations.forEach(revocation => {
+        revoked.set(revocation.sessionId, Date.parse(revocation.expiresAt));
+      });
+
+      // Overlap the next window a little so nothing committed mid-poll is missed
+      since = new Date(Date.parse(data.checkedAt) - intervalMs).toISOString();
+
+      const now = Date.now();
+      revoked.forEach((expiresAt, sessionId) => {
+        if (expiresAt <= now) {
+          revoked.delete(sessionId);
+        }
+      });
+    } catch (error) {
+      log.error(`Revocation list refresh failed: ${error.message}`);
+    }
+  };
+
+  return {
+    start: () => {
+      poll();
+      setInterval(poll, intervalMs).unref();
+    },
+    isRevoked: (sessionId) => Boolean(sessionId) && revoked.has(sessionId)
+  };
+};
+
+module.exports = { createRevocationList };
@@ -0,0 +1,36 @@
+// Conditional requests on versioned records. The ETag is the record version, so it changes with every write.
+
+class PreconditionFailedError extends Error {
+  // current: the record as it is stored now, returned to the client so it can rebase its change
+  constructor(current) {
+    super('The resource has been modified since it was read');
+    this.name = 'PreconditionFailedError';
+    this.current = current;
+  }
+}
+
+const etagFor = (doc) => `"${doc.version}"`;
+
+// If-Match is `*` or a list of ETags. Comparison is strong: a weak W/"..." tag never matches.
+const assertIfMatch = (header, doc) => {
+  if (!header || header.trim() === '*') {
+    return;
+  }
+
+  const etags = header.split(',').map(etag => etag.trim());
+  if (!etags.includes(etagFor(doc))) {
+    throw new PreconditionFailedError(doc);
+  }
+};
+
+// Sets the ETag and answers a matching If-None-Match with 304. Returns true when the response is done.
+const sendNotModified = (req, res, doc) => {
+  res.setHeader('ETag', etagFor(doc));
+  if (req.fresh) {
+    res.status(304).end();
+    return true;
+  }
+  return false;
+};
+
+module.exports = { PreconditionFailedError, etagFor, assertIfMatch, sendNotModified };
@@ -0,0 +1,40 @@
+const { PreconditionFailedError, etagFor, assertIfMatch, sendNotModified } = require('./conditional');
+
+const ORDER = { id: 'order-1', version: 3 };
+
+describe('conditional requests', () => {
+  test('the ETag is the quoted version', () => {
+    expect(etagFor(ORDER)).toBe('"3"');
+  });
+
+  test('no If-Match, `*` or a list holding the current ETag pass', () => {
+    expect(() => assertIfMatch(undefined, ORDER)).not.toThrow();
+    expect(() => assertIfMatch(' * ', ORDER)).not.toThrow();
+    expect(() => assertIfMatch('"2", "3"', ORDER)).not.toThrow();
+  });
+
+  test('a stale ETag fails with the current record, for the 412 body', () => {
+    let error;
+    try {
+      assertIfMatch('"2"', ORDER);
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error).toBeInstanceOf(PreconditionFailedError);
+    expect(error.current).toBe(ORDER);
+  });
+
+  test('weak ETags never match', () => {
+    expect(() => assertIfMatch('W/"3"', ORDER)).toThrow(PreconditionFailedError);
+  });
+
+  test('sendNotModified sets the ETag and answers a fresh request with 304', () => {
+    const res = { setHeader: jest.fn(), status: jest.fn(() => res), end: jest.fn() };
+
+    expect(sendNotModified({ fresh: false }, res, ORDER)).toBe(false);
+    expect(res.setHeader).toHaveBeenCalledWith('ETag', '"3"');
+    expect(sendNotModified({ fresh: true }, res, ORDER)).toBe(true);
+    expect(res.status).toHaveBeenCalledWith(304);
+  });
+});
@@ -0,0 +1,25 @@
+const path = require('path');
+const { createMemoryDatabase } = require('./memory');
+const { migrate } = require('./migrate');
+
+// DB_DRIVER: sqlite (default, SQLITE_PATH or data/<name>.sqlite), postgres (DATABASE_URL) or memory
+const createDatabase = ({ name, driver = process.env.DB_DRIVER || 'sqlite' }) => {
+  switch (driver) {
+    case 'memory':
+      return createMemoryDatabase();
+    case 'sqlite': {
+      const { createSqliteDatabase } = require('./sqlite');
+      return createSqliteDatabase({
+        file: process.env.SQLITE_PATH || path.join(process.cwd(), 'data', `${name}.sqlite`)
+      });
+    }
+    case 'postgres': {
+      const { createPostgresDatabase } = require('./postgres');
+      return createPostgresDatabase({ connectionString: process.env.DATABASE_URL });
+    }
+    default:
+      throw new Error(`Unknown DB_DRIVER "${driver}"`);
+  }
+};
+
+module.exports = { createDatabase, migrate };
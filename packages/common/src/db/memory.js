@@ -0,0 +1,126 @@
+// In-memory backend for tests and throwaway dev runs. Same collection API as the SQL backends.
+
+const clone = (value) => (value === null || value === undefined ? value : structuredClone(value));
+
+const matchesCondition = (value, condition) => {
+  if (condition === null) {
+    return value === null || value === undefined;
+  }
+  if (Array.isArray(condition)) {
+    return condition.includes(value);
+  }
+  if (typeof condition !== 'object') {
+    return value === condition;
+  }
+
+  return Object.entries(condition).every(([op, expected]) => {
+    if (expected === undefined) {
+      return true;
+    }
+    switch (op) {
+      case 'eq': return expected === null ? value == null : value === expected;
+      case 'ne': return expected === null ? value != null : value !== expected;
+      case 'gt': return value != null && value > expected;
+      case 'gte': return value != null && value >= expected;
+      case 'lt': return value != null && value < expected;
+      case 'lte': return value != null && value <= expected;
+      case 'in': return expected.includes(value);
+      case 'contains': return value != null && String(value).toLowerCase().includes(String(expected).toLowerCase());
+      case 'has': return Array.isArray(value) && value.includes(expected);
+      default: throw new Error(`Unknown operator "${op}"`);
+    }
+  });
+};
+
+const matches = (doc, where = {}) => {
+  return Object.entries(where).every(([field, condition]) => {
+    if (field === '$or') {
+      return condition.length === 0 || condition.some(sub => matches(doc, sub));
+    }
+    if (field === '$and') {
+      return condition.every(sub => matches(doc, sub));
+    }
+    return matchesCondition(doc[field], condition);
+  });
+};
+
+const compare = (sort = []) => (a, b) => {
+  for (const [field, direction] of sort) {
+    const left = a[field];
+    const right = b[field];
+    if (left === right) {
+      continue;
+    }
+    // NULLs sort first, as in the SQL backends
+    const result = left == null ? -1 : right == null ? 1 : left < right ? -1 : 1;
+    return direction === 'desc' ? -result : result;
+  }
+  return 0;
+};
+
+const createMemoryCollection = () => {
+  const docs = new Map();
+
+  const find = async (where, { sort, limit, offset = 0 } = {}) => {
+    const result = [...docs.values()]
+      .filter(doc => matches(doc, where))
+      .sort(compare(sort));
+    return result
+      .slice(offset, limit === undefined ? undefined : offset + limit)
+      .map(clone);
+  };
+
+  return {
+    insert: async (doc) => {
+      if (docs.has(doc.id)) {
+        throw new Error(`Duplicate id ${doc.id}`);
+      }
+      docs.set(doc.id, clone(doc));
+      return doc;
+    },
+    update: async (doc) => {
+      if (docs.has(doc.id)) {
+        docs.set(doc.id, clone(doc));
+      }
+      return doc;
+    },
+    updateIf: async (doc, where) => {
+      if (!docs.has(doc.id) || !matches(docs.get(doc.id), where)) {
+        return null;
+      }
+      docs.set(doc.id, clone(doc));
+      return doc;
+    },
+    get: async (id) => clone(docs.get(id) || null),
+    findOne: async (where, options = {}) => {
+      const [doc] = await find(where, { ...options, limit: 1 });
+      return doc || null;
+    },
+    find,
+    count: async (where) => [...docs.values()].filter(doc => matches(doc, where)).length,
+    remove: async (id) => {
+      docs.delete(id);
+    }
+  };
+};
+
+const createMemoryDatabase = () => {
+  const collections = new Map();
+
+  const db = {
+    dialect: 'memory',
+    collection: (definition) => {
+      if (!collections.has(definition.table)) {
+        collections.set(definition.table, createMemoryCollection());
+      }
+      return collections.get(definition.table);
+    },
+    // No rollback: good enough for tests, which is all this backend is for
+    transaction: (fn) => fn(db),
+    close: async () => {}
+  };
+
+  return db;
+};
+
+module.exports = { createMemoryDatabase };
@@ -0,0 +1,53 @@
+const fs = require('fs');
+const path = require('path');
+
+// <dir>/<version>_<name>.js exporting `up`: an SQL string or async (db) => {}
+const loadMigrations = (dir) => {
+  return fs.readdirSync(dir)
+    .filter(file => /^\d+_.+\.js$/.test(file))
+    .map(file => ({
+      version: parseInt(file, 10),
+      name: file.replace(/\.js$/, ''),
+      ...require(path.join(dir, file))
+    }))
+    .sort((a, b) => a.version - b.version);
+};
+
+// Applies the service's pending migrations from `dir`, each in its own transaction
+const migrate = async (db, { dir, log = console.log }) => {
+  if (db.dialect === 'memory') {
+    return [];
+  }
+
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL
+    )
+  `);
+
+  const rows = await db.query('SELECT version FROM schema_migrations');
+  const applied = new Set(rows.map(row => Number(row.version)));
+  const pending = loadMigrations(dir).filter(migration => !applied.has(migration.version));
+
+  for (const migration of pending) {
+    await db.transaction(async (tx) => {
+      if (typeof migration.up === 'function') {
+        await migration.up(tx);
+      } else {
+        await tx.exec(migration.up);
+      }
+
+      await tx.query(
+        `INSERT INTO schema_migrations (version, name, applied_at) VALUES (${[1, 2, 3].map(tx.placeholder).join(', ')})`,
+        [migration.version, migration.name, new Date().toISOString()]
+      );
+    });
+    log(`🗄️  Applied migration ${migration.name}`);
+  }
+
+  return pending.map(migration => migration.name);
+};
+
+module.exports = { migrate };
@@ -0,0 +1,51 @@
+const { createSqlCollection, toDbValue } = require('./sql');
+
+const createDriver = (client) => ({
+  placeholder: (index) => `$${index}`,
+  query: async (sql, params = []) => {
+    const result = await client.query(sql, params.map(toDbValue));
+    return result.rows;
+  },
+  exec: async (sql) => {
+    await client.query(sql);
+  }
+});
+
+const wrap = (driver, extra) => ({
+  dialect: 'postgres',
+  placeholder: driver.placeholder,
+  query: driver.query,
+  exec: driver.exec,
+  collection: (definition) => createSqlCollection(driver, definition),
+  ...extra
+});
+
+const createPostgresDatabase = ({ connectionString }) => {
+  const { Pool } = require('pg');
+  const pool = new Pool({ connectionString });
+
+  return wrap(createDriver(pool), {
+    // Everything inside `fn` runs on one pooled client; use the db passed to it
+    transaction: async (fn) => {
+      const client = await pool.connect();
+      const tx = wrap(createDriver(client), {
+        transaction: (nested) => nested(tx)
+      });
+
+      try {
+        await client.query('BEGIN');
+        const result = await fn(tx);
+        await client.query('COMMIT');
+        return result;
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
+    },
+    close: () => pool.end()
+  });
+};
+
+module.exports = { createPostgresDatabase };
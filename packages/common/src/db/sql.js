@@ -0,0 +1,218 @@
+// Shared SQL collection for the sqlite and postgres backends.
+// Every table has an `id`, a few mapped columns for filtering/sorting/indexes and the full document in `data`.
+
+const OPERATORS = {
+  eq: '=',
+  ne: '<>',
+  gt: '>',
+  gte: '>=',
+  lt: '<',
+  lte: '<='
+};
+
+// LIKE patterns are built from user input: its own `%`, `_` and `\` must match literally
+const escapeLike = (text) => text.replace(/[\\%_]/g, '\\$&');
+
+const toDbValue = (value) => {
+  if (typeof value === 'boolean') {
+    return value ? 1 : 0;
+  }
+  // Array columns hold JSON and are queried with `has`
+  if (Array.isArray(value)) {
+    return JSON.stringify(value);
+  }
+  return value === undefined ? null : value;
+};
+
+const columnFor = (definition, field) => {
+  if (field === 'id') {
+    return 'id';
+  }
+
+  const column = definition.columns[field];
+  if (!column) {
+    throw new Error(`Field "${field}" is not queryable on ${definition.table}`);
+  }
+  return column;
+};
+
+// where: { field: value | [values] | { eq, ne, gt, gte, lt, lte, in, contains, has }, $or: [where, ...], $and: [where, ...] }
+const buildWhere = (definition, where, params, placeholder) => {
+  const clauses = [];
+
+  Object.entries(where || {}).forEach(([field, condition]) => {
+    if (field === '$or' || field === '$and') {
+      const parts = condition
+        .map(sub => buildWhere(definition, sub, params, placeholder))
+        .filter(Boolean);
+      if (parts.length > 0) {
+        clauses.push(`(${parts.map(part => `(${part})`).join(field === '$or' ? ' OR ' : ' AND ')})`);
+      }
+      return;
+    }
+
+    const column = columnFor(definition, field);
+
+    if (condition === null) {
+      clauses.push(`${column} IS NULL`);
+      return;
+    }
+
+    let operators = condition;
+    if (Array.isArray(condition)) {
+      operators = { in: condition };
+    } else if (typeof condition !== 'object' || condition instanceof Date) {
+      operators = { eq: condition };
+    }
+
+    Object.entries(operators).forEach(([op, value]) => {
+      if (value === undefined) {
+        return;
+      }
+
+      if (op === 'in') {
+        if (value.length === 0) {
+          clauses.push('1 = 0');
+          return;
+        }
+        const list = value.map(item => {
+          params.push(toDbValue(item));
+          return placeholder(params.length);
+        });
+        clauses.push(`${column} IN (${list.join(', ')})`);
+        return;
+      }
+
+      if (op === 'contains') {
+        params.push(`%${escapeLike(String(value).toLowerCase())}%`);
+        clauses.push(`LOWER(${column}) LIKE ${placeholder(params.length)} ESCAPE '\\'`);
+        return;
+      }
+
+      // Element of an array column
+      if (op === 'has') {
+        params.push(`%${escapeLike(JSON.stringify(value))}%`);
+        clauses.push(`${column} LIKE ${placeholder(params.length)} ESCAPE '\\'`);
+        return;
+      }
+
+      if (!OPERATORS[op]) {
+        throw new Error(`Unknown operator "${op}"`);
+      }
+
+      if (value === null) {
+        clauses.push(`${column} ${op === 'ne' ? 'IS NOT NULL' : 'IS NULL'}`);
+        return;
+      }
+
+      params.push(toDbValue(value));
+      clauses.push(`${column} ${OPERATORS[op]} ${placeholder(params.length)}`);
+    });
+  });
+
+  return clauses.join(' AND ');
+};
+
+// sort: [[field, 'asc' | 'desc'], ...]. NULLs sort first on every backend (Postgres defaults to last)
+const buildOrderBy = (definition, sort = []) => {
+  if (sort.length === 0) {
+    return '';
+  }
+
+  const parts = sort.map(([field, direction]) => {
+    return `${columnFor(definition, field)} ${direction === 'desc' ? 'DESC NULLS LAST' : 'ASC NULLS FIRST'}`;
+  });
+  return ` ORDER BY ${parts.join(', ')}`;
+};
+
+const fromRow = (row) => (row ? JSON.parse(row.data) : null);
+
+const columnValues = (definition, doc) => {
+  return Object.entries(definition.columns).map(([field]) => toDbValue(doc[field]));
+};
+
+const createSqlCollection = (driver, definition) => {
+  const { table } = definition;
+  const columnNames = Object.values(definition.columns);
+  const placeholder = driver.placeholder;
+
+  const select = async (where, { sort, limit, offset } = {}) => {
+    const params = [];
+    const whereSql = buildWhere(definition, where, params, placeholder);
+    let sql = `SELECT data FROM ${table}${whereSql ? ` WHERE ${whereSql}` : ''}${buildOrderBy(definition, sort)}`;
+
+    if (limit !== undefined) {
+      params.push(limit);
+      sql += ` LIMIT ${placeholder(params.length)}`;
+    }
+    if (offset) {
+      params.push(offset);
+      sql += ` OFFSET ${placeholder(params.length)}`;
+    }
+
+    const rows = await driver.query(sql, params);
+    return rows.map(fromRow);
+  };
+
+  return {
+    insert: async (doc) => {
+      const values = [doc.id, ...columnValues(definition, doc), JSON.stringify(doc)];
+      const names = ['id', ...columnNames, 'data'];
+      await driver.query(
+        `INSERT INTO ${table} (${names.join(', ')}) VALUES (${values.map((_, i) => placeholder(i + 1)).join(', ')})`,
+        values
+      );
+      return doc;
+    },
+
+    update: async (doc) => {
+      const values = [...columnValues(definition, doc), JSON.stringify(doc), doc.id];
+      const assignments = [...columnNames, 'data'].map((name, i) => `${name} = ${placeholder(i + 1)}`);
+      await driver.query(
+        `UPDATE ${table} SET ${assignments.join(', ')} WHERE id = ${placeholder(values.length)}`,
+        values
+      );
+      return doc;
+    },
+
+    // Compare-and-set: writes only while the stored row still matches `where`, otherwise returns null
+    updateIf: async (doc, where) => {
+      const values = [...columnValues(definition, doc), JSON.stringify(doc), doc.id];
+      const assignments = [...columnNames, 'data'].map((name, i) => `${name} = ${placeholder(i + 1)}`);
+      const whereSql = buildWhere(definition, where, values, placeholder);
+      const rows = await driver.query(
+        `UPDATE ${table} SET ${assignments.join(', ')} WHERE id = ${placeholder(values.length)}${whereSql ? ` AND ${whereSql}` : ''} RETURNING id`,
+        values
+      );
+      return rows.length > 0 ? doc : null;
+    },
+
+    get: async (id) => {
+      const rows = await driver.query(`SELECT data FROM ${table} WHERE id = ${placeholder(1)}`, [id]);
+      return fromRow(rows[0]);
+    },
+
+    findOne: async (where, options = {}) => {
+      const [doc] = await select(where, { ...options, limit: 1 });
+      return doc || null;
+    },
+
+    find: select,
+
+    count: async (where) => {
+      const params = [];
+      const whereSql = buildWhere(definition, where, params, placeholder);
+      const rows = await driver.query(
+        `SELECT COUNT(*) AS count FROM ${table}${whereSql ? ` WHERE ${whereSql}` : ''}`,
+        params
+      );
+      return Number(rows[0].count);
+    },
+
+    remove: async (id) => {
+      await driver.query(`DELETE FROM ${table} WHERE id = ${placeholder(1)}`, [id]);
+    }
+  };
+};
+
+module.exports = { createSqlCollection, toDbValue };
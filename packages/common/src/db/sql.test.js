@@ -0,0 +1,39 @@
+const { createSqliteDatabase } = require('./sqlite');
+
+const ITEMS = { table: 'items', columns: { name: 'name', tags: 'tags' } };
+
+describe('SQL collection filters', () => {
+  let items;
+
+  beforeAll(async () => {
+    const db = createSqliteDatabase({ file: ':memory:' });
+    await db.exec('CREATE TABLE items (id TEXT PRIMARY KEY, name TEXT, tags TEXT, data TEXT NOT NULL)');
+    items = db.collection(ITEMS);
+    await items.insert({ id: '1', name: '100% Cotton', tags: ['a_b'] });
+    await items.insert({ id: '2', name: '1000 Cotton', tags: ['axb'] });
+    await items.insert({ id: '3', name: 'snake_case', tags: ['back\\slash'] });
+    await items.insert({ id: '4', name: 'snakeXcase', tags: [] });
+  });
+
+  const ids = async (where) => (await items.find(where, { sort: [['id', 'asc']] })).map(item => item.id);
+
+  test('contains matches case-insensitively', async () => {
+    expect(await ids({ name: { contains: 'COTTON' } })).toEqual(['1', '2']);
+  });
+
+  test('contains treats % and _ literally', async () => {
+    expect(await ids({ name: { contains: '0%' } })).toEqual(['1']);
+    expect(await ids({ name: { contains: 'e_c' } })).toEqual(['3']);
+    expect(await ids({ name: { contains: '%' } })).toEqual(['1']);
+  });
+
+  test('has matches whole array elements, literally', async () => {
+    expect(await ids({ tags: { has: 'a_b' } })).toEqual(['1']);
+    expect(await ids({ tags: { has: 'back\\slash' } })).toEqual(['3']);
+  });
+
+  test('arrays mean IN and null means IS NULL', async () => {
+    expect(await ids({ id: ['2', '4'] })).toEqual(['2', '4']);
+    expect(await ids({ name: null })).toEqual([]);
+  });
+});
@@ -0,0 +1,91 @@
+const fs = require('fs');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const { createSqlCollection, toDbValue } = require('./sql');
+
+const createSqliteDatabase = ({ file }) => {
+  // Optional dependency, only needed when this backend is selected
+  const Database = require('better-sqlite3');
+
+  if (file !== ':memory:') {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+  }
+
+  const connection = new Database(file);
+  connection.pragma('journal_mode = WAL');
+  connection.pragma('foreign_keys = ON');
+
+  const direct = {
+    placeholder: () => '?',
+    query: async (sql, params = []) => {
+      const statement = connection.prepare(sql);
+      const values = params.map(toDbValue);
+      return statement.reader ? statement.all(values) : (statement.run(values), []);
+    },
+    exec: async (sql) => {
+      connection.exec(sql);
+    }
+  };
+
+  // A single connection: an open transaction holds it from BEGIN to COMMIT. Every other statement, in a
+  // transaction or not, waits for the lock, so nothing from another request runs inside (or is rolled back
+  // with) someone else's transaction. Statements issued from within the transaction's own async flow
+  // already hold the lock and run directly.
+  let lock = Promise.resolve();
+  const holder = new AsyncLocalStorage();
+
+  const serialise = (fn) => {
+    const held = holder.getStore();
+    if (held && held.open) {
+      return fn();
+    }
+
+    // Work started inside and outliving it (e.g. not awaited) queues like anything else
+    const hold = { open: true };
+    const run = lock.then(() => holder.run(hold, fn)).finally(() => {
+      hold.open = false;
+    });
+    lock = run.catch(() => {});
+    return run;
+  };
+
+  const driver = {
+    placeholder: direct.placeholder,
+    query: (sql, params) => serialise(() => direct.query(sql, params)),
+    exec: (sql) => serialise(() => direct.exec(sql))
+  };
+
+  const db = {
+    dialect: 'sqlite',
+    placeholder: driver.placeholder,
+    query: driver.query,
+    exec: driver.exec,
+    collection: (definition) => createSqlCollection(driver, definition),
+    transaction: (fn) => serialise(async () => {
+      connection.exec('BEGIN');
+      try {
+        const result = await fn(tx);
+        connection.exec('COMMIT');
+        return result;
+      } catch (error) {
+        connection.exec('ROLLBACK');
+        throw error;
+      }
+    }),
+    close: async () => {
+      connection.close();
+    }
+  };
+
+  const tx = {
+    ...db,
+    query: direct.query,
+    exec: direct.exec,
+    collection: (definition) => createSqlCollection(direct, definition),
+    transaction: (nested) => nested(tx)
+  };
+
+  return db;
+};
+
+module.exports = { createSqliteDatabase };
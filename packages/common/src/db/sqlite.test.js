@@ -0,0 +1,86 @@
+const { createSqliteDatabase } = require('./sqlite');
+
+const ITEMS = { table: 'items', columns: { name: 'name', tags: 'tags' } };
+
+const createDb = async () => {
+  const db = createSqliteDatabase({ file: ':memory:' });
+  await db.exec('CREATE TABLE items (id TEXT PRIMARY KEY, name TEXT, tags TEXT, data TEXT NOT NULL)');
+  return db;
+};
+
+describe('sqlite transactions', () => {
+  test('a statement from outside waits for the open transaction instead of joining it', async () => {
+    const db = await createDb();
+    const items = db.collection(ITEMS);
+    let release;
+    const paused = new Promise(resolve => {
+      release = resolve;
+    });
+
+    let begun;
+    const open = new Promise(resolve => {
+      begun = resolve;
+    });
+
+    const failing = db.transaction(async (tx) => {
+      await tx.collection(ITEMS).insert({ id: 'inside', name: 'inside' });
+      begun();
+      await paused;
+      throw new Error('roll back');
+    });
+    await open;
+    const outside = items.insert({ id: 'outside', name: 'outside' });
+    // Let the outside insert try to run while the transaction is open
+    await new Promise(resolve => setImmediate(resolve));
+    release();
+
+    await expect(failing).rejects.toThrow('roll back');
+    await outside;
+    expect((await items.find()).map(item => item.id)).toEqual(['outside']);
+  });
+
+  test('an outside read does not see uncommitted rows', async () => {
+    const db = await createDb();
+    const items = db.collection(ITEMS);
+    let release;
+    const paused = new Promise(resolve => {
+      release = resolve;
+    });
+
+    const committing = db.transaction(async (tx) => {
+      await tx.collection(ITEMS).insert({ id: 'a', name: 'a' });
+      await paused;
+    });
+    const read = items.count();
+    await new Promise(resolve => setImmediate(resolve));
+    release();
+
+    await committing;
+    // Ran after COMMIT, not in the middle of the transaction
+    expect(await read).toBe(1);
+  });
+
+  test('statements through the outer handle inside the transaction do not deadlock', async () => {
+    const db = await createDb();
+    const items = db.collection(ITEMS);
+
+    await db.transaction(async () => {
+      await items.insert({ id: 'a', name: 'a' });
+    });
+    expect(await items.count()).toBe(1);
+  });
+
+  test('transactions run one after the other', async () => {
+    const db = await createDb();
+    const order = [];
+    const step = (name) => db.transaction(async (tx) => {
+      order.push(`${name}:begin`);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      await tx.collection(ITEMS).insert({ id: name, name });
+      order.push(`${name}:commit`);
+    });
+
+    await Promise.all([step('a'), step('b')]);
+    expect(order).toEqual(['a:begin', 'a:commit', 'b:begin', 'b:commit']);
+  });
+});
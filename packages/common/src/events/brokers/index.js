@@ -0,0 +1,22 @@
+// EVENT_BROKER: memory (default, in-process) or redis (Redis Streams at REDIS_URL, stream EVENT_STREAM).
+// Every service runs in its own process, so events only cross between them with redis.
+const createBroker = ({ type = process.env.EVENT_BROKER || 'memory', log } = {}) => {
+  switch (type) {
+    case 'memory': {
+      const { createMemoryBroker } = require('./memory');
+      return createMemoryBroker({ log });
+    }
+    case 'redis': {
+      const { createRedisStreamsBroker } = require('./redisStreams');
+      return createRedisStreamsBroker({
+        url: process.env.REDIS_URL || 'redis://localhost:6379',
+        stream: process.env.EVENT_STREAM || 'domain-events',
+        log
+      });
+    }
+    default:
+      throw new Error(`Unknown EVENT_BROKER "${type}"`);
+  }
+};
+
+module.exports = { createBroker };
@@ -0,0 +1,51 @@
+const MAX_ATTEMPTS = 5;
+const RETRY_DELAY_MS = 1000;
+
+// In-process broker for tests and single-instance dev runs. Failed deliveries are retried a few times;
+// nothing survives a restart, but the outbox keeps anything not yet published.
+const createMemoryBroker = ({ log = console } = {}) => {
+  const groups = new Map();
+  const listeners = [];
+
+  const deliver = (group, handler, event, attempt) => {
+    setTimeout(async () => {
+      try {
+        await handler(event);
+      } catch (error) {
+        if (attempt >= MAX_ATTEMPTS) {
+          log.error(`Event ${event.type} ${event.id} dropped by ${group} after ${attempt} attempts: ${error.message}`);
+          return;
+        }
+        deliver(group, handler, event, attempt + 1);
+      }
+    }, attempt === 1 ? 0 : RETRY_DELAY_MS * attempt);
+  };
+
+  return {
+    name: 'memory',
+    // Only this process gets the events
+    shared: false,
+
+    publish: async (event) => {
+      groups.forEach((handler, group) => deliver(group, handler, event, 1));
+      listeners.forEach(listener => setTimeout(() => listener(event), 0));
+    },
+
+    // One handler per consumer group, as with a real broker
+    subscribe: async (group, handler) => {
+      groups.set(group, handler);
+    },
+
+    // Every event, outside the consumer groups; no retries
+    listen: async (handler) => {
+      listeners.push(handler);
+    },
+
+    close: async () => {
+      groups.clear();
+      listeners.length = 0;
+    }
+  };
+};
+
+module.exports = { createMemoryBroker };
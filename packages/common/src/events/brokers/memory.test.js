@@ -0,0 +1,89 @@
+const { createMemoryBroker } = require('./memory');
+
+const EVENT = { id: 'event-1', type: 'order.created', data: {} };
+
+describe('memory broker', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('every consumer group and every listener gets each event', async () => {
+    const broker = createMemoryBroker();
+    const orders = jest.fn();
+    const users = jest.fn();
+    const listener = jest.fn();
+    await broker.subscribe('orders', orders);
+    await broker.subscribe('users', users);
+    await broker.listen(listener);
+
+    await broker.publish(EVENT);
+    await jest.runAllTimersAsync();
+
+    expect(orders).toHaveBeenCalledWith(EVENT);
+    expect(users).toHaveBeenCalledWith(EVENT);
+    expect(listener).toHaveBeenCalledWith(EVENT);
+  });
+
+  test('a group has one handler, subscribing again replaces it', async () => {
+    const broker = createMemoryBroker();
+    const first = jest.fn();
+    const second = jest.fn();
+    await broker.subscribe('orders', first);
+    await broker.subscribe('orders', second);
+
+    await broker.publish(EVENT);
+    await jest.runAllTimersAsync();
+
+    expect(first).not.toHaveBeenCalled();
+    expect(second).toHaveBeenCalledTimes(1);
+  });
+
+  test('retries a failing handler with a growing delay, then drops the event', async () => {
+    const log = { error: jest.fn() };
+    const broker = createMemoryBroker({ log });
+    const handler = jest.fn(async () => {
+      throw new Error('handler failed');
+    });
+    await broker.subscribe('orders', handler);
+
+    await broker.publish(EVENT);
+    await jest.advanceTimersByTimeAsync(0);
+    expect(handler).toHaveBeenCalledTimes(1);
+    await jest.advanceTimersByTimeAsync(1999);
+    expect(handler).toHaveBeenCalledTimes(1);
+    await jest.advanceTimersByTimeAsync(1);
+    expect(handler).toHaveBeenCalledTimes(2);
+
+    await jest.runAllTimersAsync();
+    expect(handler).toHaveBeenCalledTimes(5);
+    expect(log.error).toHaveBeenCalledWith(expect.stringContaining('dropped by orders after 5 attempts'));
+  });
+
+  test('a handler that recovers isn\'t called again', async () => {
+    const broker = createMemoryBroker();
+    const handler = jest.fn()
+      .mockRejectedValueOnce(new Error('handler failed'))
+      .mockResolvedValue();
+    await broker.subscribe('orders', handler);
+
+    await broker.publish(EVENT);
+    await jest.runAllTimersAsync();
+
+    expect(handler).toHaveBeenCalledTimes(2);
+  });
+
+  test('nothing is delivered after close', async () => {
+    const broker = createMemoryBroker();
+    const handler = jest.fn();
+    await broker.subscribe('orders', handler);
+    await broker.close();
+
+    await broker.publish(EVENT);
+    await jest.runAllTimersAsync();
+
+    expect(handler).not.toHaveBeenCalled();
+  });
+});
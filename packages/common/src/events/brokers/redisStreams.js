@@ -0,0 +1,137 @@
+const os = require('os');
+const { createClient, commandOptions } = require('redis');
+
+const BLOCK_MS = 5000;
+const BATCH_SIZE = 20;
+// A message unacknowledged this long is assumed lost with its consumer and handed to another one
+const CLAIM_IDLE_MS = 30 * 1000;
+const MAX_LENGTH = 100000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Redis Streams broker: every event goes to one stream; each consumer group gets every event once,
+// spread over the instances of that service. A message is acknowledged only after its handler succeeded,
+// so a crash mid-handler means redelivery (at-least-once).
+const createRedisStreamsBroker = ({ url, stream, log = console }) => {
+  const consumerName = `${os.hostname()}-${process.pid}`;
+  const publisher = createClient({ url });
+  publisher.on('error', (error) => log.error(`Redis broker error: ${error.message}`));
+  const connected = publisher.connect();
+
+  const loops = [];
+  let closed = false;
+
+  const ensureGroup = async (group) => {
+    try {
+      await publisher.xGroupCreate(stream, group, '0', { MKSTREAM: true });
+    } catch (error) {
+      if (!String(error.message).includes('BUSYGROUP')) {
+        throw error;
+      }
+    }
+  };
+
+  const handleMessages = async (group, handler, messages) => {
+    for (const message of messages) {
+      try {
+        await handler(JSON.parse(message.message.event));
+        await publisher.xAck(stream, group, message.id);
+      } catch (error) {
+        // Left pending; picked up again by the claim loop
+        log.error(`Event ${message.id} failed in ${group}: ${error.message}`);
+      }
+    }
+  };
+
+  const consume = async (group, handler) => {
+    let lastClaimAt = 0;
+
+    while (!closed) {
+      try {
+        if (Date.now() - lastClaimAt >= CLAIM_IDLE_MS) {
+          lastClaimAt = Date.now();
+          const claimed = await publisher.xAutoClaim(stream, group, consumerName, CLAIM_IDLE_MS, '0-0', { COUNT: BATCH_SIZE });
+          await handleMessages(group, handler, claimed.messages.filter(Boolean));
+        }
+
+        const response = await publisher.xReadGroup(
+          commandOptions({ isolated: true }),
+          group,
+          consumerName,
+          { key: stream, id: '>' },
+          { COUNT: BATCH_SIZE, BLOCK: BLOCK_MS }
+        );
+        if (response) {
+          await handleMessages(group, handler, response[0].messages);
+        }
+      } catch (error) {
+        if (closed) {
+          return;
+        }
+        log.error(`Redis broker read failed for ${group}: ${error.message}`);
+        await sleep(BLOCK_MS);
+      }
+    }
+  };
+
+  // Plain XREAD from the current end of the stream: every listening instance sees every new event
+  const listen = async (handler) => {
+    let lastId = null;
+    while (!closed) {
+      try {
+        if (lastId === null) {
+          const [latest] = await publisher.xRevRange(stream, '+', '-', { COUNT: 1 });
+          lastId = latest ? latest.id : '0-0';
+        }
+
+        const response = await publisher.xRead(
+          commandOptions({ isolated: true }),
+          { key: stream, id: lastId },
+          { COUNT: BATCH_SIZE, BLOCK: BLOCK_MS }
+        );
+        for (const message of response ? response[0].messages : []) {
+          lastId = message.id;
+          await handler(JSON.parse(message.message.event));
+        }
+      } catch (error) {
+        if (closed) {
+          return;
+        }
+        log.error(`Redis broker listen failed: ${error.message}`);
+        await sleep(BLOCK_MS);
+      }
+    }
+  };
+
+  return {
+    name: 'redis',
+    shared: true,
+
+    publish: async (event) => {
+      await connected;
+      await publisher.xAdd(stream, '*', { type: event.type, event: JSON.stringify(event) }, {
+        TRIM: { strategy: 'MAXLEN', strategyModifier: '~', threshold: MAX_LENGTH }
+      });
+    },
+
+    subscribe: async (group, handler) => {
+      await connected;
+      await ensureGroup(group);
+      loops.push(consume(group, handler));
+    },
+
+    // Every event, outside the consumer groups; no acknowledgements, no redelivery
+    listen: async (handler) => {
+      await connected;
+      loops.push(listen(handler));
+    },
+
+    close: async () => {
+      closed = true;
+      await publisher.quit().catch(() => {});
+      await Promise.allSettled(loops);
+    }
+  };
+};
+
+module.exports = { createRedisStreamsBroker };
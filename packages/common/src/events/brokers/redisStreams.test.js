@@ -0,0 +1,159 @@
+const mockRedis = { streams: new Map(), clients: [] };
+
+// Just the stream commands the broker uses, on one shared in-memory stream. Blocking reads come back empty
+// after a few ms instead of BLOCK so the loops keep turning.
+jest.mock('redis', () => {
+  const idle = () => new Promise(resolve => setTimeout(() => resolve(null), 5));
+  const sequence = (id) => Number(id.split('-')[0]);
+
+  const streamFor = (key) => {
+    if (!mockRedis.streams.has(key)) {
+      mockRedis.streams.set(key, { messages: [], groups: new Map() });
+    }
+    return mockRedis.streams.get(key);
+  };
+
+  const createClient = () => {
+    const client = {
+      on: () => client,
+      connect: async () => {},
+      quit: async () => {},
+      xGroupCreate: async (key, group) => {
+        const stream = streamFor(key);
+        if (stream.groups.has(group)) {
+          throw new Error('BUSYGROUP Consumer Group name already exists');
+        }
+        stream.groups.set(group, { delivered: 0, pending: new Map() });
+      },
+      xAdd: async (key, id, message, options) => {
+        const stream = streamFor(key);
+        const entry = { id: `${stream.messages.length + 1}-0`, message };
+        stream.messages.push(entry);
+        client.lastAddOptions = options;
+        return entry.id;
+      },
+      xReadGroup: async (options, group, consumer, { key }) => {
+        const stream = streamFor(key);
+        const state = stream.groups.get(group);
+        const messages = stream.messages.filter(entry => sequence(entry.id) > state.delivered);
+        if (messages.length === 0) {
+          return idle();
+        }
+        state.delivered = sequence(messages[messages.length - 1].id);
+        messages.forEach(entry => state.pending.set(entry.id, entry));
+        return [{ name: key, messages }];
+      },
+      xAck: async (key, group, id) => {
+        streamFor(key).groups.get(group).pending.delete(id);
+      },
+      // Every pending message counts as idle
+      xAutoClaim: async (key, group) => ({
+        nextId: '0-0',
+        messages: [...streamFor(key).groups.get(group).pending.values()]
+      }),
+      xRevRange: async (key) => streamFor(key).messages.slice(-1),
+      xRead: async (options, { key, id }) => {
+        const messages = streamFor(key).messages.filter(entry => sequence(entry.id) > sequence(id));
+        return messages.length > 0 ? [{ name: key, messages }] : idle();
+      }
+    };
+    mockRedis.clients.push(client);
+    return client;
+  };
+
+  return { createClient, commandOptions: (options) => options };
+});
+
+const { createRedisStreamsBroker } = require('./redisStreams');
+
+const silent = { info: () => {}, warn: () => {}, error: () => {} };
+
+const event = (id) => ({ id, type: 'order.created', data: { orderId: id } });
+
+const waitFor = async (check) => {
+  for (let i = 0; i < 200 && !check(); i++) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+  expect(check()).toBe(true);
+};
+
+describe('redis streams broker', () => {
+  let broker;
+  beforeEach(() => {
+    mockRedis.streams.clear();
+    mockRedis.clients.length = 0;
+    broker = createRedisStreamsBroker({ url: 'redis://test', stream: 'events', log: silent });
+  });
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await broker.close();
+  });
+
+  const pending = (group) => [...mockRedis.streams.get('events').groups.get(group).pending.keys()];
+
+  test('publishes the event as JSON to a capped stream', async () => {
+    await broker.publish(event('event-1'));
+
+    const [entry] = mockRedis.streams.get('events').messages;
+    expect(entry.message).toEqual({ type: 'order.created', event: JSON.stringify(event('event-1')) });
+    expect(mockRedis.clients[0].lastAddOptions).toEqual({
+      TRIM: { strategy: 'MAXLEN', strategyModifier: '~', threshold: 100000 }
+    });
+  });
+
+  test('a group gets every event, acknowledged once its handler succeeded', async () => {
+    const handler = jest.fn();
+    await broker.publish(event('event-1'));
+    await broker.subscribe('orders', handler);
+    await broker.publish(event('event-2'));
+
+    await waitFor(() => handler.mock.calls.length === 2);
+    expect(handler.mock.calls.map(([received]) => received.id)).toEqual(['event-1', 'event-2']);
+    expect(pending('orders')).toEqual([]);
+  });
+
+  test('subscribing to an existing group joins it', async () => {
+    const other = createRedisStreamsBroker({ url: 'redis://test', stream: 'events', log: silent });
+
+    await other.subscribe('orders', () => {});
+    await expect(broker.subscribe('orders', () => {})).resolves.toBeUndefined();
+    await other.close();
+  });
+
+  test('a failed event stays pending and is claimed again once idle', async () => {
+    const log = { error: jest.fn() };
+    await broker.close();
+    broker = createRedisStreamsBroker({ url: 'redis://test', stream: 'events', log });
+    const handler = jest.fn()
+      .mockRejectedValueOnce(new Error('handler failed'))
+      .mockResolvedValue();
+    let now = Date.now();
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+
+    await broker.subscribe('orders', handler);
+    await broker.publish(event('event-1'));
+    await waitFor(() => handler.mock.calls.length === 1);
+    expect(pending('orders')).toEqual(['1-0']);
+    expect(log.error).toHaveBeenCalledWith('Event 1-0 failed in orders: handler failed');
+
+    now += 30 * 1000;
+    await waitFor(() => handler.mock.calls.length === 2);
+    expect(pending('orders')).toEqual([]);
+  });
+
+  test('listeners see every event published after they started, outside the groups', async () => {
+    const first = jest.fn();
+    const second = jest.fn();
+    await broker.publish(event('event-1'));
+    await broker.listen(first);
+    await broker.listen(second);
+    // Let the listeners find the end of the stream first
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    await broker.publish(event('event-2'));
+
+    await waitFor(() => first.mock.calls.length === 1 && second.mock.calls.length === 1);
+    expect(first).toHaveBeenCalledWith(event('event-2'));
+    expect(second).toHaveBeenCalledWith(event('event-2'));
+  });
+});
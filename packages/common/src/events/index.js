@@ -0,0 +1,199 @@
+const { v4: uuidv4 } = require('uuid');
+const { context, propagation, trace, SpanKind, SpanStatusCode } = require('@opentelemetry/api');
+const { createEventRepository } = require('../repositories/eventRepository');
+const { createBroker } = require('./brokers');
+
+const RELAY_INTERVAL_MS = parseInt(process.env.OUTBOX_POLL_MS, 10) || 1000;
+const RELAY_BATCH_SIZE = 100;
+const RETENTION_DAYS = parseInt(process.env.EVENT_RETENTION_DAYS, 10) || 7;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+const FORGET_BATCH_SIZE = 500;
+
+// Domain events: `record` writes an event to the outbox inside the caller's transaction, so it is stored
+// if and only if the change it describes is committed. The relay publishes outbox entries to the broker;
+// consumers get each event at least once and skip ids they have already processed.
+//
+// Event: { id, type, source, aggregateId, occurredAt, data, trace }
+const createEventBus = ({ db, source, log = console, broker = createBroker({ log }) }) => {
+  const events = createEventRepository(db);
+  const tracer = trace.getTracer(source);
+  const subscriptions = [];
+  const listeners = [];
+
+  let draining = null;
+  let drainAgain = false;
+
+  const record = async (tx, type, aggregateId, data) => {
+    // Carry the trace context so consumer spans join the trace of the request that caused the event
+    const carrier = {};
+    propagation.inject(context.active(), carrier);
+
+    const event = {
+      id: uuidv4(),
+      type,
+      source,
+      aggregateId,
+      occurredAt: new Date().toISOString(),
+      data,
+      trace: carrier
+    };
+    await createEventRepository(tx).addToOutbox({ ...event, createdAt: event.occurredAt, publishedAt: null });
+    return event;
+  };
+
+  const drain = async () => {
+    const pending = await events.listUnpublished(RELAY_BATCH_SIZE);
+    for (const entry of pending) {
+      const { createdAt, publishedAt, ...event } = entry;
+      await broker.publish(event);
+      await events.markPublished(entry);
+    }
+    return pending.length === RELAY_BATCH_SIZE;
+  };
+
+  // Publish whatever is in the outbox now. Safe to call often: runs are never concurrent.
+  const flush = () => {
+    if (draining) {
+      drainAgain = true;
+      return draining;
+    }
+
+    draining = (async () => {
+      try {
+        do {
+          drainAgain = false;
+          drainAgain = (await drain()) || drainAgain;
+        } while (drainAgain);
+      } catch (error) {
+        log.error(`Outbox relay failed: ${error.message}`);
+      } finally {
+        draining = null;
+      }
+    })();
+    return draining;
+  };
+
+  // consumer: a stable name; all instances of a service share it and split the events between them.
+  // handler(event, tx) runs in a transaction together with the dedup marker, so its own writes are applied once.
+  const subscribe = (consumer, types, handler) => {
+    subscriptions.push({ consumer, types: new Set(types), handler });
+  };
+
+  // Live fan-out, e.g. for pushing events to connected clients: every instance gets every event once it is
+  // published, without dedup, retries or replay. Anything that must not miss an event uses `subscribe`.
+  const listen = (types, handler) => {
+    listeners.push({ types: new Set(types), handler });
+  };
+
+  const notify = async (event) => {
+    for (const listener of listeners) {
+      if (listener.types.has(event.type) || listener.types.has('*')) {
+        await Promise.resolve(listener.handler(event))
+          .catch(error => log.error(`Event listener failed on ${event.type} ${event.id}: ${error.message}`));
+      }
+    }
+  };
+
+  const handle = (subscription) => async (event) => {
+    if (!subscription.types.has(event.type) && !subscription.types.has('*')) {
+      return;
+    }
+
+    const parent = propagation.extract(context.active(), event.trace || {});
+    await tracer.startActiveSpan(`consume ${event.type}`, { kind: SpanKind.CONSUMER, attributes: {
+      'messaging.consumer.group.name': subscription.consumer,
+      'messaging.message.id': event.id
+    } }, parent, async (span) => {
+      try {
+        await db.transaction(async (tx) => {
+          const txEvents = createEventRepository(tx);
+          if (await txEvents.isProcessed(subscription.consumer, event.id)) {
+            return;
+          }
+          await subscription.handler(event, tx);
+          await txEvents.markProcessed(subscription.consumer, event.id);
+        });
+      } catch (error) {
+        span.recordException(error);
+        span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+        throw error;
+      } finally {
+        span.end();
+      }
+    });
+  };
+
+  // Account erasure: stored events whose aggregate id or payload contains any of `terms` (case-insensitive).
+  // Published ones are deleted, they're only kept for stream resumes until pruned; ones still waiting for
+  // the relay get `redact(data)` so consumers still receive them. Pages through the outbox in `tx`; flush
+  // before opening it, the relay writes back the entries it has read.
+  const forget = async (tx, { terms, redact }) => {
+    const needles = terms.filter(Boolean).map(term => term.toLowerCase());
+    const outbox = createEventRepository(tx);
+
+    let removed = 0;
+    let redacted = 0;
+    let after = null;
+    for (;;) {
+      const page = await outbox.listOutboxPage(after, FORGET_BATCH_SIZE);
+      for (const entry of page) {
+        const text = JSON.stringify([entry.aggregateId, entry.data]).toLowerCase();
+        if (!needles.some(needle => text.includes(needle))) {
+          continue;
+        }
+        if (entry.publishedAt) {
+          await outbox.removeFromOutbox(entry.id);
+          removed += 1;
+        } else {
+          await outbox.updateOutboxEntry({ ...entry, data: redact(entry.data) });
+          redacted += 1;
+        }
+      }
+      if (page.length < FORGET_BATCH_SIZE) {
+        return { removed, redacted };
+      }
+      after = page[page.length - 1];
+    }
+  };
+
+  const prune = async () => {
+    const before = new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    await events.prunePublished(before);
+    await events.pruneProcessed(before);
+  };
+
+  return {
+    record,
+    flush,
+    forget,
+    subscribe,
+    listen,
+
+    start: async () => {
+      if (!broker.shared) {
+        if (process.env.NODE_ENV === 'production') {
+          throw new Error(`The ${broker.name} broker doesn't deliver events between services, set EVENT_BROKER=redis`);
+        }
+        log.warn(`⚠️  ${broker.name} broker: events stay inside this process, other services won't get them`);
+      }
+      for (const subscription of subscriptions) {
+        await broker.subscribe(subscription.consumer, handle(subscription));
+      }
+      if (listeners.length > 0) {
+        await broker.listen(notify);
+      }
+
+      flush();
+      setInterval(flush, RELAY_INTERVAL_MS).unref();
+      setInterval(() => {
+        prune().catch(error => log.error(`Event pruning failed: ${error.message}`));
+      }, PRUNE_INTERVAL_MS).unref();
+
+      log.info(`📨 Event bus started (${broker.name} broker, ${subscriptions.length} consumer(s))`);
+    },
+
+    close: () => broker.close()
+  };
+};
+
+module.exports = { createEventBus };
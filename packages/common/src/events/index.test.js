@@ -0,0 +1,173 @@
+const { createSqliteDatabase } = require('../db/sqlite');
+const { createEventBus } = require('./index');
+
+const silent = { info: () => {}, warn: () => {}, error: () => {} };
+
+const ITEMS = { table: 'items', columns: {} };
+
+// Hands every published event to the subscribed handlers directly, as many times as asked
+const createFakeBroker = () => {
+  const handlers = [];
+  const broker = {
+    name: 'fake',
+    shared: true,
+    published: [],
+    publish: async (event) => {
+      broker.published.push(event);
+    },
+    subscribe: async (group, handler) => {
+      handlers.push(handler);
+    },
+    listen: async () => {},
+    close: async () => {},
+    deliver: async (event) => {
+      for (const handler of handlers) {
+        await handler(event);
+      }
+    }
+  };
+  return broker;
+};
+
+const setup = async () => {
+  const db = createSqliteDatabase({ file: ':memory:' });
+  await db.exec(`
+    CREATE TABLE outbox (id TEXT PRIMARY KEY, type TEXT NOT NULL, created_at TEXT NOT NULL, published_at TEXT,
+      data TEXT NOT NULL);
+    CREATE TABLE processed_events (id TEXT PRIMARY KEY, consumer TEXT NOT NULL, processed_at TEXT NOT NULL,
+      data TEXT NOT NULL);
+    CREATE TABLE items (id TEXT PRIMARY KEY, data TEXT NOT NULL);
+  `);
+  const broker = createFakeBroker();
+  return { db, broker, events: createEventBus({ db, source: 'service-test', log: silent, broker }) };
+};
+
+describe('event bus outbox', () => {
+  test('an event recorded in a rolled back transaction is never published', async () => {
+    const { db, broker, events } = await setup();
+
+    await expect(db.transaction(async (tx) => {
+      await events.record(tx, 'order.created', 'order-1', { total: 1 });
+      throw new Error('roll back');
+    })).rejects.toThrow('roll back');
+    await events.flush();
+
+    expect(broker.published).toEqual([]);
+    await db.close();
+  });
+
+  test('flush publishes committed events once', async () => {
+    const { db, broker, events } = await setup();
+    const first = await db.transaction(tx => events.record(tx, 'order.created', 'order-1', { total: 1 }));
+    const second = await db.transaction(tx => events.record(tx, 'order.updated', 'order-1', { total: 2 }));
+
+    await events.flush();
+    await events.flush();
+
+    expect(broker.published).toHaveLength(2);
+    expect(broker.published).toEqual(expect.arrayContaining([first, second]));
+    expect(first).toMatchObject({ type: 'order.created', source: 'service-test', aggregateId: 'order-1' });
+    expect(await db.query('SELECT id FROM outbox WHERE published_at IS NULL')).toEqual([]);
+    await db.close();
+  });
+
+  test('an event recorded while a flush runs goes out with it', async () => {
+    const { db, broker, events } = await setup();
+    await db.transaction(tx => events.record(tx, 'order.created', 'order-1', {}));
+
+    const running = events.flush();
+    await db.transaction(tx => events.record(tx, 'order.created', 'order-2', {}));
+    await Promise.all([running, events.flush()]);
+
+    expect(broker.published.map(event => event.aggregateId).sort()).toEqual(['order-1', 'order-2']);
+    await db.close();
+  });
+
+  test('a failed publish leaves the event in the outbox for the next flush', async () => {
+    const { db, broker, events } = await setup();
+    const event = await db.transaction(tx => events.record(tx, 'order.created', 'order-1', {}));
+    const publish = broker.publish;
+    broker.publish = async () => {
+      throw new Error('broker down');
+    };
+
+    await events.flush();
+    broker.publish = publish;
+    await events.flush();
+
+    expect(broker.published).toEqual([event]);
+    await db.close();
+  });
+});
+
+describe('event bus consumers', () => {
+  test('a redelivered event is handled once', async () => {
+    const { db, broker, events } = await setup();
+    const handler = jest.fn();
+    events.subscribe('orders-projection', ['order.created'], handler);
+    await events.start();
+    const event = await db.transaction(tx => events.record(tx, 'order.created', 'order-1', {}));
+
+    await broker.deliver(event);
+    await broker.deliver(event);
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(handler).toHaveBeenCalledWith(event, expect.anything());
+    await db.close();
+  });
+
+  test('a failing handler rolls back its writes and gets the event again', async () => {
+    const { db, broker, events } = await setup();
+    let fail = true;
+    events.subscribe('orders-projection', ['*'], async (event, tx) => {
+      await tx.collection(ITEMS).insert({ id: event.aggregateId });
+      if (fail) {
+        throw new Error('handler failed');
+      }
+    });
+    await events.start();
+    const event = await db.transaction(tx => events.record(tx, 'order.created', 'order-1', {}));
+
+    await expect(broker.deliver(event)).rejects.toThrow('handler failed');
+    expect(await db.collection(ITEMS).find()).toEqual([]);
+
+    fail = false;
+    await broker.deliver(event);
+    expect(await db.collection(ITEMS).find()).toEqual([{ id: 'order-1' }]);
+    await db.close();
+  });
+
+  test('events of other types are skipped', async () => {
+    const { db, broker, events } = await setup();
+    const handler = jest.fn();
+    events.subscribe('orders-projection', ['order.created'], handler);
+    await events.start();
+
+    await broker.deliver({ id: 'event-1', type: 'user.deleted', data: {} });
+
+    expect(handler).not.toHaveBeenCalled();
+    await db.close();
+  });
+});
+
+describe('event bus start', () => {
+  const nodeEnv = process.env.NODE_ENV;
+  afterEach(() => {
+    process.env.NODE_ENV = nodeEnv;
+  });
+
+  test('refuses an in-process broker in production, other services would never get the events', async () => {
+    const { db, broker } = await setup();
+    broker.shared = false;
+    const log = { ...silent, warn: jest.fn() };
+    const events = createEventBus({ db, source: 'service-test', log, broker });
+
+    process.env.NODE_ENV = 'production';
+    await expect(events.start()).rejects.toThrow('set EVENT_BROKER=redis');
+
+    process.env.NODE_ENV = 'development';
+    await events.start();
+    expect(log.warn).toHaveBeenCalledWith(expect.stringContaining('other services won\'t get them'));
+    await db.close();
+  });
+});
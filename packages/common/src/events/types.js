@@ -0,0 +1,17 @@
+// Domain event types published by the services.
+const EVENT_TYPES = {
+  ORDER_CREATED: 'order.created',
+  ORDER_STATUS_CHANGED: 'order.status_changed',
+  ORDER_UPDATED: 'order.updated',
+  ORDER_ASSIGNED: 'order.assigned',
+  ORDER_OVERDUE: 'order.overdue',
+  ORDER_COMMENTED: 'order.commented',
+  USER_REGISTERED: 'user.registered',
+  USER_ROLES_CHANGED: 'user.roles_changed',
+  USER_UPDATED: 'user.updated',
+  USER_DEACTIVATED: 'user.deactivated',
+  USER_REACTIVATED: 'user.reactivated',
+  USER_DELETED: 'user.deleted'
+};
+
+module.exports = { EVENT_TYPES };
@@ -0,0 +1,182 @@
+const crypto = require('crypto');
+const { createIdempotencyRepository } = require('./repositories/idempotencyRepository');
+
+const TTL_HOURS = parseInt(process.env.IDEMPOTENCY_TTL_HOURS, 10) || 24;
+// A key held longer than this belongs to a request that died with its instance; the next retry takes it over
+const LOCK_TIMEOUT_MS = parseInt(process.env.IDEMPOTENCY_LOCK_TIMEOUT_MS, 10) || 60 * 1000;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+const MAX_KEY_LENGTH = 255;
+const FORGET_BATCH_SIZE = 500;
+
+const KEY_STATUS = {
+  IN_PROGRESS: 'in_progress',
+  COMPLETED: 'completed'
+};
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// Property order doesn't change the request: {"a":1,"b":2} and {"b":2,"a":1} hash the same
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+const sendError = (res, status, code, message) => {
+  return res.status(status).json({
+    success: false,
+    error: { code, message }
+  });
+};
+
+// Idempotency-Key support for writes. The first request with a key is processed and its response stored;
+// a retry with the same key and the same request gets that response back instead of being applied again.
+// Keys are scoped per user (anonymous requests share one scope) and expire after IDEMPOTENCY_TTL_HOURS.
+// Use after `authenticate` so the scope is known. `storing(toStored)` is the same middleware for responses
+// that mustn't be kept as sent (e.g. ones with credentials): the first request gets the full body, replays
+// get `toStored(body)`.
+const createIdempotency = ({ db, log = console }) => {
+  const keys = createIdempotencyRepository(db);
+
+  // Returns the record that already holds the id, or null once ours is stored
+  const acquire = async (record) => {
+    try {
+      await keys.create(record);
+      return null;
+    } catch (error) {
+      const existing = await keys.findById(record.id);
+      if (!existing) {
+        throw error;
+      }
+      return existing;
+    }
+  };
+
+  const storing = (toStored) => async (req, res, next) => {
+    const key = req.get('idempotency-key');
+    if (key === undefined) {
+      return next();
+    }
+
+    if (!key || key.length > MAX_KEY_LENGTH) {
+      return sendError(res, 400, 'INVALID_IDEMPOTENCY_KEY', `Idempotency-Key must be 1-${MAX_KEY_LENGTH} characters`);
+    }
+
+    const now = new Date();
+    const record = {
+      id: sha256(`${req.user ? req.user.id : 'anonymous'}\n${key}`),
+      // Method and path are part of the request: a key reused on another endpoint is a mismatch too
+      requestHash: sha256(`${req.method} ${req.originalUrl}\n${canonicalJson(req.body)}`),
+      status: KEY_STATUS.IN_PROGRESS,
+      lockedUntil: new Date(now.getTime() + LOCK_TIMEOUT_MS).toISOString(),
+      response: null,
+      createdAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + TTL_HOURS * 60 * 60 * 1000).toISOString()
+    };
+
+    try {
+      let existing = await acquire(record);
+      if (existing && existing.expiresAt <= record.createdAt) {
+        // Expired, just not pruned yet
+        await keys.remove(existing.id);
+        existing = await acquire(record);
+      }
+
+      if (existing) {
+        if (existing.requestHash !== record.requestHash) {
+          return sendError(res, 422, 'IDEMPOTENCY_KEY_MISMATCH', 'Idempotency-Key was already used for a different request');
+        }
+
+        if (existing.status === KEY_STATUS.COMPLETED) {
+          res.setHeader('Idempotent-Replayed', 'true');
+          return res.status(existing.response.status).json(existing.response.body);
+        }
+
+        if (existing.lockedUntil > record.createdAt) {
+          res.setHeader('Retry-After', '1');
+          return sendError(res, 409, 'IDEMPOTENCY_KEY_IN_USE', 'A request with this Idempotency-Key is still being processed');
+        }
+
+        await keys.update({ ...existing, lockedUntil: record.lockedUntil });
+      }
+    } catch (error) {
+      req.log.error('Idempotency key error:', error);
+      return sendError(res, 500, 'INTERNAL_ERROR', 'Internal server error');
+    }
+
+    // Store the response before it goes out, so a retry sent right after it is a replay and not a 409.
+    // A 5xx isn't a final answer: the key is released and the client may retry.
+    let stored = false;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      stored = true;
+      const saved = res.statusCode >= 500
+        ? keys.remove(record.id)
+        : keys.update({
+          ...record,
+          status: KEY_STATUS.COMPLETED,
+          lockedUntil: null,
+          response: { status: res.statusCode, body: toStored(body) }
+        });
+
+      saved
+        .catch(error => log.error(`Storing idempotent response failed: ${error.message}`))
+        .finally(() => json(body));
+      return res;
+    };
+
+    // Handler ended without a JSON body; nothing to replay, so free the key
+    res.on('finish', () => {
+      if (!stored) {
+        keys.remove(record.id).catch(error => log.error(`Releasing idempotency key failed: ${error.message}`));
+      }
+    });
+
+    next();
+  };
+
+  // Account erasure: drops stored responses that contain any of `terms` (case-insensitive). A retry with
+  // the same key then runs the request again.
+  const forget = async (terms) => {
+    const needles = terms.filter(Boolean).map(term => term.toLowerCase());
+    let removed = 0;
+    let afterId = null;
+    for (;;) {
+      const page = await keys.listPage(afterId, FORGET_BATCH_SIZE);
+      for (const record of page) {
+        const text = JSON.stringify(record.response).toLowerCase();
+        if (needles.some(needle => text.includes(needle))) {
+          await keys.remove(record.id);
+          removed += 1;
+        }
+      }
+      if (page.length < FORGET_BATCH_SIZE) {
+        return removed;
+      }
+      afterId = page[page.length - 1].id;
+    }
+  };
+
+  return {
+    middleware: storing(body => body),
+    storing,
+    forget,
+
+    start: () => {
+      setInterval(() => {
+        keys.pruneExpired(new Date().toISOString())
+          .catch(error => log.error(`Idempotency key pruning failed: ${error.message}`));
+      }, PRUNE_INTERVAL_MS).unref();
+    }
+  };
+};
+
+module.exports = { createIdempotency };
@@ -0,0 +1,133 @@
+const { createSqliteDatabase } = require('./db/sqlite');
+const { createIdempotency } = require('./idempotency');
+
+const silent = { info: () => {}, warn: () => {}, error: () => {} };
+
+const setup = async () => {
+  const db = createSqliteDatabase({ file: ':memory:' });
+  await db.exec('CREATE TABLE idempotency_keys (id TEXT PRIMARY KEY, expires_at TEXT NOT NULL, data TEXT NOT NULL)');
+  return { db, idempotency: createIdempotency({ db, log: silent }) };
+};
+
+// Runs a request through the middleware; `handle` is the route, called only when the request isn't a replay
+const send = (idempotency, { user = null, key, method = 'POST', url = '/orders', body = {}, handle }) => {
+  return new Promise((resolve) => {
+    const headers = {};
+    const res = {
+      statusCode: 200,
+      setHeader: (name, value) => { headers[name.toLowerCase()] = value; },
+      status: (code) => { res.statusCode = code; return res; },
+      json: (sent) => { resolve({ status: res.statusCode, headers, body: sent }); return res; },
+      on: () => {}
+    };
+    const req = {
+      user,
+      method,
+      originalUrl: url,
+      body,
+      log: silent,
+      get: (name) => (name.toLowerCase() === 'idempotency-key' ? key : undefined)
+    };
+    idempotency.middleware(req, res, () => handle(req, res));
+  });
+};
+
+describe('idempotency', () => {
+  const created = (req, res) => res.status(201).json({ id: 'order-1', body: req.body });
+
+  test('a retry with the same key and body replays the stored response', async () => {
+    const { db, idempotency } = await setup();
+    const handle = jest.fn(created);
+
+    const first = await send(idempotency, { user: { id: 'user-1' }, key: 'k1', body: { a: 1, b: 2 }, handle });
+    const retry = await send(idempotency, { user: { id: 'user-1' }, key: 'k1', body: { b: 2, a: 1 }, handle });
+
+    expect(handle).toHaveBeenCalledTimes(1);
+    expect(retry).toEqual({ status: 201, headers: { 'idempotent-replayed': 'true' }, body: first.body });
+    await db.close();
+  });
+
+  test('storing keeps what `toStored` returns, the first response goes out in full', async () => {
+    const { db, idempotency } = await setup();
+    const handle = jest.fn((req, res) => res.status(201).json({ id: 'user-1', token: 'secret' }));
+    const middleware = idempotency.storing(({ token, ...body }) => body);
+    const sendStoring = (options) => send({ middleware }, options);
+
+    const first = await sendStoring({ key: 'k1', handle });
+    const replay = await sendStoring({ key: 'k1', handle });
+
+    expect(first.body).toEqual({ id: 'user-1', token: 'secret' });
+    expect(replay).toMatchObject({ status: 201, body: { id: 'user-1' } });
+    expect(JSON.stringify(await db.query('SELECT data FROM idempotency_keys'))).not.toContain('secret');
+    await db.close();
+  });
+
+  test('the same key with another body or endpoint is 422 IDEMPOTENCY_KEY_MISMATCH', async () => {
+    const { db, idempotency } = await setup();
+    await send(idempotency, { user: { id: 'user-1' }, key: 'k1', body: { a: 1 }, handle: created });
+
+    const otherBody = await send(idempotency, { user: { id: 'user-1' }, key: 'k1', body: { a: 2 }, handle: created });
+    const otherUrl = await send(idempotency, {
+      user: { id: 'user-1' }, key: 'k1', url: '/products', body: { a: 1 }, handle: created
+    });
+
+    expect(otherBody.status).toBe(422);
+    expect(otherBody.body.error.code).toBe('IDEMPOTENCY_KEY_MISMATCH');
+    expect(otherUrl.status).toBe(422);
+    await db.close();
+  });
+
+  test('keys are scoped per user', async () => {
+    const { db, idempotency } = await setup();
+    const handle = jest.fn(created);
+
+    await send(idempotency, { user: { id: 'user-1' }, key: 'k1', handle });
+    const other = await send(idempotency, { user: { id: 'user-2' }, key: 'k1', body: { a: 2 }, handle });
+
+    expect(other.status).toBe(201);
+    expect(handle).toHaveBeenCalledTimes(2);
+    await db.close();
+  });
+
+  test('a retry while the first request runs is 409, a 5xx frees the key', async () => {
+    const { db, idempotency } = await setup();
+    let finish;
+    const pending = send(idempotency, { key: 'k1', handle: (req, res) => { finish = res; } });
+    await new Promise(resolve => setImmediate(resolve));
+
+    const concurrent = await send(idempotency, { key: 'k1', handle: created });
+    expect(concurrent.status).toBe(409);
+    expect(concurrent.headers['retry-after']).toBe('1');
+
+    finish.status(503).json({ success: false });
+    await pending;
+    expect((await send(idempotency, { key: 'k1', handle: created })).status).toBe(201);
+    await db.close();
+  });
+
+  test('rejects empty and overlong keys', async () => {
+    const { db, idempotency } = await setup();
+    for (const key of ['', 'k'.repeat(256)]) {
+      const res = await send(idempotency, { key, handle: created });
+      expect(res.body.error.code).toBe('INVALID_IDEMPOTENCY_KEY');
+    }
+    await db.close();
+  });
+
+  describe('forget', () => {
+    test('drops the stored responses that name the user, so a retry runs again', async () => {
+      const { db, idempotency } = await setup();
+      const handle = jest.fn((req, res) => res.status(201).json({ userId: req.user.id, email: `${req.user.id}@example.com` }));
+      await send(idempotency, { user: { id: 'user-1' }, key: 'k1', handle });
+      await send(idempotency, { user: { id: 'user-2' }, key: 'k1', handle });
+
+      expect(await idempotency.forget(['USER-1@example.com'])).toBe(1);
+
+      await send(idempotency, { user: { id: 'user-1' }, key: 'k1', handle });
+      const replayed = await send(idempotency, { user: { id: 'user-2' }, key: 'k1', handle });
+      expect(handle).toHaveBeenCalledTimes(3);
+      expect(replayed.headers['idempotent-replayed']).toBe('true');
+      await db.close();
+    });
+  });
+});
@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const ALGORITHMS = ['RS256', 'ES256'];
+
+// Don't hammer users-service when tokens with made-up key ids come in; failed fetches are retried on demand
+const MIN_REFETCH_MS = 10 * 1000;
+
+// Access token verifier backed by the users-service JWKS. Keys are cached and refreshed periodically
+// and whenever a token names a key id we haven't seen yet (a rotation). A failed fetch keeps the last known keys.
+const createJwksVerifier = ({ url, intervalMs, log = console }) => {
+  let keys = new Map();
+  let lastFetchAt = 0;
+  let inFlight = null;
+
+  const fetchKeys = async () => {
+    try {
+      const response = await fetch(`${url}/.well-known/jwks.json`, {
+        signal: AbortSignal.timeout(5000)
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      const jwks = await response.json();
+      keys = new Map(jwks.keys
+        .filter(jwk => ALGORITHMS.includes(jwk.alg) && jwk.kid)
+        .map(jwk => [jwk.kid, {
+          algorithm: jwk.alg,
+          key: crypto.createPublicKey({ key: jwk, format: 'jwk' })
+        }]));
+      lastFetchAt = Date.now();
+    } catch (error) {
+      log.error(`JWKS refresh failed: ${error.message}`);
+    }
+  };
+
+  const refresh = () => {
+    if (!inFlight) {
+      inFlight = fetchKeys().finally(() => {
+        inFlight = null;
+      });
+    }
+    return inFlight;
+  };
+
+  const findKey = async (kid) => {
+    if (!keys.has(kid) && (inFlight || Date.now() - lastFetchAt >= MIN_REFETCH_MS)) {
+      await refresh();
+    }
+    return keys.get(kid);
+  };
+
+  return {
+    start: () => {
+      refresh();
+      setInterval(refresh, intervalMs).unref();
+    },
+
+    // Throws like jwt.verify on an invalid, expired or unknown-key token
+    verify: async (token) => {
+      const decoded = jwt.decode(token, { complete: true });
+      if (!decoded || !decoded.header.kid) {
+        throw new jwt.JsonWebTokenError('Token has no key id');
+      }
+
+      const entry = await findKey(decoded.header.kid);
+      if (!entry) {
+        throw new jwt.JsonWebTokenError('Unknown signing key');
+      }
+      return jwt.verify(token, entry.key, { algorithms: [entry.algorithm] });
+    }
+  };
+};
+
+module.exports = { createJwksVerifier };
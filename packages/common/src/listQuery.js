@@ -0,0 +1,214 @@
+const { z } = require('zod');
+
+// List query language shared by the list endpoints:
+//   ?status=created,in_progress        multi-value filter (comma-separated or repeated)
+//   ?createdAt[gte]=2026-01-01         range filter: gt, gte, lt, lte
+//   ?sort=-createdAt,totalAmount       multi-field sort, `-` for descending
+//   ?fields=id,status,totalAmount      sparse fieldset
+//   ?limit=20&cursor=...               opaque cursor from the `next` / `prev` links (or `page` for offset paging)
+//
+// A resource describes what it allows:
+//   filters: { name: { type: 'enum', values } | { type: 'string' } | { type: 'date' } | { type: 'integer' }
+//              | { type: 'boolean' } | { type: 'search', fields: [...] } }, optionally `field` (stored field)
+//              and `op` ('has' for arrays). String filters accept `me` for the caller's own user id.
+//   sortable: [field, ...], defaultSort: '-createdAt', fields: [field, ...]
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+const RANGE_OPERATORS = ['gt', 'gte', 'lt', 'lte'];
+
+// `a,b` and `a&a=b` both become ['a', 'b']
+const csv = z.union([z.string(), z.array(z.string())])
+  .transform(value => (Array.isArray(value) ? value : [value])
+    .flatMap(item => item.split(','))
+    .map(item => item.trim())
+    .filter(Boolean));
+
+const dateValue = z.string()
+  .refine(value => !Number.isNaN(Date.parse(value)), 'Expected an ISO 8601 date')
+  .transform(value => new Date(value).toISOString());
+
+const integerValue = z.string().regex(/^-?\d+$/, 'Expected an integer').transform(Number);
+
+// `createdAt=<value>` is an exact match, `createdAt[gte]=<value>` a bound
+const range = (value) => z.union([
+  value.transform(eq => ({ eq })),
+  z.object(Object.fromEntries(RANGE_OPERATORS.map(op => [op, value.optional()]))).strict()
+]);
+
+const filterSchema = (filter) => {
+  switch (filter.type) {
+    case 'enum': return csv.pipe(z.array(z.enum(filter.values)).min(1));
+    case 'string': return csv.pipe(z.array(z.string().max(200)).min(1));
+    case 'date': return range(dateValue);
+    case 'integer': return range(integerValue);
+    case 'boolean': return z.enum(['true', 'false']).transform(value => value === 'true');
+    case 'search': return z.string().min(1).max(200);
+    default: throw new Error(`Unknown filter type "${filter.type}"`);
+  }
+};
+
+// Filter value -> where clause
+const filterClause = (name, filter, value, context) => {
+  const field = filter.field || name;
+
+  if (filter.type === 'search') {
+    return { $or: filter.fields.map(searchField => ({ [searchField]: { contains: value } })) };
+  }
+  if (filter.op === 'has') {
+    return { $or: value.map(item => ({ [field]: { has: item } })) };
+  }
+  if (filter.type === 'string' && context.userId) {
+    return { [field]: value.map(item => (item === 'me' ? context.userId : item)) };
+  }
+  // A list of values or range operators, both already in `where` form
+  return { [field]: value };
+};
+
+const encodeCursor = (cursor) => Buffer.from(JSON.stringify(cursor)).toString('base64url');
+
+const decodeCursor = (value) => {
+  try {
+    const cursor = JSON.parse(Buffer.from(value, 'base64url').toString('utf8'));
+    return cursor && Array.isArray(cursor.k) && ['next', 'prev'].includes(cursor.d) ? cursor : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Rows past `value` in one field; NULLs sort first, so nothing is below a NULL and every NULL is below a value
+const pastValue = (field, direction, value) => {
+  if (direction === 'asc') {
+    return { [field]: value === null ? { ne: null } : { gt: value } };
+  }
+  return value === null ? { [field]: { in: [] } } : { $or: [{ [field]: { lt: value } }, { [field]: null }] };
+};
+
+// Rows strictly after `key` in `sort` order: (a > x) OR (a = x AND b > y) OR ...
+const afterKey = (sort, key) => ({
+  $or: sort.map(([field, direction], index) => ({
+    ...Object.fromEntries(sort.slice(0, index).map(([previous], i) => [previous, { eq: key[i] }])),
+    ...pastValue(field, direction, key[index])
+  }))
+});
+
+const invertSort = (sort) => sort.map(([field, direction]) => [field, direction === 'asc' ? 'desc' : 'asc']);
+
+const defineListQuery = ({ filters = {}, sortable, defaultSort, fields }) => {
+  const sortSchema = csv
+    .pipe(z.array(z.string().regex(new RegExp(`^-?(${sortable.join('|')})$`), `Sortable fields: ${sortable.join(', ')}`)).min(1))
+    .default(defaultSort);
+
+  const schema = z.object({
+    ...Object.fromEntries(Object.entries(filters).map(([name, filter]) => [name, filterSchema(filter).optional()])),
+    sort: sortSchema,
+    fields: csv.pipe(z.array(z.enum(fields)).min(1)).optional(),
+    limit: z.coerce.number().int().min(1).max(MAX_LIMIT).default(DEFAULT_LIMIT),
+    page: z.coerce.number().int().min(1).optional(),
+    cursor: z.string().max(2000).optional()
+  });
+
+  // Throws ZodError on invalid params. context: { userId } of the caller
+  const parse = (query, context = {}) => {
+    const params = schema.parse(query);
+
+    const where = Object.entries(filters)
+      .filter(([name]) => params[name] !== undefined)
+      .map(([name, filter]) => filterClause(name, filter, params[name], context));
+
+    // id last keeps the order total, which cursors rely on
+    const sortKey = params.sort.join(',');
+    const sort = params.sort
+      .map(item => (item.startsWith('-') ? [item.slice(1), 'desc'] : [item, 'asc']))
+      .filter(([field]) => field !== 'id');
+    sort.push(['id', sort.length > 0 ? sort[sort.length - 1][1] : 'asc']);
+
+    let cursor = null;
+    if (params.cursor !== undefined) {
+      cursor = decodeCursor(params.cursor);
+      // A cursor is only meaningful for the sort it was issued for
+      if (!cursor || cursor.s !== sortKey || cursor.k.length !== sort.length) {
+        throw new z.ZodError([{ code: 'custom', path: ['cursor'], message: 'Invalid or expired cursor' }]);
+      }
+    }
+
+    return { where, sort, sortKey, limit: params.limit, page: params.page, cursor, fields: params.fields };
+  };
+
+  // repository: { find({ where, sort, offset, limit }), count(where) }; scope: clauses the caller must see through
+  const fetchPage = async (repository, query, scope = []) => {
+    const filter = { $and: [...scope, ...query.where] };
+    const { cursor, limit } = query;
+    const backwards = cursor !== null && cursor.d === 'prev';
+    const sort = backwards ? invertSort(query.sort) : query.sort;
+    const offset = cursor === null && query.page ? (query.page - 1) * limit : 0;
+
+    const [rows, total] = await Promise.all([
+      repository.find({
+        where: cursor ? { $and: [filter, afterKey(sort, cursor.k)] } : filter,
+        sort,
+        offset,
+        limit: limit + 1
+      }),
+      repository.count(filter)
+    ]);
+
+    const more = rows.length > limit;
+    const items = backwards ? rows.slice(0, limit).reverse() : rows.slice(0, limit);
+    const keyOf = (item) => query.sort.map(([field]) => item[field]);
+
+    const first = items[0];
+    const last = items[items.length - 1];
+    const hasNext = backwards ? cursor !== null : more;
+    const hasPrev = backwards ? more : (cursor !== null || offset > 0);
+
+    return {
+      items,
+      total,
+      next: hasNext && last ? encodeCursor({ s: query.sortKey, k: keyOf(last), d: 'next' }) : null,
+      prev: hasPrev && first ? encodeCursor({ s: query.sortKey, k: keyOf(first), d: 'prev' }) : null
+    };
+  };
+
+  return { parse, fetchPage };
+};
+
+// Keeps `id` so clients can still address what they got
+const pickFields = (item, fields) => {
+  if (!fields) {
+    return item;
+  }
+  return Object.fromEntries(['id', ...fields.filter(field => field !== 'id')]
+    .filter(field => item[field] !== undefined)
+    .map(field => [field, item[field]]));
+};
+
+// `pagination` for the response: the request's own query with the cursor swapped, so filters carry over
+const paginationLinks = (req, query, page) => {
+  const link = (cursor) => {
+    if (!cursor) {
+      return null;
+    }
+    const params = new URLSearchParams(req.originalUrl.split('?')[1] || '');
+    params.delete('page');
+    params.set('cursor', cursor);
+    return `${req.baseUrl}${req.path}?${params.toString()}`;
+  };
+
+  const pagination = {
+    limit: query.limit,
+    total: page.total,
+    nextCursor: page.next,
+    prevCursor: page.prev,
+    next: link(page.next),
+    prev: link(page.prev)
+  };
+
+  if (!query.cursor) {
+    pagination.page = query.page || 1;
+    pagination.pages = Math.ceil(page.total / query.limit);
+  }
+  return pagination;
+};
+
+module.exports = { defineListQuery, pickFields, paginationLinks };
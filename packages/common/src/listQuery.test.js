@@ -0,0 +1,182 @@
+const { z } = require('zod');
+const { createMemoryDatabase } = require('./db/memory');
+const { createSqliteDatabase } = require('./db/sqlite');
+const { defineListQuery, pickFields } = require('./listQuery');
+
+const ITEMS = { table: 'items', columns: {} };
+
+const itemListQuery = defineListQuery({
+  filters: {
+    status: { type: 'enum', values: ['open', 'closed'] },
+    ownerId: { type: 'string' },
+    createdAt: { type: 'date' },
+    search: { type: 'search', fields: ['name'] }
+  },
+  sortable: ['createdAt', 'name', 'dueAt'],
+  defaultSort: '-createdAt',
+  fields: ['id', 'name', 'status', 'createdAt']
+});
+
+const createItems = async (count) => {
+  const items = createMemoryDatabase().collection(ITEMS);
+  for (let i = 0; i < count; i += 1) {
+    await items.insert({
+      id: `item-${String(i).padStart(2, '0')}`,
+      name: `Item ${i}`,
+      status: i % 2 === 0 ? 'open' : 'closed',
+      ownerId: i < 3 ? 'user-1' : 'user-2',
+      // Pairs share a timestamp so the id tiebreak matters
+      createdAt: new Date(Date.UTC(2026, 0, 1 + Math.floor(i / 2))).toISOString()
+    });
+  }
+  return {
+    insert: (item) => items.insert(item),
+    find: ({ where, sort, offset, limit }) => items.find(where, { sort, offset, limit }),
+    count: (where) => items.count(where)
+  };
+};
+
+const ids = (page) => page.items.map(item => item.id);
+
+// Every other item has no due date
+const createDueItems = async (backend) => {
+  let db;
+  if (backend === 'sqlite') {
+    db = createSqliteDatabase({ file: ':memory:' });
+    await db.exec('CREATE TABLE items (id TEXT PRIMARY KEY, due_at TEXT, data TEXT NOT NULL)');
+  } else {
+    db = createMemoryDatabase();
+  }
+  const items = db.collection({ table: 'items', columns: { dueAt: 'due_at' } });
+  for (let i = 0; i < 7; i += 1) {
+    await items.insert({
+      id: `item-${i}`,
+      dueAt: i % 2 === 0 ? new Date(Date.UTC(2026, 0, 10 - i)).toISOString() : null
+    });
+  }
+  return {
+    find: ({ where, sort, offset, limit }) => items.find(where, { sort, offset, limit }),
+    count: (where) => items.count(where)
+  };
+};
+
+// All pages of a sort, following next cursors, then the same pages again following prev cursors back;
+// capped so a cursor that goes round in circles fails instead of hanging
+const walk = async (repository, sort) => {
+  const parse = (params) => itemListQuery.parse({ limit: '2', sort, ...params });
+  const pages = [await itemListQuery.fetchPage(repository, parse({}))];
+  while (pages[pages.length - 1].next && pages.length < 10) {
+    pages.push(await itemListQuery.fetchPage(repository, parse({ cursor: pages[pages.length - 1].next })));
+  }
+  const back = [pages[pages.length - 1]];
+  while (back[0].prev && back.length < 10) {
+    back.unshift(await itemListQuery.fetchPage(repository, parse({ cursor: back[0].prev })));
+  }
+  return { forward: pages.map(ids), backward: back.map(ids) };
+};
+
+describe('list query', () => {
+  test('parses filters, sort and defaults', () => {
+    const query = itemListQuery.parse({ status: 'open,closed', createdAt: { gte: '2026-01-02' }, sort: 'name' });
+
+    expect(query.limit).toBe(10);
+    expect(query.sort).toEqual([['name', 'asc'], ['id', 'asc']]);
+    expect(query.where).toEqual([
+      { status: ['open', 'closed'] },
+      { createdAt: { gte: '2026-01-02T00:00:00.000Z' } }
+    ]);
+  });
+
+  test('`me` stands for the caller in string filters', () => {
+    expect(itemListQuery.parse({ ownerId: 'me' }, { userId: 'user-1' }).where).toEqual([{ ownerId: ['user-1'] }]);
+  });
+
+  test.each([
+    [{ limit: '0' }],
+    [{ limit: '101' }],
+    [{ limit: 'ten' }],
+    [{ page: '0' }],
+    [{ sort: 'ownerId' }],
+    [{ status: 'archived' }],
+    [{ fields: 'secret' }]
+  ])('rejects %j', (params) => {
+    expect(() => itemListQuery.parse(params)).toThrow(z.ZodError);
+  });
+
+  test('walks every item once with next cursors and back with prev cursors', async () => {
+    const repository = await createItems(7);
+    const parse = (params) => itemListQuery.parse({ limit: '3', ...params });
+
+    const first = await itemListQuery.fetchPage(repository, parse({}));
+    const second = await itemListQuery.fetchPage(repository, parse({ cursor: first.next }));
+    const third = await itemListQuery.fetchPage(repository, parse({ cursor: second.next }));
+
+    expect([...ids(first), ...ids(second), ...ids(third)]).toEqual([
+      'item-06', 'item-05', 'item-04', 'item-03', 'item-02', 'item-01', 'item-00'
+    ]);
+    expect(first.total).toBe(7);
+    expect(first.prev).toBeNull();
+    expect(third.next).toBeNull();
+
+    const back = await itemListQuery.fetchPage(repository, parse({ cursor: third.prev }));
+    expect(ids(back)).toEqual(ids(second));
+  });
+
+  test.each(['memory', 'sqlite'])('cursors page across NULL sort values, NULLs first (%s)', async (backend) => {
+    const repository = await createDueItems(backend);
+
+    const ascending = await walk(repository, 'dueAt');
+    expect(ascending.forward).toEqual([
+      ['item-1', 'item-3'], ['item-5', 'item-6'], ['item-4', 'item-2'], ['item-0']
+    ]);
+    expect(ascending.backward).toEqual(ascending.forward);
+
+    const descending = await walk(repository, '-dueAt');
+    expect(descending.forward).toEqual([
+      ['item-0', 'item-2'], ['item-4', 'item-6'], ['item-5', 'item-3'], ['item-1']
+    ]);
+    expect(descending.backward).toEqual(descending.forward);
+  });
+
+  test('a cursor page does not shift when items are added in front', async () => {
+    const repository = await createItems(6);
+    const parse = (params) => itemListQuery.parse({ limit: '2', ...params });
+    const first = await itemListQuery.fetchPage(repository, parse({}));
+
+    await repository.insert({ id: 'item-99', name: 'New', status: 'open', createdAt: '2026-02-01T00:00:00.000Z' });
+    const second = await itemListQuery.fetchPage(repository, parse({ cursor: first.next }));
+
+    expect(ids(second)).toEqual(['item-03', 'item-02']);
+  });
+
+  test('the scope narrows every page and the total', async () => {
+    const repository = await createItems(7);
+
+    const page = await itemListQuery.fetchPage(repository, itemListQuery.parse({}), [{ ownerId: 'user-1' }]);
+
+    expect(ids(page)).toEqual(['item-02', 'item-01', 'item-00']);
+    expect(page.total).toBe(3);
+  });
+
+  test('page mode skips by offset', async () => {
+    const repository = await createItems(7);
+
+    const page = await itemListQuery.fetchPage(repository, itemListQuery.parse({ limit: '3', page: '3' }));
+
+    expect(ids(page)).toEqual(['item-00']);
+    expect(page.prev).not.toBeNull();
+  });
+
+  test('a cursor is refused under another sort', async () => {
+    const repository = await createItems(4);
+    const first = await itemListQuery.fetchPage(repository, itemListQuery.parse({ limit: '2' }));
+
+    expect(() => itemListQuery.parse({ cursor: first.next, sort: 'name' })).toThrow(z.ZodError);
+    expect(() => itemListQuery.parse({ cursor: 'garbage' })).toThrow(z.ZodError);
+  });
+
+  test('pickFields keeps the id and the asked fields only', () => {
+    expect(pickFields({ id: 'a', name: 'A', status: 'open' }, ['status'])).toEqual({ id: 'a', status: 'open' });
+    expect(pickFields({ id: 'a', name: 'A' }, undefined)).toEqual({ id: 'a', name: 'A' });
+  });
+});
@@ -0,0 +1,111 @@
+// Role -> permission model shared by the services. Tokens carry roles only; each service resolves permissions
+// locally.
+
+const PERMISSIONS = {
+  ORDERS_CREATE: 'orders:create',
+  ORDERS_READ_OWN: 'orders:read:own',
+  ORDERS_READ_ANY: 'orders:read:any',
+  ORDERS_UPDATE_OWN: 'orders:update:own',
+  ORDERS_UPDATE_ANY: 'orders:update:any',
+  ORDERS_CANCEL_OWN: 'orders:cancel:own',
+  ORDERS_CANCEL_ANY: 'orders:cancel:any',
+  ORDERS_COMPLETE: 'orders:complete',
+  ORDERS_ASSIGN: 'orders:assign',
+  PRODUCTS_MANAGE: 'products:manage',
+  WEBHOOKS_MANAGE: 'webhooks:manage',
+  REPORTS_VIEW: 'reports:view',
+  USERS_READ: 'users:read',
+  USERS_MANAGE_ROLES: 'users:manage-roles',
+  // Account administration: unlocking, the login audit trail
+  USERS_MANAGE: 'users:manage',
+  SYSTEM_DEBUG: 'system:debug'
+};
+
+// Every account gets the `user` role on registration
+const ROLES = {
+  user: [
+    PERMISSIONS.ORDERS_CREATE,
+    PERMISSIONS.ORDERS_READ_OWN,
+    PERMISSIONS.ORDERS_UPDATE_OWN,
+    PERMISSIONS.ORDERS_CANCEL_OWN
+  ],
+  // Registers defects and keeps them up to date
+  engineer: [
+    PERMISSIONS.ORDERS_CREATE,
+    PERMISSIONS.ORDERS_READ_OWN,
+    PERMISSIONS.ORDERS_UPDATE_OWN,
+    PERMISSIONS.ORDERS_CANCEL_OWN
+  ],
+  // Assigns work, watches deadlines, builds reports
+  manager: [
+    PERMISSIONS.ORDERS_CREATE,
+    PERMISSIONS.ORDERS_READ_ANY,
+    PERMISSIONS.ORDERS_UPDATE_ANY,
+    PERMISSIONS.ORDERS_CANCEL_ANY,
+    PERMISSIONS.ORDERS_COMPLETE,
+    PERMISSIONS.ORDERS_ASSIGN,
+    PERMISSIONS.REPORTS_VIEW,
+    PERMISSIONS.USERS_READ
+  ],
+  // Executives and customers: read-only view of progress and reports
+  executive: [
+    PERMISSIONS.ORDERS_READ_ANY,
+    PERMISSIONS.REPORTS_VIEW
+  ],
+  admin: Object.values(PERMISSIONS)
+};
+
+const permissionsFor = (roles = []) => {
+  return new Set(roles.flatMap(role => ROLES[role] || []));
+};
+
+const hasPermission = (user, permission) => permissionsFor(user.roles).has(permission);
+
+// Express middleware; expects req.user from authenticate
+const requirePermission = (permission) => (req, res, next) => {
+  if (!hasPermission(req.user, permission)) {
+    return res.status(403).json({
+      success: false,
+      error: {
+        code: 'FORBIDDEN',
+        message: `Permission ${permission} required`
+      }
+    });
+  }
+  next();
+};
+
+// Roles that must sign in with a second factor on admin endpoints (MFA_REQUIRED_ROLES, comma-separated,
+// e.g. `admin,manager`). Opt-in: unset or empty requires it of nobody. Set it the same in every service.
+const MFA_REQUIRED_ROLES = (process.env.MFA_REQUIRED_ROLES || '')
+  .split(',')
+  .map(role => role.trim())
+  .filter(Boolean);
+
+const isMfaRequired = (user) => (user.roles || []).some(role => MFA_REQUIRED_ROLES.includes(role));
+
+// After `authenticate`, which sets `req.amr` from the token; goes on admin endpoints only. Such accounts
+// need a session that was signed in with two factors there, everything else works without one.
+const requireMfa = (req, res, next) => {
+  if (isMfaRequired(req.user) && !(req.amr || []).includes('mfa')) {
+    return res.status(403).json({
+      success: false,
+      error: {
+        code: 'MFA_REQUIRED',
+        message: 'Sign in with two-factor authentication first (set it up in your profile if you haven\'t)'
+      }
+    });
+  }
+  next();
+};
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  MFA_REQUIRED_ROLES,
+  permissionsFor,
+  hasPermission,
+  requirePermission,
+  isMfaRequired,
+  requireMfa
+};
@@ -0,0 +1,59 @@
+const loadRbac = (mfaRequiredRoles) => {
+  const previous = process.env.MFA_REQUIRED_ROLES;
+  if (mfaRequiredRoles === undefined) {
+    delete process.env.MFA_REQUIRED_ROLES;
+  } else {
+    process.env.MFA_REQUIRED_ROLES = mfaRequiredRoles;
+  }
+  let rbac;
+  jest.isolateModules(() => {
+    rbac = require('./rbac');
+  });
+  if (previous === undefined) {
+    delete process.env.MFA_REQUIRED_ROLES;
+  } else {
+    process.env.MFA_REQUIRED_ROLES = previous;
+  }
+  return rbac;
+};
+
+const run = (middleware, req) => {
+  const res = {
+    status: jest.fn(() => res),
+    json: jest.fn(() => res)
+  };
+  const next = jest.fn();
+  middleware(req, res, next);
+  return { res, next };
+};
+
+describe('rbac', () => {
+  test('resolves permissions from every role', () => {
+    const { permissionsFor, hasPermission, PERMISSIONS } = loadRbac();
+
+    expect(permissionsFor(['executive']).has(PERMISSIONS.REPORTS_VIEW)).toBe(true);
+    expect(hasPermission({ roles: ['user'] }, PERMISSIONS.ORDERS_READ_ANY)).toBe(false);
+    expect(hasPermission({ roles: ['user', 'manager'] }, PERMISSIONS.ORDERS_READ_ANY)).toBe(true);
+  });
+
+  test('MFA is opt-in: with MFA_REQUIRED_ROLES unset an admin passes with a password session', () => {
+    const { requireMfa, MFA_REQUIRED_ROLES } = loadRbac();
+
+    const { next } = run(requireMfa, { user: { roles: ['admin'] }, amr: ['pwd'] });
+
+    expect(MFA_REQUIRED_ROLES).toEqual([]);
+    expect(next).toHaveBeenCalled();
+  });
+
+  test('listed roles need an mfa session, others do not', () => {
+    const { requireMfa } = loadRbac('admin, manager');
+
+    const denied = run(requireMfa, { user: { roles: ['manager'] }, amr: ['pwd'] });
+    expect(denied.next).not.toHaveBeenCalled();
+    expect(denied.res.status).toHaveBeenCalledWith(403);
+    expect(denied.res.json.mock.calls[0][0].error.code).toBe('MFA_REQUIRED');
+
+    expect(run(requireMfa, { user: { roles: ['manager'] }, amr: ['pwd', 'otp', 'mfa'] }).next).toHaveBeenCalled();
+    expect(run(requireMfa, { user: { roles: ['user'] }, amr: ['pwd'] }).next).toHaveBeenCalled();
+  });
+});
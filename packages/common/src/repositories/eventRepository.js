@@ -0,0 +1,77 @@
+const OUTBOX = {
+  table: 'outbox',
+  columns: {
+    type: 'type',
+    createdAt: 'created_at',
+    publishedAt: 'published_at'
+  }
+};
+
+// Events a consumer has already handled, keyed by `<consumer>:<event id>`
+const PROCESSED_EVENTS = {
+  table: 'processed_events',
+  columns: {
+    consumer: 'consumer',
+    processedAt: 'processed_at'
+  }
+};
+
+const createEventRepository = (db) => {
+  const outbox = db.collection(OUTBOX);
+  const processed = db.collection(PROCESSED_EVENTS);
+
+  const removeAll = async (collection, where) => {
+    const docs = await collection.find(where, { limit: 500 });
+    for (const doc of docs) {
+      await collection.remove(doc.id);
+    }
+    return docs.length;
+  };
+
+  return {
+    addToOutbox: (entry) => outbox.insert(entry),
+
+    listUnpublished: (limit) => outbox.find({ publishedAt: null }, { sort: [['createdAt', 'asc']], limit }),
+
+    findInOutbox: (id) => outbox.get(id),
+
+    // Events of `types` recorded after `entry`, oldest first; for resuming a client stream
+    listOutboxAfter: (entry, types, limit) => outbox.find({
+      type: types,
+      $or: [
+        { createdAt: { gt: entry.createdAt } },
+        { createdAt: entry.createdAt, id: { gt: entry.id } }
+      ]
+    }, { sort: [['createdAt', 'asc'], ['id', 'asc']], limit }),
+
+    markPublished: (entry) => outbox.update({ ...entry, publishedAt: new Date().toISOString() }),
+
+    // The whole outbox in (createdAt, id) order, `limit` entries after `entry` (from the start when null)
+    listOutboxPage: (entry, limit) => outbox.find(entry ? {
+      $or: [
+        { createdAt: { gt: entry.createdAt } },
+        { createdAt: entry.createdAt, id: { gt: entry.id } }
+      ]
+    } : {}, { sort: [['createdAt', 'asc'], ['id', 'asc']], limit }),
+
+    updateOutboxEntry: (entry) => outbox.update(entry),
+
+    removeFromOutbox: (id) => outbox.remove(id),
+
+    isProcessed: async (consumer, eventId) => Boolean(await processed.get(`${consumer}:${eventId}`)),
+
+    markProcessed: (consumer, eventId) => processed.insert({
+      id: `${consumer}:${eventId}`,
+      consumer,
+      eventId,
+      processedAt: new Date().toISOString()
+    }),
+
+    // Housekeeping, in batches
+    prunePublished: (before) => removeAll(outbox, { publishedAt: { lt: before } }),
+
+    pruneProcessed: (before) => removeAll(processed, { processedAt: { lt: before } })
+  };
+};
+
+module.exports = { createEventRepository };
@@ -0,0 +1,36 @@
+// Stored responses of requests sent with an Idempotency-Key, keyed by a hash of the key's scope
+const IDEMPOTENCY_KEYS = {
+  table: 'idempotency_keys',
+  columns: {
+    expiresAt: 'expires_at'
+  }
+};
+
+const createIdempotencyRepository = (db) => {
+  const keys = db.collection(IDEMPOTENCY_KEYS);
+
+  return {
+    findById: (id) => keys.get(id),
+
+    // Rejects when the id is taken, which is what makes the insert usable as a lock
+    create: (record) => keys.insert(record),
+
+    update: (record) => keys.update(record),
+
+    remove: (id) => keys.remove(id),
+
+    // Every record in id order, `limit` after `afterId` (from the start when null)
+    listPage: (afterId, limit) => keys.find(afterId ? { id: { gt: afterId } } : {}, { sort: [['id', 'asc']], limit }),
+
+    // Housekeeping, in batches
+    pruneExpired: async (now) => {
+      const expired = await keys.find({ expiresAt: { lt: now } }, { limit: 500 });
+      for (const record of expired) {
+        await keys.remove(record.id);
+      }
+      return expired.length;
+    }
+  };
+};
+
+module.exports = { createIdempotencyRepository };
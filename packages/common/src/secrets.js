@@ -0,0 +1,10 @@
+// Placeholders from the example configs; no service may run in production with one of these
+const DEFAULT_SECRETS = ['my-key', 'dev-secret-key', 'dev-gateway-secret', 'your-gateway-secret-change-in-production'];
+
+const assertProductionSecret = (name, value) => {
+  if (process.env.NODE_ENV === 'production' && value && (DEFAULT_SECRETS.includes(value) || value.length < 32)) {
+    throw new Error(`${name} is a default or too short (min 32 chars) secret, refusing to start in production`);
+  }
+};
+
+module.exports = { assertProductionSecret };
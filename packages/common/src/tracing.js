@@ -0,0 +1,98 @@
+const fs = require('fs');
+const { trace, context, SpanStatusCode } = require('@opentelemetry/api');
+const { hrTimeToMilliseconds } = require('@opentelemetry/core');
+const { NodeTracerProvider } = require('@opentelemetry/sdk-trace-node');
+const { BatchSpanProcessor } = require('@opentelemetry/sdk-trace-base');
+const { OTLPTraceExporter } = require('@opentelemetry/exporter-trace-otlp-http');
+const { resourceFromAttributes } = require('@opentelemetry/resources');
+const { ATTR_SERVICE_NAME } = require('@opentelemetry/semantic-conventions');
+const { registerInstrumentations } = require('@opentelemetry/instrumentation');
+const { HttpInstrumentation } = require('@opentelemetry/instrumentation-http');
+const { ExpressInstrumentation } = require('@opentelemetry/instrumentation-express');
+const { PinoInstrumentation } = require('@opentelemetry/instrumentation-pino');
+
+// Dev exporter: one JSON span per line
+class JsonFileSpanExporter {
+  constructor(file, serviceName) {
+    this.file = file;
+    this.serviceName = serviceName;
+  }
+
+  export(spans, resultCallback) {
+    const lines = spans.map(span => JSON.stringify({
+      service: this.serviceName,
+      traceId: span.spanContext().traceId,
+      spanId: span.spanContext().spanId,
+      parentSpanId: span.parentSpanContext ? span.parentSpanContext.spanId : null,
+      name: span.name,
+      kind: span.kind,
+      startTime: new Date(hrTimeToMilliseconds(span.startTime)).toISOString(),
+      durationMs: hrTimeToMilliseconds(span.duration),
+      status: span.status,
+      attributes: span.attributes
+    }));
+
+    fs.appendFile(this.file, lines.join('\n') + '\n', (error) => {
+      resultCallback({ code: error ? 1 : 0, error });
+    });
+  }
+
+  shutdown() {
+    return Promise.resolve();
+  }
+}
+
+// TRACING_EXPORTER: otlp (OTEL_EXPORTER_OTLP_ENDPOINT, default http://localhost:4318), file (TRACING_FILE) or none.
+// Context propagation and log correlation work either way.
+const createExporter = (serviceName) => {
+  switch (process.env.TRACING_EXPORTER) {
+    case 'otlp':
+      return new OTLPTraceExporter();
+    case 'file':
+      return new JsonFileSpanExporter(process.env.TRACING_FILE || 'traces.jsonl', serviceName);
+    default:
+      return null;
+  }
+};
+
+// Sets up tracing for a service; call it before express/http are required so the instrumentations can patch them.
+// OTEL_SERVICE_NAME overrides `defaultServiceName`.
+const startTracing = (defaultServiceName) => {
+  const serviceName = process.env.OTEL_SERVICE_NAME || defaultServiceName;
+  const exporter = createExporter(serviceName);
+
+  const provider = new NodeTracerProvider({
+    resource: resourceFromAttributes({ [ATTR_SERVICE_NAME]: serviceName }),
+    spanProcessors: exporter ? [new BatchSpanProcessor(exporter)] : []
+  });
+
+  // Registers the W3C traceparent/tracestate propagator as well
+  provider.register();
+
+  registerInstrumentations({
+    instrumentations: [
+      new HttpInstrumentation({
+        ignoreIncomingRequestHook: (req) => req.url === '/health'
+      }),
+      new ExpressInstrumentation({
+        ignoreLayersType: ['middleware']
+      }),
+      new PinoInstrumentation({
+        disableLogSending: true
+      })
+    ]
+  });
+
+  process.once('SIGTERM', () => {
+    provider.shutdown().finally(() => process.exit(0));
+  });
+
+  return trace.getTracer(serviceName);
+};
+
+const currentTraceId = () => {
+  const span = trace.getActiveSpan();
+  return span ? span.spanContext().traceId : null;
+};
+
+module.exports = { startTracing, context, trace, SpanStatusCode, currentTraceId };
@@ -0,0 +1,62 @@
+const { PERMISSIONS, hasPermission } = require('@micro-task/common/rbac');
+
+// Order comments and the activity feed that interleaves them with status changes and field edits
+
+const MAX_MENTIONS = 20;
+
+// Mentions are emails: "@anna@example.com, please check". Trailing punctuation isn't part of the email,
+// and an address that is just quoted (no @ in front, or inside a word) isn't a mention.
+const MENTION = /(^|[^\w.+-])@([\w.+-]+@[\w-]+(?:\.[\w-]+)+)/g;
+
+const parseMentions = (body) => [...new Set([...body.matchAll(MENTION)].map(match => match[2]))];
+
+// The author edits their comment; the author and whoever may update any order delete it
+const canEditComment = (user, comment) => comment.authorId === user.id;
+
+const canDeleteComment = (user, comment) => {
+  return comment.authorId === user.id || hasPermission(user, PERMISSIONS.ORDERS_UPDATE_ANY);
+};
+
+const toActivity = {
+  status: (entry) => ({
+    type: entry.from === null ? 'created' : 'status_changed',
+    at: entry.changedAt,
+    actorId: entry.actorId,
+    from: entry.from,
+    to: entry.status,
+    reason: entry.reason
+  }),
+
+  fields: (entry) => ({
+    type: 'fields_changed',
+    at: entry.changedAt,
+    actorId: entry.actorId,
+    changes: entry.changes,
+    // Set when the edit wasn't made by hand, e.g. orders unassigned from a deactivated user
+    reason: entry.reason || null
+  }),
+
+  comment: (comment) => ({
+    type: 'comment',
+    at: comment.createdAt,
+    actorId: comment.authorId,
+    comment
+  })
+};
+
+// Oldest first; on the same timestamp status changes go before edits and edits before comments
+const buildActivity = ({ history, fieldChanges, comments }) => {
+  return [
+    ...history.map(toActivity.status),
+    ...fieldChanges.map(toActivity.fields),
+    ...comments.map(toActivity.comment)
+  ].sort((a, b) => (a.at < b.at ? -1 : a.at > b.at ? 1 : 0));
+};
+
+module.exports = {
+  MAX_MENTIONS,
+  parseMentions,
+  canEditComment,
+  canDeleteComment,
+  buildActivity
+};
@@ -0,0 +1,68 @@
+const { parseMentions, canEditComment, canDeleteComment, buildActivity } = require('./activity');
+
+describe('parseMentions', () => {
+  test('takes the emails after `@`, once each', () => {
+    expect(parseMentions('@anna@example.com please check, cc @bob.smith+qa@mail.example.org and @anna@example.com'))
+      .toEqual(['anna@example.com', 'bob.smith+qa@mail.example.org']);
+  });
+
+  test('trailing punctuation isn\'t part of the email', () => {
+    expect(parseMentions('Done (@anna@example.com). Thanks, @bob@example.com!')).toEqual([
+      'anna@example.com',
+      'bob@example.com'
+    ]);
+    expect(parseMentions('@anna@example.com.')).toEqual(['anna@example.com']);
+  });
+
+  test('a mention may start the comment or follow a line break', () => {
+    expect(parseMentions('@anna@example.com\n@bob@example.com')).toEqual(['anna@example.com', 'bob@example.com']);
+  });
+
+  test('a plain or quoted address, or an `@` inside a word, isn\'t a mention', () => {
+    expect(parseMentions('Write to anna@example.com')).toEqual([]);
+    expect(parseMentions('mail me at x@anna@example.com')).toEqual([]);
+    expect(parseMentions('just @anna, no domain')).toEqual([]);
+    expect(parseMentions('@anna@localhost')).toEqual([]);
+  });
+});
+
+describe('comment permissions', () => {
+  const comment = { authorId: 'user-1' };
+  const author = { id: 'user-1', roles: ['user'] };
+  const manager = { id: 'manager-1', roles: ['manager'] };
+  const other = { id: 'user-2', roles: ['user'] };
+
+  test('only the author edits a comment', () => {
+    expect(canEditComment(author, comment)).toBe(true);
+    expect(canEditComment(manager, comment)).toBe(false);
+  });
+
+  test('the author and whoever may update any order delete it', () => {
+    expect(canDeleteComment(author, comment)).toBe(true);
+    expect(canDeleteComment(manager, comment)).toBe(true);
+    expect(canDeleteComment(other, comment)).toBe(false);
+  });
+});
+
+describe('buildActivity', () => {
+  test('oldest first; on the same timestamp status changes, then edits, then comments', () => {
+    const at = '2026-10-19T10:00:00.000Z';
+    const activity = buildActivity({
+      history: [
+        { from: null, status: 'created', changedAt: '2026-10-19T09:00:00.000Z', actorId: 'user-1', reason: null },
+        { from: 'created', status: 'in_progress', changedAt: at, actorId: 'manager-1', reason: null }
+      ],
+      fieldChanges: [{ changes: [{ field: 'dueAt', from: null, to: at }], changedAt: at, actorId: 'manager-1' }],
+      comments: [
+        { id: 'comment-2', authorId: 'user-1', createdAt: '2026-10-19T11:00:00.000Z' },
+        { id: 'comment-1', authorId: 'manager-1', createdAt: at }
+      ]
+    });
+
+    expect(activity.map(entry => entry.type)).toEqual([
+      'created', 'status_changed', 'fields_changed', 'comment', 'comment'
+    ]);
+    expect(activity[2].reason).toBeNull();
+    expect(activity.slice(3).map(entry => entry.comment.id)).toEqual(['comment-1', 'comment-2']);
+  });
+});
@@ -0,0 +1,11 @@
+const path = require('path');
+const db = require('@micro-task/common/db');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// The shared storage layer (see packages/common) with this service's database and migrations
+const createDatabase = (options) => db.createDatabase({ name: 'orders', ...options });
+
+const migrate = (database, log) => db.migrate(database, { dir: MIGRATIONS_DIR, log });
+
+module.exports = { createDatabase, migrate };
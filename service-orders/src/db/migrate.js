@@ -0,0 +1,12 @@
+// npm run migrate
+const { createDatabase, migrate } = require('./index');
+
+const db = createDatabase();
+
+migrate(db)
+  .then(names => console.log(names.length ? `✅ ${names.length} migration(s) applied` : '✅ Schema is up to date'))
+  .catch(error => {
+    console.error('❌ Migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => db.close());
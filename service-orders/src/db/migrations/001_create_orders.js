@@ -0,0 +1,17 @@
+module.exports = {
+  up: `
+    CREATE TABLE orders (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      status TEXT NOT NULL,
+      total_amount REAL NOT NULL,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      data TEXT NOT NULL
+    );
+    CREATE INDEX orders_user_id_idx ON orders (user_id);
+    CREATE INDEX orders_status_idx ON orders (status);
+    CREATE INDEX orders_created_at_idx ON orders (created_at);
+    CREATE INDEX orders_user_id_status_idx ON orders (user_id, status);
+  `
+};
@@ -0,0 +1,12 @@
+module.exports = {
+  up: `
+    CREATE TABLE order_status_history (
+      id TEXT PRIMARY KEY,
+      order_id TEXT NOT NULL,
+      status TEXT NOT NULL,
+      changed_at TEXT NOT NULL,
+      data TEXT NOT NULL
+    );
+    CREATE INDEX order_status_history_order_id_idx ON order_status_history (order_id, changed_at);
+  `
+};
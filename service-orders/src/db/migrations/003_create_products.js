@@ -0,0 +1,14 @@
+module.exports = {
+  up: `
+    CREATE TABLE products (
+      id TEXT PRIMARY KEY,
+      sku TEXT NOT NULL,
+      name TEXT NOT NULL,
+      active INTEGER NOT NULL,
+      created_at TEXT NOT NULL,
+      data TEXT NOT NULL
+    );
+    CREATE UNIQUE INDEX products_sku_idx ON products (sku);
+    CREATE INDEX products_active_idx ON products (active);
+  `
+};
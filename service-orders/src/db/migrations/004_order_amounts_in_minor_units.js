@@ -0,0 +1,43 @@
+// Orders created before the catalog stored client-supplied floats in major units and no currency.
+// Convert them to integer minor units in DEFAULT_CURRENCY so totals can be summed with new orders.
+const toMinor = (amount) => Math.round(Number(amount) * 100);
+
+module.exports = {
+  up: async (db) => {
+    const currency = process.env.DEFAULT_CURRENCY || 'RUB';
+    const rows = await db.query('SELECT id, data FROM orders');
+
+    for (const row of rows) {
+      const order = JSON.parse(row.data);
+      if (order.currency) {
+        continue;
+      }
+
+      const items = (order.items || []).map(item => ({
+        productId: null,
+        name: item.product,
+        quantity: item.quantity,
+        unitPrice: toMinor(item.price),
+        subtotal: toMinor(item.price) * item.quantity,
+        discount: 0,
+        tax: 0,
+        total: toMinor(item.price) * item.quantity
+      }));
+      const totalAmount = toMinor(order.totalAmount);
+      const converted = {
+        ...order,
+        items,
+        currency,
+        subtotal: totalAmount,
+        discountTotal: 0,
+        taxTotal: 0,
+        totalAmount
+      };
+
+      await db.query(
+        `UPDATE orders SET total_amount = ${db.placeholder(1)}, data = ${db.placeholder(2)} WHERE id = ${db.placeholder(3)}`,
+        [totalAmount, JSON.stringify(converted), row.id]
+      );
+    }
+  }
+};
@@ -0,0 +1,20 @@
+module.exports = {
+  up: `
+    CREATE TABLE outbox (
+      id TEXT PRIMARY KEY,
+      type TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      published_at TEXT,
+      data TEXT NOT NULL
+    );
+    CREATE INDEX outbox_published_at_created_at_idx ON outbox (published_at, created_at);
+
+    CREATE TABLE processed_events (
+      id TEXT PRIMARY KEY,
+      consumer TEXT NOT NULL,
+      processed_at TEXT NOT NULL,
+      data TEXT NOT NULL
+    );
+    CREATE INDEX processed_events_processed_at_idx ON processed_events (processed_at);
+  `
+};
@@ -0,0 +1,22 @@
+module.exports = {
+  up: `
+    CREATE TABLE webhooks (
+      id TEXT PRIMARY KEY,
+      active INTEGER NOT NULL,
+      created_at TEXT NOT NULL,
+      data TEXT NOT NULL
+    );
+
+    CREATE TABLE webhook_deliveries (
+      id TEXT PRIMARY KEY,
+      webhook_id TEXT NOT NULL,
+      event_id TEXT NOT NULL,
+      status TEXT NOT NULL,
+      next_attempt_at TEXT,
+      created_at TEXT NOT NULL,
+      data TEXT NOT NULL
+    );
+    CREATE INDEX webhook_deliveries_webhook_id_idx ON webhook_deliveries (webhook_id, created_at);
+    CREATE INDEX webhook_deliveries_due_idx ON webhook_deliveries (status, next_attempt_at);
+  `
+};
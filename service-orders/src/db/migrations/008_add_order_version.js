@@ -0,0 +1,15 @@
+// Optimistic concurrency: every order carries a version that each write bumps; existing rows start at 1
+module.exports = {
+  up: async (db) => {
+    await db.exec('ALTER TABLE orders ADD COLUMN version INTEGER NOT NULL DEFAULT 1');
+
+    const rows = await db.query('SELECT id, data FROM orders');
+    for (const row of rows) {
+      const order = JSON.parse(row.data);
+      await db.query(
+        `UPDATE orders SET data = ${db.placeholder(1)} WHERE id = ${db.placeholder(2)}`,
+        [JSON.stringify({ ...order, version: 1 }), row.id]
+      );
+    }
+  }
+};
@@ -0,0 +1,31 @@
+// Orders become assignable tasks: assignee, priority, due date, description and an overdue flag
+module.exports = {
+  up: async (db) => {
+    await db.exec(`
+      ALTER TABLE orders ADD COLUMN assignee_id TEXT;
+      ALTER TABLE orders ADD COLUMN priority TEXT NOT NULL DEFAULT 'normal';
+      ALTER TABLE orders ADD COLUMN due_at TEXT;
+      ALTER TABLE orders ADD COLUMN overdue INTEGER NOT NULL DEFAULT 0;
+      CREATE INDEX orders_assignee_id_idx ON orders (assignee_id);
+      CREATE INDEX orders_due_at_idx ON orders (due_at);
+    `);
+
+    const rows = await db.query('SELECT id, data FROM orders');
+    for (const row of rows) {
+      const order = JSON.parse(row.data);
+      const migrated = {
+        assigneeId: null,
+        priority: 'normal',
+        dueAt: null,
+        description: null,
+        overdue: false,
+        overdueAt: null,
+        ...order
+      };
+      await db.query(
+        `UPDATE orders SET data = ${db.placeholder(1)} WHERE id = ${db.placeholder(2)}`,
+        [JSON.stringify(migrated), row.id]
+      );
+    }
+  }
+};
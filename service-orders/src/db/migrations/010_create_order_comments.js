@@ -0,0 +1,21 @@
+// Comments on orders and a log of field edits; together with the status history they make up the activity feed
+module.exports = {
+  up: `
+    CREATE TABLE order_comments (
+      id TEXT PRIMARY KEY,
+      order_id TEXT NOT NULL,
+      author_id TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      data TEXT NOT NULL
+    );
+    CREATE INDEX order_comments_order_id_idx ON order_comments (order_id, created_at);
+
+    CREATE TABLE order_field_changes (
+      id TEXT PRIMARY KEY,
+      order_id TEXT NOT NULL,
+      changed_at TEXT NOT NULL,
+      data TEXT NOT NULL
+    );
+    CREATE INDEX order_field_changes_order_id_idx ON order_field_changes (order_id, changed_at);
+  `
+};
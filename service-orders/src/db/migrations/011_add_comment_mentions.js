@@ -0,0 +1,18 @@
+// Comments by author and by mentioned user, for the data export and account erasure of a user.
+// Mentions (a JSON array, matched with `has`) get a column.
+module.exports = {
+  up: async (db) => {
+    await db.exec('ALTER TABLE order_comments ADD COLUMN mentions TEXT');
+
+    const rows = await db.query('SELECT id, data FROM order_comments');
+    for (const row of rows) {
+      const comment = JSON.parse(row.data);
+      await db.query(
+        `UPDATE order_comments SET mentions = ${db.placeholder(1)} WHERE id = ${db.placeholder(2)}`,
+        [JSON.stringify(comment.mentions || []), row.id]
+      );
+    }
+
+    await db.exec('CREATE INDEX order_comments_author_id_idx ON order_comments (author_id)');
+  }
+};
@@ -0,0 +1,34 @@
+// History entries by actor and field changes by every user they name (actor, old and new assignee), so
+// account erasure finds the user's entries on any order. `user_ids` is a JSON array, matched with `has`.
+const USER_FIELDS = ['userId', 'assigneeId'];
+
+module.exports = {
+  up: async (db) => {
+    await db.exec(`
+      ALTER TABLE order_status_history ADD COLUMN actor_id TEXT;
+      ALTER TABLE order_field_changes ADD COLUMN user_ids TEXT;
+      CREATE INDEX order_status_history_actor_id_idx ON order_status_history (actor_id);
+    `);
+
+    const history = await db.query('SELECT id, data FROM order_status_history');
+    for (const row of history) {
+      const entry = JSON.parse(row.data);
+      await db.query(
+        `UPDATE order_status_history SET actor_id = ${db.placeholder(1)} WHERE id = ${db.placeholder(2)}`,
+        [entry.actorId || null, row.id]
+      );
+    }
+
+    const changes = await db.query('SELECT id, data FROM order_field_changes');
+    for (const row of changes) {
+      const entry = JSON.parse(row.data);
+      const userIds = [entry.actorId, ...entry.changes
+        .filter(change => USER_FIELDS.includes(change.field))
+        .flatMap(change => [change.from, change.to])];
+      await db.query(
+        `UPDATE order_field_changes SET user_ids = ${db.placeholder(1)} WHERE id = ${db.placeholder(2)}`,
+        [JSON.stringify([...new Set(userIds.filter(Boolean))]), row.id]
+      );
+    }
+  }
+};
@@ -0,0 +1,17 @@
+// Amounts are integer minor units since 004, but total_amount was still REAL: float4 on PostgreSQL, which
+// is inexact above 2^24. SQLite can't change a column's type, so it gets a new column in its place.
+module.exports = {
+  up: async (db) => {
+    if (db.dialect === 'postgres') {
+      await db.exec('ALTER TABLE orders ALTER COLUMN total_amount TYPE BIGINT USING ROUND(total_amount)');
+      return;
+    }
+
+    await db.exec(`
+      ALTER TABLE orders ADD COLUMN total_amount_minor INTEGER NOT NULL DEFAULT 0;
+      UPDATE orders SET total_amount_minor = CAST(ROUND(total_amount) AS INTEGER);
+      ALTER TABLE orders DROP COLUMN total_amount;
+      ALTER TABLE orders RENAME COLUMN total_amount_minor TO total_amount;
+    `);
+  }
+};
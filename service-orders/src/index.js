@@ -1,20 +1,93 @@
+const { startTracing, currentTraceId } = require('@micro-task/common/tracing');
+
+startTracing('orders-service');
+
 const express = require('express');
+const createLogger = require('pino');
 const pino = require('pino-http');
 const { z } = require('zod');
 const { v4: uuidv4 } = require('uuid');
 const cors = require('cors');
-const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const { createDatabase, migrate } = require('./db');
+const { createOrderRepository } = require('./repositories/orderRepository');
+const { createProductRepository } = require('./repositories/productRepository');
+const { createRevocationList } = require('./revocations');
+const { createJwksVerifier } = require('@micro-task/common/jwks');
+const { PERMISSIONS, hasPermission, requirePermission, requireMfa } = require('@micro-task/common/rbac');
+const { ORDER_STATUS, TransitionError, isTerminal, assertTransition } = require('./orderStatus');
+const { PricingError, priceOrder, assertExpectedTotal } = require('./pricing');
+const { createEventBus } = require('@micro-task/common/events');
+const { EVENT_TYPES } = require('@micro-task/common/events/types');
+const { createWebhookRepository } = require('./repositories/webhookRepository');
+const { createCommentRepository } = require('./repositories/commentRepository');
+const { createIdempotency } = require('@micro-task/common/idempotency');
+const { PreconditionFailedError, etagFor, assertIfMatch, sendNotModified } = require('@micro-task/common/conditional');
+const { defineListQuery, pickFields, paginationLinks } = require('@micro-task/common/listQuery');
+const reports = require('./reports');
+const { isOverdue, createOverdueScheduler } = require('./overdue');
+const { UsersServiceError, createUsersClient } = require('./usersClient');
+const { createOrderStream } = require('./orderStream');
+const { MAX_MENTIONS, parseMentions, canEditComment, canDeleteComment, buildActivity } = require('./activity');
+const { collectUserData, anonymiseUser, scrubPayload } = require('./personalData');
+const { assertProductionSecret } = require('@micro-task/common/secrets');
+const {
+  DELIVERY_STATUS,
+  generateSecret,
+  rotateSecret,
+  toPublicWebhook,
+  enqueueDeliveries,
+  replayDelivery,
+  createWebhookDispatcher
+} = require('./webhooks');
 
 const app = express();
 const PORT = process.env.PORT || 3002;
+const GATEWAY_SECRET = process.env.GATEWAY_SECRET;
+const USERS_SERVICE_URL = process.env.USERS_SERVICE_URL || 'http://localhost:3001';
+const DEFAULT_CURRENCY = process.env.DEFAULT_CURRENCY || 'RUB';
+
+// Request logs (req.log) and everything that runs outside a request
+const logger = createLogger({
+  level: 'info',
+  redact: ['req.headers.authorization', 'req.headers["x-gateway-secret"]']
+});
+
+const db = createDatabase();
+const orderRepository = createOrderRepository(db);
+const productRepository = createProductRepository(db);
+const events = createEventBus({ db, source: 'service-orders', log: logger });
+const webhookRepository = createWebhookRepository(db);
+const commentRepository = createCommentRepository(db);
+const webhookDispatcher = createWebhookDispatcher({ db, log: logger });
+const idempotency = createIdempotency({ db, log: logger });
+const overdueScheduler = createOverdueScheduler({ db, events, log: logger });
+const usersClient = createUsersClient({ url: USERS_SERVICE_URL, secret: GATEWAY_SECRET });
+const orderStream = createOrderStream({
+  db,
+  events,
+  canView: (user, order) => canAccessOrder(user, order, 'read'),
+  log: logger
+});
+const idempotent = idempotency.middleware;
+const revocations = createRevocationList({
+  url: USERS_SERVICE_URL,
+  secret: GATEWAY_SECRET,
+  intervalMs: parseInt(process.env.REVOCATION_POLL_MS, 10) || 5000,
+  log: logger
+});
+const jwks = createJwksVerifier({
+  url: process.env.JWKS_URL || USERS_SERVICE_URL,
+  intervalMs: parseInt(process.env.JWKS_REFRESH_MS, 10) || 5 * 60 * 1000,
+  log: logger
+});
 
-// In-memory storage
-let orders = [];
+// Recent requests for the debug endpoint
 let requests = [];
 
 // Middleware
 app.use(pino({
-  level: 'info',
+  logger,
   serializers: {
     req: (req) => ({
       method: req.method,
@@ -38,36 +111,220 @@ app.use((req, res, next) => {
     method: req.method,
     url: req.url,
     timestamp: new Date().toISOString(),
-    userId: req.headers['x-user-id'] || null
+    userId: req.headers['x-user-id'] || null,
+    traceId: currentTraceId()
   });
   
   next();
 });
 
-// Order statuses
-const ORDER_STATUS = {
-  CREATED: 'created',
-  IN_PROGRESS: 'in_progress',
-  COMPLETED: 'completed',
-  CANCELLED: 'cancelled'
-};
-
 // Validation schemas
+const PRIORITIES = ['low', 'normal', 'high', 'urgent'];
+
+const dueAtSchema = z.string().datetime({ offset: true }).transform(value => new Date(value).toISOString());
+
+// Money is integer minor units; totalAmount and currency are optional and only checked against the server price
 const createOrderSchema = z.object({
   items: z.array(z.object({
-    product: z.string().min(1),
-    quantity: z.number().int().positive(),
-    price: z.number().positive()
-  })).min(1),
-  totalAmount: z.number().positive()
+    productId: z.string().min(1),
+    quantity: z.number().int().positive().max(10000)
+  })).min(1).max(100),
+  currency: z.string().regex(/^[A-Z]{3}$/).optional(),
+  totalAmount: z.number().int().nonnegative().optional(),
+  description: z.string().max(5000).optional(),
+  priority: z.enum(PRIORITIES).default('normal'),
+  dueAt: dueAtSchema.optional(),
+  // Needs orders:assign
+  assigneeId: z.string().min(1).optional()
 });
 
+const ORDER_EDITABLE_FIELDS = ['description', 'priority', 'dueAt'];
+
 const updateOrderSchema = z.object({
-  status: z.enum([ORDER_STATUS.IN_PROGRESS, ORDER_STATUS.COMPLETED, ORDER_STATUS.CANCELLED])
+  status: z.enum(Object.values(ORDER_STATUS)).optional(),
+  reason: z.string().max(500).optional(),
+  description: z.string().max(5000).nullable().optional(),
+  priority: z.enum(PRIORITIES).optional(),
+  dueAt: dueAtSchema.nullable().optional()
+}).refine(data => data.status !== undefined || ORDER_EDITABLE_FIELDS.some(field => data[field] !== undefined), {
+  message: 'Nothing to update'
+});
+
+const assignOrderSchema = z.object({
+  assigneeId: z.string().min(1).nullable()
+});
+
+// Mentions are emails in the text: "@anna@example.com"
+const commentSchema = z.object({
+  body: z.string().trim().min(1).max(5000)
+    .refine(body => parseMentions(body).length <= MAX_MENTIONS, `At most ${MAX_MENTIONS} mentions per comment`)
+});
+
+const cancelOrderSchema = z.object({
+  reason: z.string().max(500).optional()
+}).default({});
+
+// Rates are basis points: taxRateBps 2000 = 20% VAT
+const productSchema = z.object({
+  sku: z.string().min(1).max(64),
+  name: z.string().min(1).max(200),
+  description: z.string().max(2000).optional(),
+  unitPrice: z.number().int().nonnegative(),
+  currency: z.string().regex(/^[A-Z]{3}$/).default(DEFAULT_CURRENCY),
+  taxRateBps: z.number().int().min(0).max(10000).default(0),
+  discountBps: z.number().int().min(0).max(10000).default(0),
+  active: z.boolean().default(true)
+});
+
+const updateProductSchema = productSchema.partial();
+
+// Event types a webhook can subscribe to
+const WEBHOOK_EVENTS = [
+  '*',
+  'order.*',
+  EVENT_TYPES.ORDER_CREATED,
+  EVENT_TYPES.ORDER_STATUS_CHANGED,
+  EVENT_TYPES.ORDER_UPDATED,
+  EVENT_TYPES.ORDER_ASSIGNED,
+  EVENT_TYPES.ORDER_OVERDUE,
+  EVENT_TYPES.ORDER_COMMENTED
+];
+
+const webhookSchema = z.object({
+  url: z.string().url().refine(url => /^https?:\/\//.test(url), 'Must be an http(s) URL'),
+  events: z.array(z.enum(WEBHOOK_EVENTS)).min(1),
+  description: z.string().max(500).optional(),
+  active: z.boolean().default(true)
+});
+
+const updateWebhookSchema = webhookSchema.partial();
+
+// GET /api/v1/orders query params, see listQuery.js
+const orderListQuery = defineListQuery({
+  filters: {
+    status: { type: 'enum', values: Object.values(ORDER_STATUS) },
+    userId: { type: 'string' },
+    assigneeId: { type: 'string' },
+    priority: { type: 'enum', values: PRIORITIES },
+    overdue: { type: 'boolean' },
+    createdAt: { type: 'date' },
+    updatedAt: { type: 'date' },
+    dueAt: { type: 'date' },
+    totalAmount: { type: 'integer' }
+  },
+  sortable: ['createdAt', 'updatedAt', 'dueAt', 'totalAmount', 'status'],
+  defaultSort: '-createdAt',
+  fields: [
+    'id', 'userId', 'assigneeId', 'items', 'currency', 'subtotal', 'discountTotal', 'taxTotal', 'totalAmount',
+    'status', 'priority', 'dueAt', 'overdue', 'overdueAt', 'description', 'version', 'createdAt', 'updatedAt'
+  ]
+});
+
+// GET /api/v1/products query params
+const productListQuery = defineListQuery({
+  filters: {
+    search: { type: 'search', fields: ['name', 'sku'] }
+  },
+  sortable: ['name', 'sku', 'createdAt'],
+  defaultSort: 'name',
+  fields: [
+    'id', 'sku', 'name', 'description', 'unitPrice', 'currency', 'taxRateBps', 'discountBps', 'active',
+    'createdAt', 'updatedAt'
+  ]
+});
+
+// GET /api/v1/webhooks/:id/deliveries query params
+const deliveryListQuery = defineListQuery({
+  filters: {
+    status: { type: 'enum', values: Object.values(DELIVERY_STATUS) },
+    createdAt: { type: 'date' }
+  },
+  sortable: ['createdAt'],
+  defaultSort: '-createdAt',
+  fields: [
+    'id', 'webhookId', 'eventId', 'eventType', 'payload', 'status', 'attemptCount', 'attempts', 'nextAttemptAt',
+    'deliveredAt', 'replayOf', 'createdAt', 'updatedAt'
+  ]
 });
 
+// Reports cover orders created in [from, to); the default range is the last 30 days
+const reportDate = z.string()
+  .refine(value => !Number.isNaN(Date.parse(value)), 'Expected an ISO 8601 date')
+  .transform(value => new Date(value).toISOString());
+
+const reportQuerySchema = z.object({
+  from: reportDate.optional(),
+  to: reportDate.optional(),
+  format: z.enum(['json', 'csv']).optional(),
+  period: z.enum(reports.PERIODS).default('day'),
+  limit: z.coerce.number().int().min(1).max(100).default(10),
+  by: z.enum(['revenue', 'quantity']).default('revenue')
+}).refine(query => !query.from || !query.to || query.from < query.to, {
+  message: '`from` must be before `to`',
+  path: ['from']
+});
+
+const REPORT_RANGE_MS = 30 * 24 * 60 * 60 * 1000;
+// Orders read per query while building a report
+const REPORT_BATCH_SIZE = 500;
+
+const hasGatewaySecret = (req) => {
+  const secret = req.headers['x-gateway-secret'];
+  if (!GATEWAY_SECRET || !secret) {
+    return false;
+  }
+
+  const expected = Buffer.from(GATEWAY_SECRET);
+  const actual = Buffer.from(secret);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+// Identity forwarded by the API gateway. Trusted only when the request carries the shared gateway secret.
+const getGatewayIdentity = (req) => {
+  if (!req.headers['x-user-id'] || !hasGatewaySecret(req)) {
+    return null;
+  }
+
+  return {
+    userId: req.headers['x-user-id'],
+    email: req.headers['x-user-email'],
+    roles: (req.headers['x-user-roles'] || '').split(',').filter(Boolean),
+    amr: (req.headers['x-user-amr'] || '').split(',').filter(Boolean),
+    sid: req.headers['x-session-id'] || null
+  };
+};
+
+// Используем те же поля, что и в User Service.
+// Checked for gateway identities too: users-service pushes revocations here before the gateway polls them.
+const authenticateIdentity = (identity, req, res, next) => {
+  if (revocations.isRevoked(identity.sid)) {
+    return res.status(401).json({
+      success: false,
+      error: {
+        code: 'TOKEN_REVOKED',
+        message: 'Session has been revoked'
+      }
+    });
+  }
+
+  req.user = {
+    id: identity.userId,
+    email: identity.email,
+    roles: identity.roles || []
+  };
+  // Tokens from before `amr` existed were password-only
+  req.amr = identity.amr || ['pwd'];
+
+  next();
+};
+
 // Authentication middleware
-const authenticate = (req, res, next) => {
+const authenticate = async (req, res, next) => {
+    const gatewayIdentity = getGatewayIdentity(req);
+    if (gatewayIdentity) {
+      return authenticateIdentity(gatewayIdentity, req, res, next);
+    }
+
     const authHeader = req.headers.authorization;
     
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
@@ -82,19 +339,10 @@ const authenticate = (req, res, next) => {
   
     const token = authHeader.replace('Bearer ', '');
   
+    let decoded;
     try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'my-key');
-      
-      // Используем те же поля, что и в User Service
-      req.user = {
-        id: decoded.userId,
-        email: decoded.email,
-        roles: decoded.roles
-      };
-      
-      next();
+      decoded = await jwks.verify(token);
     } catch (error) {
-      console.log('JWT Error:', error.message);
       return res.status(401).json({
         success: false,
         error: {
@@ -103,47 +351,266 @@ const authenticate = (req, res, next) => {
         }
       });
     }
-  };
 
-// Authorization helpers
-const canViewOrder = (order, userId, userRoles) => {
-    return order.userId === userId || userRoles.includes('admin');
-  };
-  
-  const canUpdateOrder = (order, userId, userRoles) => {
-    return order.userId === userId || userRoles.includes('admin');
+    authenticateIdentity(decoded, req, res, next);
   };
 
+// Service-to-service endpoints: only callers holding the shared gateway secret (open when it isn't configured)
+const requireInternal = (req, res, next) => {
+  if (GATEWAY_SECRET && !hasGatewaySecret(req)) {
+    return res.status(403).json({
+      success: false,
+      error: {
+        code: 'FORBIDDEN',
+        message: 'Internal endpoint'
+      }
+    });
+  }
+  next();
+};
+
+// Owners and assignees act on an order with the `:own` permission, everyone else needs `:any`.
+// Only the owner may cancel their own order. action: read | update | cancel
+const canAccessOrder = (user, order, action) => {
+  const own = order.userId === user.id || (action !== 'cancel' && order.assigneeId === user.id);
+  return hasPermission(user, `orders:${action}:any`)
+    || (own && hasPermission(user, `orders:${action}:own`));
+};
+
+// Changes an order atomically: an optional status move (checked against the state machine and recorded
+// in the history) plus field edits such as description, due date or assignee.
+// Throws TransitionError when the move isn't allowed or the order is closed,
+// PreconditionFailedError when the order no longer matches `ifMatch` or changed underneath us.
+// `applyOrderChange` does it inside the caller's transaction.
+const applyOrderChange = async (tx, orderId, { user, status, reason, fields = {}, ifMatch }) => {
+  const orders = createOrderRepository(tx);
+  const order = await orders.findById(orderId);
+
+  assertIfMatch(ifMatch, order);
+  if (status !== undefined) {
+    assertTransition(order.status, status, user);
+  } else if (isTerminal(order.status)) {
+    throw new TransitionError('ORDER_CLOSED', `Order is ${order.status} and can no longer be changed`, {
+      status: order.status
+    });
+  }
+
+  const now = new Date().toISOString();
+  const next = { ...order, ...fields, status: status || order.status, updatedAt: now };
+  // A new due date or a closed order clears the flag; the scheduler raises it again if needed
+  if (!isOverdue(next, now)) {
+    next.overdue = false;
+  }
+
+  const updated = await orders.update(next);
+  if (!updated) {
+    throw new PreconditionFailedError(await orders.findById(orderId));
+  }
+
+  if (status !== undefined) {
+    await orders.addStatusChange({
+      id: uuidv4(),
+      orderId,
+      from: order.status,
+      status,
+      actorId: user.id,
+      reason: reason || null,
+      changedAt: now
+    });
+    await events.record(tx, EVENT_TYPES.ORDER_STATUS_CHANGED, orderId, {
+      orderId,
+      userId: order.userId,
+      from: order.status,
+      to: status,
+      actorId: user.id,
+      reason: reason || null,
+      changedAt: now
+    });
+  }
+
+  // Field edits go to their own log, which the activity feed shows next to the status history
+  const changes = Object.entries(fields)
+    .filter(([field, value]) => value !== undefined && value !== order[field])
+    .map(([field, value]) => ({ field, from: order[field], to: value }));
+  if (changes.length > 0) {
+    await orders.addFieldChange({
+      id: uuidv4(),
+      orderId,
+      changes,
+      actorId: user.id,
+      reason: reason || null,
+      changedAt: now
+    });
+  }
+
+  // The assignee has its own event
+  const edits = changes.filter(change => change.field !== 'assigneeId');
+  if (edits.length > 0) {
+    await events.record(tx, EVENT_TYPES.ORDER_UPDATED, orderId, {
+      orderId,
+      userId: order.userId,
+      changes: edits,
+      actorId: user.id,
+      updatedAt: now
+    });
+  }
+
+  if (fields.assigneeId !== undefined && fields.assigneeId !== order.assigneeId) {
+    await events.record(tx, EVENT_TYPES.ORDER_ASSIGNED, orderId, {
+      orderId,
+      userId: order.userId,
+      assigneeId: fields.assigneeId,
+      previousAssigneeId: order.assigneeId,
+      assignedBy: user.id,
+      reason: reason || null,
+      assignedAt: now
+    });
+  }
+  return updated;
+};
+
+const changeOrder = (orderId, options) => db.transaction(tx => applyOrderChange(tx, orderId, options)).finally(() => {
+  events.flush();
+});
+
+// Assignees must exist in users-service and not be deactivated
+const assertAssigneeExists = async (res, assigneeId) => {
+  const assignee = await usersClient.findUser(assigneeId);
+  if (assignee && assignee.active !== false) {
+    return true;
+  }
+
+  res.status(422).json({
+    success: false,
+    error: assignee
+      ? { code: 'ASSIGNEE_INACTIVE', message: `User ${assigneeId} is deactivated` }
+      : { code: 'ASSIGNEE_NOT_FOUND', message: `User ${assigneeId} does not exist` }
+  });
+  return false;
+};
+
+const sendUsersServiceError = (req, res, error) => {
+  req.log.error('Users service lookup failed:', error);
+  return res.status(503).json({
+    success: false,
+    error: {
+      code: 'USERS_SERVICE_UNAVAILABLE',
+      message: 'Could not check the users, try again later'
+    }
+  });
+};
+
+const sendTransitionError = (res, error) => {
+  return res.status(error.code === 'FORBIDDEN' ? 403 : 409).json({
+    success: false,
+    error: {
+      code: error.code,
+      message: error.message,
+      details: error.details
+    }
+  });
+};
+
+const sendPreconditionFailed = (res, error) => {
+  res.setHeader('ETag', etagFor(error.current));
+  return res.status(412).json({
+    success: false,
+    error: {
+      code: 'PRECONDITION_FAILED',
+      message: 'Order has been modified since it was read',
+      details: { order: error.current }
+    }
+  });
+};
+
 // Routes
 // Create order
-app.post('/api/v1/orders', authenticate, (req, res) => {
+app.post('/api/v1/orders', authenticate, requirePermission(PERMISSIONS.ORDERS_CREATE), idempotent, async (req, res) => {
   try {
     const validatedData = createOrderSchema.parse(req.body);
+
+    if (validatedData.assigneeId !== undefined) {
+      if (!hasPermission(req.user, PERMISSIONS.ORDERS_ASSIGN)) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            code: 'FORBIDDEN',
+            message: `Permission ${PERMISSIONS.ORDERS_ASSIGN} required`
+          }
+        });
+      }
+      if (!(await assertAssigneeExists(res, validatedData.assigneeId))) {
+        return;
+      }
+    }
+
+    // Prices come from the catalog, never from the client
+    const products = await productRepository.findByIds([...new Set(validatedData.items.map(item => item.productId))]);
+    const pricing = priceOrder(validatedData.items, products);
+    assertExpectedTotal(pricing, validatedData);
     
     const order = {
       id: uuidv4(),
       userId: req.user.id,
-      items: validatedData.items,
-      totalAmount: validatedData.totalAmount,
+      assigneeId: validatedData.assigneeId || null,
+      ...pricing,
       status: ORDER_STATUS.CREATED,
+      priority: validatedData.priority,
+      dueAt: validatedData.dueAt || null,
+      description: validatedData.description || null,
+      overdue: false,
+      overdueAt: null,
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString()
     };
     
-    orders.push(order);
-    
-    // Publish order created event (stub for future message broker)
-    console.log(`📦 Order created: ${order.id} for user: ${req.user.id}`);
+    const created = await db.transaction(async (tx) => {
+      const orders = createOrderRepository(tx);
+      const saved = await orders.create(order);
+      await orders.addStatusChange({
+        id: uuidv4(),
+        orderId: order.id,
+        from: null,
+        status: order.status,
+        actorId: req.user.id,
+        reason: null,
+        changedAt: order.createdAt
+      });
+      await events.record(tx, EVENT_TYPES.ORDER_CREATED, order.id, { order: saved });
+      if (order.assigneeId) {
+        await events.record(tx, EVENT_TYPES.ORDER_ASSIGNED, order.id, {
+          orderId: order.id,
+          userId: order.userId,
+          assigneeId: order.assigneeId,
+          previousAssigneeId: null,
+          assignedBy: req.user.id,
+          assignedAt: order.createdAt
+        });
+      }
+      return saved;
+    });
+    events.flush();
     
+    res.setHeader('ETag', etagFor(created));
     res.status(201).json({
       success: true,
       data: {
         order: {
           id: order.id,
           userId: order.userId,
+          assigneeId: order.assigneeId,
           items: order.items,
+          currency: order.currency,
+          subtotal: order.subtotal,
+          discountTotal: order.discountTotal,
+          taxTotal: order.taxTotal,
           totalAmount: order.totalAmount,
           status: order.status,
+          priority: order.priority,
+          dueAt: order.dueAt,
+          description: order.description,
+          overdue: order.overdue,
+          version: created.version,
           createdAt: order.createdAt,
           updatedAt: order.updatedAt
         }
@@ -161,6 +628,21 @@ app.post('/api/v1/orders', authenticate, (req, res) => {
         }
       });
     }
+
+    if (error instanceof PricingError) {
+      return res.status(422).json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message,
+          details: error.details
+        }
+      });
+    }
+
+    if (error instanceof UsersServiceError) {
+      return sendUsersServiceError(req, res, error);
+    }
     
     req.log.error('Create order error:', error);
     res.status(500).json({
@@ -173,91 +655,60 @@ app.post('/api/v1/orders', authenticate, (req, res) => {
   }
 });
 
+// Live order events as Server-Sent Events, see orderStream.js. Declared before /orders/:id.
+app.get('/api/v1/orders/stream', authenticate, orderStream.connect);
+
 // Get order by ID
-app.get('/api/v1/orders/:id', authenticate, (req, res) => {
-  const order = orders.find(o => o.id === req.params.id);
+app.get('/api/v1/orders/:id', authenticate, async (req, res) => {
+  try {
+    const order = await orderRepository.findById(req.params.id);
   
-  if (!order) {
-    return res.status(404).json({
-      success: false,
-      error: {
-        code: 'ORDER_NOT_FOUND',
-        message: 'Order not found'
-      }
-    });
-  }
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'ORDER_NOT_FOUND',
+          message: 'Order not found'
+        }
+      });
+    }
   
-  if (!canViewOrder(order, req.user.id, req.user.role)) {
-    return res.status(403).json({
+    if (!canAccessOrder(req.user, order, 'read')) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'FORBIDDEN',
+          message: 'Access to this order is denied'
+        }
+      });
+    }
+  
+    if (sendNotModified(req, res, order)) {
+      return;
+    }
+
+    res.json({
+      success: true,
+      data: { order }
+    });
+  } catch (error) {
+    req.log.error('Get order error:', error);
+    res.status(500).json({
       success: false,
       error: {
-        code: 'FORBIDDEN',
-        message: 'Access to this order is denied'
+        code: 'INTERNAL_ERROR',
+        message: 'Internal server error'
       }
     });
   }
-  
-  res.json({
-    success: true,
-    data: { order }
-  });
-});
-
-// List user's orders
-app.get('/api/v1/orders', authenticate, (req, res) => {
-  const { page = 1, limit = 10, status, sort = 'createdAt' } = req.query;
-  const pageNum = parseInt(page);
-  const limitNum = parseInt(limit);
-  
-  let userOrders = orders;
-  
-  // Filter by user (unless admin)
-  if (req.user.role !== 'admin') {
-    userOrders = orders.filter(order => order.userId === req.user.id);
-  }
-  
-  // Filter by status
-  if (status) {
-    userOrders = userOrders.filter(order => order.status === status);
-  }
-  
-  // Sort orders
-  userOrders.sort((a, b) => {
-    if (sort === 'createdAt') {
-      return new Date(b.createdAt) - new Date(a.createdAt);
-    }
-    if (sort === 'totalAmount') {
-      return b.totalAmount - a.totalAmount;
-    }
-    return 0;
-  });
-  
-  // Pagination
-  const startIndex = (pageNum - 1) * limitNum;
-  const endIndex = startIndex + limitNum;
-  const paginatedOrders = userOrders.slice(startIndex, endIndex);
-  
-  res.json({
-    success: true,
-    data: {
-      orders: paginatedOrders,
-      pagination: {
-        page: pageNum,
-        limit: limitNum,
-        total: userOrders.length,
-        pages: Math.ceil(userOrders.length / limitNum)
-      }
-    }
-  });
 });
 
-// Update order status
-app.patch('/api/v1/orders/:id', authenticate, (req, res) => {
+// Status history of an order, oldest first
+app.get('/api/v1/orders/:id/history', authenticate, async (req, res) => {
   try {
-    const validatedData = updateOrderSchema.parse(req.body);
-    
-    const orderIndex = orders.findIndex(o => o.id === req.params.id);
-    if (orderIndex === -1) {
+    const order = await orderRepository.findById(req.params.id);
+
+    if (!order) {
       return res.status(404).json({
         success: false,
         error: {
@@ -266,49 +717,25 @@ app.patch('/api/v1/orders/:id', authenticate, (req, res) => {
         }
       });
     }
-    
-    const order = orders[orderIndex];
-    
-    if (!canUpdateOrder(order, req.user.id, req.user.role)) {
+
+    if (!canAccessOrder(req.user, order, 'read')) {
       return res.status(403).json({
         success: false,
         error: {
           code: 'FORBIDDEN',
-          message: 'Cannot update this order'
+          message: 'Access to this order is denied'
         }
       });
     }
-    
-    // Update order
-    orders[orderIndex] = {
-      ...order,
-      status: validatedData.status,
-      updatedAt: new Date().toISOString()
-    };
-    
-    // Publish order updated event (stub for future message broker)
-    console.log(`🔄 Order updated: ${order.id} - Status: ${validatedData.status}`);
-    
+
     res.json({
       success: true,
       data: {
-        order: orders[orderIndex]
+        history: await orderRepository.listStatusHistory(order.id)
       }
     });
-    
   } catch (error) {
-    if (error instanceof z.ZodError) {
-      return res.status(400).json({
-        success: false,
-        error: {
-          code: 'VALIDATION_ERROR',
-          message: 'Invalid input data',
-          details: error.errors
-        }
-      });
-    }
-    
-    req.log.error('Update order error:', error);
+    req.log.error('Order history error:', error);
     res.status(500).json({
       success: false,
       error: {
@@ -319,71 +746,1176 @@ app.patch('/api/v1/orders/:id', authenticate, (req, res) => {
   }
 });
 
-// Cancel order
-app.delete('/api/v1/orders/:id', authenticate, (req, res) => {
-  const orderIndex = orders.findIndex(o => o.id === req.params.id);
-  
-  if (orderIndex === -1) {
-    return res.status(404).json({
+// Order comments and activity, for everyone who can see the order
+const sendCommentError = (req, res, error, label) => {
+  if (error instanceof z.ZodError) {
+    return res.status(400).json({
       success: false,
       error: {
-        code: 'ORDER_NOT_FOUND',
-        message: 'Order not found'
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid input data',
+        details: error.errors
       }
     });
   }
-  
-  const order = orders[orderIndex];
-  
-  if (!canUpdateOrder(order, req.user.id, req.user.role)) {
-    return res.status(403).json({
-      success: false,
-      error: {
-        code: 'FORBIDDEN',
-        message: 'Cannot cancel this order'
-      }
-    });
+
+  if (error instanceof UsersServiceError) {
+    return sendUsersServiceError(req, res, error);
   }
-  
-  // Update order status to cancelled instead of deleting
-  orders[orderIndex] = {
-    ...order,
-    status: ORDER_STATUS.CANCELLED,
-    updatedAt: new Date().toISOString()
-  };
-  
-  console.log(`❌ Order cancelled: ${order.id}`);
-  
-  res.json({
-    success: true,
-    data: {
-      message: 'Order cancelled successfully',
-      order: orders[orderIndex]
+
+  req.log.error(`${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    error: {
+      code: 'INTERNAL_ERROR',
+      message: 'Internal server error'
     }
   });
-});
+};
 
-// Health check
-app.get('/health', (req, res) => {
-  res.json({ 
-    status: 'OK', 
-    service: 'orders-service',
-    orderCount: orders.length
-  });
-});
+const loadReadableOrder = async (req, res, next) => {
+  try {
+    req.order = await orderRepository.findById(req.params.id);
+    if (!req.order) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'ORDER_NOT_FOUND',
+          message: 'Order not found'
+        }
+      });
+    }
 
-// Debug endpoint to see requests
-app.get('/api/v1/debug/requests', authenticate, (req, res) => {
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({
+    if (!canAccessOrder(req.user, req.order, 'read')) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'FORBIDDEN',
+          message: 'Access to this order is denied'
+        }
+      });
+    }
+    next();
+  } catch (error) {
+    sendCommentError(req, res, error, 'Load order');
+  }
+};
+
+// Ids of the users mentioned in `body`, or null after answering 422 when some of them don't exist
+const resolveMentions = async (res, body) => {
+  const emails = parseMentions(body);
+  if (emails.length === 0) {
+    return [];
+  }
+
+  const users = await usersClient.findUsersByEmail(emails);
+  const known = new Set(users.map(user => user.email));
+  const unknown = emails.filter(email => !known.has(email));
+  if (unknown.length > 0) {
+    res.status(422).json({
+      success: false,
+      error: {
+        code: 'MENTION_NOT_FOUND',
+        message: `Mentioned users do not exist: ${unknown.join(', ')}`,
+        details: { emails: unknown }
+      }
+    });
+    return null;
+  }
+  return users.map(user => user.id);
+};
+
+// The comment of req.order named in the path, or null after answering 404
+const findComment = async (req, res) => {
+  const comment = await commentRepository.findById(req.params.commentId);
+  if (comment && comment.orderId === req.order.id) {
+    return comment;
+  }
+
+  res.status(404).json({
+    success: false,
+    error: {
+      code: 'COMMENT_NOT_FOUND',
+      message: 'Comment not found'
+    }
+  });
+  return null;
+};
+
+app.post('/api/v1/orders/:id/comments', authenticate, idempotent, loadReadableOrder, async (req, res) => {
+  try {
+    const { body } = commentSchema.parse(req.body);
+    const mentions = await resolveMentions(res, body);
+    if (!mentions) {
+      return;
+    }
+
+    const now = new Date().toISOString();
+    const comment = {
+      id: uuidv4(),
+      orderId: req.order.id,
+      authorId: req.user.id,
+      body,
+      mentions,
+      createdAt: now,
+      updatedAt: now,
+      editedAt: null
+    };
+
+    await db.transaction(async (tx) => {
+      await createCommentRepository(tx).create(comment);
+      await events.record(tx, EVENT_TYPES.ORDER_COMMENTED, req.order.id, {
+        orderId: req.order.id,
+        userId: req.order.userId,
+        assigneeId: req.order.assigneeId,
+        commentId: comment.id,
+        authorId: comment.authorId,
+        mentions,
+        createdAt: now
+      });
+    }).finally(() => {
+      events.flush();
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { comment }
+    });
+  } catch (error) {
+    sendCommentError(req, res, error, 'Create comment');
+  }
+});
+
+// Oldest first
+app.get('/api/v1/orders/:id/comments', authenticate, loadReadableOrder, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        comments: await commentRepository.listForOrder(req.order.id)
+      }
+    });
+  } catch (error) {
+    sendCommentError(req, res, error, 'List comments');
+  }
+});
+
+app.patch('/api/v1/orders/:id/comments/:commentId', authenticate, idempotent, loadReadableOrder, async (req, res) => {
+  try {
+    const { body } = commentSchema.parse(req.body);
+    const comment = await findComment(req, res);
+    if (!comment) {
+      return;
+    }
+
+    if (!canEditComment(req.user, comment)) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'FORBIDDEN',
+          message: 'Only the author can edit a comment'
+        }
+      });
+    }
+
+    const mentions = await resolveMentions(res, body);
+    if (!mentions) {
+      return;
+    }
+
+    const now = new Date().toISOString();
+    const updatedComment = await commentRepository.update({
+      ...comment,
+      body,
+      mentions,
+      updatedAt: now,
+      editedAt: now
+    });
+
+    res.json({
+      success: true,
+      data: { comment: updatedComment }
+    });
+  } catch (error) {
+    sendCommentError(req, res, error, 'Update comment');
+  }
+});
+
+app.delete('/api/v1/orders/:id/comments/:commentId', authenticate, idempotent, loadReadableOrder, async (req, res) => {
+  try {
+    const comment = await findComment(req, res);
+    if (!comment) {
+      return;
+    }
+
+    if (!canDeleteComment(req.user, comment)) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'FORBIDDEN',
+          message: 'Cannot delete this comment'
+        }
+      });
+    }
+
+    await commentRepository.remove(comment.id);
+
+    res.json({
+      success: true,
+      data: { message: 'Comment deleted' }
+    });
+  } catch (error) {
+    sendCommentError(req, res, error, 'Delete comment');
+  }
+});
+
+// Comments, status changes and field edits in one timeline, oldest first
+app.get('/api/v1/orders/:id/activity', authenticate, loadReadableOrder, async (req, res) => {
+  try {
+    const [history, fieldChanges, comments] = await Promise.all([
+      orderRepository.listStatusHistory(req.order.id),
+      orderRepository.listFieldChanges(req.order.id),
+      commentRepository.listForOrder(req.order.id)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        activity: buildActivity({ history, fieldChanges, comments })
+      }
+    });
+  } catch (error) {
+    sendCommentError(req, res, error, 'Order activity');
+  }
+});
+
+// List user's orders
+app.get('/api/v1/orders', authenticate, async (req, res) => {
+  try {
+    const query = orderListQuery.parse(req.query, { userId: req.user.id });
+  
+    // Only own and assigned orders without orders:read:any
+    const scope = hasPermission(req.user, PERMISSIONS.ORDERS_READ_ANY)
+      ? []
+      : [{ $or: [{ userId: req.user.id }, { assigneeId: req.user.id }] }];
+  
+    const page = await orderListQuery.fetchPage(orderRepository, query, scope);
+  
+    res.json({
+      success: true,
+      data: {
+        orders: page.items.map(order => pickFields(order, query.fields)),
+        pagination: paginationLinks(req, query, page)
+      }
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid query parameters',
+          details: error.errors
+        }
+      });
+    }
+
+    req.log.error('List orders error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+// Update order status and/or its description, priority and due date
+app.patch('/api/v1/orders/:id', authenticate, idempotent, async (req, res) => {
+  try {
+    const validatedData = updateOrderSchema.parse(req.body);
+    
+    const order = await orderRepository.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'ORDER_NOT_FOUND',
+          message: 'Order not found'
+        }
+      });
+    }
+    
+    // Cancelling through PATCH needs the same access as DELETE
+    const action = validatedData.status === ORDER_STATUS.CANCELLED ? 'cancel' : 'update';
+    if (!canAccessOrder(req.user, order, action)) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'FORBIDDEN',
+          message: 'Cannot update this order'
+        }
+      });
+    }
+    
+    const fields = Object.fromEntries(ORDER_EDITABLE_FIELDS
+      .filter(field => validatedData[field] !== undefined)
+      .map(field => [field, validatedData[field]]));
+    const updatedOrder = await changeOrder(order.id, {
+      user: req.user,
+      status: validatedData.status,
+      reason: validatedData.reason,
+      fields,
+      ifMatch: req.get('if-match')
+    });
+    
+    res.setHeader('ETag', etagFor(updatedOrder));
+    res.json({
+      success: true,
+      data: {
+        order: updatedOrder
+      }
+    });
+    
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: error.errors
+        }
+      });
+    }
+
+    if (error instanceof TransitionError) {
+      return sendTransitionError(res, error);
+    }
+
+    if (error instanceof PreconditionFailedError) {
+      return sendPreconditionFailed(res, error);
+    }
+    
+    req.log.error('Update order error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+// Assign, reassign or unassign (assigneeId: null)
+app.put('/api/v1/orders/:id/assignee', authenticate, requirePermission(PERMISSIONS.ORDERS_ASSIGN), idempotent, async (req, res) => {
+  try {
+    const { assigneeId } = assignOrderSchema.parse(req.body);
+
+    const order = await orderRepository.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'ORDER_NOT_FOUND',
+          message: 'Order not found'
+        }
+      });
+    }
+
+    if (assigneeId !== null && !(await assertAssigneeExists(res, assigneeId))) {
+      return;
+    }
+
+    const updatedOrder = await changeOrder(order.id, {
+      user: req.user,
+      fields: { assigneeId },
+      ifMatch: req.get('if-match')
+    });
+
+    res.setHeader('ETag', etagFor(updatedOrder));
+    res.json({
+      success: true,
+      data: {
+        order: updatedOrder
+      }
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: error.errors
+        }
+      });
+    }
+
+    if (error instanceof TransitionError) {
+      return sendTransitionError(res, error);
+    }
+
+    if (error instanceof PreconditionFailedError) {
+      return sendPreconditionFailed(res, error);
+    }
+
+    if (error instanceof UsersServiceError) {
+      return sendUsersServiceError(req, res, error);
+    }
+
+    req.log.error('Assign order error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+// Cancel order
+app.delete('/api/v1/orders/:id', authenticate, idempotent, async (req, res) => {
+  try {
+    const { reason } = cancelOrderSchema.parse(req.body);
+    const order = await orderRepository.findById(req.params.id);
+  
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'ORDER_NOT_FOUND',
+          message: 'Order not found'
+        }
+      });
+    }
+  
+    if (!canAccessOrder(req.user, order, 'cancel')) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'FORBIDDEN',
+          message: 'Cannot cancel this order'
+        }
+      });
+    }
+  
+    // Cancel instead of deleting
+    const cancelledOrder = await changeOrder(order.id, {
+      user: req.user,
+      status: ORDER_STATUS.CANCELLED,
+      reason,
+      ifMatch: req.get('if-match')
+    });
+  
+    res.setHeader('ETag', etagFor(cancelledOrder));
+    res.json({
+      success: true,
+      data: {
+        message: 'Order cancelled successfully',
+        order: cancelledOrder
+      }
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: error.errors
+        }
+      });
+    }
+
+    if (error instanceof TransitionError) {
+      return sendTransitionError(res, error);
+    }
+
+    if (error instanceof PreconditionFailedError) {
+      return sendPreconditionFailed(res, error);
+    }
+
+    req.log.error('Cancel order error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+// Catalog: list products (inactive ones only for catalog managers)
+app.get('/api/v1/products', authenticate, async (req, res) => {
+  try {
+    const query = productListQuery.parse(req.query);
+    const canManage = hasPermission(req.user, PERMISSIONS.PRODUCTS_MANAGE);
+    const scope = canManage && req.query.includeInactive === 'true' ? [] : [{ active: true }];
+
+    const page = await productListQuery.fetchPage(productRepository, query, scope);
+
+    res.json({
+      success: true,
+      data: {
+        products: page.items.map(product => pickFields(product, query.fields)),
+        pagination: paginationLinks(req, query, page)
+      }
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid query parameters',
+          details: error.errors
+        }
+      });
+    }
+
+    req.log.error('List products error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+// Catalog: get product by ID
+app.get('/api/v1/products/:id', authenticate, async (req, res) => {
+  try {
+    const product = await productRepository.findById(req.params.id);
+
+    if (!product || (!product.active && !hasPermission(req.user, PERMISSIONS.PRODUCTS_MANAGE))) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'PRODUCT_NOT_FOUND',
+          message: 'Product not found'
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { product }
+    });
+  } catch (error) {
+    req.log.error('Get product error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+const sendSkuExists = (res, sku) => {
+  return res.status(409).json({
+    success: false,
+    error: {
+      code: 'SKU_EXISTS',
+      message: `Product with SKU ${sku} already exists`
+    }
+  });
+};
+
+// Admin: create product
+app.post('/api/v1/products', authenticate, requirePermission(PERMISSIONS.PRODUCTS_MANAGE), requireMfa, idempotent, async (req, res) => {
+  try {
+    const validatedData = productSchema.parse(req.body);
+
+    if (await productRepository.findBySku(validatedData.sku)) {
+      return sendSkuExists(res, validatedData.sku);
+    }
+
+    const now = new Date().toISOString();
+    const product = await productRepository.create({
+      id: uuidv4(),
+      ...validatedData,
+      createdAt: now,
+      updatedAt: now
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { product }
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: error.errors
+        }
+      });
+    }
+
+    req.log.error('Create product error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+// Admin: update product. Existing orders keep the prices they were placed with.
+app.patch('/api/v1/products/:id', authenticate, requirePermission(PERMISSIONS.PRODUCTS_MANAGE), requireMfa, idempotent, async (req, res) => {
+  try {
+    const validatedData = updateProductSchema.parse(req.body);
+
+    const product = await productRepository.findById(req.params.id);
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'PRODUCT_NOT_FOUND',
+          message: 'Product not found'
+        }
+      });
+    }
+
+    if (validatedData.sku && validatedData.sku !== product.sku && await productRepository.findBySku(validatedData.sku)) {
+      return sendSkuExists(res, validatedData.sku);
+    }
+
+    const updatedProduct = await productRepository.update({
+      ...product,
+      ...validatedData,
+      updatedAt: new Date().toISOString()
+    });
+
+    res.json({
+      success: true,
+      data: { product: updatedProduct }
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: error.errors
+        }
+      });
+    }
+
+    req.log.error('Update product error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+// Admin: remove product from the catalog. Orders reference products, so it is deactivated rather than deleted.
+app.delete('/api/v1/products/:id', authenticate, requirePermission(PERMISSIONS.PRODUCTS_MANAGE), requireMfa, idempotent, async (req, res) => {
+  try {
+    const product = await productRepository.findById(req.params.id);
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'PRODUCT_NOT_FOUND',
+          message: 'Product not found'
+        }
+      });
+    }
+
+    const deactivated = await productRepository.update({
+      ...product,
+      active: false,
+      updatedAt: new Date().toISOString()
+    });
+
+    res.json({
+      success: true,
+      data: {
+        message: 'Product deactivated',
+        product: deactivated
+      }
+    });
+  } catch (error) {
+    req.log.error('Delete product error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+// Admin: webhook subscriptions
+const sendWebhookError = (req, res, error, label) => {
+  if (error instanceof z.ZodError) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid input data',
+        details: error.errors
+      }
+    });
+  }
+
+  req.log.error(`${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    error: {
+      code: 'INTERNAL_ERROR',
+      message: 'Internal server error'
+    }
+  });
+};
+
+const loadWebhook = async (req, res, next) => {
+  try {
+    req.webhook = await webhookRepository.findById(req.params.id);
+    if (!req.webhook) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'WEBHOOK_NOT_FOUND',
+          message: 'Webhook not found'
+        }
+      });
+    }
+    next();
+  } catch (error) {
+    sendWebhookError(req, res, error, 'Load webhook');
+  }
+};
+
+const manageWebhooks = [authenticate, requirePermission(PERMISSIONS.WEBHOOKS_MANAGE), requireMfa];
+
+// The signing secret is returned here and on rotation only
+app.post('/api/v1/webhooks', manageWebhooks, idempotent, async (req, res) => {
+  try {
+    const validatedData = webhookSchema.parse(req.body);
+
+    const now = new Date().toISOString();
+    const webhook = await webhookRepository.create({
+      id: uuidv4(),
+      ...validatedData,
+      secret: generateSecret(),
+      previousSecret: null,
+      previousSecretExpiresAt: null,
+      secretRotatedAt: null,
+      createdBy: req.user.id,
+      createdAt: now,
+      updatedAt: now
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        webhook: toPublicWebhook(webhook),
+        secret: webhook.secret
+      }
+    });
+  } catch (error) {
+    sendWebhookError(req, res, error, 'Create webhook');
+  }
+});
+
+app.get('/api/v1/webhooks', manageWebhooks, async (req, res) => {
+  try {
+    const webhooks = await webhookRepository.list();
+
+    res.json({
+      success: true,
+      data: {
+        webhooks: webhooks.map(toPublicWebhook)
+      }
+    });
+  } catch (error) {
+    sendWebhookError(req, res, error, 'List webhooks');
+  }
+});
+
+app.get('/api/v1/webhooks/:id', manageWebhooks, loadWebhook, (req, res) => {
+  res.json({
+    success: true,
+    data: { webhook: toPublicWebhook(req.webhook) }
+  });
+});
+
+app.patch('/api/v1/webhooks/:id', manageWebhooks, idempotent, loadWebhook, async (req, res) => {
+  try {
+    const validatedData = updateWebhookSchema.parse(req.body);
+
+    const webhook = await webhookRepository.update({
+      ...req.webhook,
+      ...validatedData,
+      updatedAt: new Date().toISOString()
+    });
+
+    res.json({
+      success: true,
+      data: { webhook: toPublicWebhook(webhook) }
+    });
+  } catch (error) {
+    sendWebhookError(req, res, error, 'Update webhook');
+  }
+});
+
+// Pending deliveries of a deleted webhook are cancelled by the dispatcher; the delivery log is kept
+app.delete('/api/v1/webhooks/:id', manageWebhooks, idempotent, loadWebhook, async (req, res) => {
+  try {
+    await webhookRepository.remove(req.webhook.id);
+
+    res.json({
+      success: true,
+      data: { message: 'Webhook deleted' }
+    });
+  } catch (error) {
+    sendWebhookError(req, res, error, 'Delete webhook');
+  }
+});
+
+// New secret signs from now on; the old one keeps signing alongside it for a grace period
+app.post('/api/v1/webhooks/:id/rotate-secret', manageWebhooks, idempotent, loadWebhook, async (req, res) => {
+  try {
+    const webhook = await webhookRepository.update(rotateSecret(req.webhook));
+
+    res.json({
+      success: true,
+      data: {
+        webhook: toPublicWebhook(webhook),
+        secret: webhook.secret
+      }
+    });
+  } catch (error) {
+    sendWebhookError(req, res, error, 'Rotate webhook secret');
+  }
+});
+
+// Delivery log, newest first
+app.get('/api/v1/webhooks/:id/deliveries', manageWebhooks, loadWebhook, async (req, res) => {
+  try {
+    const query = deliveryListQuery.parse(req.query);
+
+    const page = await deliveryListQuery.fetchPage(
+      { find: webhookRepository.findDeliveries, count: webhookRepository.countDeliveries },
+      query,
+      [{ webhookId: req.webhook.id }]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        deliveries: page.items.map(delivery => pickFields(delivery, query.fields)),
+        pagination: paginationLinks(req, query, page)
+      }
+    });
+  } catch (error) {
+    sendWebhookError(req, res, error, 'List webhook deliveries');
+  }
+});
+
+// Sends the same event again as a new delivery (e.g. out of the dead letter)
+app.post('/api/v1/webhooks/:id/deliveries/:deliveryId/replay', manageWebhooks, idempotent, loadWebhook, async (req, res) => {
+  try {
+    const delivery = await webhookRepository.findDelivery(req.params.deliveryId);
+    if (!delivery || delivery.webhookId !== req.webhook.id) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'DELIVERY_NOT_FOUND',
+          message: 'Delivery not found'
+        }
+      });
+    }
+
+    const replay = await replayDelivery(webhookRepository, delivery);
+
+    res.status(202).json({
+      success: true,
+      data: { delivery: replay }
+    });
+  } catch (error) {
+    sendWebhookError(req, res, error, 'Replay webhook delivery');
+  }
+});
+
+// Reports. Everyone gets reports over their own orders; reports:view (managers, executives, admins)
+// widens them to all users. format=csv (or Accept: text/csv) downloads the rows as CSV.
+// `history`: the report also gets the status history of each page of orders.
+const REPORTS = {
+  'orders-by-status': {
+    columns: ['status', 'currency', 'orders', 'revenue'],
+    create: reports.ordersByStatus
+  },
+  'orders-by-period': {
+    columns: ['period', 'status', 'currency', 'orders', 'revenue'],
+    create: reports.ordersByPeriod
+  },
+  'orders-by-user': {
+    columns: ['userId', 'status', 'currency', 'orders', 'revenue'],
+    create: reports.ordersByUser,
+    crossUser: true
+  },
+  'status-durations': {
+    columns: ['status', 'stays', 'averageSeconds', 'open'],
+    create: reports.statusDurations,
+    history: true
+  },
+  'top-products': {
+    columns: ['productId', 'sku', 'name', 'currency', 'quantity', 'revenue', 'orders'],
+    create: reports.topProducts
+  }
+};
+
+app.get('/api/v1/reports', authenticate, (req, res) => {
+  const allUsers = hasPermission(req.user, PERMISSIONS.REPORTS_VIEW);
+
+  res.json({
+    success: true,
+    data: {
+      scope: allUsers ? 'all' : 'own',
+      reports: Object.entries(REPORTS)
+        .filter(([, report]) => allUsers || !report.crossUser)
+        .map(([name, report]) => ({ name, path: `/api/v1/reports/${name}`, columns: report.columns }))
+    }
+  });
+});
+
+app.get('/api/v1/reports/:name', authenticate, async (req, res) => {
+  try {
+    const report = REPORTS[req.params.name];
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'REPORT_NOT_FOUND',
+          message: `Unknown report, expected one of: ${Object.keys(REPORTS).join(', ')}`
+        }
+      });
+    }
+
+    const allUsers = hasPermission(req.user, PERMISSIONS.REPORTS_VIEW);
+    if (report.crossUser && !allUsers) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'FORBIDDEN',
+          message: `Permission ${PERMISSIONS.REPORTS_VIEW} required`
+        }
+      });
+    }
+
+    const query = reportQuerySchema.parse(req.query);
+    const to = query.to || new Date().toISOString();
+    const from = query.from || new Date(Date.parse(to) - REPORT_RANGE_MS).toISOString();
+
+    const where = { createdAt: { gte: from, lt: to } };
+    if (!allUsers) {
+      where.userId = req.user.id;
+    }
+    const builder = report.create(query);
+    await orderRepository.forEachPage(where, REPORT_BATCH_SIZE, async (orders) => {
+      builder.add(orders, report.history
+        ? await orderRepository.listStatusHistoryFor(orders.map(order => order.id))
+        : []);
+    });
+    const rows = builder.rows();
+
+    const format = query.format || (req.accepts(['json', 'csv']) === 'csv' ? 'csv' : 'json');
+    if (format === 'csv') {
+      res.setHeader('Content-Disposition', `attachment; filename="${req.params.name}_${from.slice(0, 10)}_${to.slice(0, 10)}.csv"`);
+      return res.type('text/csv').send(reports.toCsv(rows, report.columns));
+    }
+
+    res.json({
+      success: true,
+      data: {
+        report: req.params.name,
+        scope: allUsers ? 'all' : 'own',
+        from,
+        to,
+        rows
+      }
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid query parameters',
+          details: error.errors
+        }
+      });
+    }
+
+    req.log.error('Report error:', error);
+    res.status(500).json({
       success: false,
       error: {
-        code: 'FORBIDDEN',
-        message: 'Admin access required'
+        code: 'INTERNAL_ERROR',
+        message: 'Internal server error'
       }
     });
   }
-  
+});
+
+const revocationsSchema = z.object({
+  revocations: z.array(z.object({
+    sessionId: z.string().min(1),
+    expiresAt: z.string().datetime()
+  }))
+});
+
+// Internal: sessions users-service just revoked (deactivation, deletion, ...), refused from now on
+app.post('/internal/revocations', requireInternal, (req, res) => {
+  try {
+    const { revocations: revoked } = revocationsSchema.parse(req.body);
+    revocations.add(revoked);
+
+    res.json({
+      success: true,
+      data: { added: revoked.length }
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: error.errors
+        }
+      });
+    }
+
+    req.log.error('Revocations error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+// Internal: what service-orders keeps about a user, for the data export of users-service
+app.get('/internal/users/:id/data', requireInternal, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await collectUserData(db, req.params.id)
+    });
+  } catch (error) {
+    req.log.error('User data export error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+const eraseUserSchema = z.object({
+  email: z.string().email(),
+  // Chosen by users-service and kept with the erasure job, so a retry uses the same one
+  pseudonym: z.string().uuid()
+});
+
+// Internal: account erasure. In one transaction the user's open orders are cancelled and the ones assigned to
+// them unassigned, under the pseudonym; then their orders, history and webhook deliveries are anonymised and
+// the outbox events naming them forgotten (see personalData.js). Stored idempotent responses naming them go
+// after. Safe to repeat.
+app.post('/internal/users/:id/erase', requireInternal, async (req, res) => {
+  try {
+    const { email, pseudonym } = eraseUserSchema.parse(req.body);
+    const userId = req.params.id;
+
+    // Publish what's pending first, so the relay doesn't write back an event forgotten meanwhile
+    await events.flush();
+    const result = await db.transaction(async (tx) => {
+      const handedOver = await handOverOrders(tx, { userId, actorId: pseudonym, deleted: true });
+      const anonymised = await anonymiseUser(tx, { userId, email, pseudonym });
+      const forgotten = await events.forget(tx, {
+        terms: [userId, email],
+        redact: (data) => scrubPayload(data, { userId, email, pseudonym })
+      });
+      return { ...handedOver, ...anonymised, removedEvents: forgotten.removed, redactedEvents: forgotten.redacted };
+    }).finally(() => {
+      events.flush();
+    });
+    result.removedResponses = await idempotency.forget([userId, email]);
+    req.log.info({ ...result }, `🧹 User ${userId} erased from orders`);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: error.errors
+        }
+      });
+    }
+
+    req.log.error('User erasure error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+// Health check
+app.get('/health', async (req, res) => {
+  try {
+    res.json({ 
+      status: 'OK', 
+      service: 'orders-service',
+      orderCount: await orderRepository.count()
+    });
+  } catch (error) {
+    req.log.error('Health check error:', error);
+    res.status(503).json({
+      status: 'DOWN',
+      service: 'orders-service'
+    });
+  }
+});
+
+// Debug endpoint to see requests
+app.get('/api/v1/debug/requests', authenticate, requirePermission(PERMISSIONS.SYSTEM_DEBUG), requireMfa, (req, res) => {
   res.json({
     success: true,
     data: {
@@ -392,8 +1924,102 @@ app.get('/api/v1/debug/requests', authenticate, (req, res) => {
   });
 });
 
-app.listen(PORT, () => {
-  console.log(`📦 Orders service running on port ${PORT}`);
+// Activity log, fed by the order events rather than logged inline by the handlers
+const ORDER_EVENTS = [
+  EVENT_TYPES.ORDER_CREATED,
+  EVENT_TYPES.ORDER_STATUS_CHANGED,
+  EVENT_TYPES.ORDER_UPDATED,
+  EVENT_TYPES.ORDER_ASSIGNED,
+  EVENT_TYPES.ORDER_OVERDUE,
+  EVENT_TYPES.ORDER_COMMENTED
+];
+
+events.subscribe('orders-activity-log', ORDER_EVENTS, async (event) => {
+  if (event.type === EVENT_TYPES.ORDER_CREATED) {
+    logger.info(`📦 Order created: ${event.aggregateId} for user: ${event.data.order.userId}`);
+  } else if (event.type === EVENT_TYPES.ORDER_STATUS_CHANGED) {
+    logger.info(`🔄 Order ${event.aggregateId}: ${event.data.from} -> ${event.data.to}`);
+  } else if (event.type === EVENT_TYPES.ORDER_UPDATED) {
+    logger.info(`✏️  Order ${event.aggregateId} updated: ${event.data.changes.map(change => change.field).join(', ')}`);
+  } else if (event.type === EVENT_TYPES.ORDER_ASSIGNED) {
+    logger.info(`👷 Order ${event.aggregateId} assigned to: ${event.data.assigneeId || 'nobody'}`);
+  } else if (event.type === EVENT_TYPES.ORDER_OVERDUE) {
+    logger.info(`⏰ Order ${event.aggregateId} is overdue (due ${event.data.dueAt})`);
+  } else {
+    logger.info(`💬 Order ${event.aggregateId}: comment by ${event.data.authorId}, mentions: ${event.data.mentions.join(', ') || 'none'}`);
+  }
+});
+
+events.subscribe('webhooks', ORDER_EVENTS, (event, tx) => {
+  return enqueueDeliveries(tx, event);
+});
+
+// A deactivated or deleted user's open orders are handed over by the admin who did it: the ones assigned to
+// them go to `reassignTo` (or back to nobody), and a deleted user's own orders are cancelled. Every change
+// goes through the order's history and events like a manual edit, with the deactivation as its reason.
+const OPEN_STATUSES = [ORDER_STATUS.CREATED, ORDER_STATUS.IN_PROGRESS];
+
+const handOverOrders = async (tx, { userId, reassignTo = null, actorId, deleted }) => {
+  const actor = { id: actorId };
+  const orders = createOrderRepository(tx);
+
+  let cancelled = 0;
+  if (deleted) {
+    const owned = await orders.find({ where: { userId, status: OPEN_STATUSES } });
+    for (const order of owned) {
+      await applyOrderChange(tx, order.id, {
+        user: actor,
+        status: ORDER_STATUS.CANCELLED,
+        reason: 'Customer account deleted'
+      });
+    }
+    cancelled = owned.length;
+  }
+
+  const assigned = await orders.find({ where: { assigneeId: userId, status: OPEN_STATUSES } });
+  for (const order of assigned) {
+    await applyOrderChange(tx, order.id, {
+      user: actor,
+      fields: { assigneeId: reassignTo || null },
+      reason: deleted ? 'Assignee account deleted' : 'Assignee deactivated'
+    });
+  }
+
+  if (cancelled > 0 || assigned.length > 0) {
+    logger.info(`👋 User ${userId} ${deleted ? 'deleted' : 'deactivated'}: ${cancelled} order(s) cancelled, ` +
+      `${assigned.length} ${reassignTo ? `reassigned to ${reassignTo}` : 'unassigned'}`);
+  }
+  return { cancelledOrders: cancelled, handedOverOrders: assigned.length };
+};
+
+events.subscribe('orders-user-lifecycle', [EVENT_TYPES.USER_DEACTIVATED, EVENT_TYPES.USER_DELETED], (event, tx) => {
+  const deleted = event.type === EVENT_TYPES.USER_DELETED;
+  return handOverOrders(tx, {
+    userId: event.data.userId,
+    reassignTo: event.data.reassignTo,
+    actorId: deleted ? event.data.deletedBy : event.data.deactivatedBy,
+    deleted
+  });
+});
+
+const start = async () => {
+  assertProductionSecret('GATEWAY_SECRET', GATEWAY_SECRET);
+  await migrate(db, (message) => logger.info(message));
+  await events.start();
+
+  app.listen(PORT, () => {
+    logger.info(`📦 Orders service running on port ${PORT} (${db.dialect} storage)`);
+  });
+  revocations.start();
+  jwks.start();
+  webhookDispatcher.start();
+  idempotency.start();
+  overdueScheduler.start();
+};
+
+start().catch(error => {
+  logger.fatal(error, '❌ Orders service failed to start');
+  process.exit(1);
 });
 
 // Basic root route
@@ -405,9 +2031,32 @@ app.get('/', (req, res) => {
       endpoints: [
         'POST /api/v1/orders',
         'GET /api/v1/orders',
+        'GET /api/v1/orders/stream (SSE)',
         'GET /api/v1/orders/:id',
+        'GET /api/v1/orders/:id/history',
+        'GET /api/v1/orders/:id/activity',
+        'POST /api/v1/orders/:id/comments',
+        'GET /api/v1/orders/:id/comments',
+        'PATCH /api/v1/orders/:id/comments/:commentId',
+        'DELETE /api/v1/orders/:id/comments/:commentId',
         'PATCH /api/v1/orders/:id',
+        'PUT /api/v1/orders/:id/assignee (managers)',
         'DELETE /api/v1/orders/:id',
+        'GET /api/v1/products',
+        'GET /api/v1/products/:id',
+        'POST /api/v1/products (admin only)',
+        'PATCH /api/v1/products/:id (admin only)',
+        'DELETE /api/v1/products/:id (admin only)',
+        'POST /api/v1/webhooks (admin only)',
+        'GET /api/v1/webhooks (admin only)',
+        'GET /api/v1/webhooks/:id (admin only)',
+        'PATCH /api/v1/webhooks/:id (admin only)',
+        'DELETE /api/v1/webhooks/:id (admin only)',
+        'POST /api/v1/webhooks/:id/rotate-secret (admin only)',
+        'GET /api/v1/webhooks/:id/deliveries (admin only)',
+        'POST /api/v1/webhooks/:id/deliveries/:deliveryId/replay (admin only)',
+        'GET /api/v1/reports',
+        'GET /api/v1/reports/:name (?from, to, format=csv|json)',
         'GET /health'
       ]
     });
@@ -0,0 +1,57 @@
+const { PERMISSIONS, hasPermission } = require('@micro-task/common/rbac');
+
+const ORDER_STATUS = {
+  CREATED: 'created',
+  IN_PROGRESS: 'in_progress',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled'
+};
+
+// from -> { to: permission required on top of update access to the order, or null }
+const TRANSITIONS = {
+  [ORDER_STATUS.CREATED]: {
+    [ORDER_STATUS.IN_PROGRESS]: null,
+    [ORDER_STATUS.CANCELLED]: null
+  },
+  [ORDER_STATUS.IN_PROGRESS]: {
+    [ORDER_STATUS.COMPLETED]: PERMISSIONS.ORDERS_COMPLETE,
+    [ORDER_STATUS.CANCELLED]: null
+  },
+  [ORDER_STATUS.COMPLETED]: {},
+  [ORDER_STATUS.CANCELLED]: {}
+};
+
+class TransitionError extends Error {
+  constructor(code, message, details) {
+    super(message);
+    this.name = 'TransitionError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Completed and cancelled orders can't change any more
+const isTerminal = (status) => Object.keys(TRANSITIONS[status] || {}).length === 0;
+
+// Next states this user may move an order to
+const allowedTransitions = (status, user) => {
+  return Object.entries(TRANSITIONS[status] || {})
+    .filter(([, permission]) => !permission || hasPermission(user, permission))
+    .map(([next]) => next);
+};
+
+const assertTransition = (from, to, user) => {
+  const transitions = TRANSITIONS[from] || {};
+  const details = { from, to, allowed: allowedTransitions(from, user) };
+
+  if (!(to in transitions)) {
+    throw new TransitionError('INVALID_TRANSITION', `Cannot change status from ${from} to ${to}`, details);
+  }
+
+  const permission = transitions[to];
+  if (permission && !hasPermission(user, permission)) {
+    throw new TransitionError('FORBIDDEN', `Permission ${permission} required to change status to ${to}`, details);
+  }
+};
+
+module.exports = { ORDER_STATUS, TRANSITIONS, TransitionError, isTerminal, allowedTransitions, assertTransition };
@@ -0,0 +1,43 @@
+const { ORDER_STATUS, TransitionError, isTerminal, allowedTransitions, assertTransition } = require('./orderStatus');
+
+const CUSTOMER = { id: 'user-1', roles: ['user'] };
+const MANAGER = { id: 'manager-1', roles: ['manager'] };
+
+describe('order status transitions', () => {
+  test('completed and cancelled orders are terminal', () => {
+    expect(isTerminal(ORDER_STATUS.COMPLETED)).toBe(true);
+    expect(isTerminal(ORDER_STATUS.CANCELLED)).toBe(true);
+    expect(isTerminal(ORDER_STATUS.CREATED)).toBe(false);
+    expect(isTerminal(ORDER_STATUS.IN_PROGRESS)).toBe(false);
+  });
+
+  test('only users with orders:complete may complete an order', () => {
+    expect(allowedTransitions(ORDER_STATUS.IN_PROGRESS, CUSTOMER)).toEqual([ORDER_STATUS.CANCELLED]);
+    expect(allowedTransitions(ORDER_STATUS.IN_PROGRESS, MANAGER))
+      .toEqual([ORDER_STATUS.COMPLETED, ORDER_STATUS.CANCELLED]);
+  });
+
+  test('a transition missing from the table is INVALID_TRANSITION, with the allowed ones', () => {
+    expect(() => assertTransition(ORDER_STATUS.CREATED, ORDER_STATUS.COMPLETED, MANAGER)).toThrow(
+      expect.objectContaining({
+        code: 'INVALID_TRANSITION',
+        details: { from: 'created', to: 'completed', allowed: ['in_progress', 'cancelled'] }
+      })
+    );
+    expect(() => assertTransition(ORDER_STATUS.CANCELLED, ORDER_STATUS.CREATED, MANAGER)).toThrow(TransitionError);
+  });
+
+  test('a transition without the permission it needs is FORBIDDEN', () => {
+    expect(() => assertTransition(ORDER_STATUS.IN_PROGRESS, ORDER_STATUS.COMPLETED, CUSTOMER)).toThrow(
+      expect.objectContaining({ code: 'FORBIDDEN' })
+    );
+    expect(() => assertTransition(ORDER_STATUS.IN_PROGRESS, ORDER_STATUS.COMPLETED, MANAGER)).not.toThrow();
+  });
+
+  test('an unknown status has no transitions', () => {
+    expect(allowedTransitions('archived', MANAGER)).toEqual([]);
+    expect(() => assertTransition('archived', ORDER_STATUS.CREATED, MANAGER)).toThrow(
+      expect.objectContaining({ code: 'INVALID_TRANSITION' })
+    );
+  });
+});
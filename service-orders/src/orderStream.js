@@ -0,0 +1,143 @@
+const { createEventRepository } = require('@micro-task/common/repositories/eventRepository');
+const { createOrderRepository } = require('./repositories/orderRepository');
+const { EVENT_TYPES } = require('@micro-task/common/events/types');
+
+const HEARTBEAT_MS = parseInt(process.env.ORDER_STREAM_HEARTBEAT_MS, 10) || 15 * 1000;
+const MAX_STREAMS_PER_USER = parseInt(process.env.ORDER_STREAM_MAX_PER_USER, 10) || 5;
+const RETRY_MS = 3000;
+// A client that was away for longer than this many events gets `reset` and reloads instead of a replay
+const MAX_REPLAY = 1000;
+// A client that stopped reading is dropped rather than buffered for without bound
+const MAX_BUFFERED_BYTES = 1024 * 1024;
+
+const STREAM_EVENTS = Object.values(EVENT_TYPES).filter(type => type.startsWith('order.'));
+
+// Server-Sent Events stream of order events. Every instance listens to the event bus (fan-out, not a consumer
+// group) and pushes to its own connections, so a client may connect to any instance. SSE ids are the domain
+// event ids: on reconnect the client sends Last-Event-ID and the events it missed are replayed from the outbox.
+// canView(user, order) decides what a connection gets, by the order as it is when the event goes out.
+const createOrderStream = ({ db, events, canView, log }) => {
+  const eventRepository = createEventRepository(db);
+  const orders = createOrderRepository(db);
+  const clients = new Set();
+
+  const write = (client, chunk) => {
+    if (client.res.writableLength > MAX_BUFFERED_BYTES) {
+      client.res.destroy();
+      return;
+    }
+    client.res.write(chunk);
+  };
+
+  // Same payload as webhook deliveries
+  const send = (client, event) => {
+    const payload = { id: event.id, type: event.type, occurredAt: event.occurredAt, data: event.data };
+    write(client, `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(payload)}\n\n`);
+  };
+
+  // The client can't be caught up and should reload what it shows
+  const sendReset = (client, reason) => {
+    write(client, `event: reset\ndata: ${JSON.stringify({ reason })}\n\n`);
+  };
+
+  events.listen(STREAM_EVENTS, async (event) => {
+    if (clients.size === 0) {
+      return;
+    }
+
+    // One lookup per event for all of this instance's connections
+    const order = await orders.findById(event.aggregateId);
+    if (!order) {
+      return;
+    }
+
+    clients.forEach(client => {
+      if (!canView(client.user, order)) {
+        return;
+      }
+      if (client.replaying) {
+        client.pending.push(event);
+      } else if (!client.replayed.has(event.id)) {
+        send(client, event);
+      }
+    });
+  });
+
+  const replay = async (client, lastEventId) => {
+    const last = await eventRepository.findInOutbox(lastEventId);
+    if (!last) {
+      return sendReset(client, 'Last-Event-ID is unknown or expired');
+    }
+
+    const missed = await eventRepository.listOutboxAfter(last, STREAM_EVENTS, MAX_REPLAY + 1);
+    if (missed.length > MAX_REPLAY) {
+      return sendReset(client, 'Too many missed events');
+    }
+
+    const byId = new Map();
+    for (const event of missed) {
+      if (!byId.has(event.aggregateId)) {
+        byId.set(event.aggregateId, await orders.findById(event.aggregateId));
+      }
+      const order = byId.get(event.aggregateId);
+      if (order && canView(client.user, order)) {
+        send(client, event);
+        // Not yet relayed ones come in live as well
+        client.replayed.add(event.id);
+      }
+    }
+  };
+
+  // GET handler, after `authenticate`
+  const connect = async (req, res) => {
+    const open = [...clients].filter(client => client.user.id === req.user.id).length;
+    if (open >= MAX_STREAMS_PER_USER) {
+      return res.status(429).json({
+        success: false,
+        error: {
+          code: 'TOO_MANY_STREAMS',
+          message: `At most ${MAX_STREAMS_PER_USER} open streams per user`
+        }
+      });
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      // Proxies such as nginx must not buffer the stream
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    const client = { user: req.user, res, replaying: true, pending: [], replayed: new Set() };
+    clients.add(client);
+
+    const heartbeat = setInterval(() => write(client, ': heartbeat\n\n'), HEARTBEAT_MS);
+    res.on('close', () => {
+      clearInterval(heartbeat);
+      clients.delete(client);
+    });
+
+    // EventSource sends the header; lastEventId in the query is for clients that can't set headers
+    const lastEventId = req.get('last-event-id') || req.query.lastEventId;
+    try {
+      if (lastEventId) {
+        await replay(client, String(lastEventId));
+      }
+    } catch (error) {
+      log.error(`Order stream replay failed: ${error.message}`);
+      sendReset(client, 'Replay failed');
+    }
+
+    client.replaying = false;
+    client.pending
+      .filter(event => !client.replayed.has(event.id))
+      .forEach(event => send(client, event));
+    client.pending = [];
+  };
+
+  return { connect };
+};
+
+module.exports = { createOrderStream };
@@ -0,0 +1,155 @@
+const { EventEmitter } = require('events');
+const { createEventRepository } = require('@micro-task/common/repositories/eventRepository');
+const { createDatabase, migrate } = require('./db');
+const { createOrderRepository } = require('./repositories/orderRepository');
+const { createOrderStream } = require('./orderStream');
+
+const silent = { info: () => {}, warn: () => {}, error: () => {} };
+
+const ALICE = { id: 'alice', roles: ['user'] };
+const BOB = { id: 'bob', roles: ['user'] };
+
+const order = (id, userId) => ({
+  id,
+  userId,
+  status: 'created',
+  items: [],
+  currency: 'RUB',
+  totalAmount: 0,
+  assigneeId: null,
+  priority: 'normal',
+  dueAt: null,
+  overdue: false,
+  createdAt: '2026-10-19T10:00:00.000Z',
+  updatedAt: '2026-10-19T10:00:00.000Z'
+});
+
+const event = (id, aggregateId, createdAt = '2026-10-19T10:00:00.000Z') => ({
+  id,
+  type: 'order.updated',
+  source: 'service-orders',
+  aggregateId,
+  occurredAt: createdAt,
+  data: { orderId: aggregateId },
+  trace: {},
+  createdAt,
+  publishedAt: createdAt
+});
+
+// Owners see their own orders only
+const setup = async () => {
+  process.env.SQLITE_PATH = ':memory:';
+  const db = createDatabase({ driver: 'sqlite' });
+  await migrate(db, () => {});
+  const orders = createOrderRepository(db);
+  await orders.create(order('order-alice', ALICE.id));
+  await orders.create(order('order-bob', BOB.id));
+
+  let listener;
+  const events = {
+    listen: (types, handler) => {
+      listener = handler;
+    }
+  };
+  const stream = createOrderStream({ db, events, canView: (user, doc) => doc.userId === user.id, log: silent });
+  return { db, stream, publish: (published) => listener(published) };
+};
+
+// Open responses, closed after each test so their heartbeats stop
+const opened = [];
+
+// An SSE response; `events()` lists the ids of the events written to it
+const open = async (stream, user, headers = {}) => {
+  const res = new EventEmitter();
+  res.chunks = [];
+  res.writableLength = 0;
+  res.writeHead = jest.fn();
+  res.write = (chunk) => res.chunks.push(chunk);
+  res.destroy = jest.fn();
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  res.events = () => res.chunks.filter(chunk => chunk.startsWith('id: ')).map(chunk => chunk.split('\n')[0].slice(4));
+  res.text = () => res.chunks.join('');
+
+  const req = { user, query: {}, get: (name) => headers[name.toLowerCase()] };
+  opened.push(res);
+  await stream.connect(req, res);
+  return res;
+};
+
+describe('order stream', () => {
+  afterEach(() => {
+    opened.splice(0).forEach(res => res.emit('close'));
+    jest.useRealTimers();
+  });
+
+  test('a connection gets the events of the orders its user may see, and only those', async () => {
+    const { db, stream, publish } = await setup();
+    const alice = await open(stream, ALICE);
+    const bob = await open(stream, BOB);
+
+    await publish(event('event-1', 'order-alice'));
+    await publish(event('event-2', 'order-bob'));
+    await publish(event('event-3', 'order-gone'));
+
+    expect(alice.events()).toEqual(['event-1']);
+    expect(bob.events()).toEqual(['event-2']);
+    expect(JSON.parse(alice.text().match(/^data: (.*)$/m)[1])).toEqual({
+      id: 'event-1',
+      type: 'order.updated',
+      occurredAt: '2026-10-19T10:00:00.000Z',
+      data: { orderId: 'order-alice' }
+    });
+    await db.close();
+  });
+
+  test('a replay after Last-Event-ID is filtered the same way', async () => {
+    const { db, stream } = await setup();
+    const outbox = createEventRepository(db);
+    await outbox.addToOutbox(event('event-1', 'order-alice', '2026-10-19T10:00:00.000Z'));
+    await outbox.addToOutbox(event('event-2', 'order-bob', '2026-10-19T10:01:00.000Z'));
+    await outbox.addToOutbox(event('event-3', 'order-alice', '2026-10-19T10:02:00.000Z'));
+
+    const alice = await open(stream, ALICE, { 'last-event-id': 'event-1' });
+    const unknown = await open(stream, ALICE, { 'last-event-id': 'event-0' });
+
+    expect(alice.events()).toEqual(['event-3']);
+    expect(unknown.text()).toContain('event: reset');
+    await db.close();
+  });
+
+  test('a closed connection gets nothing more and stops its heartbeat', async () => {
+    jest.useFakeTimers({ doNotFake: ['setImmediate', 'nextTick'] });
+    const { db, stream, publish } = await setup();
+    const alice = await open(stream, ALICE);
+
+    jest.advanceTimersByTime(15 * 1000);
+    expect(alice.text()).toContain(': heartbeat');
+
+    alice.emit('close');
+    const written = alice.chunks.length;
+    jest.advanceTimersByTime(60 * 1000);
+    await publish(event('event-1', 'order-alice'));
+
+    expect(alice.chunks).toHaveLength(written);
+    expect(jest.getTimerCount()).toBe(0);
+    await db.close();
+  });
+
+  test('closing a stream frees its place under the per-user limit', async () => {
+    const { db, stream } = await setup();
+    const streams = [];
+    for (let i = 0; i < 5; i += 1) {
+      streams.push(await open(stream, ALICE));
+    }
+
+    const refused = await open(stream, ALICE);
+    expect(refused.status).toHaveBeenCalledWith(429);
+    expect(refused.json.mock.calls[0][0].error.code).toBe('TOO_MANY_STREAMS');
+    expect((await open(stream, BOB)).writeHead).toHaveBeenCalledWith(200, expect.anything());
+
+    streams[0].emit('close');
+    expect((await open(stream, ALICE)).writeHead).toHaveBeenCalledWith(200, expect.anything());
+    await db.close();
+  });
+});
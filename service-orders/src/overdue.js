@@ -0,0 +1,76 @@
+const { createOrderRepository } = require('./repositories/orderRepository');
+const { ORDER_STATUS, isTerminal } = require('./orderStatus');
+const { EVENT_TYPES } = require('@micro-task/common/events/types');
+
+const CHECK_INTERVAL_MS = parseInt(process.env.OVERDUE_CHECK_MS, 10) || 60 * 1000;
+const BATCH_SIZE = 100;
+
+const isOverdue = (order, now) => Boolean(order.dueAt) && order.dueAt < now && !isTerminal(order.status);
+
+// Flags open orders whose due date has passed and emits order.overdue once per order. Several instances
+// may run it: the flag is written with the order's version check, so only one of them records the event.
+const createOverdueScheduler = ({ db, events, log }) => {
+  const orders = createOrderRepository(db);
+  let running = false;
+
+  const flag = (order, now) => db.transaction(async (tx) => {
+    const flagged = await createOrderRepository(tx).update({ ...order, overdue: true, overdueAt: now });
+    if (!flagged) {
+      // Changed since we listed it; the next tick looks at it again
+      return false;
+    }
+
+    await events.record(tx, EVENT_TYPES.ORDER_OVERDUE, order.id, {
+      orderId: order.id,
+      userId: order.userId,
+      assigneeId: order.assigneeId,
+      dueAt: order.dueAt,
+      status: order.status,
+      overdueAt: now
+    });
+    return true;
+  });
+
+  const tick = async () => {
+    if (running) {
+      return;
+    }
+
+    running = true;
+    try {
+      const now = new Date().toISOString();
+      const due = await orders.find({
+        where: {
+          overdue: false,
+          dueAt: { lt: now },
+          status: [ORDER_STATUS.CREATED, ORDER_STATUS.IN_PROGRESS]
+        },
+        sort: [['dueAt', 'asc']],
+        limit: BATCH_SIZE
+      });
+
+      let flagged = 0;
+      for (const order of due) {
+        flagged += (await flag(order, now)) ? 1 : 0;
+      }
+      if (flagged > 0) {
+        events.flush();
+        log.info(`⏰ ${flagged} order(s) became overdue`);
+      }
+    } catch (error) {
+      log.error(`Overdue check failed: ${error.message}`);
+    } finally {
+      running = false;
+    }
+  };
+
+  return {
+    start: () => {
+      tick();
+      setInterval(tick, CHECK_INTERVAL_MS).unref();
+    },
+    tick
+  };
+};
+
+module.exports = { isOverdue, createOverdueScheduler };
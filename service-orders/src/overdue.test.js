@@ -0,0 +1,114 @@
+const { createDatabase, migrate } = require('./db');
+const { createOrderRepository } = require('./repositories/orderRepository');
+const { isOverdue, createOverdueScheduler } = require('./overdue');
+
+const NOW = '2026-10-19T12:00:00.000Z';
+
+// Like pino: no `log` method
+const silent = { info: () => {}, warn: () => {}, error: () => {} };
+
+const order = (id, fields) => ({
+  id,
+  userId: 'user-1',
+  status: 'created',
+  items: [],
+  currency: 'RUB',
+  totalAmount: 0,
+  assigneeId: null,
+  priority: 'normal',
+  dueAt: null,
+  description: null,
+  overdue: false,
+  overdueAt: null,
+  createdAt: '2026-10-01T00:00:00.000Z',
+  updatedAt: '2026-10-01T00:00:00.000Z',
+  ...fields
+});
+
+const setup = async (docs) => {
+  process.env.SQLITE_PATH = ':memory:';
+  const db = createDatabase({ driver: 'sqlite' });
+  await migrate(db, () => {});
+  const orders = createOrderRepository(db);
+  for (const doc of docs) {
+    await orders.create(doc);
+  }
+  const events = { record: jest.fn(async () => {}), flush: jest.fn() };
+  const log = { ...silent, error: jest.fn() };
+  return { db, orders, events, log, scheduler: createOverdueScheduler({ db, events, log }) };
+};
+
+describe('isOverdue', () => {
+  test('an open order is overdue strictly after its due date', () => {
+    expect(isOverdue(order('a', { dueAt: '2026-10-19T11:59:59.999Z' }), NOW)).toBe(true);
+    expect(isOverdue(order('a', { dueAt: NOW }), NOW)).toBe(false);
+    expect(isOverdue(order('a', { dueAt: '2026-10-19T12:00:00.001Z' }), NOW)).toBe(false);
+  });
+
+  test('orders without a due date or already finished are never overdue', () => {
+    expect(isOverdue(order('a'), NOW)).toBe(false);
+    expect(isOverdue(order('a', { dueAt: '2026-10-01T00:00:00.000Z', status: 'completed' }), NOW)).toBe(false);
+    expect(isOverdue(order('a', { dueAt: '2026-10-01T00:00:00.000Z', status: 'cancelled' }), NOW)).toBe(false);
+  });
+});
+
+describe('overdue scheduler', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date(NOW), doNotFake: ['setImmediate', 'nextTick'] });
+  });
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('flags the open orders past their due date and records order.overdue for each', async () => {
+    const { db, orders, events, log, scheduler } = await setup([
+      order('past', { dueAt: '2026-10-19T11:59:59.999Z', assigneeId: 'worker-1', status: 'in_progress' }),
+      order('now', { dueAt: NOW }),
+      order('future', { dueAt: '2026-10-20T00:00:00.000Z' }),
+      order('done', { dueAt: '2026-10-01T00:00:00.000Z', status: 'completed' }),
+      order('undated')
+    ]);
+
+    await scheduler.tick();
+
+    expect(log.error).not.toHaveBeenCalled();
+    expect(await orders.findById('past')).toMatchObject({ overdue: true, overdueAt: NOW, version: 2 });
+    for (const id of ['now', 'future', 'done', 'undated']) {
+      expect(await orders.findById(id)).toMatchObject({ overdue: false, version: 1 });
+    }
+    expect(events.record).toHaveBeenCalledTimes(1);
+    expect(events.record).toHaveBeenCalledWith(expect.anything(), 'order.overdue', 'past', {
+      orderId: 'past',
+      userId: 'user-1',
+      assigneeId: 'worker-1',
+      dueAt: '2026-10-19T11:59:59.999Z',
+      status: 'in_progress',
+      overdueAt: NOW
+    });
+    expect(events.flush).toHaveBeenCalled();
+    await db.close();
+  });
+
+  test('an order is flagged once, later ticks leave it alone', async () => {
+    const { db, events, scheduler } = await setup([order('past', { dueAt: '2026-10-19T11:00:00.000Z' })]);
+
+    await scheduler.tick();
+    await scheduler.tick();
+    expect(events.record).toHaveBeenCalledTimes(1);
+
+    jest.setSystemTime(new Date('2026-10-19T13:00:00.000Z'));
+    await scheduler.tick();
+    expect(events.record).toHaveBeenCalledTimes(1);
+    await db.close();
+  });
+
+  test('instances ticking together record the event once', async () => {
+    const { db, events, log, scheduler } = await setup([order('past', { dueAt: '2026-10-19T11:00:00.000Z' })]);
+    const other = createOverdueScheduler({ db, events, log });
+
+    await Promise.all([scheduler.tick(), other.tick()]);
+
+    expect(events.record).toHaveBeenCalledTimes(1);
+    await db.close();
+  });
+});
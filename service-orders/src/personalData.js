@@ -0,0 +1,186 @@
+const { createOrderRepository } = require('./repositories/orderRepository');
+const { createCommentRepository } = require('./repositories/commentRepository');
+const { createWebhookRepository } = require('./repositories/webhookRepository');
+
+// A user's personal data in service-orders, for the data export and account erasure jobs of users-service.
+// Erasure keeps the orders with their items, amounts, statuses and dates, so reports stay correct; the
+// user's id is replaced with a pseudonym that belongs to no account, and text they wrote is removed.
+
+const MENTION_PLACEHOLDER = '@deleted-user';
+const DELIVERY_BATCH_SIZE = 500;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// The user's orders with their history and comments, the orders assigned to them and every comment they wrote
+const collectUserData = async (db, userId) => {
+  const orders = createOrderRepository(db);
+  const comments = createCommentRepository(db);
+
+  const owned = await orders.find({ where: { userId }, sort: [['createdAt', 'asc'], ['id', 'asc']] });
+  const withActivity = [];
+  for (const order of owned) {
+    withActivity.push({
+      ...order,
+      statusHistory: await orders.listStatusHistory(order.id),
+      fieldChanges: await orders.listFieldChanges(order.id),
+      comments: await comments.listForOrder(order.id)
+    });
+  }
+
+  return {
+    orders: withActivity,
+    assignedOrders: await orders.find({ where: { assigneeId: userId }, sort: [['createdAt', 'asc'], ['id', 'asc']] }),
+    comments: await comments.listByAuthor(userId)
+  };
+};
+
+// Erased from stored event payloads (outbox, webhook deliveries): the user's id becomes the pseudonym, their
+// email the placeholder, and the description of their orders and the reasons they gave are dropped.
+const scrubPayload = (data, { userId, email, pseudonym }) => {
+  const scrub = (value) => {
+    if (Array.isArray(value)) {
+      return value.map(scrub);
+    }
+    if (value && typeof value === 'object') {
+      const scrubbed = Object.fromEntries(Object.entries(value).map(([key, inner]) => [key, scrub(inner)]));
+      if (value.userId === userId) {
+        if ('description' in scrubbed) {
+          scrubbed.description = null;
+        }
+        if (Array.isArray(scrubbed.changes)) {
+          scrubbed.changes = scrubbed.changes.map(change => (change.field === 'description'
+            ? { ...change, from: null, to: null }
+            : change));
+        }
+      }
+      if (value.actorId === userId && 'reason' in scrubbed) {
+        scrubbed.reason = null;
+      }
+      return scrubbed;
+    }
+    if (value === userId) {
+      return pseudonym;
+    }
+    if (typeof value === 'string' && value.toLowerCase().includes(email.toLowerCase())) {
+      return value.replace(new RegExp(`@?${escapeRegExp(email)}`, 'gi'), MENTION_PLACEHOLDER);
+    }
+    return value;
+  };
+  return scrub(data);
+};
+
+const mentionsUser = (value, { userId, email }) => {
+  const text = JSON.stringify(value).toLowerCase();
+  return text.includes(userId.toLowerCase()) || text.includes(email.toLowerCase());
+};
+
+// Runs in the caller's transaction, after the user's open orders were handed over; the user's outbox events
+// are the caller's (events.forget with scrubPayload). Repeating it finds nothing left to change.
+const anonymiseUser = async (tx, { userId, email, pseudonym }) => {
+  const orders = createOrderRepository(tx);
+  const comments = createCommentRepository(tx);
+  const webhooks = createWebhookRepository(tx);
+  const swap = (value) => (value === userId ? pseudonym : value);
+
+  const related = await orders.find({ where: { $or: [{ userId }, { assigneeId: userId }] } });
+  const owned = new Set();
+  for (const order of related) {
+    const own = order.userId === userId;
+    if (own) {
+      owned.add(order.id);
+    }
+    const saved = await orders.update({
+      ...order,
+      userId: swap(order.userId),
+      assigneeId: swap(order.assigneeId),
+      // Free text the customer wrote
+      description: own ? null : order.description
+    });
+    if (!saved) {
+      throw new Error(`Order ${order.id} changed during anonymisation`);
+    }
+  }
+
+  // History on any order: changes the user made, and assignments to or from them
+  for (const entry of await orders.listStatusChangesBy(userId)) {
+    await orders.updateStatusChange({ ...entry, actorId: pseudonym, reason: null });
+  }
+
+  const fieldChanges = new Map();
+  for (const entry of await orders.listFieldChangesInvolving(userId)) {
+    fieldChanges.set(entry.id, entry);
+  }
+  for (const orderId of owned) {
+    for (const entry of await orders.listFieldChanges(orderId)) {
+      fieldChanges.set(entry.id, entry);
+    }
+  }
+  for (const entry of fieldChanges.values()) {
+    const changes = entry.changes.map(change => (owned.has(entry.orderId) && change.field === 'description'
+      ? { ...change, from: null, to: null }
+      : { ...change, from: swap(change.from), to: swap(change.to) }));
+    await orders.updateFieldChange({
+      ...entry,
+      changes,
+      actorId: swap(entry.actorId),
+      reason: entry.actorId === userId ? null : entry.reason
+    });
+  }
+
+  const written = await comments.listByAuthor(userId);
+  for (const comment of written) {
+    await comments.remove(comment.id);
+  }
+
+  const mention = new RegExp(`@${escapeRegExp(email)}`, 'gi');
+  const mentioning = await comments.listMentioning(userId);
+  for (const comment of mentioning) {
+    await comments.update({
+      ...comment,
+      body: comment.body.replace(mention, MENTION_PLACEHOLDER),
+      mentions: comment.mentions.map(swap)
+    });
+  }
+
+  // Webhook deliveries keep a copy of the event they sent, and the receiver's responses
+  let scrubbedDeliveries = 0;
+  let after = null;
+  for (;;) {
+    const page = await webhooks.findDeliveries({
+      where: after ? {
+        $or: [
+          { createdAt: { gt: after.createdAt } },
+          { createdAt: after.createdAt, id: { gt: after.id } }
+        ]
+      } : {},
+      sort: [['createdAt', 'asc'], ['id', 'asc']],
+      limit: DELIVERY_BATCH_SIZE
+    });
+    for (const delivery of page) {
+      if (!mentionsUser([delivery.payload, delivery.attempts], { userId, email })) {
+        continue;
+      }
+      await webhooks.updateDelivery({
+        ...delivery,
+        payload: { ...delivery.payload, data: scrubPayload(delivery.payload.data, { userId, email, pseudonym }) },
+        attempts: delivery.attempts.map(attempt => (mentionsUser(attempt, { userId, email })
+          ? { ...attempt, response: null }
+          : attempt))
+      });
+      scrubbedDeliveries += 1;
+    }
+    if (page.length < DELIVERY_BATCH_SIZE) {
+      break;
+    }
+    after = page[page.length - 1];
+  }
+
+  return {
+    anonymisedOrders: related.length,
+    removedComments: written.length,
+    scrubbedMentions: mentioning.length,
+    scrubbedDeliveries
+  };
+};
+
+module.exports = { collectUserData, anonymiseUser, scrubPayload };
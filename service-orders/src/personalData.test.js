@@ -0,0 +1,168 @@
+const { createEventBus } = require('@micro-task/common/events');
+const { createDatabase, migrate } = require('./db');
+const { createOrderRepository } = require('./repositories/orderRepository');
+const { createCommentRepository } = require('./repositories/commentRepository');
+const { createWebhookRepository } = require('./repositories/webhookRepository');
+const { anonymiseUser, scrubPayload } = require('./personalData');
+
+const USER_ID = '6f1c2a4e-0b7d-4c3e-9a51-2d8f0e6b7c11';
+const EMAIL = 'Erased.User@example.com';
+const PSEUDONYM = '0d9e8f7a-6b5c-4d3e-8f2a-1b0c9d8e7f60';
+const ADMIN_ID = 'admin-1';
+const OTHER_ID = 'other-1';
+
+const TABLES = ['orders', 'order_status_history', 'order_field_changes', 'order_comments', 'outbox', 'webhook_deliveries'];
+
+const silent = { info: () => {}, warn: () => {}, error: () => {} };
+
+const setup = async () => {
+  process.env.SQLITE_PATH = ':memory:';
+  const db = createDatabase({ driver: 'sqlite' });
+  await migrate(db, () => {});
+  const events = createEventBus({ db, source: 'service-orders', log: silent });
+  return { db, events };
+};
+
+const order = (id, fields) => ({
+  id,
+  status: 'created',
+  items: [],
+  totalAmount: 0,
+  assigneeId: null,
+  priority: 'normal',
+  dueAt: null,
+  description: null,
+  overdue: false,
+  overdueAt: null,
+  createdAt: '2026-01-01T00:00:00.000Z',
+  updatedAt: '2026-01-01T00:00:00.000Z',
+  ...fields
+});
+
+// The user's own order, an order of someone else assigned to them, and what they did on both
+const seed = async (db, events) => {
+  const orders = createOrderRepository(db);
+  const comments = createCommentRepository(db);
+  const webhooks = createWebhookRepository(db);
+
+  const own = await orders.create(order('order-1', { userId: USER_ID, description: 'Ring me at home' }));
+  await orders.create(order('order-2', { userId: OTHER_ID, assigneeId: USER_ID }));
+
+  await orders.addStatusChange({
+    id: 'status-1', orderId: 'order-1', from: null, status: 'created', actorId: USER_ID, reason: null, changedAt: own.createdAt
+  });
+  await orders.addStatusChange({
+    id: 'status-2', orderId: 'order-2', from: 'created', status: 'in_progress', actorId: USER_ID,
+    reason: 'Started it myself', changedAt: '2026-01-02T00:00:00.000Z'
+  });
+  await orders.addFieldChange({
+    id: 'fields-1', orderId: 'order-1', changes: [{ field: 'description', from: null, to: 'Ring me at home' }],
+    actorId: USER_ID, reason: null, changedAt: '2026-01-02T00:00:00.000Z'
+  });
+  await orders.addFieldChange({
+    id: 'fields-2', orderId: 'order-2', changes: [{ field: 'assigneeId', from: null, to: USER_ID }],
+    actorId: ADMIN_ID, reason: 'Urgent', changedAt: '2026-01-02T00:00:00.000Z'
+  });
+
+  await comments.create({
+    id: 'comment-1', orderId: 'order-2', authorId: USER_ID, body: 'On it', mentions: [],
+    createdAt: '2026-01-03T00:00:00.000Z', updatedAt: '2026-01-03T00:00:00.000Z'
+  });
+  await comments.create({
+    id: 'comment-2', orderId: 'order-2', authorId: OTHER_ID, body: `@${EMAIL} thanks!`, mentions: [USER_ID],
+    createdAt: '2026-01-04T00:00:00.000Z', updatedAt: '2026-01-04T00:00:00.000Z'
+  });
+
+  // One event the relay has published, one still waiting for it
+  const created = await events.record(db, 'ORDER_CREATED', 'order-1', { order: own });
+  await events.flush();
+  await events.record(db, 'ORDER_STATUS_CHANGED', 'order-2', {
+    orderId: 'order-2', userId: OTHER_ID, from: 'created', to: 'in_progress', actorId: USER_ID, reason: 'Started it myself'
+  });
+
+  await webhooks.createDelivery({
+    id: 'delivery-1',
+    webhookId: 'webhook-1',
+    eventId: created.id,
+    eventType: created.type,
+    payload: { id: created.id, type: created.type, occurredAt: created.occurredAt, data: created.data },
+    status: 'delivered',
+    attemptCount: 1,
+    attempts: [{ at: '2026-01-01T00:00:01.000Z', statusCode: 200, response: `ok ${EMAIL}`, ok: true }],
+    nextAttemptAt: '2026-01-01T00:00:00.000Z',
+    deliveredAt: '2026-01-01T00:00:01.000Z',
+    replayOf: null,
+    createdAt: '2026-01-01T00:00:00.000Z',
+    updatedAt: '2026-01-01T00:00:01.000Z'
+  });
+};
+
+const erase = (db, events) => db.transaction(async (tx) => {
+  const anonymised = await anonymiseUser(tx, { userId: USER_ID, email: EMAIL, pseudonym: PSEUDONYM });
+  const forgotten = await events.forget(tx, {
+    terms: [USER_ID, EMAIL],
+    redact: (data) => scrubPayload(data, { userId: USER_ID, email: EMAIL, pseudonym: PSEUDONYM })
+  });
+  return { ...anonymised, ...forgotten };
+});
+
+const dump = async (db) => {
+  const rows = [];
+  for (const table of TABLES) {
+    rows.push(...await db.query(`SELECT * FROM ${table}`));
+  }
+  return JSON.stringify(rows).toLowerCase();
+};
+
+describe('account erasure', () => {
+  test('leaves nothing that identifies the user', async () => {
+    const { db, events } = await setup();
+    await seed(db, events);
+    expect(await dump(db)).toContain(USER_ID);
+
+    await erase(db, events);
+
+    const stored = await dump(db);
+    for (const trace of [USER_ID, EMAIL, 'Ring me at home', 'Started it myself']) {
+      expect(stored).not.toContain(trace.toLowerCase());
+    }
+    await db.close();
+  });
+
+  test('keeps the orders and history under the pseudonym', async () => {
+    const { db, events } = await setup();
+    await seed(db, events);
+
+    const result = await erase(db, events);
+
+    const orders = createOrderRepository(db);
+    expect((await orders.findById('order-1')).userId).toBe(PSEUDONYM);
+    expect((await orders.findById('order-2')).assigneeId).toBe(PSEUDONYM);
+    expect((await orders.listStatusHistory('order-2'))[0]).toMatchObject({ actorId: PSEUDONYM, reason: null });
+    expect((await orders.listFieldChanges('order-2'))[0]).toMatchObject({
+      actorId: ADMIN_ID,
+      reason: 'Urgent',
+      changes: [{ field: 'assigneeId', from: null, to: PSEUDONYM }]
+    });
+    expect((await createCommentRepository(db).listForOrder('order-2')).map(comment => comment.body))
+      .toEqual(['@deleted-user thanks!']);
+    expect(result).toMatchObject({ removed: 1, redacted: 1, scrubbedDeliveries: 1 });
+    await db.close();
+  });
+
+  test('can be repeated', async () => {
+    const { db, events } = await setup();
+    await seed(db, events);
+    await erase(db, events);
+
+    expect(await erase(db, events)).toMatchObject({
+      anonymisedOrders: 0,
+      removedComments: 0,
+      scrubbedMentions: 0,
+      scrubbedDeliveries: 0,
+      removed: 0,
+      redacted: 0
+    });
+    await db.close();
+  });
+});
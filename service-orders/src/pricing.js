@@ -0,0 +1,80 @@
+// Order pricing. All amounts are integers in minor units of the order currency (kopecks, cents);
+// rates are basis points (2000 = 20%). Rounding is half-up, per line.
+
+class PricingError extends Error {
+  constructor(code, message, details) {
+    super(message);
+    this.name = 'PricingError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+const applyRate = (amount, bps) => Math.round(amount * bps / 10000);
+
+const priceLine = (product, quantity) => {
+  const subtotal = product.unitPrice * quantity;
+  const discount = applyRate(subtotal, product.discountBps || 0);
+  const tax = applyRate(subtotal - discount, product.taxRateBps || 0);
+
+  return {
+    productId: product.id,
+    sku: product.sku,
+    name: product.name,
+    quantity,
+    unitPrice: product.unitPrice,
+    subtotal,
+    discount,
+    tax,
+    total: subtotal - discount + tax
+  };
+};
+
+// items: [{ productId, quantity }], products: catalog entries for those ids
+const priceOrder = (items, products) => {
+  const byId = new Map(products.map(product => [product.id, product]));
+
+  const missing = items.filter(item => !byId.has(item.productId) || !byId.get(item.productId).active);
+  if (missing.length > 0) {
+    throw new PricingError('PRODUCT_NOT_FOUND', 'Some products do not exist or are no longer available', {
+      productIds: missing.map(item => item.productId)
+    });
+  }
+
+  const currencies = [...new Set(items.map(item => byId.get(item.productId).currency))];
+  if (currencies.length > 1) {
+    throw new PricingError('CURRENCY_MISMATCH', 'All products in an order must share one currency', { currencies });
+  }
+
+  const lines = items.map(item => priceLine(byId.get(item.productId), item.quantity));
+  const sum = (field) => lines.reduce((total, line) => total + line[field], 0);
+
+  return {
+    items: lines,
+    currency: currencies[0],
+    subtotal: sum('subtotal'),
+    discountTotal: sum('discount'),
+    taxTotal: sum('tax'),
+    totalAmount: sum('total')
+  };
+};
+
+// The client may send what it expects to pay; a stale price or a tampered total must not go through silently
+const assertExpectedTotal = (pricing, expected) => {
+  if (expected.currency !== undefined && expected.currency !== pricing.currency) {
+    throw new PricingError('CURRENCY_MISMATCH', `Order is priced in ${pricing.currency}`, {
+      expected: pricing.currency,
+      received: expected.currency
+    });
+  }
+
+  if (expected.totalAmount !== undefined && expected.totalAmount !== pricing.totalAmount) {
+    throw new PricingError('TOTAL_MISMATCH', 'totalAmount does not match the server-side price', {
+      expected: pricing.totalAmount,
+      received: expected.totalAmount,
+      currency: pricing.currency
+    });
+  }
+};
+
+module.exports = { PricingError, priceOrder, assertExpectedTotal };
@@ -0,0 +1,66 @@
+const { PricingError, priceOrder, assertExpectedTotal } = require('./pricing');
+
+const product = (id, fields) => ({
+  id,
+  sku: id.toUpperCase(),
+  name: `Product ${id}`,
+  unitPrice: 1000,
+  currency: 'RUB',
+  taxRateBps: 0,
+  discountBps: 0,
+  active: true,
+  ...fields
+});
+
+describe('order pricing', () => {
+  test('discounts, then taxes the discounted amount, rounding half-up per line', () => {
+    const pricing = priceOrder(
+      [{ productId: 'a', quantity: 3 }, { productId: 'b', quantity: 1 }],
+      [product('a', { unitPrice: 333, discountBps: 1000, taxRateBps: 2000 }), product('b', { unitPrice: 5 })]
+    );
+
+    // a: 999, discount 99.9 -> 100, tax of 899 at 20% = 179.8 -> 180
+    expect(pricing.items[0]).toMatchObject({ subtotal: 999, discount: 100, tax: 180, total: 1079 });
+    expect(pricing).toMatchObject({
+      currency: 'RUB',
+      subtotal: 1004,
+      discountTotal: 100,
+      taxTotal: 180,
+      totalAmount: 1084
+    });
+  });
+
+  test('rejects unknown and inactive products, listing them', () => {
+    expect(() => priceOrder(
+      [{ productId: 'a', quantity: 1 }, { productId: 'b', quantity: 1 }, { productId: 'c', quantity: 1 }],
+      [product('a'), product('b', { active: false })]
+    )).toThrow(expect.objectContaining({ code: 'PRODUCT_NOT_FOUND', details: { productIds: ['b', 'c'] } }));
+  });
+
+  test('rejects orders mixing currencies', () => {
+    expect(() => priceOrder(
+      [{ productId: 'a', quantity: 1 }, { productId: 'b', quantity: 1 }],
+      [product('a'), product('b', { currency: 'USD' })]
+    )).toThrow(expect.objectContaining({ code: 'CURRENCY_MISMATCH' }));
+  });
+
+  describe('expected total', () => {
+    const pricing = { currency: 'RUB', totalAmount: 1084 };
+
+    test('passes when it matches or is not sent', () => {
+      expect(() => assertExpectedTotal(pricing, { currency: 'RUB', totalAmount: 1084 })).not.toThrow();
+      expect(() => assertExpectedTotal(pricing, {})).not.toThrow();
+    });
+
+    test('a stale or tampered total is TOTAL_MISMATCH with the server price', () => {
+      expect(() => assertExpectedTotal(pricing, { totalAmount: 1000 })).toThrow(expect.objectContaining({
+        code: 'TOTAL_MISMATCH',
+        details: { expected: 1084, received: 1000, currency: 'RUB' }
+      }));
+    });
+
+    test('another currency is CURRENCY_MISMATCH', () => {
+      expect(() => assertExpectedTotal(pricing, { currency: 'USD' })).toThrow(PricingError);
+    });
+  });
+});
@@ -0,0 +1,170 @@
+const { ORDER_STATUS } = require('./orderStatus');
+
+// Order reports. Each report folds the orders of the requested range a page at a time: `add(orders, history)`
+// per page, then `rows()`. Memory grows with the rows, not with the orders, and it works the same on every
+// storage backend. Money stays in minor units and is never summed across currencies.
+
+const PERIODS = ['day', 'week', 'month'];
+
+// UTC period a timestamp falls into: 2026-10-19 (day), 2026-10-19 (Monday of the ISO week), 2026-10 (month)
+const periodOf = (timestamp, period) => {
+  const date = new Date(timestamp);
+  if (period === 'month') {
+    return date.toISOString().slice(0, 7);
+  }
+  if (period === 'week') {
+    date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+  }
+  return date.toISOString().slice(0, 10);
+};
+
+// Groups orders by `keyOf` (a list of column values) and counts them with their revenue
+const countByKey = (columns, keyOf) => {
+  const groups = new Map();
+
+  return {
+    add: (orders) => orders.forEach(order => {
+      const values = keyOf(order);
+      const key = JSON.stringify(values);
+      if (!groups.has(key)) {
+        groups.set(key, { ...Object.fromEntries(columns.map((column, i) => [column, values[i]])), orders: 0, revenue: 0 });
+      }
+      const group = groups.get(key);
+      group.orders += 1;
+      group.revenue += order.totalAmount;
+    }),
+
+    rows: () => [...groups.values()].sort((a, b) => {
+      for (const column of columns) {
+        if (a[column] !== b[column]) {
+          return a[column] < b[column] ? -1 : 1;
+        }
+      }
+      return 0;
+    })
+  };
+};
+
+const ordersByStatus = () => countByKey(['status', 'currency'], order => [order.status, order.currency]);
+
+const ordersByPeriod = ({ period }) => countByKey(['period', 'status', 'currency'], order => [
+  periodOf(order.createdAt, period),
+  order.status,
+  order.currency
+]);
+
+const ordersByUser = () => countByKey(['userId', 'status', 'currency'], order => [
+  order.userId,
+  order.status,
+  order.currency
+]);
+
+// How long orders stay in each status, from the status history of each page's orders. A stay ends with
+// the next change; orders still sitting in a status count as `open` and don't affect the average.
+const statusDurations = () => {
+  const stats = new Map(Object.values(ORDER_STATUS).map(status => [status, { total: 0, stays: 0, open: 0 }]));
+
+  return {
+    add: (orders, history) => {
+      const byOrder = new Map(orders.map(order => [order.id, []]));
+      history.forEach(entry => {
+        if (byOrder.has(entry.orderId)) {
+          byOrder.get(entry.orderId).push(entry);
+        }
+      });
+
+      byOrder.forEach(entries => {
+        entries.sort((a, b) => (a.changedAt < b.changedAt ? -1 : 1));
+        entries.forEach((entry, index) => {
+          const stat = stats.get(entry.status);
+          const next = entries[index + 1];
+          if (!stat) {
+            return;
+          }
+          if (next) {
+            stat.total += Date.parse(next.changedAt) - Date.parse(entry.changedAt);
+            stat.stays += 1;
+          } else {
+            stat.open += 1;
+          }
+        });
+      });
+    },
+
+    rows: () => [...stats.entries()].map(([status, stat]) => ({
+      status,
+      stays: stat.stays,
+      averageSeconds: stat.stays > 0 ? Math.round(stat.total / stat.stays / 1000) : null,
+      open: stat.open
+    }))
+  };
+};
+
+// Best-selling products by revenue or quantity. Cancelled orders don't count as sales.
+// `orders` is the number of distinct orders with the product, however many lines it takes up in each.
+const topProducts = ({ limit, by }) => {
+  const products = new Map();
+  const orderIds = new Map();
+
+  return {
+    add: (orders) => orders
+      .filter(order => order.status !== ORDER_STATUS.CANCELLED)
+      .forEach(order => order.items.forEach(item => {
+        // Orders from before the catalog have no productId
+        const key = `${item.productId || `legacy:${item.name}`}:${order.currency}`;
+        if (!products.has(key)) {
+          products.set(key, {
+            productId: item.productId || null,
+            sku: item.sku || null,
+            name: item.name,
+            currency: order.currency,
+            quantity: 0,
+            revenue: 0,
+            orders: 0
+          });
+          orderIds.set(key, new Set());
+        }
+        const product = products.get(key);
+        product.quantity += item.quantity;
+        product.revenue += item.total;
+        if (!orderIds.get(key).has(order.id)) {
+          orderIds.get(key).add(order.id);
+          product.orders += 1;
+        }
+      })),
+
+    rows: () => [...products.values()]
+      .sort((a, b) => b[by] - a[by])
+      .slice(0, limit)
+  };
+};
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (rows, columns) => {
+  return [columns, ...rows.map(row => columns.map(column => row[column]))]
+    .map(cells => cells.map(csvCell).join(','))
+    .join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  PERIODS,
+  ordersByStatus,
+  ordersByPeriod,
+  ordersByUser,
+  statusDurations,
+  topProducts,
+  toCsv
+};
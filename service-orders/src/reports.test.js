@@ -0,0 +1,99 @@
+const { createDatabase } = require('./db');
+const { createOrderRepository } = require('./repositories/orderRepository');
+const reports = require('./reports');
+
+const order = (id, fields) => ({
+  id,
+  userId: 'user-1',
+  status: 'created',
+  currency: 'RUB',
+  items: [],
+  totalAmount: 0,
+  createdAt: '2026-10-19T10:00:00.000Z',
+  ...fields
+});
+
+const ORDERS = [
+  order('a', { totalAmount: 100, items: [{ productId: 'p1', sku: 'P1', name: 'One', quantity: 1, total: 100 }] }),
+  order('b', { status: 'completed', totalAmount: 300, createdAt: '2026-10-20T10:00:00.000Z',
+    items: [{ productId: 'p2', sku: 'P2', name: 'Two', quantity: 3, total: 300 }] }),
+  order('c', { userId: 'user-2', status: 'cancelled', totalAmount: 500,
+    items: [{ productId: 'p2', sku: 'P2', name: 'Two', quantity: 5, total: 500 }] }),
+  order('d', { currency: 'USD', totalAmount: 7, createdAt: '2026-10-27T10:00:00.000Z',
+    items: [{ productId: 'p1', sku: 'P1', name: 'One', quantity: 1, total: 7 }] })
+];
+
+// Feeds the orders in pages of `size`, like the report endpoint does
+const build = (report, orders, size, history = []) => {
+  for (let i = 0; i < orders.length; i += size) {
+    report.add(orders.slice(i, i + size), history);
+  }
+  return report.rows();
+};
+
+describe('reports', () => {
+  test('give the same rows whatever the page size', () => {
+    for (const create of [reports.ordersByStatus, reports.ordersByUser, reports.topProducts]) {
+      const query = { period: 'week', limit: 10, by: 'revenue' };
+      expect(build(create(query), ORDERS, 1)).toEqual(build(create(query), ORDERS, ORDERS.length));
+    }
+  });
+
+  test('orders-by-period groups by ISO week and never sums across currencies', () => {
+    expect(build(reports.ordersByPeriod({ period: 'week' }), ORDERS, 2)).toEqual([
+      { period: '2026-10-19', status: 'cancelled', currency: 'RUB', orders: 1, revenue: 500 },
+      { period: '2026-10-19', status: 'completed', currency: 'RUB', orders: 1, revenue: 300 },
+      { period: '2026-10-19', status: 'created', currency: 'RUB', orders: 1, revenue: 100 },
+      { period: '2026-10-26', status: 'created', currency: 'USD', orders: 1, revenue: 7 }
+    ]);
+  });
+
+  test('top-products leaves out cancelled orders', () => {
+    expect(build(reports.topProducts({ limit: 2, by: 'quantity' }), ORDERS, 3)).toEqual([
+      { productId: 'p2', sku: 'P2', name: 'Two', currency: 'RUB', quantity: 3, revenue: 300, orders: 1 },
+      { productId: 'p1', sku: 'P1', name: 'One', currency: 'RUB', quantity: 1, revenue: 100, orders: 1 }
+    ]);
+  });
+
+  test('top-products counts an order once however many of its lines hold the product', () => {
+    const line = { productId: 'p1', sku: 'P1', name: 'One', quantity: 1, total: 100 };
+    const orders = [
+      order('a', { items: [line, { ...line, quantity: 2, total: 200 }] }),
+      order('b', { items: [line] })
+    ];
+
+    expect(build(reports.topProducts({ limit: 10, by: 'quantity' }), orders, 1)).toEqual([
+      { productId: 'p1', sku: 'P1', name: 'One', currency: 'RUB', quantity: 4, revenue: 400, orders: 2 }
+    ]);
+  });
+
+  test('status-durations averages finished stays and counts the open ones', () => {
+    const history = [
+      { orderId: 'b', status: 'created', changedAt: '2026-10-20T10:00:00.000Z' },
+      { orderId: 'b', status: 'completed', changedAt: '2026-10-20T10:01:00.000Z' },
+      { orderId: 'a', status: 'created', changedAt: '2026-10-19T10:00:00.000Z' }
+    ];
+
+    const rows = build(reports.statusDurations(), ORDERS.slice(0, 2), 1, history);
+
+    expect(rows.find(row => row.status === 'created')).toEqual({ status: 'created', stays: 1, averageSeconds: 60, open: 1 });
+    expect(rows.find(row => row.status === 'completed')).toMatchObject({ stays: 0, averageSeconds: null, open: 1 });
+  });
+});
+
+describe('orderRepository.forEachPage', () => {
+  test('visits every matching order once, across pages and equal timestamps', async () => {
+    const orders = createOrderRepository(createDatabase({ driver: 'memory' }));
+    for (const doc of ORDERS) {
+      await orders.create(doc);
+    }
+
+    const pages = [];
+    const where = { createdAt: { gte: '2026-10-19T00:00:00.000Z', lt: '2026-10-21T00:00:00.000Z' } };
+    await orders.forEachPage(where, 1, async (page) => {
+      pages.push(page.map(doc => doc.id));
+    });
+
+    expect(pages).toEqual([['a'], ['c'], ['b']]);
+  });
+});
@@ -0,0 +1,33 @@
+const COMMENTS = {
+  table: 'order_comments',
+  columns: {
+    orderId: 'order_id',
+    authorId: 'author_id',
+    mentions: 'mentions',
+    createdAt: 'created_at'
+  }
+};
+
+const createCommentRepository = (db) => {
+  const comments = db.collection(COMMENTS);
+
+  return {
+    findById: (id) => comments.get(id),
+
+    // comment: { id, orderId, authorId, body, mentions, createdAt, updatedAt, editedAt }
+    create: (comment) => comments.insert(comment),
+
+    update: (comment) => comments.update(comment),
+
+    remove: (id) => comments.remove(id),
+
+    // Oldest first
+    listForOrder: (orderId) => comments.find({ orderId }, { sort: [['createdAt', 'asc'], ['id', 'asc']] }),
+
+    listByAuthor: (authorId) => comments.find({ authorId }, { sort: [['createdAt', 'asc'], ['id', 'asc']] }),
+
+    listMentioning: (userId) => comments.find({ mentions: { has: userId } })
+  };
+};
+
+module.exports = { createCommentRepository };
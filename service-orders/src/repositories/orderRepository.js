@@ -0,0 +1,116 @@
+const ORDERS = {
+  table: 'orders',
+  columns: {
+    userId: 'user_id',
+    status: 'status',
+    totalAmount: 'total_amount',
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    version: 'version',
+    assigneeId: 'assignee_id',
+    priority: 'priority',
+    dueAt: 'due_at',
+    overdue: 'overdue'
+  }
+};
+
+const STATUS_HISTORY = {
+  table: 'order_status_history',
+  columns: {
+    orderId: 'order_id',
+    status: 'status',
+    actorId: 'actor_id',
+    changedAt: 'changed_at'
+  }
+};
+
+const FIELD_CHANGES = {
+  table: 'order_field_changes',
+  columns: {
+    orderId: 'order_id',
+    userIds: 'user_ids',
+    changedAt: 'changed_at'
+  }
+};
+
+// Fields of a field change that hold user ids
+const USER_FIELDS = ['userId', 'assigneeId'];
+
+// Every user a field change names, so erasure can find it on any order
+const withUserIds = (entry) => {
+  const userIds = [entry.actorId, ...entry.changes
+    .filter(change => USER_FIELDS.includes(change.field))
+    .flatMap(change => [change.from, change.to])];
+  return { ...entry, userIds: [...new Set(userIds.filter(Boolean))] };
+};
+
+const createOrderRepository = (db) => {
+  const orders = db.collection(ORDERS);
+  const statusHistory = db.collection(STATUS_HISTORY);
+  const fieldChanges = db.collection(FIELD_CHANGES);
+
+  return {
+    findById: (id) => orders.get(id),
+
+    create: (order) => orders.insert({ ...order, version: 1 }),
+
+    // Optimistic: bumps the version, or returns null if the order changed since `order` was read
+    update: (order) => orders.updateIf({ ...order, version: order.version + 1 }, { version: order.version }),
+
+    count: (where) => orders.count(where),
+
+    find: ({ where, sort, offset, limit }) => orders.find(where, { sort, offset, limit }),
+
+    // Calls `fn` with the orders matching `where` in (createdAt, id) order, `size` at a time, so a large
+    // range is never loaded at once
+    forEachPage: async (where, size, fn) => {
+      let last = null;
+      for (;;) {
+        const page = await orders.find(last ? {
+          $and: [where, {
+            $or: [
+              { createdAt: { gt: last.createdAt } },
+              { createdAt: last.createdAt, id: { gt: last.id } }
+            ]
+          }]
+        } : where, { sort: [['createdAt', 'asc'], ['id', 'asc']], limit: size });
+        if (page.length > 0) {
+          await fn(page);
+        }
+        if (page.length < size) {
+          return;
+        }
+        last = page[page.length - 1];
+      }
+    },
+
+    // entry: { id, orderId, from, status, actorId, reason, changedAt }
+    addStatusChange: (entry) => statusHistory.insert(entry),
+
+    updateStatusChange: (entry) => statusHistory.update(entry),
+
+    listStatusHistory: (orderId) => statusHistory.find({ orderId }, { sort: [['changedAt', 'asc']] }),
+
+    // History of many orders at once, queried in chunks to stay under bind parameter limits
+    listStatusHistoryFor: async (orderIds) => {
+      const entries = [];
+      for (let i = 0; i < orderIds.length; i += 500) {
+        entries.push(...await statusHistory.find({ orderId: orderIds.slice(i, i + 500) }));
+      }
+      return entries;
+    },
+
+    listStatusChangesBy: (actorId) => statusHistory.find({ actorId }),
+
+    // entry: { id, orderId, changes: [{ field, from, to }], actorId, reason, changedAt }
+    addFieldChange: (entry) => fieldChanges.insert(withUserIds(entry)),
+
+    updateFieldChange: (entry) => fieldChanges.update(withUserIds(entry)),
+
+    listFieldChanges: (orderId) => fieldChanges.find({ orderId }, { sort: [['changedAt', 'asc']] }),
+
+    listFieldChangesInvolving: (userId) => fieldChanges.find({ userIds: { has: userId } })
+  };
+};
+
+module.exports = { createOrderRepository };
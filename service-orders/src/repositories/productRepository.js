@@ -0,0 +1,32 @@
+const PRODUCTS = {
+  table: 'products',
+  columns: {
+    sku: 'sku',
+    name: 'name',
+    active: 'active',
+    createdAt: 'created_at'
+  }
+};
+
+const createProductRepository = (db) => {
+  const products = db.collection(PRODUCTS);
+
+  return {
+    findById: (id) => products.get(id),
+
+    findByIds: (ids) => products.find({ id: ids }),
+
+    findBySku: (sku) => products.findOne({ sku }),
+
+    create: (product) => products.insert(product),
+
+    update: (product) => products.update(product),
+
+    count: (where) => products.count(where),
+
+    // Catalog listing, see productListQuery
+    find: ({ where, sort, offset, limit }) => products.find(where, { sort, offset, limit })
+  };
+};
+
+module.exports = { createProductRepository };
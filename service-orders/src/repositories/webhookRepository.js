@@ -0,0 +1,58 @@
+const WEBHOOKS = {
+  table: 'webhooks',
+  columns: {
+    active: 'active',
+    createdAt: 'created_at'
+  }
+};
+
+const DELIVERIES = {
+  table: 'webhook_deliveries',
+  columns: {
+    webhookId: 'webhook_id',
+    eventId: 'event_id',
+    status: 'status',
+    nextAttemptAt: 'next_attempt_at',
+    createdAt: 'created_at'
+  }
+};
+
+const createWebhookRepository = (db) => {
+  const webhooks = db.collection(WEBHOOKS);
+  const deliveries = db.collection(DELIVERIES);
+
+  return {
+    findById: (id) => webhooks.get(id),
+
+    create: (webhook) => webhooks.insert(webhook),
+
+    update: (webhook) => webhooks.update(webhook),
+
+    remove: (id) => webhooks.remove(id),
+
+    list: () => webhooks.find({}, { sort: [['createdAt', 'asc']] }),
+
+    listActive: () => webhooks.find({ active: true }),
+
+    findDelivery: (id) => deliveries.get(id),
+
+    createDelivery: (delivery) => deliveries.insert(delivery),
+
+    updateDelivery: (delivery) => deliveries.update(delivery),
+
+    // Compare-and-set for the dispatcher: null when the stored delivery no longer matches `where`
+    updateDeliveryIf: (delivery, where) => deliveries.updateIf(delivery, where),
+
+    // The delivery log, see deliveryListQuery
+    findDeliveries: ({ where, sort, offset, limit }) => deliveries.find(where, { sort, offset, limit }),
+
+    countDeliveries: (where) => deliveries.count(where),
+
+    listDue: (limit) => deliveries.find(
+      { status: 'pending', nextAttemptAt: { lte: new Date().toISOString() } },
+      { sort: [['nextAttemptAt', 'asc']], limit }
+    )
+  };
+};
+
+module.exports = { createWebhookRepository };
@@ -0,0 +1,52 @@
+// Local copy of recently revoked sessions, polled from users-service so revoked access tokens are rejected
+// before they expire. A failed poll keeps the last known list. users-service also pushes the revocations
+// that must apply at once (deactivation, deletion) through `add`.
+const createRevocationList = ({ url, secret, intervalMs, log }) => {
+  const revoked = new Map();
+  let since = null;
+
+  const add = (revocations) => {
+    revocations.forEach(revocation => {
+      revoked.set(revocation.sessionId, Date.parse(revocation.expiresAt));
+    });
+  };
+
+  const poll = async () => {
+    try {
+      const query = since ? `?since=${encodeURIComponent(since)}` : '';
+      const response = await fetch(`${url}/internal/revocations${query}`, {
+        headers: secret ? { 'x-gateway-secret': secret } : {},
+        signal: AbortSignal.timeout(intervalMs)
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      const { data } = await response.json();
+      add(data.revocations);
+
+      // Overlap the next window a little so nothing committed mid-poll is missed
+      since = new Date(Date.parse(data.checkedAt) - intervalMs).toISOString();
+
+      const now = Date.now();
+      revoked.forEach((expiresAt, sessionId) => {
+        if (expiresAt <= now) {
+          revoked.delete(sessionId);
+        }
+      });
+    } catch (error) {
+      log.error(`Revocation list refresh failed: ${error.message}`);
+    }
+  };
+
+  return {
+    start: () => {
+      poll();
+      setInterval(poll, intervalMs).unref();
+    },
+    add,
+    isRevoked: (sessionId) => Boolean(sessionId) && revoked.has(sessionId)
+  };
+};
+
+module.exports = { createRevocationList };
@@ -0,0 +1,20 @@
+const { createRevocationList } = require('./revocations');
+
+describe('revocation list', () => {
+  test('sessions pushed with add are refused at once, without a poll', () => {
+    const revocations = createRevocationList({ url: 'http://users.invalid', intervalMs: 1000 });
+    const expiresAt = new Date(Date.now() + 60 * 1000).toISOString();
+
+    revocations.add([{ sessionId: 'session-1', expiresAt }]);
+
+    expect(revocations.isRevoked('session-1')).toBe(true);
+    expect(revocations.isRevoked('session-2')).toBe(false);
+  });
+
+  test('tokens without a session id are never treated as revoked', () => {
+    const revocations = createRevocationList({ url: 'http://users.invalid', intervalMs: 1000 });
+
+    expect(revocations.isRevoked(null)).toBe(false);
+    expect(revocations.isRevoked(undefined)).toBe(false);
+  });
+});
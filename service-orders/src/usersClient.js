@@ -0,0 +1,50 @@
+// Lookups in users-service over its internal API, authenticated with the shared gateway secret
+const TIMEOUT_MS = 3000;
+
+class UsersServiceError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsersServiceError';
+  }
+}
+
+const createUsersClient = ({ url, secret }) => {
+  // Response data, or null on 404; throws UsersServiceError when users-service can't answer
+  const request = async (path) => {
+    let response;
+    try {
+      response = await fetch(`${url}${path}`, {
+        headers: secret ? { 'x-gateway-secret': secret } : {},
+        signal: AbortSignal.timeout(TIMEOUT_MS)
+      });
+    } catch (error) {
+      throw new UsersServiceError(`users-service is unreachable: ${error.message}`);
+    }
+
+    if (response.status === 404) {
+      return null;
+    }
+    if (!response.ok) {
+      throw new UsersServiceError(`users-service answered HTTP ${response.status}`);
+    }
+
+    const { data } = await response.json();
+    return data;
+  };
+
+  // null when the user doesn't exist
+  const findUser = async (id) => {
+    const data = await request(`/internal/users/${encodeURIComponent(id)}`);
+    return data && data.user;
+  };
+
+  // The users that exist among `emails`
+  const findUsersByEmail = async (emails) => {
+    const data = await request(`/internal/users?email=${encodeURIComponent(emails.join(','))}`);
+    return data ? data.users : [];
+  };
+
+  return { findUser, findUsersByEmail };
+};
+
+module.exports = { UsersServiceError, createUsersClient };
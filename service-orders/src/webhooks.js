@@ -0,0 +1,228 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { createWebhookRepository } = require('./repositories/webhookRepository');
+
+const DELIVERY_STATUS = {
+  PENDING: 'pending',
+  DELIVERED: 'delivered',
+  // Dead letter: gave up after WEBHOOK_MAX_ATTEMPTS, can still be replayed
+  DEAD: 'dead',
+  // Webhook was deleted or disabled before the delivery went out
+  CANCELLED: 'cancelled'
+};
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8;
+const BACKOFF_MS = parseInt(process.env.WEBHOOK_BACKOFF_MS, 10) || 30 * 1000;
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10 * 1000;
+const POLL_MS = parseInt(process.env.WEBHOOK_POLL_MS, 10) || 1000;
+const BATCH_SIZE = 20;
+// After a rotation deliveries are signed with both secrets for this long, so receivers can switch over
+const SECRET_GRACE_MS = 24 * 60 * 60 * 1000;
+const MAX_LOGGED_RESPONSE = 500;
+
+const generateSecret = () => `whsec_${crypto.randomBytes(32).toString('base64url')}`;
+
+// Receivers recompute this over the raw body and compare it with the X-Webhook-Signature value(s)
+const sign = (secret, timestamp, body) => {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+};
+
+const signingSecrets = (webhook) => {
+  const secrets = [webhook.secret];
+  if (webhook.previousSecret && webhook.previousSecretExpiresAt > new Date().toISOString()) {
+    secrets.push(webhook.previousSecret);
+  }
+  return secrets;
+};
+
+// Patterns: exact type, `order.*` or `*`
+const matchesEvent = (webhook, type) => webhook.events.some(pattern => {
+  return pattern === '*' || pattern === type || (pattern.endsWith('.*') && type.startsWith(pattern.slice(0, -1)));
+});
+
+// Exponential with ±20% jitter so failed deliveries don't retry in lockstep
+const backoffMs = (attempt) => Math.round(BACKOFF_MS * 2 ** (attempt - 1) * (0.8 + Math.random() * 0.4));
+
+const rotateSecret = (webhook) => {
+  const now = new Date();
+  return {
+    ...webhook,
+    secret: generateSecret(),
+    previousSecret: webhook.secret,
+    previousSecretExpiresAt: new Date(now.getTime() + SECRET_GRACE_MS).toISOString(),
+    secretRotatedAt: now.toISOString(),
+    updatedAt: now.toISOString()
+  };
+};
+
+// Everything but the secrets
+const toPublicWebhook = ({ secret, previousSecret, ...webhook }) => webhook;
+
+const newDelivery = (webhookId, payload, replayOf = null) => {
+  const now = new Date().toISOString();
+  return {
+    id: uuidv4(),
+    webhookId,
+    eventId: payload.id,
+    eventType: payload.type,
+    payload,
+    status: DELIVERY_STATUS.PENDING,
+    attemptCount: 0,
+    attempts: [],
+    nextAttemptAt: now,
+    deliveredAt: null,
+    replayOf,
+    createdAt: now,
+    updatedAt: now
+  };
+};
+
+// Event consumer: queue one delivery per matching webhook, in the consumer's transaction
+const enqueueDeliveries = async (tx, event) => {
+  const webhooks = createWebhookRepository(tx);
+  const payload = { id: event.id, type: event.type, occurredAt: event.occurredAt, data: event.data };
+
+  const targets = (await webhooks.listActive()).filter(webhook => matchesEvent(webhook, event.type));
+  for (const webhook of targets) {
+    await webhooks.createDelivery(newDelivery(webhook.id, payload));
+  }
+};
+
+const replayDelivery = (repository, delivery) => {
+  return repository.createDelivery(newDelivery(delivery.webhookId, delivery.payload, delivery.id));
+};
+
+const send = async (webhook, delivery) => {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const signatures = signingSecrets(webhook).map(secret => `v1=${sign(secret, timestamp, body)}`);
+
+  const started = Date.now();
+  const attempt = { at: new Date(started).toISOString() };
+  try {
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'content-type': 'application/json',
+        'user-agent': 'service-orders-webhooks/1.0',
+        'x-webhook-id': delivery.id,
+        'x-webhook-event': delivery.eventType,
+        'x-webhook-timestamp': String(timestamp),
+        'x-webhook-signature': signatures.join(', ')
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(TIMEOUT_MS)
+    });
+    const text = await response.text().catch(() => '');
+
+    attempt.statusCode = response.status;
+    attempt.response = text.slice(0, MAX_LOGGED_RESPONSE);
+    attempt.ok = response.status >= 200 && response.status < 300;
+  } catch (error) {
+    attempt.statusCode = null;
+    attempt.error = error.name === 'TimeoutError' ? `Timed out after ${TIMEOUT_MS}ms` : error.message;
+    attempt.ok = false;
+  }
+  attempt.durationMs = Date.now() - started;
+  return attempt;
+};
+
+// Sends due deliveries. Several instances may run it: a delivery is leased (its next attempt pushed out)
+// with a compare-and-set on the state that was read, so only one instance sends it. The result is written
+// only while the lease is still held; if it ran out and another instance took over, receivers dedupe on
+// X-Webhook-Id.
+const createWebhookDispatcher = ({ db, log }) => {
+  const webhooks = createWebhookRepository(db);
+  let running = false;
+
+  // Still due as it was read: not sent, cancelled or leased by anyone else since
+  const unchanged = (delivery) => ({ status: DELIVERY_STATUS.PENDING, nextAttemptAt: delivery.nextAttemptAt });
+
+  const deliver = async (delivery) => {
+    const webhook = await webhooks.findById(delivery.webhookId);
+    if (!webhook || !webhook.active) {
+      await webhooks.updateDeliveryIf({
+        ...delivery,
+        status: DELIVERY_STATUS.CANCELLED,
+        nextAttemptAt: null,
+        updatedAt: new Date().toISOString()
+      }, unchanged(delivery));
+      return;
+    }
+
+    const leased = await webhooks.updateDeliveryIf({
+      ...delivery,
+      nextAttemptAt: new Date(Date.now() + TIMEOUT_MS * 2).toISOString()
+    }, unchanged(delivery));
+    if (!leased) {
+      return;
+    }
+
+    const attempt = await send(webhook, leased);
+    const now = new Date().toISOString();
+
+    // Re-read so changes made meanwhile (e.g. an erasure scrubbing the payload) aren't overwritten
+    const current = await webhooks.findDelivery(leased.id);
+    if (!current) {
+      return;
+    }
+    const attemptCount = current.attemptCount + 1;
+
+    let next;
+    if (attempt.ok) {
+      next = { status: DELIVERY_STATUS.DELIVERED, nextAttemptAt: null, deliveredAt: now };
+    } else if (attemptCount >= MAX_ATTEMPTS) {
+      next = { status: DELIVERY_STATUS.DEAD, nextAttemptAt: null };
+      log.error(`Webhook delivery ${delivery.id} to ${webhook.url} moved to dead letter after ${attemptCount} attempts`);
+    } else {
+      next = { nextAttemptAt: new Date(Date.now() + backoffMs(attemptCount)).toISOString() };
+    }
+
+    const saved = await webhooks.updateDeliveryIf({
+      ...current,
+      ...next,
+      attemptCount,
+      attempts: [...current.attempts, attempt],
+      updatedAt: now
+    }, unchanged(leased));
+    if (!saved) {
+      log.warn(`Webhook delivery ${delivery.id}: lease ran out before the attempt was recorded`);
+    }
+  };
+
+  const tick = async () => {
+    if (running) {
+      return;
+    }
+
+    running = true;
+    try {
+      const due = await webhooks.listDue(BATCH_SIZE);
+      await Promise.all(due.map(delivery => deliver(delivery).catch(error => {
+        log.error(`Webhook delivery ${delivery.id} failed: ${error.message}`);
+      })));
+    } catch (error) {
+      log.error(`Webhook dispatcher failed: ${error.message}`);
+    } finally {
+      running = false;
+    }
+  };
+
+  return {
+    start: () => {
+      setInterval(tick, POLL_MS).unref();
+    },
+    tick
+  };
+};
+
+module.exports = {
+  DELIVERY_STATUS,
+  generateSecret,
+  rotateSecret,
+  toPublicWebhook,
+  enqueueDeliveries,
+  replayDelivery,
+  createWebhookDispatcher
+};
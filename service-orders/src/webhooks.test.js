@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+const { createDatabase } = require('./db');
+const { createWebhookRepository } = require('./repositories/webhookRepository');
+const { DELIVERY_STATUS, generateSecret, enqueueDeliveries, createWebhookDispatcher } = require('./webhooks');
+
+const EVENT = {
+  id: 'event-1',
+  type: 'order.created',
+  occurredAt: '2026-10-19T10:00:00.000Z',
+  data: { order: { id: 'order-1' } }
+};
+
+const silent = { info: () => {}, warn: () => {}, error: () => {} };
+
+const setup = async () => {
+  const db = createDatabase({ driver: 'memory' });
+  const webhooks = createWebhookRepository(db);
+  const webhook = await webhooks.create({
+    id: 'webhook-1',
+    url: 'https://hooks.example.com/orders',
+    events: ['order.*'],
+    secret: generateSecret(),
+    previousSecret: null,
+    previousSecretExpiresAt: null,
+    active: true,
+    createdAt: '2026-10-19T00:00:00.000Z',
+    updatedAt: '2026-10-19T00:00:00.000Z'
+  });
+  await enqueueDeliveries(db, EVENT);
+  const [delivery] = await webhooks.listDue(10);
+  return { db, webhooks, webhook, delivery, dispatcher: createWebhookDispatcher({ db, log: silent }) };
+};
+
+const respond = (status) => jest.fn(async () => ({ status, text: async () => '' }));
+
+describe('webhook dispatcher', () => {
+  const realFetch = global.fetch;
+  afterEach(() => {
+    global.fetch = realFetch;
+  });
+
+  test('signs the body with HMAC-SHA256 over `<timestamp>.<body>`', async () => {
+    const { webhooks, webhook, delivery, dispatcher } = await setup();
+    global.fetch = respond(204);
+
+    await dispatcher.tick();
+
+    const [url, request] = global.fetch.mock.calls[0];
+    const timestamp = request.headers['x-webhook-timestamp'];
+    const expected = crypto.createHmac('sha256', webhook.secret).update(`${timestamp}.${request.body}`).digest('hex');
+    expect(url).toBe(webhook.url);
+    expect(request.headers['x-webhook-signature']).toBe(`v1=${expected}`);
+    expect(request.headers['x-webhook-id']).toBe(delivery.id);
+    expect(JSON.parse(request.body)).toEqual(EVENT);
+    expect(await webhooks.findDelivery(delivery.id)).toMatchObject({
+      status: DELIVERY_STATUS.DELIVERED,
+      attemptCount: 1
+    });
+  });
+
+  test('retries with exponential backoff and ±20% jitter', async () => {
+    const { webhooks, delivery, dispatcher } = await setup();
+    global.fetch = respond(500);
+
+    for (const attempt of [1, 2, 3]) {
+      const before = Date.now();
+      await dispatcher.tick();
+      const failed = await webhooks.findDelivery(delivery.id);
+      const delayMs = Date.parse(failed.nextAttemptAt) - before;
+
+      expect(failed).toMatchObject({ status: DELIVERY_STATUS.PENDING, attemptCount: attempt });
+      expect(delayMs).toBeGreaterThanOrEqual(30 * 1000 * 2 ** (attempt - 1) * 0.8 - 1000);
+      expect(delayMs).toBeLessThanOrEqual(30 * 1000 * 2 ** (attempt - 1) * 1.2 + 1000);
+      // Due again right away
+      await webhooks.updateDelivery({ ...failed, nextAttemptAt: new Date(0).toISOString() });
+    }
+  });
+
+  test('moves the delivery to the dead letter after the last attempt', async () => {
+    const { webhooks, delivery, dispatcher } = await setup();
+    await webhooks.updateDelivery({ ...delivery, attemptCount: 7 });
+    global.fetch = jest.fn(async () => { throw new Error('connect ECONNREFUSED'); });
+
+    await dispatcher.tick();
+
+    expect(await webhooks.findDelivery(delivery.id)).toMatchObject({
+      status: DELIVERY_STATUS.DEAD,
+      nextAttemptAt: null,
+      attemptCount: 8
+    });
+  });
+
+  test('cancels deliveries of a disabled webhook without sending them', async () => {
+    const { webhooks, webhook, delivery, dispatcher } = await setup();
+    await webhooks.update({ ...webhook, active: false });
+    global.fetch = respond(204);
+
+    await dispatcher.tick();
+
+    expect(global.fetch).not.toHaveBeenCalled();
+    expect(await webhooks.findDelivery(delivery.id)).toMatchObject({ status: DELIVERY_STATUS.CANCELLED });
+  });
+
+  test('instances ticking together send a due delivery once and keep every attempt', async () => {
+    const { db, webhooks, delivery, dispatcher } = await setup();
+    const other = createWebhookDispatcher({ db, log: silent });
+    global.fetch = respond(204);
+
+    await Promise.all([dispatcher.tick(), other.tick()]);
+
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(await webhooks.findDelivery(delivery.id)).toMatchObject({
+      status: DELIVERY_STATUS.DELIVERED,
+      attemptCount: 1
+    });
+  });
+});
@@ -0,0 +1,220 @@
+const { v4: uuidv4 } = require('uuid');
+const { createDataRequestRepository } = require('./repositories/dataRequestRepository');
+
+const DATA_REQUEST_TYPE = {
+  EXPORT: 'export',
+  ERASURE: 'erasure'
+};
+
+const DATA_REQUEST_STATUS = {
+  PENDING: 'pending',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  // Gave up after DATA_REQUEST_MAX_ATTEMPTS; an admin can retry it
+  FAILED: 'failed',
+  // An export whose archive was deleted after DATA_EXPORT_TTL_HOURS
+  EXPIRED: 'expired'
+};
+
+const MAX_ATTEMPTS = parseInt(process.env.DATA_REQUEST_MAX_ATTEMPTS, 10) || 5;
+// Doubles with every failed attempt: 30s, 1m, 2m …
+const BACKOFF_MS = parseInt(process.env.DATA_REQUEST_BACKOFF_MS, 10) || 30 * 1000;
+const POLL_INTERVAL_MS = parseInt(process.env.DATA_REQUEST_POLL_MS, 10) || 2000;
+// A running request not finished by then belongs to an instance that died; another one picks it up
+const LEASE_MS = 5 * 60 * 1000;
+const EXPORT_TTL_HOURS = parseInt(process.env.DATA_EXPORT_TTL_HOURS, 10) || 72;
+const BATCH_SIZE = 10;
+
+const isOpen = (request) => [DATA_REQUEST_STATUS.PENDING, DATA_REQUEST_STATUS.RUNNING].includes(request.status);
+
+// What the user and admins see: no parameters (they may hold personal data) and no archive
+const toDataRequest = (request) => ({
+  id: request.id,
+  userId: request.userId,
+  type: request.type,
+  status: request.status,
+  attempts: request.attempts,
+  lastError: request.lastError || null,
+  result: request.result || null,
+  nextAttemptAt: request.status === DATA_REQUEST_STATUS.PENDING ? request.nextAttemptAt : null,
+  startedAt: request.startedAt || null,
+  completedAt: request.completedAt || null,
+  expiresAt: request.expiresAt || null,
+  createdAt: request.createdAt,
+  updatedAt: request.updatedAt
+});
+
+// Data export and account erasure requests, run in the background with retries. `handlers[type](request)`
+// does the work and returns the fields to store on the completed request (e.g. `archive`); a throw is
+// retried with backoff; `onCompleted(request)` runs once the result is stored. Requests live in the database, so any instance may run them, and one that stops
+// halfway is taken over once its lease runs out: handlers must be safe to repeat.
+const createDataRequests = ({ db, handlers, onCompleted = () => {}, log }) => {
+  const repository = createDataRequestRepository(db);
+  let running = false;
+
+  // `db` may be a transaction, so the request commits with whatever caused it
+  const create = (tx, { userId, type, params = {} }) => {
+    const now = new Date().toISOString();
+    return createDataRequestRepository(tx).create({
+      id: uuidv4(),
+      userId,
+      type,
+      status: DATA_REQUEST_STATUS.PENDING,
+      params,
+      attempts: 0,
+      lastError: null,
+      result: null,
+      archive: null,
+      nextAttemptAt: now,
+      startedAt: null,
+      completedAt: null,
+      expiresAt: null,
+      createdAt: now,
+      updatedAt: now
+    });
+  };
+
+  const execute = async (request) => {
+    const now = Date.now();
+    // Only one instance wins the version race
+    const claimed = await repository.update({
+      ...request,
+      status: DATA_REQUEST_STATUS.RUNNING,
+      attempts: request.attempts + 1,
+      startedAt: new Date(now).toISOString(),
+      nextAttemptAt: new Date(now + LEASE_MS).toISOString(),
+      updatedAt: new Date(now).toISOString()
+    });
+    if (!claimed) {
+      return;
+    }
+
+    let outcome;
+    try {
+      const fields = await handlers[claimed.type](claimed);
+      const completedAt = new Date();
+      outcome = {
+        ...claimed,
+        ...fields,
+        status: DATA_REQUEST_STATUS.COMPLETED,
+        lastError: null,
+        nextAttemptAt: null,
+        completedAt: completedAt.toISOString(),
+        expiresAt: claimed.type === DATA_REQUEST_TYPE.EXPORT
+          ? new Date(completedAt.getTime() + EXPORT_TTL_HOURS * 60 * 60 * 1000).toISOString()
+          : null,
+        updatedAt: completedAt.toISOString()
+      };
+      log.info(`📦 Data request ${claimed.id} (${claimed.type}) completed`);
+    } catch (error) {
+      const failed = claimed.attempts >= MAX_ATTEMPTS;
+      outcome = {
+        ...claimed,
+        status: failed ? DATA_REQUEST_STATUS.FAILED : DATA_REQUEST_STATUS.PENDING,
+        lastError: error.message,
+        nextAttemptAt: failed ? null : new Date(Date.now() + BACKOFF_MS * 2 ** (claimed.attempts - 1)).toISOString(),
+        updatedAt: new Date().toISOString()
+      };
+      log.error(`Data request ${claimed.id} (${claimed.type}) attempt ${claimed.attempts} failed: ${error.message}`);
+    }
+
+    const saved = await repository.update(outcome);
+    if (!saved) {
+      log.error(`Data request ${claimed.id} was taken over before it finished`);
+    } else if (saved.status === DATA_REQUEST_STATUS.COMPLETED) {
+      onCompleted(saved);
+    }
+  };
+
+  const expire = (request, now) => repository.update({
+    ...request,
+    status: DATA_REQUEST_STATUS.EXPIRED,
+    archive: null,
+    updatedAt: now
+  });
+
+  // Runs what is due. Called on an interval and right after a request is created.
+  const runDue = async () => {
+    if (running) {
+      return;
+    }
+    running = true;
+    try {
+      let due;
+      do {
+        due = await repository.listDue(new Date().toISOString(), BATCH_SIZE);
+        for (const request of due) {
+          await execute(request);
+        }
+      } while (due.length === BATCH_SIZE);
+    } catch (error) {
+      log.error(`Running data requests failed: ${error.message}`);
+    } finally {
+      running = false;
+    }
+  };
+
+  return {
+    create,
+
+    runDue,
+
+    findById: repository.findById,
+
+    // The user's newest request of a type, or null
+    findLatest: repository.findLatest,
+
+    // A failed request starts over with a fresh set of attempts. Null if it isn't failed (any more).
+    retry: (request) => {
+      if (request.status !== DATA_REQUEST_STATUS.FAILED) {
+        return null;
+      }
+      const now = new Date().toISOString();
+      return repository.update({
+        ...request,
+        status: DATA_REQUEST_STATUS.PENDING,
+        attempts: 0,
+        nextAttemptAt: now,
+        updatedAt: now
+      });
+    },
+
+    // Deletes the archives of exports past their expiry
+    prune: async () => {
+      const now = new Date().toISOString();
+      const expired = await repository.listExpired(now, 500);
+      for (const request of expired) {
+        await expire(request, now);
+      }
+      return expired.length;
+    },
+
+    // Account erasure: the user's archives go at once
+    expireExports: async (userId) => {
+      const now = new Date().toISOString();
+      const exports = await repository.find({
+        where: { userId, type: DATA_REQUEST_TYPE.EXPORT, status: DATA_REQUEST_STATUS.COMPLETED }
+      });
+      for (const request of exports) {
+        await expire(request, now);
+      }
+    },
+
+    start: () => {
+      runDue();
+      setInterval(runDue, POLL_INTERVAL_MS).unref();
+    },
+
+    // For listQuery's fetchPage
+    requests: { find: repository.find, count: repository.count }
+  };
+};
+
+module.exports = {
+  DATA_REQUEST_TYPE,
+  DATA_REQUEST_STATUS,
+  EXPORT_TTL_HOURS,
+  isOpen,
+  toDataRequest,
+  createDataRequests
+};
@@ -0,0 +1,13 @@
+module.exports = {
+  up: `
+    CREATE TABLE users (
+      id TEXT PRIMARY KEY,
+      email TEXT NOT NULL,
+      name TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      data TEXT NOT NULL
+    );
+    CREATE UNIQUE INDEX users_email_idx ON users (email);
+    CREATE INDEX users_created_at_idx ON users (created_at);
+  `
+};
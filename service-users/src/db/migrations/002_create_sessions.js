@@ -0,0 +1,24 @@
+module.exports = {
+  up: `
+    CREATE TABLE sessions (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      revoked_at TEXT,
+      expires_at TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      data TEXT NOT NULL
+    );
+    CREATE INDEX sessions_user_id_idx ON sessions (user_id);
+    CREATE INDEX sessions_revoked_at_idx ON sessions (revoked_at);
+
+    CREATE TABLE refresh_tokens (
+      id TEXT PRIMARY KEY,
+      session_id TEXT NOT NULL,
+      token_hash TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      data TEXT NOT NULL
+    );
+    CREATE UNIQUE INDEX refresh_tokens_token_hash_idx ON refresh_tokens (token_hash);
+    CREATE INDEX refresh_tokens_session_id_idx ON refresh_tokens (session_id);
+  `
+};
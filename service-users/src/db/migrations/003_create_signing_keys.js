@@ -0,0 +1,11 @@
+module.exports = {
+  up: `
+    CREATE TABLE signing_keys (
+      id TEXT PRIMARY KEY,
+      created_at TEXT NOT NULL,
+      retires_at TEXT,
+      data TEXT NOT NULL
+    );
+    CREATE INDEX signing_keys_created_at_idx ON signing_keys (created_at);
+  `
+};
@@ -0,0 +1,10 @@
+module.exports = {
+  up: `
+    CREATE TABLE idempotency_keys (
+      id TEXT PRIMARY KEY,
+      expires_at TEXT NOT NULL,
+      data TEXT NOT NULL
+    );
+    CREATE INDEX idempotency_keys_expires_at_idx ON idempotency_keys (expires_at);
+  `
+};
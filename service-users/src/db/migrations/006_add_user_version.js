@@ -0,0 +1,15 @@
+// Optimistic concurrency: every user carries a version that each write bumps; existing rows start at 1
+module.exports = {
+  up: async (db) => {
+    await db.exec('ALTER TABLE users ADD COLUMN version INTEGER NOT NULL DEFAULT 1');
+
+    const rows = await db.query('SELECT id, data FROM users');
+    for (const row of rows) {
+      const user = JSON.parse(row.data);
+      await db.query(
+        `UPDATE users SET data = ${db.placeholder(1)} WHERE id = ${db.placeholder(2)}`,
+        [JSON.stringify({ ...user, version: 1 }), row.id]
+      );
+    }
+  }
+};
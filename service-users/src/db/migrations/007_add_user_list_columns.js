@@ -0,0 +1,18 @@
+// Roles (a JSON array, matched with `has`) and updated_at become queryable for the admin user list
+module.exports = {
+  up: async (db) => {
+    await db.exec('ALTER TABLE users ADD COLUMN roles TEXT');
+    await db.exec('ALTER TABLE users ADD COLUMN updated_at TEXT');
+
+    const rows = await db.query('SELECT id, data FROM users');
+    for (const row of rows) {
+      const user = JSON.parse(row.data);
+      await db.query(
+        `UPDATE users SET roles = ${db.placeholder(1)}, updated_at = ${db.placeholder(2)} WHERE id = ${db.placeholder(3)}`,
+        [JSON.stringify(user.roles || []), user.updatedAt || user.createdAt, row.id]
+      );
+    }
+
+    await db.exec('CREATE INDEX users_updated_at_idx ON users (updated_at)');
+  }
+};
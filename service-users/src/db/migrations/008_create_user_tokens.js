@@ -0,0 +1,18 @@
+// Single-use tokens sent by email: password reset and email verification. Only their hashes are stored.
+module.exports = {
+  up: `
+    CREATE TABLE user_tokens (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      purpose TEXT NOT NULL,
+      token_hash TEXT NOT NULL,
+      expires_at TEXT NOT NULL,
+      used_at TEXT,
+      created_at TEXT NOT NULL,
+      data TEXT NOT NULL
+    );
+    CREATE UNIQUE INDEX user_tokens_token_hash_idx ON user_tokens (token_hash);
+    CREATE INDEX user_tokens_user_id_idx ON user_tokens (user_id, purpose);
+    CREATE INDEX user_tokens_expires_at_idx ON user_tokens (expires_at);
+  `
+};
@@ -0,0 +1,26 @@
+// Login audit trail, and the failure counters behind login throttling and lockout (per account and per IP)
+module.exports = {
+  up: `
+    CREATE TABLE login_attempts (
+      id TEXT PRIMARY KEY,
+      user_id TEXT,
+      email TEXT NOT NULL,
+      ip TEXT,
+      success INTEGER NOT NULL,
+      reason TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      data TEXT NOT NULL
+    );
+    CREATE INDEX login_attempts_created_at_idx ON login_attempts (created_at);
+    CREATE INDEX login_attempts_user_id_idx ON login_attempts (user_id, created_at);
+    CREATE INDEX login_attempts_ip_idx ON login_attempts (ip, created_at);
+
+    CREATE TABLE login_throttles (
+      id TEXT PRIMARY KEY,
+      version INTEGER NOT NULL,
+      expires_at TEXT NOT NULL,
+      data TEXT NOT NULL
+    );
+    CREATE INDEX login_throttles_expires_at_idx ON login_throttles (expires_at);
+  `
+};
@@ -0,0 +1,22 @@
+// Users can be deactivated: an `active` flag the admin user list filters on. Existing users are active.
+module.exports = {
+  up: async (db) => {
+    await db.exec('ALTER TABLE users ADD COLUMN active INTEGER NOT NULL DEFAULT 1');
+
+    const rows = await db.query('SELECT id, data FROM users');
+    for (const row of rows) {
+      const user = JSON.parse(row.data);
+      const migrated = {
+        active: true,
+        deactivatedAt: null,
+        deactivatedBy: null,
+        deactivationReason: null,
+        ...user
+      };
+      await db.query(
+        `UPDATE users SET data = ${db.placeholder(1)} WHERE id = ${db.placeholder(2)}`,
+        [JSON.stringify(migrated), row.id]
+      );
+    }
+  }
+};
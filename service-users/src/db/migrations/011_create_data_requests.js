@@ -0,0 +1,19 @@
+// Data export and account erasure requests, processed as background jobs
+module.exports = {
+  up: `
+    CREATE TABLE data_requests (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      type TEXT NOT NULL,
+      status TEXT NOT NULL,
+      version INTEGER NOT NULL,
+      next_attempt_at TEXT,
+      expires_at TEXT,
+      created_at TEXT NOT NULL,
+      data TEXT NOT NULL
+    );
+    CREATE INDEX data_requests_user_id_idx ON data_requests (user_id, created_at);
+    CREATE INDEX data_requests_next_attempt_at_idx ON data_requests (status, next_attempt_at);
+    CREATE INDEX data_requests_expires_at_idx ON data_requests (expires_at);
+  `
+};
@@ -0,0 +1,17 @@
+// used_at becomes a column so a refresh can mark its token used with a compare-and-set on it
+module.exports = {
+  up: async (db) => {
+    await db.exec('ALTER TABLE refresh_tokens ADD COLUMN used_at TEXT');
+
+    const rows = await db.query('SELECT id, data FROM refresh_tokens');
+    for (const row of rows) {
+      const token = JSON.parse(row.data);
+      if (token.usedAt) {
+        await db.query(
+          `UPDATE refresh_tokens SET used_at = ${db.placeholder(1)} WHERE id = ${db.placeholder(2)}`,
+          [token.usedAt, row.id]
+        );
+      }
+    }
+  }
+};
@@ -1,22 +1,119 @@
+const { startTracing, currentTraceId } = require('@micro-task/common/tracing');
+
+startTracing('users-service');
+
 const express = require('express');
-const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
+const createLogger = require('pino');
 const pino = require('pino-http');
 const { z } = require('zod');
 const { v4: uuidv4 } = require('uuid');
 const cors = require('cors');
+const crypto = require('crypto');
+const { createDatabase, migrate } = require('./db');
+const { createUserRepository } = require('./repositories/userRepository');
+const { createSessionRepository } = require('./repositories/sessionRepository');
+const { createSigningKeyRepository } = require('./repositories/signingKeyRepository');
+const { createSessionManager, SessionError, ACCESS_TOKEN_TTL } = require('./sessions');
+const { createKeyStore } = require('./keys');
+const {
+  PERMISSIONS,
+  ROLES,
+  permissionsFor,
+  hasPermission,
+  requirePermission,
+  isMfaRequired,
+  requireMfa
+} = require('@micro-task/common/rbac');
+const { seedAdmin } = require('./seed');
+const { createEventBus } = require('@micro-task/common/events');
+const { EVENT_TYPES } = require('@micro-task/common/events/types');
+const { createIdempotency } = require('@micro-task/common/idempotency');
+const { PreconditionFailedError, etagFor, assertIfMatch, sendNotModified } = require('@micro-task/common/conditional');
+const { defineListQuery, pickFields, paginationLinks } = require('@micro-task/common/listQuery');
+const { createMailer } = require('./mail');
+const {
+  verifyEmailMessage,
+  passwordResetMessage,
+  passwordChangedMessage,
+  mfaEnabledMessage,
+  mfaDisabledMessage,
+  dataExportReadyMessage,
+  accountErasedMessage
+} = require('./mail/messages');
+const { TOKEN_PURPOSE, TOKEN_TTL, UserTokenError, createUserTokens } = require('./userTokens');
+const { hashPassword, verifyPassword, needsRehash } = require('./passwords');
+const { LOGIN_REASONS, createLoginProtection } = require('./loginProtection');
+const {
+  AMR,
+  isMfaEnabled,
+  generateRecoveryCodes,
+  startEnrolment,
+  confirmEnrolment,
+  verifySecondFactor,
+  mfaStatus
+} = require('./mfa');
+const {
+  DATA_REQUEST_TYPE,
+  DATA_REQUEST_STATUS,
+  EXPORT_TTL_HOURS,
+  isOpen,
+  toDataRequest,
+  createDataRequests
+} = require('./dataRequests');
+const { createOrdersClient, OrdersServiceError } = require('./ordersClient');
+const { assertProductionSecret } = require('@micro-task/common/secrets');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
-const JWT_SECRET = process.env.JWT_SECRET || 'my-key';
+const GATEWAY_SECRET = process.env.GATEWAY_SECRET;
+// Links in account emails lead to the web app, which completes the flow through the API
+const APP_URL = (process.env.APP_URL || 'http://localhost:3000').replace(/\/+$/, '');
+const ORDERS_SERVICE_URL = process.env.ORDERS_SERVICE_URL || 'http://localhost:3002';
+
+// Request logs (req.log) and everything that runs outside a request
+const logger = createLogger({
+  level: 'info',
+  redact: ['req.headers.authorization', 'req.headers["x-gateway-secret"]']
+});
+
+const db = createDatabase();
+const userRepository = createUserRepository(db);
+const events = createEventBus({ db, source: 'service-users', log: logger });
+const idempotency = createIdempotency({ db, log: logger });
+const mailer = createMailer();
+const userTokens = createUserTokens(db);
+const loginProtection = createLoginProtection(db);
+const keyStore = createKeyStore({
+  signingKeyRepository: createSigningKeyRepository(db),
+  algorithm: process.env.JWT_ALGORITHM || 'RS256',
+  rotationIntervalSec: (parseInt(process.env.JWT_KEY_ROTATION_DAYS, 10) || 30) * 24 * 60 * 60,
+  tokenTtlSec: ACCESS_TOKEN_TTL,
+  log: logger
+});
+const sessionRepository = createSessionRepository(db);
+const sessions = createSessionManager({
+  sessionRepository,
+  userRepository,
+  keyStore
+});
+const ordersClient = createOrdersClient({ url: ORDERS_SERVICE_URL, secret: GATEWAY_SECRET });
+// The handlers are with the profile data routes below
+const dataRequests = createDataRequests({
+  db,
+  handlers: {
+    [DATA_REQUEST_TYPE.EXPORT]: (request) => exportUserData(request),
+    [DATA_REQUEST_TYPE.ERASURE]: (request) => eraseUserData(request)
+  },
+  onCompleted: (request) => notifyDataRequestCompleted(request),
+  log: logger
+});
 
-// In-memory storage (in production use database)
-let users = [];
+// Recent requests for the debug endpoint
 let requests = [];
 
 // Middleware
 app.use(pino({
-  level: 'info',
+  logger,
   serializers: {
     req: (req) => ({
       method: req.method,
@@ -29,6 +126,9 @@ app.use(pino({
 app.use(express.json());
 app.use(cors());
 
+// The gateway sits on the private network, so take the client IP from X-Forwarded-For
+app.set('trust proxy', process.env.TRUST_PROXY || 'loopback, linklocal, uniquelocal');
+
 // Add request tracking
 app.use((req, res, next) => {
   const requestId = req.headers['x-request-id'] || uuidv4();
@@ -40,16 +140,19 @@ app.use((req, res, next) => {
     method: req.method,
     url: req.url,
     timestamp: new Date().toISOString(),
-    userId: req.headers['x-user-id'] || null
+    userId: req.headers['x-user-id'] || null,
+    traceId: currentTraceId()
   });
   
   next();
 });
 
 // Validation schemas
+const passwordSchema = z.string().min(6);
+
 const registerSchema = z.object({
   email: z.string().email(),
-  password: z.string().min(6),
+  password: passwordSchema,
   name: z.string().min(2),
 });
 
@@ -58,12 +161,261 @@ const loginSchema = z.object({
   password: z.string().min(1),
 });
 
+const refreshSchema = z.object({
+  refreshToken: z.string().min(1),
+});
+
 const updateProfileSchema = z.object({
   name: z.string().min(2).optional(),
 });
 
+const changePasswordSchema = z.object({
+  currentPassword: z.string().min(1),
+  newPassword: passwordSchema
+});
+
+const forgotPasswordSchema = z.object({
+  email: z.string().email()
+});
+
+const resetPasswordSchema = z.object({
+  token: z.string().min(1),
+  newPassword: passwordSchema
+});
+
+const verifyEmailSchema = z.object({
+  token: z.string().min(1)
+});
+
+const mfaCode = z.string().trim().min(1).max(20);
+
+// Second login step: a TOTP code or one of the recovery codes
+const mfaLoginSchema = z.object({
+  mfaToken: z.string().min(1),
+  code: mfaCode.optional(),
+  recoveryCode: mfaCode.optional()
+}).refine(data => Boolean(data.code) !== Boolean(data.recoveryCode), 'Send either code or recoveryCode');
+
+const confirmMfaSchema = z.object({
+  password: z.string().min(1),
+  code: mfaCode
+});
+
+const disableMfaSchema = z.object({
+  password: z.string().min(1),
+  code: mfaCode.optional(),
+  recoveryCode: mfaCode.optional()
+}).refine(data => Boolean(data.code) !== Boolean(data.recoveryCode), 'Send either code or recoveryCode');
+
+const mfaCodeSchema = z.object({
+  code: mfaCode
+});
+
+// Admin edit of a user; `roles` replaces the current set
+const adminUpdateUserSchema = z.object({
+  email: z.string().email().optional(),
+  name: z.string().min(2).optional(),
+  roles: z.array(z.enum(Object.keys(ROLES))).min(1).optional()
+}).refine(data => Object.values(data).some(value => value !== undefined), 'Send at least one of email, name, roles');
+
+// Open orders assigned to the user go to `reassignTo`, or back to nobody
+const deactivateUserSchema = z.object({
+  reason: z.string().trim().min(1).max(500).optional(),
+  reassignTo: z.string().uuid().optional()
+});
+
+const deleteUserQuerySchema = z.object({
+  reassignTo: z.string().uuid().optional()
+});
+
+// Erasing the account: the password, and a TOTP or recovery code when two-factor authentication is on
+const deleteProfileSchema = z.object({
+  password: z.string().min(1),
+  code: mfaCode.optional(),
+  recoveryCode: mfaCode.optional()
+}).refine(data => !(data.code && data.recoveryCode), 'Send either code or recoveryCode');
+
+// GET /api/v1/users query params, see listQuery.js
+const userListQuery = defineListQuery({
+  filters: {
+    search: { type: 'search', fields: ['name', 'email'] },
+    role: { type: 'enum', values: Object.keys(ROLES), field: 'roles', op: 'has' },
+    active: { type: 'boolean' },
+    createdAt: { type: 'date' },
+    updatedAt: { type: 'date' }
+  },
+  sortable: ['createdAt', 'updatedAt', 'email', 'name'],
+  defaultSort: 'createdAt',
+  fields: [
+    'id',
+    'email',
+    'name',
+    'roles',
+    'emailVerified',
+    'mfaEnabled',
+    'active',
+    'deactivatedAt',
+    'version',
+    'createdAt',
+    'updatedAt'
+  ]
+});
+
+// GET /api/v1/login-attempts query params
+const loginAttemptListQuery = defineListQuery({
+  filters: {
+    userId: { type: 'string' },
+    email: { type: 'string' },
+    ip: { type: 'string' },
+    success: { type: 'boolean' },
+    reason: { type: 'enum', values: Object.values(LOGIN_REASONS) },
+    createdAt: { type: 'date' }
+  },
+  sortable: ['createdAt'],
+  defaultSort: '-createdAt',
+  fields: ['id', 'userId', 'email', 'ip', 'userAgent', 'success', 'reason', 'createdAt']
+});
+
+// GET /api/v1/data-requests query params
+const dataRequestListQuery = defineListQuery({
+  filters: {
+    userId: { type: 'string' },
+    type: { type: 'enum', values: Object.values(DATA_REQUEST_TYPE) },
+    status: { type: 'enum', values: Object.values(DATA_REQUEST_STATUS) },
+    createdAt: { type: 'date' }
+  },
+  sortable: ['createdAt'],
+  defaultSort: '-createdAt',
+  fields: [
+    'id',
+    'userId',
+    'type',
+    'status',
+    'attempts',
+    'lastError',
+    'result',
+    'nextAttemptAt',
+    'startedAt',
+    'completedAt',
+    'expiresAt',
+    'createdAt',
+    'updatedAt'
+  ]
+});
+
+const hasGatewaySecret = (req) => {
+  const secret = req.headers['x-gateway-secret'];
+  if (!GATEWAY_SECRET || !secret) {
+    return false;
+  }
+
+  const expected = Buffer.from(GATEWAY_SECRET);
+  const actual = Buffer.from(secret);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+// Identity forwarded by the API gateway. Trusted only when the request carries the shared gateway secret.
+const getGatewayIdentity = (req) => {
+  if (!req.headers['x-user-id'] || !hasGatewaySecret(req)) {
+    return null;
+  }
+
+  return {
+    userId: req.headers['x-user-id'],
+    email: req.headers['x-user-email'],
+    roles: (req.headers['x-user-roles'] || '').split(',').filter(Boolean),
+    sid: req.headers['x-session-id'] || undefined,
+    amr: (req.headers['x-user-amr'] || '').split(',').filter(Boolean)
+  };
+};
+
+// Deactivated users keep their data but can't sign in or use tokens they still hold
+const isActive = (user) => user.active !== false;
+
+const sendAccountDeactivated = (res, status) => res.status(status).json({
+  success: false,
+  error: {
+    code: 'ACCOUNT_DEACTIVATED',
+    message: 'Account has been deactivated'
+  }
+});
+
+// Revokes the user's sessions and hands the revocations to service-orders straight away, so their tokens
+// stop working there before this request answers. If service-orders is down its revocations poll catches up.
+const revokeUserSessions = async (req, userId, reason, exceptId = null) => {
+  const revocations = await sessions.revokeAll(userId, reason, exceptId);
+  if (revocations.length === 0) {
+    return;
+  }
+  try {
+    await ordersClient.revokeSessions(revocations);
+  } catch (error) {
+    if (!(error instanceof OrdersServiceError)) {
+      throw error;
+    }
+    req.log.warn(`Revocations not pushed to service-orders: ${error.message}`);
+  }
+};
+
+// Attach the stored user for an already verified identity
+const authenticateIdentity = async (identity, req, res, next) => {
+  let user;
+  let sessionActive = true;
+  try {
+    user = await userRepository.findById(identity.userId);
+    if (identity.sid) {
+      sessionActive = await sessions.isActive(identity.sid);
+    }
+  } catch (error) {
+    req.log.error('Authentication error:', error);
+    return res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Internal server error'
+      }
+    });
+  }
+
+  if (!user) {
+    return res.status(401).json({
+      success: false,
+      error: {
+        code: 'USER_NOT_FOUND',
+        message: 'User not found'
+      }
+    });
+  }
+
+  // Checked on every request, so deactivation locks the user out at once, before their sessions' tokens expire
+  if (!isActive(user)) {
+    return sendAccountDeactivated(res, 401);
+  }
+
+  if (!sessionActive) {
+    return res.status(401).json({
+      success: false,
+      error: {
+        code: 'TOKEN_REVOKED',
+        message: 'Session has been revoked'
+      }
+    });
+  }
+
+  req.user = user;
+  req.sessionId = identity.sid || null;
+  // Tokens from before `amr` existed were password-only
+  req.amr = identity.amr || ['pwd'];
+  next();
+};
+
 // Authentication middleware
-const authenticate = (req, res, next) => {
+const authenticate = async (req, res, next) => {
+    const gatewayIdentity = getGatewayIdentity(req);
+    if (gatewayIdentity) {
+      return authenticateIdentity(gatewayIdentity, req, res, next);
+    }
+
     const authHeader = req.headers.authorization;
     
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
@@ -78,22 +430,9 @@ const authenticate = (req, res, next) => {
   
     const token = authHeader.replace('Bearer ', '');
   
+    let decoded;
     try {
-      const decoded = jwt.verify(token, JWT_SECRET);
-      const user = users.find(u => u.id === decoded.userId);
-      
-      if (!user) {
-        return res.status(401).json({
-          success: false,
-          error: {
-            code: 'USER_NOT_FOUND', 
-            message: 'User not found'
-          }
-        });
-      }
-      
-      req.user = user;
-      next();
+      decoded = await keyStore.verify(token);
     } catch (error) {
       return res.status(401).json({
         success: false,
@@ -103,29 +442,66 @@ const authenticate = (req, res, next) => {
         }
       });
     }
+
+    authenticateIdentity(decoded, req, res, next);
   };
 
-const requireAdmin = (req, res, next) => {
-  if (!req.user.roles.includes('admin')) {
+// Service-to-service endpoints: only callers holding the shared gateway secret (open when it isn't configured)
+const requireInternal = (req, res, next) => {
+  if (GATEWAY_SECRET && !hasGatewaySecret(req)) {
     return res.status(403).json({
       success: false,
       error: {
         code: 'FORBIDDEN',
-        message: 'Admin access required'
+        message: 'Internal endpoint'
+      }
+    });
+  }
+  next();
+};
+
+// Sensitive actions need an email address the user has proven to own
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user.emailVerifiedAt) {
+    return res.status(403).json({
+      success: false,
+      error: {
+        code: 'EMAIL_NOT_VERIFIED',
+        message: 'Confirm your email address first'
       }
     });
   }
   next();
 };
 
+// Mail goes out in the background: a failed send is logged and doesn't fail the request
+const sendMail = (req, message) => {
+  mailer.send(message).catch(error => req.log.error(`Sending "${message.subject}" failed:`, error));
+};
+
+const sendVerificationEmail = async (req, user) => {
+  const token = await userTokens.issue(user, TOKEN_PURPOSE.EMAIL_VERIFICATION);
+  sendMail(req, verifyEmailMessage(user, `${APP_URL}/verify-email?token=${token}`));
+};
+
 // Routes
-// Register
-app.post('/api/v1/register', async (req, res) => {
+// Register. A retry with the same Idempotency-Key gets the first response, tokens included.
+// A replayed registration doesn't hand out the tokens again: they aren't stored, and the refresh token may
+// have been rotated since. The client signs in instead.
+const withoutTokens = (body) => {
+  if (!body.data || !body.data.token) {
+    return body;
+  }
+  const { token, refreshToken, expiresIn, ...rest } = body.data;
+  return { ...body, data: { ...rest, loginRequired: true } };
+};
+
+app.post('/api/v1/register', idempotency.storing(withoutTokens), async (req, res) => {
   try {
     const validatedData = registerSchema.parse(req.body);
     
     // Check if user already exists
-    const existingUser = users.find(u => u.email === validatedData.email);
+    const existingUser = await userRepository.findByEmail(validatedData.email);
     if (existingUser) {
       return res.status(400).json({
         success: false,
@@ -137,7 +513,7 @@ app.post('/api/v1/register', async (req, res) => {
     }
     
     // Hash password
-    const hashedPassword = await bcrypt.hash(validatedData.password, 8);
+    const hashedPassword = await hashPassword(validatedData.password);
     
     // Create user
     const user = {
@@ -146,22 +522,29 @@ app.post('/api/v1/register', async (req, res) => {
       password: hashedPassword,
       name: validatedData.name,
       roles: ['user'],
+      active: true,
+      emailVerifiedAt: null,
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString()
     };
     
-    users.push(user);
-    
-    // Generate JWT
-    const token = jwt.sign(
-      { 
-        userId: user.id, 
+    await db.transaction(async (tx) => {
+      await createUserRepository(tx).create(user);
+      await events.record(tx, EVENT_TYPES.USER_REGISTERED, user.id, {
+        userId: user.id,
         email: user.email,
-        roles: user.roles 
-      },
-      JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+        name: user.name,
+        roles: user.roles
+      });
+    });
+    events.flush();
+    await sendVerificationEmail(req, user);
+    
+    // Start a session: short-lived access token + rotating refresh token
+    const { token, refreshToken, expiresIn } = await sessions.start(user, {
+      ip: req.ip,
+      userAgent: req.headers['user-agent']
+    });
     
     res.status(201).json({
       success: true,
@@ -171,9 +554,12 @@ app.post('/api/v1/register', async (req, res) => {
           email: user.email,
           name: user.name,
           roles: user.roles,
+          emailVerified: false,
           createdAt: user.createdAt
         },
-        token
+        token,
+        refreshToken,
+        expiresIn
       }
     });
     
@@ -200,14 +586,57 @@ app.post('/api/v1/register', async (req, res) => {
   }
 });
 
+// Login refused before the password was checked
+const LOGIN_BLOCKED_ERRORS = {
+  [LOGIN_REASONS.THROTTLED]: ['LOGIN_THROTTLED', 'Too many failed attempts, wait before trying again'],
+  [LOGIN_REASONS.ACCOUNT_LOCKED]: ['ACCOUNT_LOCKED', 'Account is temporarily locked after too many failed attempts'],
+  [LOGIN_REASONS.IP_LOCKED]: ['IP_LOCKED', 'Too many failed attempts from this address, try again later']
+};
+
+const sendLoginBlocked = (res, blocked) => {
+  const [code, message] = LOGIN_BLOCKED_ERRORS[blocked.reason];
+  const retryAfter = Math.ceil(blocked.retryAfterMs / 1000);
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    success: false,
+    error: {
+      code,
+      message,
+      details: { retryAfter }
+    }
+  });
+};
+
 // Login
 app.post('/api/v1/login', async (req, res) => {
   try {
     const validatedData = loginSchema.parse(req.body);
-    
-    // Find user
-    const user = users.find(u => u.email === validatedData.email);
-    if (!user) {
+    const attempt = { email: validatedData.email, ip: req.ip, userAgent: req.headers['user-agent'] };
+
+    const user = await userRepository.findByEmail(validatedData.email);
+
+    // Checked before the password, so a locked account can't be guessed at either
+    const blocked = await loginProtection.check(attempt);
+    if (blocked) {
+      await loginProtection.audit({ ...attempt, userId: user ? user.id : null, reason: blocked.reason });
+      return sendLoginBlocked(res, blocked);
+    }
+
+    const isValidPassword = await verifyPassword(validatedData.password, user ? user.password : null);
+    if (!isValidPassword) {
+      await loginProtection.audit({
+        ...attempt,
+        userId: user ? user.id : null,
+        reason: user ? LOGIN_REASONS.INVALID_PASSWORD : LOGIN_REASONS.UNKNOWN_EMAIL
+      });
+      const locked = await loginProtection.recordFailure(attempt);
+      if (locked.accountLocked) {
+        req.log.warn(`🔒 Login to ${validatedData.email} locked after repeated failures`);
+      }
+      if (locked.ipLocked) {
+        req.log.warn(`🔒 Logins from ${req.ip} locked after repeated failures`);
+      }
+
       return res.status(400).json({
         success: false,
         error: {
@@ -216,29 +645,42 @@ app.post('/api/v1/login', async (req, res) => {
         }
       });
     }
-    
-    // Check password
-    const isValidPassword = await bcrypt.compare(validatedData.password, user.password);
-    if (!isValidPassword) {
-      return res.status(400).json({
-        success: false,
-        error: {
-          code: 'INVALID_CREDENTIALS',
-          message: 'Invalid email or password'
+
+    // Not counted as a failure: the password was right
+    if (!isActive(user)) {
+      await loginProtection.audit({ ...attempt, userId: user.id, reason: LOGIN_REASONS.ACCOUNT_DEACTIVATED });
+      return sendAccountDeactivated(res, 403);
+    }
+
+    // Stored with an older bcrypt cost; if the user changed meanwhile it's upgraded next time
+    if (needsRehash(user.password)) {
+      const now = new Date().toISOString();
+      await userRepository.update({ ...user, password: await hashPassword(validatedData.password), updatedAt: now });
+    }
+
+    // No session yet: POST /api/v1/login/mfa finishes the login with the second factor
+    if (isMfaEnabled(user)) {
+      const mfaToken = await userTokens.issue(user, TOKEN_PURPOSE.MFA_CHALLENGE);
+      await loginProtection.audit({ ...attempt, userId: user.id, reason: LOGIN_REASONS.MFA_REQUIRED });
+      return res.json({
+        success: true,
+        data: {
+          mfaRequired: true,
+          mfaToken,
+          expiresIn: TOKEN_TTL[TOKEN_PURPOSE.MFA_CHALLENGE] * 60,
+          methods: ['totp', 'recovery_code']
         }
       });
     }
+
+    await loginProtection.audit({ ...attempt, userId: user.id, reason: LOGIN_REASONS.SUCCESS });
+    await loginProtection.recordSuccess(attempt);
     
-    // Generate JWT
-    const token = jwt.sign(
-      { 
-        userId: user.id, 
-        email: user.email,
-        roles: user.roles 
-      },
-      JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    // Start a session: short-lived access token + rotating refresh token
+    const { token, refreshToken, expiresIn } = await sessions.start(user, {
+      ip: req.ip,
+      userAgent: req.headers['user-agent']
+    });
     
     res.json({
       success: true,
@@ -247,9 +689,14 @@ app.post('/api/v1/login', async (req, res) => {
           id: user.id,
           email: user.email,
           name: user.name,
-          roles: user.roles
+          roles: user.roles,
+          emailVerified: Boolean(user.emailVerifiedAt)
         },
-        token
+        token,
+        refreshToken,
+        expiresIn,
+        // The role needs two-factor authentication; until it's set up the account can only manage itself
+        mfaEnrollmentRequired: isMfaRequired(user)
       }
     });
     
@@ -276,49 +723,110 @@ app.post('/api/v1/login', async (req, res) => {
   }
 });
 
-// Get current profile
-app.get('/api/v1/profile', authenticate, (req, res) => {
-  res.json({
-    success: true,
-    data: {
-      user: {
-        id: req.user.id,
-        email: req.user.email,
-        name: req.user.name,
-        roles: req.user.roles,
-        createdAt: req.user.createdAt,
-        updatedAt: req.user.updatedAt
+// Second login step: the MFA challenge token from /api/v1/login plus a TOTP or recovery code.
+// Wrong codes count as failed logins, so they're throttled and lock the account like wrong passwords.
+app.post('/api/v1/login/mfa', async (req, res) => {
+  try {
+    const { mfaToken, code, recoveryCode } = mfaLoginSchema.parse(req.body);
+    const challenge = await userTokens.verify(mfaToken, TOKEN_PURPOSE.MFA_CHALLENGE);
+
+    const user = await userRepository.findById(challenge.userId);
+    // Also when the user was deactivated after the first step
+    if (!user || !isMfaEnabled(user) || !isActive(user)) {
+      throw new UserTokenError('INVALID_TOKEN', 'Token is invalid or has already been used');
+    }
+
+    const attempt = { email: user.email, ip: req.ip, userAgent: req.headers['user-agent'] };
+    const blocked = await loginProtection.check(attempt);
+    if (blocked) {
+      await loginProtection.audit({ ...attempt, userId: user.id, reason: blocked.reason });
+      return sendLoginBlocked(res, blocked);
+    }
+
+    const factor = verifySecondFactor(user, { code, recoveryCode });
+    // Stored along with the check: if the same code raced us here, only one request gets through
+    const updated = factor && await userRepository.update({
+      ...user,
+      mfa: factor.mfa,
+      updatedAt: new Date().toISOString()
+    });
+    if (!updated) {
+      await loginProtection.audit({ ...attempt, userId: user.id, reason: LOGIN_REASONS.INVALID_MFA_CODE });
+      await loginProtection.recordFailure(attempt);
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_MFA_CODE',
+          message: 'Invalid or already used authentication code'
+        }
+      });
+    }
+
+    await userTokens.consume(mfaToken, TOKEN_PURPOSE.MFA_CHALLENGE);
+    await loginProtection.audit({ ...attempt, userId: user.id, reason: LOGIN_REASONS.SUCCESS });
+    await loginProtection.recordSuccess(attempt);
+
+    const { token, refreshToken, expiresIn } = await sessions.start(updated, {
+      ip: req.ip,
+      userAgent: req.headers['user-agent'],
+      amr: factor.amr
+    });
+
+    res.json({
+      success: true,
+      data: {
+        user: {
+          id: updated.id,
+          email: updated.email,
+          name: updated.name,
+          roles: updated.roles,
+          emailVerified: Boolean(updated.emailVerifiedAt)
+        },
+        token,
+        refreshToken,
+        expiresIn,
+        recoveryCodesLeft: updated.mfa.recoveryCodes.length
       }
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: error.errors
+        }
+      });
     }
-  });
+
+    if (error instanceof UserTokenError) {
+      return sendUserTokenError(res, error);
+    }
+
+    req.log.error('MFA login error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Internal server error'
+      }
+    });
+  }
 });
 
-// Update profile
-app.put('/api/v1/profile', authenticate, (req, res) => {
+// Refresh access token (rotates the refresh token)
+app.post('/api/v1/token/refresh', async (req, res) => {
   try {
-    const validatedData = updateProfileSchema.parse(req.body);
-    
-    // Update user
-    const userIndex = users.findIndex(u => u.id === req.user.id);
-    if (userIndex !== -1) {
-      users[userIndex] = {
-        ...users[userIndex],
-        ...validatedData,
-        updatedAt: new Date().toISOString()
-      };
-    }
+    const { refreshToken } = refreshSchema.parse(req.body);
+    const result = await sessions.refresh(refreshToken);
     
     res.json({
       success: true,
       data: {
-        user: {
-          id: users[userIndex].id,
-          email: users[userIndex].email,
-          name: users[userIndex].name,
-          roles: users[userIndex].roles,
-          createdAt: users[userIndex].createdAt,
-          updatedAt: users[userIndex].updatedAt
-        }
+        token: result.token,
+        refreshToken: result.refreshToken,
+        expiresIn: result.expiresIn
       }
     });
     
@@ -334,7 +842,17 @@ app.put('/api/v1/profile', authenticate, (req, res) => {
       });
     }
     
-    req.log.error('Profile update error:', error);
+    if (error instanceof SessionError) {
+      return res.status(401).json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message
+        }
+      });
+    }
+    
+    req.log.error('Token refresh error:', error);
     res.status(500).json({
       success: false,
       error: {
@@ -345,62 +863,1783 @@ app.put('/api/v1/profile', authenticate, (req, res) => {
   }
 });
 
-// Admin: List users
-app.get('/api/v1/users', authenticate, requireAdmin, (req, res) => {
-  const { page = 1, limit = 10, search } = req.query;
-  const pageNum = parseInt(page);
-  const limitNum = parseInt(limit);
-  
-  let filteredUsers = users;
-  
-  // Filter by search
-  if (search) {
-    filteredUsers = users.filter(user => 
-      user.name.toLowerCase().includes(search.toLowerCase()) ||
-      user.email.toLowerCase().includes(search.toLowerCase())
-    );
-  }
-  
-  // Pagination
-  const startIndex = (pageNum - 1) * limitNum;
-  const endIndex = startIndex + limitNum;
-  const paginatedUsers = filteredUsers.slice(startIndex, endIndex);
-  
-  // Remove passwords from response
-  const usersWithoutPasswords = paginatedUsers.map(user => ({
-    id: user.id,
-    email: user.email,
-    name: user.name,
-    roles: user.roles,
-    createdAt: user.createdAt,
-    updatedAt: user.updatedAt
-  }));
-  
-  res.json({
-    success: true,
-    data: {
-      users: usersWithoutPasswords,
-      pagination: {
-        page: pageNum,
-        limit: limitNum,
-        total: filteredUsers.length,
-        pages: Math.ceil(filteredUsers.length / limitNum)
-      }
+// Logout: revoke the current session
+app.post('/api/v1/logout', authenticate, async (req, res) => {
+  try {
+    const session = req.sessionId && await sessions.findById(req.sessionId);
+    if (session && !session.revokedAt) {
+      await sessions.revoke(session, 'logout');
     }
-  });
+    
+    res.json({
+      success: true,
+      data: {
+        message: 'Logged out successfully'
+      }
+    });
+    
+  } catch (error) {
+    req.log.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Internal server error'
+      }
+    });
+  }
 });
 
-// Health check
-app.get('/health', (req, res) => {
-  res.json({ 
-    status: 'OK', 
-    service: 'users-service',
-    userCount: users.length
+// List active sessions (devices)
+app.get('/api/v1/sessions', authenticate, async (req, res) => {
+  try {
+    const activeSessions = await sessions.list(req.user.id);
+    
+    res.json({
+      success: true,
+      data: {
+        sessions: activeSessions.map(session => ({
+          id: session.id,
+          ip: session.ip,
+          userAgent: session.userAgent,
+          amr: session.amr || ['pwd'],
+          createdAt: session.createdAt,
+          lastUsedAt: session.lastUsedAt,
+          expiresAt: session.expiresAt,
+          current: session.id === req.sessionId
+        }))
+      }
+    });
+    
+  } catch (error) {
+    req.log.error('List sessions error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+// Revoke a session
+app.delete('/api/v1/sessions/:id', authenticate, async (req, res) => {
+  try {
+    const session = await sessions.findById(req.params.id);
+    
+    if (!session || session.userId !== req.user.id || session.revokedAt) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'SESSION_NOT_FOUND',
+          message: 'Session not found'
+        }
+      });
+    }
+    
+    await sessions.revoke(session, 'revoked_by_user');
+    
+    res.json({
+      success: true,
+      data: {
+        message: 'Session revoked successfully'
+      }
+    });
+    
+  } catch (error) {
+    req.log.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+// Public keys for verifying access tokens, cached by the gateway and the other services
+app.get('/.well-known/jwks.json', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=300');
+  res.json(keyStore.jwks());
+});
+
+// Internal: revoked sessions whose access tokens may still be in circulation, polled by the gateway and services
+app.get('/internal/revocations', requireInternal, async (req, res) => {
+  try {
+    const revocations = await sessions.revokedSince(req.query.since);
+    
+    res.json({
+      success: true,
+      data: {
+        revocations,
+        checkedAt: new Date().toISOString()
+      }
+    });
+    
+  } catch (error) {
+    req.log.error('Revocations error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+// Internal: a user's public fields, used by other services to validate references such as order assignees
+const toInternalUser = (user) => ({
+  id: user.id,
+  email: user.email,
+  name: user.name,
+  roles: user.roles,
+  active: isActive(user)
+});
+
+// Internal: users by email (?email=a@x.io,b@x.io), e.g. for @mentions. Unknown emails are simply missing.
+app.get('/internal/users', requireInternal, async (req, res) => {
+  try {
+    const emails = String(req.query.email || '').split(',').map(email => email.trim()).filter(Boolean);
+    if (emails.length === 0 || emails.length > 100) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Pass 1-100 emails in ?email='
+        }
+      });
+    }
+
+    const users = await userRepository.findByEmails(emails);
+    res.json({
+      success: true,
+      data: {
+        users: users.map(toInternalUser)
+      }
+    });
+  } catch (error) {
+    req.log.error('Internal user lookup error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+app.get('/internal/users/:id', requireInternal, async (req, res) => {
+  try {
+    const user = await userRepository.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'USER_NOT_FOUND',
+          message: 'User not found'
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        user: toInternalUser(user)
+      }
+    });
+  } catch (error) {
+    req.log.error('Internal user lookup error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+const toProfile = (user) => ({
+  id: user.id,
+  email: user.email,
+  name: user.name,
+  roles: user.roles,
+  permissions: [...permissionsFor(user.roles)],
+  emailVerified: Boolean(user.emailVerifiedAt),
+  mfa: { ...mfaStatus(user), required: isMfaRequired(user) },
+  version: user.version,
+  createdAt: user.createdAt,
+  updatedAt: user.updatedAt
+});
+
+const sendPreconditionFailed = (res, error) => {
+  res.setHeader('ETag', etagFor(error.current));
+  return res.status(412).json({
+    success: false,
+    error: {
+      code: 'PRECONDITION_FAILED',
+      message: 'User has been modified since it was read',
+      details: { user: toProfile(error.current) }
+    }
+  });
+};
+
+// Get current profile
+app.get('/api/v1/profile', authenticate, (req, res) => {
+  if (sendNotModified(req, res, req.user)) {
+    return;
+  }
+
+  res.json({
+    success: true,
+    data: {
+      user: toProfile(req.user)
+    }
+  });
+});
+
+// Update profile. With If-Match the update only applies to the version the client has seen.
+app.put('/api/v1/profile', authenticate, async (req, res) => {
+  try {
+    const validatedData = updateProfileSchema.parse(req.body);
+    assertIfMatch(req.get('if-match'), req.user);
+    
+    // Update user
+    const user = await userRepository.update({
+      ...req.user,
+      ...validatedData,
+      updatedAt: new Date().toISOString()
+    });
+    if (!user) {
+      throw new PreconditionFailedError(await userRepository.findById(req.user.id));
+    }
+    
+    res.setHeader('ETag', etagFor(user));
+    res.json({
+      success: true,
+      data: {
+        user: {
+          id: user.id,
+          email: user.email,
+          name: user.name,
+          roles: user.roles,
+          version: user.version,
+          createdAt: user.createdAt,
+          updatedAt: user.updatedAt
+        }
+      }
+    });
+    
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: error.errors
+        }
+      });
+    }
+
+    if (error instanceof PreconditionFailedError) {
+      return sendPreconditionFailed(res, error);
+    }
+    
+    req.log.error('Profile update error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+const sendUserTokenError = (res, error) => {
+  return res.status(400).json({
+    success: false,
+    error: {
+      code: error.code,
+      message: error.message
+    }
+  });
+};
+
+// Attempts to prove who you are on an already signed-in session, counted by loginProtection like logins
+const profileAttempt = (req) => ({ email: req.user.email, ip: req.ip, userAgent: req.headers['user-agent'] });
+
+// The password asked again for a sensitive change. Wrong ones count towards the login lockout, so a
+// stolen session can't be used to guess it. Sends the error and resolves to false when it doesn't match.
+const checkCurrentPassword = async (req, res, password, message = 'Password is incorrect') => {
+  const attempt = profileAttempt(req);
+  const blocked = await loginProtection.check(attempt);
+  if (blocked) {
+    sendLoginBlocked(res, blocked);
+    return false;
+  }
+
+  if (!(await verifyPassword(password, req.user.password))) {
+    await loginProtection.recordFailure(attempt);
+    res.status(400).json({
+      success: false,
+      error: {
+        code: 'INVALID_PASSWORD',
+        message
+      }
+    });
+    return false;
+  }
+  return true;
+};
+
+// Change password: needs the current one. Signs out every other session.
+app.put('/api/v1/profile/password', authenticate, requireVerifiedEmail, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = changePasswordSchema.parse(req.body);
+
+    if (!(await checkCurrentPassword(req, res, currentPassword, 'Current password is incorrect'))) {
+      return;
+    }
+
+    const now = new Date().toISOString();
+    const user = await userRepository.update({
+      ...req.user,
+      password: await hashPassword(newPassword),
+      passwordChangedAt: now,
+      updatedAt: now
+    });
+    if (!user) {
+      throw new PreconditionFailedError(await userRepository.findById(req.user.id));
+    }
+
+    await revokeUserSessions(req, user.id, 'password_changed', req.sessionId);
+    sendMail(req, passwordChangedMessage(user));
+
+    res.json({
+      success: true,
+      data: { message: 'Password changed, other sessions have been signed out' }
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: error.errors
+        }
+      });
+    }
+
+    if (error instanceof PreconditionFailedError) {
+      return sendPreconditionFailed(res, error);
+    }
+
+    req.log.error('Password change error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+const sendMfaError = (res, status, code, message) => {
+  return res.status(status).json({
+    success: false,
+    error: { code, message }
+  });
+};
+
+// A TOTP or recovery code sent to a profile endpoint. Wrong codes count as failed logins, as on
+// /api/v1/login/mfa, so a stolen access token can't be used to guess them. `check` returns the
+// matching factor, or null once it has sent the error.
+const checkSecondFactor = async (req, res, check) => {
+  const attempt = profileAttempt(req);
+  const blocked = await loginProtection.check(attempt);
+  if (blocked) {
+    sendLoginBlocked(res, blocked);
+    return null;
+  }
+
+  const factor = check();
+  if (!factor) {
+    await loginProtection.recordFailure(attempt);
+    sendMfaError(res, 400, 'INVALID_MFA_CODE', 'Invalid or already used authentication code');
+    return null;
+  }
+  return factor;
+};
+
+// Shared catch of the profile and admin user routes
+const sendUserRouteError = (req, res, error, label) => {
+  if (error instanceof z.ZodError) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid input data',
+        details: error.errors
+      }
+    });
+  }
+
+  if (error instanceof PreconditionFailedError) {
+    return sendPreconditionFailed(res, error);
+  }
+
+  req.log.error(`${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    error: {
+      code: 'INTERNAL_ERROR',
+      message: 'Internal server error'
+    }
+  });
+};
+
+// Two-factor authentication status
+app.get('/api/v1/profile/mfa', authenticate, (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      mfa: { ...mfaStatus(req.user), required: isMfaRequired(req.user) },
+      // Whether the current session was signed in with two factors
+      session: { amr: req.amr }
+    }
+  });
+});
+
+// Start TOTP setup: a new secret for the authenticator app. Nothing changes until it's confirmed.
+app.post('/api/v1/profile/mfa/totp', authenticate, requireVerifiedEmail, async (req, res) => {
+  try {
+    if (isMfaEnabled(req.user)) {
+      return sendMfaError(res, 409, 'MFA_ALREADY_ENABLED', 'Two-factor authentication is already on, turn it off first');
+    }
+
+    const enrolment = startEnrolment(req.user);
+    const user = await userRepository.update({ ...req.user, mfa: enrolment.mfa, updatedAt: new Date().toISOString() });
+    if (!user) {
+      throw new PreconditionFailedError(await userRepository.findById(req.user.id));
+    }
+
+    res.json({
+      success: true,
+      data: {
+        secret: enrolment.secret,
+        // Render as a QR code for the app to scan
+        otpauthUri: enrolment.otpauthUri
+      }
+    });
+  } catch (error) {
+    sendUserRouteError(req, res, error, 'Start MFA setup');
+  }
+});
+
+// Finish TOTP setup with the password and a code from the app. Returns the recovery codes, only this once.
+app.post('/api/v1/profile/mfa/totp/confirm', authenticate, requireVerifiedEmail, async (req, res) => {
+  try {
+    const { password, code } = confirmMfaSchema.parse(req.body);
+
+    if (isMfaEnabled(req.user)) {
+      return sendMfaError(res, 409, 'MFA_ALREADY_ENABLED', 'Two-factor authentication is already on');
+    }
+    if (!req.user.mfa || !req.user.mfa.pendingSecret) {
+      return sendMfaError(res, 409, 'MFA_SETUP_NOT_STARTED', 'Start the setup with POST /api/v1/profile/mfa/totp first');
+    }
+    if (!(await checkCurrentPassword(req, res, password))) {
+      return;
+    }
+
+    const enrolment = await checkSecondFactor(req, res, () => confirmEnrolment(req.user, code));
+    if (!enrolment) {
+      return;
+    }
+
+    const user = await userRepository.update({ ...req.user, mfa: enrolment.mfa, updatedAt: new Date().toISOString() });
+    if (!user) {
+      throw new PreconditionFailedError(await userRepository.findById(req.user.id));
+    }
+    sendMail(req, mfaEnabledMessage(user));
+    req.log.info(`🔐 Two-factor authentication on for ${user.email}`);
+
+    res.json({
+      success: true,
+      data: {
+        mfa: { ...mfaStatus(user), required: isMfaRequired(user) },
+        recoveryCodes: enrolment.recoveryCodes,
+        message: 'Two-factor authentication is on. Keep the recovery codes somewhere safe and sign in again.'
+      }
+    });
+  } catch (error) {
+    sendUserRouteError(req, res, error, 'Confirm MFA setup');
+  }
+});
+
+// New recovery codes for a current TOTP code; the old ones stop working
+app.post('/api/v1/profile/mfa/recovery-codes', authenticate, async (req, res) => {
+  try {
+    const { code } = mfaCodeSchema.parse(req.body);
+
+    if (!isMfaEnabled(req.user)) {
+      return sendMfaError(res, 409, 'MFA_NOT_ENABLED', 'Two-factor authentication is off');
+    }
+
+    const factor = await checkSecondFactor(req, res, () => verifySecondFactor(req.user, { code }));
+    if (!factor) {
+      return;
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    const user = await userRepository.update({
+      ...req.user,
+      mfa: { ...factor.mfa, recoveryCodes: hashes },
+      updatedAt: new Date().toISOString()
+    });
+    if (!user) {
+      throw new PreconditionFailedError(await userRepository.findById(req.user.id));
+    }
+
+    res.json({
+      success: true,
+      data: { recoveryCodes: codes }
+    });
+  } catch (error) {
+    sendUserRouteError(req, res, error, 'Regenerate recovery codes');
+  }
+});
+
+// Turn two-factor authentication off: the password and a TOTP or recovery code
+app.delete('/api/v1/profile/mfa', authenticate, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = disableMfaSchema.parse(req.body);
+
+    if (!isMfaEnabled(req.user)) {
+      return sendMfaError(res, 409, 'MFA_NOT_ENABLED', 'Two-factor authentication is off');
+    }
+    if (!(await checkCurrentPassword(req, res, password))) {
+      return;
+    }
+
+    const factor = await checkSecondFactor(req, res, () => verifySecondFactor(req.user, { code, recoveryCode }));
+    if (!factor) {
+      return;
+    }
+
+    const user = await userRepository.update({ ...req.user, mfa: null, updatedAt: new Date().toISOString() });
+    if (!user) {
+      throw new PreconditionFailedError(await userRepository.findById(req.user.id));
+    }
+    sendMail(req, mfaDisabledMessage(user));
+    req.log.info(`🔓 Two-factor authentication off for ${user.email}`);
+
+    res.json({
+      success: true,
+      data: { mfa: { ...mfaStatus(user), required: isMfaRequired(user) } }
+    });
+  } catch (error) {
+    sendUserRouteError(req, res, error, 'Disable MFA');
+  }
+});
+
+// Send the verification email again
+app.post('/api/v1/profile/email/verification', authenticate, async (req, res) => {
+  try {
+    if (req.user.emailVerifiedAt) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'EMAIL_ALREADY_VERIFIED',
+          message: 'Email address is already confirmed'
+        }
+      });
+    }
+
+    if (await userTokens.issuedRecently(req.user.id, TOKEN_PURPOSE.EMAIL_VERIFICATION)) {
+      res.setHeader('Retry-After', '60');
+      return res.status(429).json({
+        success: false,
+        error: {
+          code: 'TOO_MANY_REQUESTS',
+          message: 'A verification email was sent less than a minute ago'
+        }
+      });
+    }
+
+    await sendVerificationEmail(req, req.user);
+
+    res.status(202).json({
+      success: true,
+      data: { message: `Verification email sent to ${req.user.email}` }
+    });
+  } catch (error) {
+    req.log.error('Verification email error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+// Confirm an email address with the token from the verification email
+app.post('/api/v1/email/verify', async (req, res) => {
+  try {
+    const { token } = verifyEmailSchema.parse(req.body);
+
+    await db.transaction(async (tx) => {
+      const record = await createUserTokens(tx).consume(token, TOKEN_PURPOSE.EMAIL_VERIFICATION);
+      const users = createUserRepository(tx);
+      const user = await users.findById(record.userId);
+
+      // The token proves the address it was sent to, not whatever the account uses now
+      if (!user || user.email !== record.email) {
+        throw new UserTokenError('INVALID_TOKEN', 'Token is invalid or has already been used');
+      }
+      if (user.emailVerifiedAt) {
+        return;
+      }
+
+      const now = new Date().toISOString();
+      if (!(await users.update({ ...user, emailVerifiedAt: now, updatedAt: now }))) {
+        throw new Error(`User ${user.id} changed during email verification`);
+      }
+    });
+
+    res.json({
+      success: true,
+      data: { message: 'Email address confirmed' }
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: error.errors
+        }
+      });
+    }
+
+    if (error instanceof UserTokenError) {
+      return sendUserTokenError(res, error);
+    }
+
+    req.log.error('Email verification error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+// Forgotten password: mails a reset link. The answer is the same whether or not the account exists.
+app.post('/api/v1/password/forgot', async (req, res) => {
+  try {
+    const { email } = forgotPasswordSchema.parse(req.body);
+
+    const user = await userRepository.findByEmail(email);
+    if (user && isActive(user) && !(await userTokens.issuedRecently(user.id, TOKEN_PURPOSE.PASSWORD_RESET))) {
+      const token = await userTokens.issue(user, TOKEN_PURPOSE.PASSWORD_RESET);
+      sendMail(req, passwordResetMessage(
+        user,
+        `${APP_URL}/reset-password?token=${token}`,
+        TOKEN_TTL[TOKEN_PURPOSE.PASSWORD_RESET]
+      ));
+    }
+
+    res.status(202).json({
+      success: true,
+      data: { message: 'If an account with this email exists, a reset link has been sent to it' }
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: error.errors
+        }
+      });
+    }
+
+    req.log.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+// Set a new password with the token from the reset email. Signs out every session.
+app.post('/api/v1/password/reset', async (req, res) => {
+  try {
+    const { token, newPassword } = resetPasswordSchema.parse(req.body);
+    const password = await hashPassword(newPassword);
+
+    const user = await db.transaction(async (tx) => {
+      const record = await createUserTokens(tx).consume(token, TOKEN_PURPOSE.PASSWORD_RESET);
+      const users = createUserRepository(tx);
+      const current = await users.findById(record.userId);
+      if (!current) {
+        throw new UserTokenError('INVALID_TOKEN', 'Token is invalid or has already been used');
+      }
+
+      // Following the link proves the mailbox too, as long as the account still uses that address
+      const now = new Date().toISOString();
+      const verified = current.emailVerifiedAt || (current.email === record.email ? now : null);
+      const updated = await users.update({
+        ...current,
+        password,
+        passwordChangedAt: now,
+        emailVerifiedAt: verified,
+        updatedAt: now
+      });
+      if (!updated) {
+        throw new Error(`User ${current.id} changed during password reset`);
+      }
+      return updated;
+    });
+
+    await revokeUserSessions(req, user.id, 'password_reset');
+    // Proving the mailbox is as good as an admin unlock
+    await loginProtection.unlock(user.email);
+    sendMail(req, passwordChangedMessage(user));
+
+    res.json({
+      success: true,
+      data: { message: 'Password has been reset, sign in with the new one' }
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: error.errors
+        }
+      });
+    }
+
+    if (error instanceof UserTokenError) {
+      return sendUserTokenError(res, error);
+    }
+
+    req.log.error('Password reset error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+// What admins see of a user: no password or MFA secrets
+const toAdminUser = (user) => ({
+  id: user.id,
+  email: user.email,
+  name: user.name,
+  roles: user.roles,
+  emailVerified: Boolean(user.emailVerifiedAt),
+  mfaEnabled: isMfaEnabled(user),
+  active: isActive(user),
+  deactivatedAt: user.deactivatedAt || null,
+  deactivatedBy: user.deactivatedBy || null,
+  deactivationReason: user.deactivationReason || null,
+  version: user.version,
+  createdAt: user.createdAt,
+  updatedAt: user.updatedAt
+});
+
+const sendUserNotFound = (res) => res.status(404).json({
+  success: false,
+  error: {
+    code: 'USER_NOT_FOUND',
+    message: 'User not found'
+  }
+});
+
+// Admin: List users
+app.get('/api/v1/users', authenticate, requirePermission(PERMISSIONS.USERS_READ), requireMfa, async (req, res) => {
+  try {
+    const query = userListQuery.parse(req.query);
+    const page = await userListQuery.fetchPage(userRepository, query);
+  
+    res.json({
+      success: true,
+      data: {
+        users: page.items.map(user => pickFields(toAdminUser(user), query.fields)),
+        pagination: paginationLinks(req, query, page)
+      }
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid query parameters',
+          details: error.errors
+        }
+      });
+    }
+
+    req.log.error('List users error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+// Admin: One user
+app.get('/api/v1/users/:id', authenticate, requirePermission(PERMISSIONS.USERS_READ), requireMfa, async (req, res) => {
+  try {
+    const user = await userRepository.findById(req.params.id);
+    if (!user) {
+      return sendUserNotFound(res);
+    }
+    if (sendNotModified(req, res, user)) {
+      return;
+    }
+
+    res.json({
+      success: true,
+      data: {
+        user: toAdminUser(user)
+      }
+    });
+  } catch (error) {
+    sendUserRouteError(req, res, error, 'Get user');
+  }
+});
+
+// Admin: Roles and the permissions they grant
+app.get('/api/v1/roles', authenticate, requirePermission(PERMISSIONS.USERS_MANAGE_ROLES), requireMfa, (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      roles: Object.entries(ROLES).map(([name, permissions]) => ({ name, permissions }))
+    }
+  });
+});
+
+// Admin: Assign (PUT) or revoke (DELETE) a role. Takes effect with the user's next access token.
+const changeRole = (action) => async (req, res) => {
+  try {
+    const { id, role } = req.params;
+
+    if (!ROLES[role]) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'UNKNOWN_ROLE',
+          message: `Unknown role "${role}", expected one of: ${Object.keys(ROLES).join(', ')}`
+        }
+      });
+    }
+
+    // Keeps at least the acting admin able to manage roles
+    if (action === 'revoke' && id === req.user.id && role === 'admin') {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'CANNOT_REVOKE_OWN_ADMIN',
+          message: 'Admins cannot revoke their own admin role'
+        }
+      });
+    }
+
+    const user = await userRepository.findById(id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'USER_NOT_FOUND',
+          message: 'User not found'
+        }
+      });
+    }
+
+    assertIfMatch(req.get('if-match'), user);
+
+    const roles = action === 'assign'
+      ? [...new Set([...user.roles, role])]
+      : user.roles.filter(item => item !== role);
+
+    let updated = user;
+    if (roles.length !== user.roles.length) {
+      updated = await db.transaction(async (tx) => {
+        const users = createUserRepository(tx);
+        const saved = await users.update({ ...user, roles, updatedAt: new Date().toISOString() });
+        if (!saved) {
+          throw new PreconditionFailedError(await users.findById(id));
+        }
+        await events.record(tx, EVENT_TYPES.USER_ROLES_CHANGED, id, {
+          userId: id,
+          roles,
+          previousRoles: user.roles,
+          changedBy: req.user.id
+        });
+        return saved;
+      });
+      events.flush();
+    }
+
+    req.log.info({ targetUserId: id, role, action, by: req.user.id }, 'Role change');
+
+    res.setHeader('ETag', etagFor(updated));
+    res.json({
+      success: true,
+      data: {
+        user: {
+          id: updated.id,
+          email: updated.email,
+          name: updated.name,
+          roles: updated.roles,
+          version: updated.version,
+          createdAt: updated.createdAt,
+          updatedAt: updated.updatedAt
+        }
+      }
+    });
+  } catch (error) {
+    if (error instanceof PreconditionFailedError) {
+      return sendPreconditionFailed(res, error);
+    }
+
+    req.log.error('Role change error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Internal server error'
+      }
+    });
+  }
+};
+
+const manageRoles = [authenticate, requirePermission(PERMISSIONS.USERS_MANAGE_ROLES), requireMfa, requireVerifiedEmail];
+
+app.put('/api/v1/users/:id/roles/:role', manageRoles, changeRole('assign'));
+app.delete('/api/v1/users/:id/roles/:role', manageRoles, changeRole('revoke'));
+
+const manageUsers = [authenticate, requirePermission(PERMISSIONS.USERS_MANAGE), requireMfa];
+
+// Work of a deactivated or deleted user can be handed to another active user
+const assertReassignTarget = async (res, reassignTo, userId) => {
+  const target = reassignTo === userId ? null : await userRepository.findById(reassignTo);
+  if (target && isActive(target)) {
+    return true;
+  }
+
+  res.status(422).json({
+    success: false,
+    error: {
+      code: 'INVALID_REASSIGN_TARGET',
+      message: `User ${reassignTo} can't take over the orders: it must be another, active user`
+    }
+  });
+  return false;
+};
+
+const sendCannotChangeSelf = (res, code, message) => res.status(400).json({
+  success: false,
+  error: { code, message }
+});
+
+// Admin: Edit a user's email, name or roles. A new email has to be confirmed again; roles need the same
+// permission as the role endpoints and take effect with the user's next access token.
+app.patch('/api/v1/users/:id', manageUsers, async (req, res) => {
+  try {
+    const validatedData = adminUpdateUserSchema.parse(req.body);
+
+    const user = await userRepository.findById(req.params.id);
+    if (!user) {
+      return sendUserNotFound(res);
+    }
+    assertIfMatch(req.get('if-match'), user);
+
+    const changes = ['email', 'name']
+      .filter(field => validatedData[field] !== undefined && validatedData[field] !== user[field])
+      .map(field => ({ field, from: user[field], to: validatedData[field] }));
+    const roles = validatedData.roles ? [...new Set(validatedData.roles)] : user.roles;
+    const rolesChanged = roles.length !== user.roles.length || roles.some(role => !user.roles.includes(role));
+
+    if (rolesChanged) {
+      if (!hasPermission(req.user, PERMISSIONS.USERS_MANAGE_ROLES)) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            code: 'FORBIDDEN',
+            message: `Permission ${PERMISSIONS.USERS_MANAGE_ROLES} required to change roles`
+          }
+        });
+      }
+      if (!req.user.emailVerifiedAt) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            code: 'EMAIL_NOT_VERIFIED',
+            message: 'Confirm your email address first'
+          }
+        });
+      }
+      if (user.id === req.user.id && user.roles.includes('admin') && !roles.includes('admin')) {
+        return sendCannotChangeSelf(res, 'CANNOT_REVOKE_OWN_ADMIN', 'Admins cannot revoke their own admin role');
+      }
+    }
+
+    const emailChange = changes.find(change => change.field === 'email');
+    if (emailChange && await userRepository.findByEmail(emailChange.to)) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'USER_EXISTS',
+          message: 'User with this email already exists'
+        }
+      });
+    }
+
+    let updated = user;
+    if (changes.length > 0 || rolesChanged) {
+      updated = await db.transaction(async (tx) => {
+        const users = createUserRepository(tx);
+        const saved = await users.update({
+          ...user,
+          ...Object.fromEntries(changes.map(change => [change.field, change.to])),
+          roles,
+          emailVerifiedAt: emailChange ? null : user.emailVerifiedAt,
+          updatedAt: new Date().toISOString()
+        });
+        if (!saved) {
+          throw new PreconditionFailedError(await users.findById(user.id));
+        }
+
+        if (changes.length > 0) {
+          await events.record(tx, EVENT_TYPES.USER_UPDATED, user.id, {
+            userId: user.id,
+            changes,
+            changedBy: req.user.id
+          });
+        }
+        if (rolesChanged) {
+          await events.record(tx, EVENT_TYPES.USER_ROLES_CHANGED, user.id, {
+            userId: user.id,
+            roles,
+            previousRoles: user.roles,
+            changedBy: req.user.id
+          });
+        }
+        return saved;
+      });
+      events.flush();
+
+      if (emailChange) {
+        await sendVerificationEmail(req, updated);
+      }
+      req.log.info({ targetUserId: user.id, fields: changes.map(change => change.field), rolesChanged, by: req.user.id }, 'User update');
+    }
+
+    res.setHeader('ETag', etagFor(updated));
+    res.json({
+      success: true,
+      data: {
+        user: toAdminUser(updated)
+      }
+    });
+  } catch (error) {
+    sendUserRouteError(req, res, error, 'Update user');
+  }
+});
+
+// Admin: Deactivate a user. Their sessions are revoked and every request with a token they still hold is
+// refused; service-orders hands their open orders over (see README). Reversible with /reactivate.
+app.post('/api/v1/users/:id/deactivate', manageUsers, async (req, res) => {
+  try {
+    const { reason, reassignTo } = deactivateUserSchema.parse(req.body);
+    if (req.params.id === req.user.id) {
+      return sendCannotChangeSelf(res, 'CANNOT_DEACTIVATE_SELF', 'Admins cannot deactivate their own account');
+    }
+
+    const user = await userRepository.findById(req.params.id);
+    if (!user) {
+      return sendUserNotFound(res);
+    }
+    assertIfMatch(req.get('if-match'), user);
+
+    if (!isActive(user)) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'USER_ALREADY_DEACTIVATED',
+          message: 'User is already deactivated'
+        }
+      });
+    }
+    if (reassignTo && !(await assertReassignTarget(res, reassignTo, user.id))) {
+      return;
+    }
+
+    const now = new Date().toISOString();
+    const updated = await db.transaction(async (tx) => {
+      const users = createUserRepository(tx);
+      const saved = await users.update({
+        ...user,
+        active: false,
+        deactivatedAt: now,
+        deactivatedBy: req.user.id,
+        deactivationReason: reason || null,
+        updatedAt: now
+      });
+      if (!saved) {
+        throw new PreconditionFailedError(await users.findById(user.id));
+      }
+      await events.record(tx, EVENT_TYPES.USER_DEACTIVATED, user.id, {
+        userId: user.id,
+        reason: reason || null,
+        reassignTo: reassignTo || null,
+        deactivatedBy: req.user.id,
+        deactivatedAt: now
+      });
+      return saved;
+    });
+    events.flush();
+
+    // service-orders drops the access tokens now, the gateway with its next revocations poll
+    await revokeUserSessions(req, user.id, 'user_deactivated');
+    req.log.info(`⛔ ${user.email} deactivated by ${req.user.email}`);
+
+    res.setHeader('ETag', etagFor(updated));
+    res.json({
+      success: true,
+      data: {
+        user: toAdminUser(updated)
+      }
+    });
+  } catch (error) {
+    sendUserRouteError(req, res, error, 'Deactivate user');
+  }
+});
+
+// Admin: Let a deactivated user sign in again. Orders handed over on deactivation stay where they are.
+app.post('/api/v1/users/:id/reactivate', manageUsers, async (req, res) => {
+  try {
+    const user = await userRepository.findById(req.params.id);
+    if (!user) {
+      return sendUserNotFound(res);
+    }
+    assertIfMatch(req.get('if-match'), user);
+
+    if (isActive(user)) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'USER_NOT_DEACTIVATED',
+          message: 'User is active'
+        }
+      });
+    }
+
+    // The user asked for their account to be erased; an admin can only retry that
+    const erasure = await dataRequests.findLatest(user.id, DATA_REQUEST_TYPE.ERASURE);
+    if (erasure && erasure.status !== DATA_REQUEST_STATUS.COMPLETED) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'ERASURE_PENDING',
+          message: 'User has asked for their account to be erased'
+        }
+      });
+    }
+
+    const now = new Date().toISOString();
+    const updated = await db.transaction(async (tx) => {
+      const users = createUserRepository(tx);
+      const saved = await users.update({
+        ...user,
+        active: true,
+        deactivatedAt: null,
+        deactivatedBy: null,
+        deactivationReason: null,
+        updatedAt: now
+      });
+      if (!saved) {
+        throw new PreconditionFailedError(await users.findById(user.id));
+      }
+      await events.record(tx, EVENT_TYPES.USER_REACTIVATED, user.id, {
+        userId: user.id,
+        reactivatedBy: req.user.id,
+        reactivatedAt: now
+      });
+      return saved;
+    });
+    events.flush();
+    req.log.info(`✅ ${user.email} reactivated by ${req.user.email}`);
+
+    res.setHeader('ETag', etagFor(updated));
+    res.json({
+      success: true,
+      data: {
+        user: toAdminUser(updated)
+      }
+    });
+  } catch (error) {
+    sendUserRouteError(req, res, error, 'Reactivate user');
+  }
+});
+
+// Admin: Delete a user for good (?reassignTo=<user id> takes over their assigned orders). Their sessions are
+// revoked; service-orders cancels the orders they placed that are still open. Deactivate to keep the account.
+app.delete('/api/v1/users/:id', manageUsers, async (req, res) => {
+  try {
+    const { reassignTo } = deleteUserQuerySchema.parse(req.query);
+    if (req.params.id === req.user.id) {
+      return sendCannotChangeSelf(res, 'CANNOT_DELETE_SELF', 'Admins cannot delete their own account');
+    }
+
+    const user = await userRepository.findById(req.params.id);
+    if (!user) {
+      return sendUserNotFound(res);
+    }
+    assertIfMatch(req.get('if-match'), user);
+
+    if (reassignTo && !(await assertReassignTarget(res, reassignTo, user.id))) {
+      return;
+    }
+
+    await db.transaction(async (tx) => {
+      await createUserRepository(tx).remove(user.id);
+      await events.record(tx, EVENT_TYPES.USER_DELETED, user.id, {
+        userId: user.id,
+        reassignTo: reassignTo || null,
+        deletedBy: req.user.id,
+        deletedAt: new Date().toISOString()
+      });
+    });
+    events.flush();
+
+    await revokeUserSessions(req, user.id, 'user_deleted');
+    req.log.info(`🗑️  ${user.email} deleted by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      data: { message: 'User deleted' }
+    });
+  } catch (error) {
+    sendUserRouteError(req, res, error, 'Delete user');
+  }
+});
+
+// Admin: Lift a login lockout (and the delays) before it runs out
+app.post('/api/v1/users/:id/unlock', manageUsers, async (req, res) => {
+  try {
+    const user = await userRepository.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'USER_NOT_FOUND',
+          message: 'User not found'
+        }
+      });
+    }
+
+    await loginProtection.unlock(user.email);
+    req.log.info(`🔓 Login to ${user.email} unlocked by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      data: { message: 'Account unlocked' }
+    });
+  } catch (error) {
+    req.log.error('Unlock user error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+// Admin: Turn off a user's two-factor authentication, e.g. when they lost both their device and recovery codes.
+// Their sessions are signed out; they sign in with the password and set it up again.
+app.delete('/api/v1/users/:id/mfa', manageUsers, async (req, res) => {
+  try {
+    const user = await userRepository.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'USER_NOT_FOUND',
+          message: 'User not found'
+        }
+      });
+    }
+
+    assertIfMatch(req.get('if-match'), user);
+    if (!isMfaEnabled(user)) {
+      return sendMfaError(res, 409, 'MFA_NOT_ENABLED', 'Two-factor authentication is off for this user');
+    }
+
+    const updated = await userRepository.update({ ...user, mfa: null, updatedAt: new Date().toISOString() });
+    if (!updated) {
+      throw new PreconditionFailedError(await userRepository.findById(user.id));
+    }
+    await revokeUserSessions(req, updated.id, 'mfa_reset');
+    sendMail(req, mfaDisabledMessage(updated, true));
+    req.log.info(`🔓 Two-factor authentication of ${updated.email} reset by ${req.user.email}`);
+
+    res.setHeader('ETag', etagFor(updated));
+    res.json({
+      success: true,
+      data: { message: 'Two-factor authentication reset, the user\'s sessions were signed out' }
+    });
+  } catch (error) {
+    if (error instanceof PreconditionFailedError) {
+      return sendPreconditionFailed(res, error);
+    }
+
+    req.log.error('Reset user MFA error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+// Admin: Login audit trail, newest first
+app.get('/api/v1/login-attempts', manageUsers, async (req, res) => {
+  try {
+    const query = loginAttemptListQuery.parse(req.query);
+    const page = await loginAttemptListQuery.fetchPage(loginProtection.attempts, query);
+
+    res.json({
+      success: true,
+      data: {
+        attempts: page.items.map(attempt => pickFields(attempt, query.fields)),
+        pagination: paginationLinks(req, query, page)
+      }
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid query parameters',
+          details: error.errors
+        }
+      });
+    }
+
+    req.log.error('List login attempts error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+// Personal data: the user's export and account erasure, run in the background as data requests (see
+// dataRequests.js). Only the requests' public view leaves the service.
+
+// Everything service-users and service-orders hold about the user, as one JSON document
+const exportUserData = async (request) => {
+  const user = await userRepository.findById(request.userId);
+  if (!user) {
+    throw new Error('User no longer exists');
+  }
+
+  const [userSessions, loginAttempts, orderData] = await Promise.all([
+    sessionRepository.listForUser(user.id),
+    loginProtection.history(user),
+    ordersClient.findUserData(user.id)
+  ]);
+
+  return {
+    archive: {
+      exportedAt: new Date().toISOString(),
+      profile: {
+        ...toProfile(user),
+        emailVerifiedAt: user.emailVerifiedAt || null,
+        passwordChangedAt: user.passwordChangedAt || null
+      },
+      sessions: userSessions.map(session => ({
+        id: session.id,
+        ip: session.ip,
+        userAgent: session.userAgent,
+        amr: session.amr || ['pwd'],
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        revokedAt: session.revokedAt,
+        revokedReason: session.revokedReason
+      })),
+      loginAttempts: loginAttempts.map(attempt => ({
+        email: attempt.email,
+        ip: attempt.ip,
+        userAgent: attempt.userAgent,
+        success: attempt.success,
+        reason: attempt.reason,
+        createdAt: attempt.createdAt
+      })),
+      orders: orderData.orders,
+      assignedOrders: orderData.assignedOrders,
+      comments: orderData.comments
+    }
+  };
+};
+
+// A user's stored events keep their ids, roles and dates; email, name and free-text reasons go.
+// Events about someone else, which only name the user as the admin who acted, are left as they are.
+const PERSONAL_EVENT_FIELDS = ['email', 'name'];
+
+const redactUserEvent = (userId) => (data) => (data.userId !== userId ? data : {
+  ...data,
+  ...Object.fromEntries(PERSONAL_EVENT_FIELDS.filter(field => field in data).map(field => [field, null])),
+  ...('reason' in data ? { reason: null } : {}),
+  ...(Array.isArray(data.changes) ? {
+    changes: data.changes.map(change => (PERSONAL_EVENT_FIELDS.includes(change.field)
+      ? { ...change, from: null, to: null }
+      : change))
+  } : {})
+});
+
+// service-orders anonymises first: once the account is gone nothing could retry it. Every step is safe
+// to repeat, so a request that failed halfway just runs again.
+const eraseUserData = async (request) => {
+  const { email, name, pseudonym } = request.params;
+  const orders = await ordersClient.eraseUser(request.userId, { email, pseudonym });
+
+  const user = await userRepository.findById(request.userId);
+  if (user) {
+    await db.transaction(async (tx) => {
+      await createUserRepository(tx).remove(user.id);
+      await events.record(tx, EVENT_TYPES.USER_DELETED, user.id, {
+        userId: user.id,
+        reassignTo: null,
+        deletedBy: user.id,
+        deletedAt: new Date().toISOString(),
+        erasure: true
+      });
+    });
+    events.flush();
+    mailer.send(accountErasedMessage({ email, name }))
+      .catch(error => logger.error(`Sending the account erasure email failed: ${error.message}`));
+  }
+
+  // Sessions stay, revoked, for the revocation list; where they came from goes
+  for (const session of await sessionRepository.listForUser(request.userId)) {
+    if (session.ip || session.userAgent) {
+      await sessionRepository.update({ ...session, ip: null, userAgent: null });
+    }
+  }
+  await loginProtection.forget({ userId: request.userId, email });
+  await userTokens.forget(request.userId);
+  await dataRequests.expireExports(request.userId);
+
+  // Events naming the user: published ones are deleted, USER_DELETED (if the relay hasn't got to it) is redacted.
+  // Flushed first, the relay writes back the entries it has read.
+  await events.flush();
+  await db.transaction(tx => events.forget(tx, { terms: [request.userId, email], redact: redactUserEvent(request.userId) }));
+  // The registration response, if it was sent with an Idempotency-Key
+  await idempotency.forget([request.userId, email]);
+
+  // The pseudonym isn't kept: with the user id next to it the orders could be traced back
+  return {
+    params: {},
+    result: { ...orders, erasedAt: new Date().toISOString() }
+  };
+};
+
+const notifyDataRequestCompleted = async (request) => {
+  if (request.type !== DATA_REQUEST_TYPE.EXPORT) {
+    return;
+  }
+  try {
+    const user = await userRepository.findById(request.userId);
+    if (user) {
+      await mailer.send(dataExportReadyMessage(user, `${APP_URL}/profile/data-export`, EXPORT_TTL_HOURS));
+    }
+  } catch (error) {
+    logger.error(`Sending the data export email failed: ${error.message}`);
+  }
+};
+
+const sendDataRequestAccepted = (res, request) => {
+  res.setHeader('Location', `/api/v1/profile/data-requests/${request.id}`);
+  res.status(202).json({
+    success: true,
+    data: {
+      request: toDataRequest(request)
+    }
   });
+};
+
+const sendDataRequestNotFound = (res) => res.status(404).json({
+  success: false,
+  error: {
+    code: 'DATA_REQUEST_NOT_FOUND',
+    message: 'Data request not found'
+  }
+});
+
+// Ask for a copy of your data. While an export is still open the same request is returned.
+app.post('/api/v1/profile/export', authenticate, requireVerifiedEmail, async (req, res) => {
+  try {
+    const latest = await dataRequests.findLatest(req.user.id, DATA_REQUEST_TYPE.EXPORT);
+    const request = latest && isOpen(latest)
+      ? latest
+      : await dataRequests.create(db, { userId: req.user.id, type: DATA_REQUEST_TYPE.EXPORT });
+    dataRequests.runDue();
+
+    sendDataRequestAccepted(res, request);
+  } catch (error) {
+    sendUserRouteError(req, res, error, 'Request data export');
+  }
+});
+
+// Download the latest export, a JSON file, until it expires
+app.get('/api/v1/profile/export', authenticate, requireVerifiedEmail, async (req, res) => {
+  try {
+    const latest = await dataRequests.findLatest(req.user.id, DATA_REQUEST_TYPE.EXPORT);
+    if (!latest) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'EXPORT_NOT_FOUND',
+          message: 'No data export requested, POST /api/v1/profile/export first'
+        }
+      });
+    }
+    if (latest.status === DATA_REQUEST_STATUS.EXPIRED) {
+      return res.status(410).json({
+        success: false,
+        error: {
+          code: 'EXPORT_EXPIRED',
+          message: 'The data export has expired, request a new one'
+        }
+      });
+    }
+    if (latest.status !== DATA_REQUEST_STATUS.COMPLETED) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'EXPORT_NOT_READY',
+          message: 'The data export is not ready yet',
+          details: { request: toDataRequest(latest) }
+        }
+      });
+    }
+
+    const day = latest.completedAt.slice(0, 10);
+    res.setHeader('Content-Disposition', `attachment; filename="data-export-${day}.json"`);
+    res.setHeader('Cache-Control', 'no-store');
+    res.json(latest.archive);
+  } catch (error) {
+    sendUserRouteError(req, res, error, 'Download data export');
+  }
+});
+
+// Erase your account. It is deactivated and signed out at once; the erasure request then anonymises the
+// orders in service-orders and deletes the account with the rest of the user's data. Admins have to
+// have the admin role removed first, so the last admin can't lock everyone out.
+app.delete('/api/v1/profile', authenticate, requireVerifiedEmail, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = deleteProfileSchema.parse(req.body);
+
+    if (req.user.roles.includes('admin')) {
+      return sendCannotChangeSelf(res, 'CANNOT_DELETE_SELF', 'Admins cannot delete their own account, have the admin role removed first');
+    }
+    if (!(await checkCurrentPassword(req, res, password))) {
+      return;
+    }
+
+    let factor = null;
+    if (isMfaEnabled(req.user)) {
+      if (!code && !recoveryCode) {
+        return sendMfaError(res, 400, 'MFA_CODE_REQUIRED', 'Two-factor authentication is on: send code or recoveryCode');
+      }
+      factor = await checkSecondFactor(req, res, () => verifySecondFactor(req.user, { code, recoveryCode }));
+      if (!factor) {
+        return;
+      }
+    }
+
+    // Not a user.deactivated event: service-orders would unassign the orders under the real id before
+    // the erasure anonymises them
+    const now = new Date().toISOString();
+    const request = await db.transaction(async (tx) => {
+      const users = createUserRepository(tx);
+      const saved = await users.update({
+        ...req.user,
+        mfa: factor ? factor.mfa : req.user.mfa,
+        active: false,
+        deactivatedAt: now,
+        deactivatedBy: req.user.id,
+        deactivationReason: 'Erasure requested',
+        updatedAt: now
+      });
+      if (!saved) {
+        throw new PreconditionFailedError(await users.findById(req.user.id));
+      }
+      return dataRequests.create(tx, {
+        userId: req.user.id,
+        type: DATA_REQUEST_TYPE.ERASURE,
+        params: { email: req.user.email, name: req.user.name, pseudonym: uuidv4() }
+      });
+    });
+
+    await revokeUserSessions(req, req.user.id, 'erasure_requested');
+    dataRequests.runDue();
+    req.log.info(`🧹 ${req.user.email} asked to erase their account`);
+
+    sendDataRequestAccepted(res, request);
+  } catch (error) {
+    sendUserRouteError(req, res, error, 'Erase account');
+  }
+});
+
+// Your data requests, newest first
+app.get('/api/v1/profile/data-requests', authenticate, async (req, res) => {
+  try {
+    const requests = await dataRequests.requests.find({
+      where: { userId: req.user.id },
+      sort: [['createdAt', 'desc']],
+      limit: 50
+    });
+
+    res.json({
+      success: true,
+      data: {
+        requests: requests.map(toDataRequest)
+      }
+    });
+  } catch (error) {
+    sendUserRouteError(req, res, error, 'List data requests');
+  }
+});
+
+app.get('/api/v1/profile/data-requests/:id', authenticate, async (req, res) => {
+  try {
+    const request = await dataRequests.findById(req.params.id);
+    if (!request || request.userId !== req.user.id) {
+      return sendDataRequestNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        request: toDataRequest(request)
+      }
+    });
+  } catch (error) {
+    sendUserRouteError(req, res, error, 'Get data request');
+  }
+});
+
+// Admin: Data requests of all users, newest first. A user who asked for erasure can't sign in to follow it.
+app.get('/api/v1/data-requests', manageUsers, async (req, res) => {
+  try {
+    const query = dataRequestListQuery.parse(req.query);
+    const page = await dataRequestListQuery.fetchPage(dataRequests.requests, query);
+
+    res.json({
+      success: true,
+      data: {
+        requests: page.items.map(request => pickFields(toDataRequest(request), query.fields)),
+        pagination: paginationLinks(req, query, page)
+      }
+    });
+  } catch (error) {
+    sendUserRouteError(req, res, error, 'List data requests');
+  }
+});
+
+// Admin: Run a failed request again, e.g. once service-orders is back
+app.post('/api/v1/data-requests/:id/retry', manageUsers, async (req, res) => {
+  try {
+    const request = await dataRequests.findById(req.params.id);
+    if (!request) {
+      return sendDataRequestNotFound(res);
+    }
+
+    const retried = await dataRequests.retry(request);
+    if (!retried) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'DATA_REQUEST_NOT_FAILED',
+          message: `Only failed requests can be retried, this one is ${request.status}`
+        }
+      });
+    }
+    dataRequests.runDue();
+    req.log.info(`🔁 Data request ${request.id} (${request.type}) retried by ${req.user.email}`);
+
+    res.status(202).json({
+      success: true,
+      data: {
+        request: toDataRequest(retried)
+      }
+    });
+  } catch (error) {
+    sendUserRouteError(req, res, error, 'Retry data request');
+  }
+});
+
+// Health check
+app.get('/health', async (req, res) => {
+  try {
+    res.json({ 
+      status: 'OK', 
+      service: 'users-service',
+      userCount: await userRepository.count()
+    });
+  } catch (error) {
+    req.log.error('Health check error:', error);
+    res.status(503).json({
+      status: 'DOWN',
+      service: 'users-service'
+    });
+  }
 });
 
 // Debug endpoint to see requests
-app.get('/api/v1/debug/requests', authenticate, requireAdmin, (req, res) => {
+app.get('/api/v1/debug/requests', authenticate, requirePermission(PERMISSIONS.SYSTEM_DEBUG), requireMfa, (req, res) => {
   res.json({
     success: true,
     data: {
@@ -409,25 +2648,32 @@ app.get('/api/v1/debug/requests', authenticate, requireAdmin, (req, res) => {
   });
 });
 
-app.listen(PORT, () => {
-  console.log(`👥 Users service running on port ${PORT}`);
-  
-  // Create admin user for testing
-  const createAdminUser = async () => {
-    const hashedPassword = await bcrypt.hash('admin123', 12);
-    users.push({
-      id: uuidv4(),
-      email: 'admin@example.com',
-      password: hashedPassword,
-      name: 'Admin User',
-      roles: ['admin', 'user'],
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString()
-    });
-    console.log('✅ Admin user created: admin@example.com / admin123');
-  };
-  
-  createAdminUser();
+const start = async () => {
+  assertProductionSecret('GATEWAY_SECRET', GATEWAY_SECRET);
+  await migrate(db, (message) => logger.info(message));
+  await keyStore.start();
+  await events.start();
+  idempotency.start();
+  dataRequests.start();
+  setInterval(() => {
+    userTokens.pruneExpired().catch(error => logger.error(`Pruning user tokens failed: ${error.message}`));
+    loginProtection.prune().catch(error => logger.error(`Pruning login attempts failed: ${error.message}`));
+    dataRequests.prune().catch(error => logger.error(`Pruning data exports failed: ${error.message}`));
+  }, 60 * 60 * 1000).unref();
+
+  // Nothing persists in memory, so seed the test admin on every start there; otherwise use `npm run seed`
+  if (db.dialect === 'memory') {
+    await seedAdmin(userRepository, (message) => logger.info(message));
+  }
+
+  app.listen(PORT, () => {
+    logger.info(`👥 Users service running on port ${PORT} (${db.dialect} storage)`);
+  });
+};
+
+start().catch(error => {
+  logger.fatal(error, '❌ Users service failed to start');
+  process.exit(1);
 });
 
 // Basic root route
@@ -439,9 +2685,43 @@ app.get('/', (req, res) => {
       endpoints: [
         'POST /api/v1/register',
         'POST /api/v1/login', 
+        'POST /api/v1/login/mfa',
+        'POST /api/v1/token/refresh',
+        'POST /api/v1/logout',
+        'GET /api/v1/sessions',
+        'DELETE /api/v1/sessions/:id',
         'GET /api/v1/profile',
         'PUT /api/v1/profile',
-        'GET /api/v1/users (admin only)',
+        'DELETE /api/v1/profile',
+        'PUT /api/v1/profile/password',
+        'GET /api/v1/profile/mfa',
+        'POST /api/v1/profile/mfa/totp',
+        'POST /api/v1/profile/mfa/totp/confirm',
+        'POST /api/v1/profile/mfa/recovery-codes',
+        'DELETE /api/v1/profile/mfa',
+        'POST /api/v1/profile/export',
+        'GET /api/v1/profile/export',
+        'GET /api/v1/profile/data-requests',
+        'GET /api/v1/profile/data-requests/:id',
+        'POST /api/v1/profile/email/verification',
+        'POST /api/v1/email/verify',
+        'POST /api/v1/password/forgot',
+        'POST /api/v1/password/reset',
+        'GET /api/v1/users (users:read)',
+        'GET /api/v1/users/:id (users:read)',
+        'PATCH /api/v1/users/:id (users:manage)',
+        'DELETE /api/v1/users/:id (users:manage)',
+        'POST /api/v1/users/:id/deactivate (users:manage)',
+        'POST /api/v1/users/:id/reactivate (users:manage)',
+        'GET /api/v1/roles (admin only)',
+        'PUT /api/v1/users/:id/roles/:role (admin only)',
+        'DELETE /api/v1/users/:id/roles/:role (admin only)',
+        'POST /api/v1/users/:id/unlock (users:manage)',
+        'DELETE /api/v1/users/:id/mfa (users:manage)',
+        'GET /api/v1/login-attempts (users:manage)',
+        'GET /api/v1/data-requests (users:manage)',
+        'POST /api/v1/data-requests/:id/retry (users:manage)',
+        'GET /.well-known/jwks.json',
         'GET /health'
       ]
     });
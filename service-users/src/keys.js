@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+
+const ALGORITHMS = {
+  RS256: { type: 'rsa', options: { modulusLength: 2048 } },
+  ES256: { type: 'ec', options: { namedCurve: 'P-256' } }
+};
+
+// Tokens signed just before a rotation must keep verifying on hosts whose clocks run a little behind
+const CLOCK_SKEW_SECONDS = 60;
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+const addSeconds = (date, seconds) => new Date(date.getTime() + seconds * 1000).toISOString();
+
+// Signing keys live in the database so every users-service instance signs with the same key.
+// The newest key signs; a replaced key stays in the JWKS until the last token it signed has expired.
+const createKeyStore = ({ signingKeyRepository, algorithm, rotationIntervalSec, tokenTtlSec, log }) => {
+  if (!ALGORITHMS[algorithm]) {
+    throw new Error(`Unsupported JWT algorithm "${algorithm}", use ${Object.keys(ALGORITHMS).join(' or ')}`);
+  }
+
+  // Newest first, with the parsed public key cached per kid
+  let keys = [];
+  const publicKeys = new Map();
+
+  const load = async () => {
+    keys = await signingKeyRepository.listPublished();
+    keys.forEach(key => {
+      if (!publicKeys.has(key.id)) {
+        publicKeys.set(key.id, crypto.createPublicKey({ key: key.publicJwk, format: 'jwk' }));
+      }
+    });
+  };
+
+  const generate = () => {
+    const { type, options } = ALGORITHMS[algorithm];
+    const { publicKey, privateKey } = crypto.generateKeyPairSync(type, options);
+
+    return {
+      id: uuidv4(),
+      algorithm,
+      publicJwk: publicKey.export({ format: 'jwk' }),
+      privateKeyPem: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+      createdAt: new Date().toISOString(),
+      retiresAt: null
+    };
+  };
+
+  const rotateIfDue = async () => {
+    await load();
+
+    const now = new Date();
+    const [current] = keys;
+    const due = !current
+      || current.algorithm !== algorithm
+      || Date.parse(current.createdAt) + rotationIntervalSec * 1000 <= now.getTime();
+
+    if (due) {
+      const key = await signingKeyRepository.create(generate());
+      keys = [key, ...keys];
+      log.info(`🔑 Signing key ${key.id} (${algorithm}) activated`);
+    }
+
+    // Every key but the newest gets a retirement date, including one created concurrently by another instance
+    const retiresAt = addSeconds(now, tokenTtlSec + CLOCK_SKEW_SECONDS);
+    await Promise.all(keys.slice(1)
+      .filter(key => !key.retiresAt)
+      .map(key => signingKeyRepository.update({ ...key, retiresAt })));
+
+    await load();
+  };
+
+  const findPublicKey = async (kid) => {
+    if (!publicKeys.has(kid)) {
+      // Possibly rotated by another instance since the last load
+      await load();
+    }
+    const key = keys.find(item => item.id === kid);
+    return key ? { key: publicKeys.get(kid), algorithm: key.algorithm } : null;
+  };
+
+  return {
+    start: async () => {
+      await rotateIfDue();
+      setInterval(() => {
+        rotateIfDue().catch(error => log.error(`❌ Signing key rotation failed: ${error.message}`));
+      }, CHECK_INTERVAL_MS).unref();
+    },
+
+    sign: (payload, options) => {
+      const [key] = keys;
+      if (!key) {
+        throw new Error('Key store is not started');
+      }
+      return jwt.sign(payload, key.privateKeyPem, { ...options, algorithm: key.algorithm, keyid: key.id });
+    },
+
+    // Throws like jwt.verify on an invalid, expired or unknown-key token
+    verify: async (token) => {
+      const decoded = jwt.decode(token, { complete: true });
+      if (!decoded || !decoded.header.kid) {
+        throw new jwt.JsonWebTokenError('Token has no key id');
+      }
+
+      const publicKey = await findPublicKey(decoded.header.kid);
+      if (!publicKey) {
+        throw new jwt.JsonWebTokenError('Unknown signing key');
+      }
+      return jwt.verify(token, publicKey.key, { algorithms: [publicKey.algorithm] });
+    },
+
+    jwks: () => ({
+      keys: keys.map(key => ({
+        ...key.publicJwk,
+        kid: key.id,
+        alg: key.algorithm,
+        use: 'sig'
+      }))
+    })
+  };
+};
+
+module.exports = { createKeyStore };
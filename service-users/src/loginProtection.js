@@ -0,0 +1,158 @@
+const { v4: uuidv4 } = require('uuid');
+const { createLoginAttemptRepository } = require('./repositories/loginAttemptRepository');
+
+const minutes = (name, fallback) => (parseInt(process.env[name], 10) || fallback) * 60 * 1000;
+
+// Failures older than the window are forgotten. After `freeFailures` every further failure makes the next
+// attempt wait twice as long (1s, 2s, 4s … up to MAX_DELAY_MS); at `lockAfter` logins are refused for
+// LOCKOUT_MS. An IP gets more room than an account: offices and NATs share one.
+const FAILURE_WINDOW_MS = minutes('LOGIN_FAILURE_WINDOW_MINUTES', 15);
+const LOCKOUT_MS = minutes('LOGIN_LOCKOUT_MINUTES', 15);
+const MAX_DELAY_MS = 30 * 1000;
+const LIMITS = {
+  account: { freeFailures: 3, lockAfter: parseInt(process.env.LOGIN_ACCOUNT_LOCK_AFTER, 10) || 10 },
+  ip: { freeFailures: 10, lockAfter: parseInt(process.env.LOGIN_IP_LOCK_AFTER, 10) || 50 }
+};
+const AUDIT_RETENTION_MS = (parseInt(process.env.LOGIN_AUDIT_RETENTION_DAYS, 10) || 90) * 24 * 60 * 60 * 1000;
+
+// `reason` of an audited attempt
+const LOGIN_REASONS = {
+  SUCCESS: 'success',
+  // Right password, the second factor is still to come
+  MFA_REQUIRED: 'mfa_required',
+  UNKNOWN_EMAIL: 'unknown_email',
+  INVALID_PASSWORD: 'invalid_password',
+  INVALID_MFA_CODE: 'invalid_mfa_code',
+  // Right password, but an admin deactivated the account
+  ACCOUNT_DEACTIVATED: 'account_deactivated',
+  THROTTLED: 'throttled',
+  ACCOUNT_LOCKED: 'account_locked',
+  IP_LOCKED: 'ip_locked'
+};
+
+// Emails differing only in case are one account as far as guessing goes
+const keysFor = ({ email, ip }) => ({
+  account: `account:${email.toLowerCase()}`,
+  ip: `ip:${ip}`
+});
+
+const delayAfter = (failures, { freeFailures }) => {
+  return failures <= freeFailures ? 0 : Math.min(1000 * 2 ** (failures - freeFailures - 1), MAX_DELAY_MS);
+};
+
+// Login throttling, lockout and the login audit trail. State lives in the database, so every instance
+// of the service applies the same counters.
+const createLoginProtection = (db) => {
+  const repository = createLoginAttemptRepository(db);
+
+  // Why a login can't be attempted now, or null
+  const check = async (identity, now = Date.now()) => {
+    const keys = keysFor(identity);
+    const [account, ip] = await Promise.all([repository.findThrottle(keys.account), repository.findThrottle(keys.ip)]);
+
+    if (ip && Date.parse(ip.lockedUntil) > now) {
+      return { reason: LOGIN_REASONS.IP_LOCKED, retryAfterMs: Date.parse(ip.lockedUntil) - now };
+    }
+    if (account && Date.parse(account.lockedUntil) > now) {
+      return { reason: LOGIN_REASONS.ACCOUNT_LOCKED, retryAfterMs: Date.parse(account.lockedUntil) - now };
+    }
+
+    const retryAt = Math.max(account ? Date.parse(account.retryAt) : 0, ip ? Date.parse(ip.retryAt) : 0);
+    if (retryAt > now) {
+      return { reason: LOGIN_REASONS.THROTTLED, retryAfterMs: retryAt - now };
+    }
+    return null;
+  };
+
+  const fail = async (id, limits, now) => {
+    // Concurrent failures race on the version; the loser reads again
+    for (let attempt = 0; attempt < 3; attempt += 1) {
+      const current = await repository.findThrottle(id);
+      const fresh = !current || now - Date.parse(current.lastFailureAt) > FAILURE_WINDOW_MS;
+      const failures = fresh ? 1 : current.failures + 1;
+      const locked = failures >= limits.lockAfter;
+      const lockedUntil = locked ? new Date(now + LOCKOUT_MS).toISOString() : null;
+
+      const throttle = {
+        ...current,
+        id,
+        failures,
+        lastFailureAt: new Date(now).toISOString(),
+        retryAt: lockedUntil || new Date(now + delayAfter(failures, limits)).toISOString(),
+        lockedUntil,
+        expiresAt: new Date(now + Math.max(FAILURE_WINDOW_MS, locked ? LOCKOUT_MS : 0)).toISOString()
+      };
+
+      const saved = current
+        ? await repository.updateThrottle(throttle)
+        : await repository.createThrottle(throttle).catch(() => null);
+      if (saved) {
+        return saved;
+      }
+    }
+    return null;
+  };
+
+  // Counts a failed password or MFA code against the account and the IP. Returns what got locked by it,
+  // if anything.
+  const recordFailure = async (identity, now = Date.now()) => {
+    const keys = keysFor(identity);
+    const [account, ip] = await Promise.all([
+      fail(keys.account, LIMITS.account, now),
+      fail(keys.ip, LIMITS.ip, now)
+    ]);
+    return {
+      accountLocked: Boolean(account && account.lockedUntil && account.failures === LIMITS.account.lockAfter),
+      ipLocked: Boolean(ip && ip.lockedUntil && ip.failures === LIMITS.ip.lockAfter)
+    };
+  };
+
+  // A correct password clears the account's failures. The IP's stay: one working account shouldn't
+  // let an address keep guessing others.
+  const recordSuccess = (identity) => repository.removeThrottle(keysFor(identity).account);
+
+  // Admin unlock, and after a password reset
+  const unlock = (email) => repository.removeThrottle(keysFor({ email, ip: '' }).account);
+
+  // The user's login history, for the data export
+  const history = (user) => repository.listAttemptsOf({ userId: user.id, email: user.email });
+
+  // Account erasure: the audit trail and the account's counters go. The IP's stay, they aren't the user's.
+  const forget = async ({ userId, email }) => {
+    await repository.removeThrottle(keysFor({ email, ip: '' }).account);
+    return repository.removeAttemptsOf({ userId, email });
+  };
+
+  // attempt: { userId, email, ip, userAgent, reason }
+  const audit = (attempt) => repository.record({
+    id: uuidv4(),
+    userId: attempt.userId || null,
+    email: attempt.email,
+    ip: attempt.ip || null,
+    userAgent: attempt.userAgent || null,
+    success: attempt.reason === LOGIN_REASONS.SUCCESS,
+    reason: attempt.reason,
+    createdAt: new Date().toISOString()
+  });
+
+  const prune = async (now = Date.now()) => {
+    const throttles = await repository.pruneThrottles(new Date(now).toISOString());
+    const attempts = await repository.pruneAttempts(new Date(now - AUDIT_RETENTION_MS).toISOString());
+    return throttles + attempts;
+  };
+
+  return {
+    check,
+    recordFailure,
+    recordSuccess,
+    unlock,
+    audit,
+    prune,
+    history,
+    forget,
+    // For listQuery's fetchPage
+    attempts: { find: repository.find, count: repository.count }
+  };
+};
+
+module.exports = { LOGIN_REASONS, createLoginProtection };
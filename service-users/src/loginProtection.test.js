@@ -0,0 +1,78 @@
+const { createDatabase } = require('./db');
+const { LOGIN_REASONS, createLoginProtection } = require('./loginProtection');
+
+const ATTEMPT = { email: 'User@Example.com', ip: '10.0.0.1' };
+const T0 = Date.parse('2026-01-01T00:00:00Z');
+
+const failTimes = async (loginProtection, count, identity = ATTEMPT, now = T0) => {
+  let result;
+  for (let i = 0; i < count; i += 1) {
+    result = await loginProtection.recordFailure(identity, now);
+  }
+  return result;
+};
+
+describe('login protection', () => {
+  test('the first three failures cost nothing, then the delay doubles', async () => {
+    const loginProtection = createLoginProtection(createDatabase({ driver: 'memory' }));
+
+    await failTimes(loginProtection, 3);
+    expect(await loginProtection.check(ATTEMPT, T0)).toBeNull();
+
+    await failTimes(loginProtection, 1);
+    expect(await loginProtection.check(ATTEMPT, T0)).toEqual({ reason: LOGIN_REASONS.THROTTLED, retryAfterMs: 1000 });
+
+    await failTimes(loginProtection, 1);
+    expect(await loginProtection.check(ATTEMPT, T0)).toEqual({ reason: LOGIN_REASONS.THROTTLED, retryAfterMs: 2000 });
+    expect(await loginProtection.check(ATTEMPT, T0 + 2000)).toBeNull();
+  });
+
+  test('the tenth failure locks the account, whatever the case of the email', async () => {
+    const loginProtection = createLoginProtection(createDatabase({ driver: 'memory' }));
+
+    const ninth = await failTimes(loginProtection, 9);
+    expect(ninth.accountLocked).toBe(false);
+    const tenth = await loginProtection.recordFailure({ ...ATTEMPT, email: 'user@example.com' }, T0);
+    expect(tenth.accountLocked).toBe(true);
+
+    const blocked = await loginProtection.check({ email: 'USER@example.com', ip: '10.0.0.2' }, T0 + 60 * 1000);
+    expect(blocked).toEqual({ reason: LOGIN_REASONS.ACCOUNT_LOCKED, retryAfterMs: 14 * 60 * 1000 });
+    expect(await loginProtection.check(ATTEMPT, T0 + 15 * 60 * 1000)).toBeNull();
+  });
+
+  test('failures spread over many accounts lock the IP', async () => {
+    const loginProtection = createLoginProtection(createDatabase({ driver: 'memory' }));
+
+    for (let i = 0; i < 50; i += 1) {
+      await loginProtection.recordFailure({ email: `user${i}@example.com`, ip: ATTEMPT.ip }, T0);
+    }
+
+    expect((await loginProtection.check({ email: 'new@example.com', ip: ATTEMPT.ip }, T0)).reason).toBe(LOGIN_REASONS.IP_LOCKED);
+    expect(await loginProtection.check({ email: 'new@example.com', ip: '10.0.0.2' }, T0)).toBeNull();
+  });
+
+  test('failures older than the window are forgotten', async () => {
+    const loginProtection = createLoginProtection(createDatabase({ driver: 'memory' }));
+
+    await failTimes(loginProtection, 9);
+    const later = T0 + 16 * 60 * 1000;
+    const result = await loginProtection.recordFailure(ATTEMPT, later);
+
+    expect(result.accountLocked).toBe(false);
+    expect(await loginProtection.check(ATTEMPT, later)).toBeNull();
+  });
+
+  test('a success or an admin unlock clears the account but not the IP', async () => {
+    const loginProtection = createLoginProtection(createDatabase({ driver: 'memory' }));
+
+    await failTimes(loginProtection, 10);
+    await loginProtection.unlock(ATTEMPT.email);
+    expect(await loginProtection.check({ ...ATTEMPT, ip: '10.0.0.2' }, T0)).toBeNull();
+    // The IP has 10 failures: no delay yet, but they still count
+    await loginProtection.recordFailure({ email: 'other@example.com', ip: ATTEMPT.ip }, T0);
+    expect((await loginProtection.check({ email: 'other@example.com', ip: ATTEMPT.ip }, T0)).reason).toBe(LOGIN_REASONS.THROTTLED);
+
+    await loginProtection.recordSuccess({ email: 'other@example.com', ip: ATTEMPT.ip });
+    expect((await loginProtection.check({ email: 'other@example.com', ip: ATTEMPT.ip }, T0)).reason).toBe(LOGIN_REASONS.THROTTLED);
+  });
+});
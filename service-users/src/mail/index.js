@@ -0,0 +1,42 @@
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { formatMessage } = require('./message');
+
+// MAIL_TRANSPORT: file (default, writes .eml files to MAIL_DIR) or smtp (SMTP_HOST, SMTP_PORT)
+const createTransport = (type) => {
+  switch (type) {
+    case 'file': {
+      const { createFileTransport } = require('./transports/file');
+      return createFileTransport({
+        dir: process.env.MAIL_DIR || path.join(process.cwd(), 'data', 'mail')
+      });
+    }
+    case 'smtp': {
+      const { createSmtpTransport } = require('./transports/smtp');
+      return createSmtpTransport({
+        host: process.env.SMTP_HOST || 'localhost',
+        port: parseInt(process.env.SMTP_PORT, 10) || 1025
+      });
+    }
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT "${type}"`);
+  }
+};
+
+// message: { to, subject, text }
+const createMailer = ({ type = process.env.MAIL_TRANSPORT || 'file', from = process.env.MAIL_FROM || 'no-reply@localhost' } = {}) => {
+  const transport = createTransport(type);
+
+  return {
+    name: transport.name,
+
+    send: async ({ to, subject, text }) => {
+      const id = uuidv4();
+      const raw = formatMessage({ id, from, to, subject, text });
+      await transport.send({ id, from, to, raw });
+      return { id };
+    }
+  };
+};
+
+module.exports = { createMailer };
@@ -0,0 +1,93 @@
+// Texts of the account emails. `link` points at the web app page that completes the flow.
+
+const verifyEmailMessage = (user, link) => ({
+  to: user.email,
+  subject: 'Confirm your email address',
+  text: `Hello ${user.name},
+
+please confirm your email address by opening this link:
+
+${link}
+
+If you didn't create an account, ignore this message.`
+});
+
+const passwordResetMessage = (user, link, ttlMinutes) => ({
+  to: user.email,
+  subject: 'Reset your password',
+  text: `Hello ${user.name},
+
+someone asked to reset the password of your account. To choose a new one, open this link
+within ${ttlMinutes} minutes:
+
+${link}
+
+If it wasn't you, ignore this message: your password stays the same.`
+});
+
+const passwordChangedMessage = (user) => ({
+  to: user.email,
+  subject: 'Your password was changed',
+  text: `Hello ${user.name},
+
+the password of your account was just changed and your other sessions were signed out.
+
+If it wasn't you, reset your password right away and contact an administrator.`
+});
+
+const mfaEnabledMessage = (user) => ({
+  to: user.email,
+  subject: 'Two-factor authentication is on',
+  text: `Hello ${user.name},
+
+two-factor authentication was just turned on for your account. Signing in now also asks for a code
+from your authenticator app.
+
+If it wasn't you, reset your password right away and contact an administrator.`
+});
+
+// `byAdmin`: an administrator reset it, e.g. after the user lost their device
+const mfaDisabledMessage = (user, byAdmin = false) => ({
+  to: user.email,
+  subject: 'Two-factor authentication is off',
+  text: `Hello ${user.name},
+
+two-factor authentication was just turned off for your account${byAdmin ? ' by an administrator' : ''}.
+Signing in only needs your password now.
+
+If it wasn't you, reset your password right away and contact an administrator.`
+});
+
+const dataExportReadyMessage = (user, link, ttlHours) => ({
+  to: user.email,
+  subject: 'Your data export is ready',
+  text: `Hello ${user.name},
+
+the copy of your data you asked for is ready. Download it within ${ttlHours} hours, while signed in:
+
+${link}
+
+If you didn't ask for it, change your password and contact an administrator.`
+});
+
+// Sent to the address of an account that no longer exists
+const accountErasedMessage = ({ email, name }) => ({
+  to: email,
+  subject: 'Your account was deleted',
+  text: `Hello ${name},
+
+your account and your personal data have been deleted, as you asked. Orders you placed are kept
+for accounting, without anything that identifies you.
+
+This is the last message you get from us.`
+});
+
+module.exports = {
+  verifyEmailMessage,
+  passwordResetMessage,
+  passwordChangedMessage,
+  mfaEnabledMessage,
+  mfaDisabledMessage,
+  dataExportReadyMessage,
+  accountErasedMessage
+};
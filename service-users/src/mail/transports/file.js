@@ -0,0 +1,16 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// For development: every message becomes an .eml file that any mail client opens
+const createFileTransport = ({ dir }) => {
+  return {
+    name: 'file',
+
+    send: async ({ id, raw }) => {
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(path.join(dir, `${Date.now()}-${id}.eml`), raw);
+    }
+  };
+};
+
+module.exports = { createFileTransport };
@@ -0,0 +1,80 @@
+const net = require('net');
+const os = require('os');
+
+const TIMEOUT_MS = 10 * 1000;
+
+// Lines starting with a dot get another one, so the body can't end the DATA section early
+const dotStuff = (raw) => raw.replace(/^\./gm, '..');
+
+// Minimal SMTP client for a local relay or a test server such as Mailpit: plain TCP, no TLS, no AUTH
+const createSmtpTransport = ({ host, port }) => {
+  const send = ({ from, to, raw }) => new Promise((resolve, reject) => {
+    // Each step waits for a reply code, then sends its command
+    const steps = [
+      { expect: 220, command: `EHLO ${os.hostname()}` },
+      { expect: 250, command: `MAIL FROM:<${from}>` },
+      { expect: 250, command: `RCPT TO:<${to}>` },
+      { expect: 250, command: 'DATA' },
+      { expect: 354, command: `${dotStuff(raw)}.` },
+      { expect: 250, command: 'QUIT' },
+      { expect: 221 }
+    ];
+    let step = 0;
+    let buffer = '';
+    let done = false;
+
+    const socket = net.connect({ host, port });
+    socket.setEncoding('utf8');
+    socket.setTimeout(TIMEOUT_MS, () => socket.destroy(new Error(`SMTP server did not answer within ${TIMEOUT_MS}ms`)));
+
+    const finish = (error) => {
+      if (done) {
+        return;
+      }
+      done = true;
+      if (error) {
+        socket.destroy();
+        reject(error);
+      } else {
+        socket.end();
+        resolve();
+      }
+    };
+
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+      let end;
+      while ((end = buffer.indexOf('\n')) !== -1) {
+        const line = buffer.slice(0, end).replace(/\r$/, '');
+        buffer = buffer.slice(end + 1);
+
+        // Multiline replies continue with "250-..."; the last line has a space after the code
+        if (!/^\d{3} /.test(line) && !/^\d{3}$/.test(line)) {
+          continue;
+        }
+
+        const code = parseInt(line.slice(0, 3), 10);
+        if (code !== steps[step].expect) {
+          return finish(new Error(`SMTP server answered "${line}", expected ${steps[step].expect}`));
+        }
+
+        const { command } = steps[step];
+        step += 1;
+        if (command === undefined) {
+          return finish();
+        }
+        socket.write(`${command}\r\n`);
+      }
+    });
+
+    socket.on('error', finish);
+    socket.on('close', () => finish(new Error('SMTP connection closed early')));
+  });
+
+  return {
+    name: 'smtp',
+    send
+  };
+};
+
+module.exports = { createSmtpTransport };
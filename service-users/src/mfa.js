@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+const { generateSecret, verifyCode, otpauthUri } = require('./totp');
+const { hashToken } = require('./sessions');
+
+// Two-factor authentication with TOTP and recovery codes. Kept on the user as
+// `mfa: { totpSecret, enabledAt, lastStep, recoveryCodes: [sha256], pendingSecret }`; the helpers
+// return the next `mfa` and the caller stores it with an optimistic user update, which is what
+// makes codes single-use when two requests race.
+
+const MFA_ISSUER = process.env.MFA_ISSUER || 'Micro Task';
+const RECOVERY_CODE_COUNT = 10;
+// No 0/o, 1/l/i: codes get copied off paper
+const RECOVERY_CODE_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789';
+
+// `amr` (RFC 8176) of a session by how it was signed in
+const AMR = {
+  PASSWORD: ['pwd'],
+  TOTP: ['pwd', 'otp', 'mfa'],
+  RECOVERY_CODE: ['pwd', 'mfa']
+};
+
+const isMfaEnabled = (user) => Boolean(user.mfa && user.mfa.enabledAt);
+
+const normalizeRecoveryCode = (code) => code.toLowerCase().replace(/[\s-]/g, '');
+
+// Shown to the user once; only the hashes are kept
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const chars = Array.from({ length: 8 }, () => RECOVERY_CODE_ALPHABET[crypto.randomInt(RECOVERY_CODE_ALPHABET.length)]);
+    return `${chars.slice(0, 4).join('')}-${chars.slice(4).join('')}`;
+  });
+  return { codes, hashes: codes.map(code => hashToken(normalizeRecoveryCode(code))) };
+};
+
+// A fresh secret to put in the authenticator app; it does nothing until confirmed with a code
+const startEnrolment = (user) => {
+  const secret = generateSecret();
+  return {
+    mfa: { ...user.mfa, pendingSecret: secret },
+    secret,
+    otpauthUri: otpauthUri({ secret, account: user.email, issuer: MFA_ISSUER })
+  };
+};
+
+// Null when the code doesn't match the pending secret
+const confirmEnrolment = (user, code, now = new Date()) => {
+  const step = verifyCode(user.mfa.pendingSecret, code, { now: now.getTime() });
+  if (step === null) {
+    return null;
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+  return {
+    mfa: {
+      totpSecret: user.mfa.pendingSecret,
+      enabledAt: now.toISOString(),
+      lastStep: step,
+      recoveryCodes: hashes,
+      pendingSecret: null
+    },
+    recoveryCodes: codes
+  };
+};
+
+// Checks a TOTP code or a recovery code; either is used up. Null when it doesn't match.
+const verifySecondFactor = (user, { code, recoveryCode }) => {
+  const { mfa } = user;
+
+  if (code) {
+    const step = verifyCode(mfa.totpSecret, code, { afterStep: mfa.lastStep });
+    return step === null ? null : { mfa: { ...mfa, lastStep: step }, amr: AMR.TOTP };
+  }
+
+  const hash = hashToken(normalizeRecoveryCode(recoveryCode));
+  if (!mfa.recoveryCodes.includes(hash)) {
+    return null;
+  }
+  return { mfa: { ...mfa, recoveryCodes: mfa.recoveryCodes.filter(item => item !== hash) }, amr: AMR.RECOVERY_CODE };
+};
+
+const mfaStatus = (user) => ({
+  enabled: isMfaEnabled(user),
+  enabledAt: isMfaEnabled(user) ? user.mfa.enabledAt : null,
+  recoveryCodesLeft: isMfaEnabled(user) ? user.mfa.recoveryCodes.length : 0
+});
+
+module.exports = {
+  AMR,
+  isMfaEnabled,
+  generateRecoveryCodes,
+  startEnrolment,
+  confirmEnrolment,
+  verifySecondFactor,
+  mfaStatus
+};
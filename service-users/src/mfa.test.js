@@ -0,0 +1,61 @@
+const { codeAt, stepAt } = require('./totp');
+const { AMR, isMfaEnabled, startEnrolment, confirmEnrolment, verifySecondFactor, mfaStatus } = require('./mfa');
+
+const USER = { id: 'user-1', email: 'user@example.com', mfa: null };
+
+const enrol = () => {
+  const started = startEnrolment(USER);
+  const now = new Date();
+  const confirmed = confirmEnrolment({ ...USER, mfa: started.mfa }, codeAt(started.secret, stepAt(now.getTime())), now);
+  return { user: { ...USER, mfa: confirmed.mfa }, secret: started.secret, recoveryCodes: confirmed.recoveryCodes };
+};
+
+describe('mfa', () => {
+  test('a pending secret does nothing until confirmed with a code', () => {
+    const started = startEnrolment(USER);
+    const pending = { ...USER, mfa: started.mfa };
+
+    expect(isMfaEnabled(pending)).toBe(false);
+    const now = new Date();
+    const stale = codeAt(started.secret, stepAt(now.getTime()) - 5);
+
+    expect(confirmEnrolment(pending, stale, now)).toBeNull();
+  });
+
+  test('confirming enables TOTP and hands out recovery codes, keeping only their hashes', () => {
+    const { user, secret, recoveryCodes } = enrol();
+
+    expect(isMfaEnabled(user)).toBe(true);
+    expect(user.mfa.totpSecret).toBe(secret);
+    expect(user.mfa.pendingSecret).toBeNull();
+    expect(recoveryCodes).toHaveLength(10);
+    expect(user.mfa.recoveryCodes).not.toContain(recoveryCodes[0]);
+    expect(mfaStatus(user)).toMatchObject({ enabled: true, recoveryCodesLeft: 10 });
+  });
+
+  test('the code used to confirm, or any earlier one, does not sign in', () => {
+    const { user, secret } = enrol();
+
+    expect(verifySecondFactor(user, { code: codeAt(secret, user.mfa.lastStep) })).toBeNull();
+  });
+
+  test('a TOTP code moves lastStep forward and gives an otp session', () => {
+    const { user, secret } = enrol();
+    const next = { ...user, mfa: { ...user.mfa, lastStep: user.mfa.lastStep - 1 } };
+
+    const result = verifySecondFactor(next, { code: codeAt(secret, user.mfa.lastStep) });
+
+    expect(result.amr).toEqual(AMR.TOTP);
+    expect(result.mfa.lastStep).toBe(user.mfa.lastStep);
+  });
+
+  test('a recovery code works once, in any case and with or without the dash', () => {
+    const { user, recoveryCodes } = enrol();
+
+    const result = verifySecondFactor(user, { recoveryCode: recoveryCodes[0].toUpperCase().replace('-', '') });
+
+    expect(result.amr).toEqual(AMR.RECOVERY_CODE);
+    expect(result.mfa.recoveryCodes).toHaveLength(9);
+    expect(verifySecondFactor({ ...user, mfa: result.mfa }, { recoveryCode: recoveryCodes[0] })).toBeNull();
+  });
+});
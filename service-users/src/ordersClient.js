@@ -0,0 +1,57 @@
+// Calls to service-orders' internal API, authenticated with the shared gateway secret
+const TIMEOUT_MS = 30 * 1000;
+
+class OrdersServiceError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'OrdersServiceError';
+  }
+}
+
+const createOrdersClient = ({ url, secret }) => {
+  // Response data; throws OrdersServiceError when service-orders can't answer
+  const request = async (path, { method = 'GET', body } = {}) => {
+    const headers = secret ? { 'x-gateway-secret': secret } : {};
+    if (body !== undefined) {
+      headers['content-type'] = 'application/json';
+    }
+
+    let response;
+    try {
+      response = await fetch(`${url}${path}`, {
+        method,
+        headers,
+        body: body === undefined ? undefined : JSON.stringify(body),
+        signal: AbortSignal.timeout(TIMEOUT_MS)
+      });
+    } catch (error) {
+      throw new OrdersServiceError(`orders-service is unreachable: ${error.message}`);
+    }
+
+    if (!response.ok) {
+      throw new OrdersServiceError(`orders-service answered HTTP ${response.status}`);
+    }
+
+    const { data } = await response.json();
+    return data;
+  };
+
+  // { orders, assignedOrders, comments } of the user, for the data export
+  const findUserData = (userId) => request(`/internal/users/${encodeURIComponent(userId)}/data`);
+
+  // Anonymises the user's orders under `pseudonym`; safe to repeat
+  const eraseUser = (userId, { email, pseudonym }) => request(`/internal/users/${encodeURIComponent(userId)}/erase`, {
+    method: 'POST',
+    body: { email, pseudonym }
+  });
+
+  // Revoked sessions, so service-orders refuses their tokens without waiting for its revocations poll
+  const revokeSessions = (revocations) => request('/internal/revocations', {
+    method: 'POST',
+    body: { revocations }
+  });
+
+  return { findUserData, eraseUser, revokeSessions };
+};
+
+module.exports = { OrdersServiceError, createOrdersClient };
@@ -0,0 +1,24 @@
+const bcrypt = require('bcryptjs');
+
+// One bcrypt cost for every password the service stores. Hashes made with a lower cost are
+// upgraded on the next successful login.
+const BCRYPT_ROUNDS = parseInt(process.env.BCRYPT_ROUNDS, 10) || 12;
+
+let dummyHash = null;
+
+const hashPassword = (password) => bcrypt.hash(password, BCRYPT_ROUNDS);
+
+// Without a hash (no such user) it still takes as long as a real check, so response times don't
+// tell which emails are registered
+const verifyPassword = async (password, hash) => {
+  if (!hash) {
+    dummyHash = dummyHash || bcrypt.hash('not a password', BCRYPT_ROUNDS);
+    await bcrypt.compare(password, await dummyHash);
+    return false;
+  }
+  return bcrypt.compare(password, hash);
+};
+
+const needsRehash = (hash) => bcrypt.getRounds(hash) < BCRYPT_ROUNDS;
+
+module.exports = { BCRYPT_ROUNDS, hashPassword, verifyPassword, needsRehash };
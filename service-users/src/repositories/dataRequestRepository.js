@@ -0,0 +1,46 @@
+const DATA_REQUESTS = {
+  table: 'data_requests',
+  columns: {
+    userId: 'user_id',
+    type: 'type',
+    status: 'status',
+    version: 'version',
+    nextAttemptAt: 'next_attempt_at',
+    expiresAt: 'expires_at',
+    createdAt: 'created_at'
+  }
+};
+
+const createDataRequestRepository = (db) => {
+  const requests = db.collection(DATA_REQUESTS);
+
+  return {
+    findById: (id) => requests.get(id),
+
+    // request: { id, userId, type, status, params, attempts, lastError, result, archive, nextAttemptAt,
+    //            startedAt, completedAt, expiresAt, createdAt, updatedAt }
+    create: (request) => requests.insert({ ...request, version: 1 }),
+
+    // Optimistic: bumps the version, or returns null if the request changed since it was read
+    update: (request) => requests.updateIf({ ...request, version: request.version + 1 }, { version: request.version }),
+
+    findLatest: async (userId, type) => {
+      const [latest] = await requests.find({ userId, type }, { sort: [['createdAt', 'desc'], ['id', 'desc']], limit: 1 });
+      return latest || null;
+    },
+
+    // Waiting ones, and running ones whose instance stopped before finishing
+    listDue: (now, limit) => requests.find(
+      { status: ['pending', 'running'], nextAttemptAt: { lte: now } },
+      { sort: [['nextAttemptAt', 'asc']], limit }
+    ),
+
+    listExpired: (now, limit) => requests.find({ status: 'completed', expiresAt: { lt: now } }, { limit }),
+
+    count: (where) => requests.count(where),
+
+    find: ({ where, sort, offset, limit }) => requests.find(where, { sort, offset, limit })
+  };
+};
+
+module.exports = { createDataRequestRepository };
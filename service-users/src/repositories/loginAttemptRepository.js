@@ -0,0 +1,86 @@
+// Every login attempt, successful or not: the audit trail admins query
+const LOGIN_ATTEMPTS = {
+  table: 'login_attempts',
+  columns: {
+    userId: 'user_id',
+    email: 'email',
+    ip: 'ip',
+    success: 'success',
+    reason: 'reason',
+    createdAt: 'created_at'
+  }
+};
+
+// Failure counters, keyed by `account:<email>` or `ip:<address>`
+const LOGIN_THROTTLES = {
+  table: 'login_throttles',
+  columns: {
+    version: 'version',
+    expiresAt: 'expires_at'
+  }
+};
+
+const createLoginAttemptRepository = (db) => {
+  const attempts = db.collection(LOGIN_ATTEMPTS);
+  const throttles = db.collection(LOGIN_THROTTLES);
+
+  return {
+    // attempt: { id, userId, email, ip, userAgent, success, reason, createdAt }
+    record: (attempt) => attempts.insert(attempt),
+
+    count: (where) => attempts.count(where),
+
+    find: ({ where, sort, offset, limit }) => attempts.find(where, { sort, offset, limit }),
+
+    findThrottle: (id) => throttles.get(id),
+
+    // Rejects when another request created it first
+    createThrottle: (throttle) => throttles.insert({ ...throttle, version: 1 }),
+
+    // Optimistic: null if the throttle changed since it was read
+    updateThrottle: (throttle) => {
+      return throttles.updateIf({ ...throttle, version: throttle.version + 1 }, { version: throttle.version });
+    },
+
+    removeThrottle: (id) => throttles.remove(id),
+
+    // The user's audit trail, including attempts on their email before or without an account
+    listAttemptsOf: ({ userId, email }) => attempts.find(
+      { $or: [{ userId }, { email }] },
+      { sort: [['createdAt', 'asc']] }
+    ),
+
+    // Account erasure, in batches
+    removeAttemptsOf: async ({ userId, email }) => {
+      let removed = 0;
+      let batch;
+      do {
+        batch = await attempts.find({ $or: [{ userId }, { email }] }, { limit: 500 });
+        for (const attempt of batch) {
+          await attempts.remove(attempt.id);
+        }
+        removed += batch.length;
+      } while (batch.length === 500);
+      return removed;
+    },
+
+    // Housekeeping, in batches
+    pruneThrottles: async (now) => {
+      const expired = await throttles.find({ expiresAt: { lt: now } }, { limit: 500 });
+      for (const throttle of expired) {
+        await throttles.remove(throttle.id);
+      }
+      return expired.length;
+    },
+
+    pruneAttempts: async (before) => {
+      const old = await attempts.find({ createdAt: { lt: before } }, { limit: 500 });
+      for (const attempt of old) {
+        await attempts.remove(attempt.id);
+      }
+      return old.length;
+    }
+  };
+};
+
+module.exports = { createLoginAttemptRepository };
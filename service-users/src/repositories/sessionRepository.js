@@ -0,0 +1,64 @@
+const SESSIONS = {
+  table: 'sessions',
+  columns: {
+    userId: 'user_id',
+    revokedAt: 'revoked_at',
+    expiresAt: 'expires_at',
+    createdAt: 'created_at'
+  }
+};
+
+const REFRESH_TOKENS = {
+  table: 'refresh_tokens',
+  columns: {
+    sessionId: 'session_id',
+    tokenHash: 'token_hash',
+    usedAt: 'used_at',
+    createdAt: 'created_at'
+  }
+};
+
+const createSessionRepository = (db) => {
+  const sessions = db.collection(SESSIONS);
+  const refreshTokens = db.collection(REFRESH_TOKENS);
+
+  return {
+    findById: (id) => sessions.get(id),
+
+    create: (session) => sessions.insert(session),
+
+    update: (session) => sessions.update(session),
+
+    // Resolves to null when the session was revoked in the meantime
+    updateIfActive: (session) => sessions.updateIf(session, { revokedAt: null }),
+
+    listActive: (userId) => sessions.find(
+      { userId, revokedAt: null, expiresAt: { gt: new Date().toISOString() } },
+      { sort: [['createdAt', 'desc']] }
+    ),
+
+    listActiveIds: async (userId) => {
+      const active = await sessions.find({ userId, revokedAt: null });
+      return active.map(session => session.id);
+    },
+
+    // Revoked and expired ones too, for the data export and erasure
+    listForUser: (userId) => sessions.find({ userId }, { sort: [['createdAt', 'asc']] }),
+
+    listRevokedSince: (since) => sessions.find(
+      { revokedAt: { ne: null, gte: since } },
+      { sort: [['revokedAt', 'asc']] }
+    ),
+
+    findRefreshToken: (tokenHash) => refreshTokens.findOne({ tokenHash }),
+
+    createRefreshToken: (token) => refreshTokens.insert(token),
+
+    updateRefreshToken: (token) => refreshTokens.update(token),
+
+    // Resolves to null when another refresh marked the token used first
+    markRefreshTokenUsed: (token, usedAt) => refreshTokens.updateIf({ ...token, usedAt }, { usedAt: null })
+  };
+};
+
+module.exports = { createSessionRepository };
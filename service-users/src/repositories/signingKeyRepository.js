@@ -0,0 +1,25 @@
+const SIGNING_KEYS = {
+  table: 'signing_keys',
+  columns: {
+    createdAt: 'created_at',
+    retiresAt: 'retires_at'
+  }
+};
+
+const createSigningKeyRepository = (db) => {
+  const keys = db.collection(SIGNING_KEYS);
+
+  return {
+    create: (key) => keys.insert(key),
+
+    update: (key) => keys.update(key),
+
+    // Keys that are still published, newest first
+    listPublished: () => keys.find(
+      { $or: [{ retiresAt: null }, { retiresAt: { gt: new Date().toISOString() } }] },
+      { sort: [['createdAt', 'desc']] }
+    )
+  };
+};
+
+module.exports = { createSigningKeyRepository };
@@ -0,0 +1,37 @@
+const USERS = {
+  table: 'users',
+  columns: {
+    email: 'email',
+    name: 'name',
+    roles: 'roles',
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    version: 'version',
+    active: 'active'
+  }
+};
+
+const createUserRepository = (db) => {
+  const users = db.collection(USERS);
+
+  return {
+    findById: (id) => users.get(id),
+
+    findByEmail: (email) => users.findOne({ email }),
+
+    findByEmails: (emails) => users.find({ email: emails }),
+
+    create: (user) => users.insert({ ...user, version: 1 }),
+
+    // Optimistic: bumps the version, or returns null if the user changed since `user` was read
+    update: (user) => users.updateIf({ ...user, version: user.version + 1 }, { version: user.version }),
+
+    remove: (id) => users.remove(id),
+
+    count: (where) => users.count(where),
+
+    find: ({ where, sort, offset, limit }) => users.find(where, { sort, offset, limit })
+  };
+};
+
+module.exports = { createUserRepository };
@@ -0,0 +1,45 @@
+const USER_TOKENS = {
+  table: 'user_tokens',
+  columns: {
+    userId: 'user_id',
+    purpose: 'purpose',
+    tokenHash: 'token_hash',
+    expiresAt: 'expires_at',
+    usedAt: 'used_at',
+    createdAt: 'created_at'
+  }
+};
+
+const createUserTokenRepository = (db) => {
+  const tokens = db.collection(USER_TOKENS);
+
+  return {
+    // token: { id, userId, purpose, tokenHash, email, expiresAt, usedAt, createdAt }
+    create: (token) => tokens.insert(token),
+
+    findByHash: (tokenHash) => tokens.findOne({ tokenHash }),
+
+    // Null when the token was used in the meantime
+    markUsed: (token, usedAt) => tokens.updateIf({ ...token, usedAt }, { usedAt: null }),
+
+    listUnused: (userId, purpose) => tokens.find({ userId, purpose, usedAt: null }),
+
+    removeForUser: async (userId) => {
+      const owned = await tokens.find({ userId });
+      for (const token of owned) {
+        await tokens.remove(token.id);
+      }
+      return owned.length;
+    },
+
+    pruneExpired: async (before) => {
+      const expired = await tokens.find({ expiresAt: { lt: before } }, { limit: 500 });
+      for (const token of expired) {
+        await tokens.remove(token.id);
+      }
+      return expired.length;
+    }
+  };
+};
+
+module.exports = { createUserTokenRepository };
@@ -0,0 +1,50 @@
+const { v4: uuidv4 } = require('uuid');
+const { hashPassword } = require('./passwords');
+
+const ADMIN_EMAIL = process.env.SEED_ADMIN_EMAIL || 'admin@example.com';
+const ADMIN_PASSWORD = process.env.SEED_ADMIN_PASSWORD || 'admin123';
+
+// Idempotent: does nothing when the admin already exists. `log(message)`: the CLI prints, the service logs.
+const seedAdmin = async (userRepository, log) => {
+  if (await userRepository.findByEmail(ADMIN_EMAIL)) {
+    return null;
+  }
+
+  const hashedPassword = await hashPassword(ADMIN_PASSWORD);
+  const admin = await userRepository.create({
+    id: uuidv4(),
+    email: ADMIN_EMAIL,
+    password: hashedPassword,
+    name: 'Admin User',
+    roles: ['admin', 'user'],
+    active: true,
+    // Set up by the operator, so there's nothing to confirm
+    emailVerifiedAt: new Date().toISOString(),
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  });
+  log(`✅ Admin user created: ${ADMIN_EMAIL} / ${ADMIN_PASSWORD}`);
+  return admin;
+};
+
+// npm run seed
+if (require.main === module) {
+  const { createDatabase, migrate } = require('./db');
+  const { createUserRepository } = require('./repositories/userRepository');
+  const db = createDatabase();
+
+  migrate(db)
+    .then(() => seedAdmin(createUserRepository(db), console.log))
+    .then(admin => {
+      if (!admin) {
+        console.log(`ℹ️  Admin user ${ADMIN_EMAIL} already exists`);
+      }
+    })
+    .catch(error => {
+      console.error('❌ Seed failed:', error);
+      process.exitCode = 1;
+    })
+    .finally(() => db.close());
+}
+
+module.exports = { seedAdmin };
@@ -0,0 +1,173 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+
+// Seconds
+const ACCESS_TOKEN_TTL = parseInt(process.env.ACCESS_TOKEN_TTL, 10) || 15 * 60;
+const REFRESH_TOKEN_TTL = parseInt(process.env.REFRESH_TOKEN_TTL, 10) || 30 * 24 * 60 * 60;
+
+class SessionError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'SessionError';
+    this.code = code;
+  }
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const addSeconds = (date, seconds) => new Date(date.getTime() + seconds * 1000).toISOString();
+
+// A session is one login on one device and doubles as the refresh token family:
+// every refresh rotates the token, and presenting an already rotated token revokes the whole session.
+const createSessionManager = ({ sessionRepository, userRepository, keyStore }) => {
+  const signAccessToken = (user, session) => keyStore.sign(
+    {
+      userId: user.id,
+      email: user.email,
+      roles: user.roles,
+      sid: session.id,
+      // How the session was signed in (RFC 8176); refreshed tokens keep it
+      amr: session.amr || ['pwd']
+    },
+    { expiresIn: ACCESS_TOKEN_TTL, jwtid: uuidv4() }
+  );
+
+  const issueRefreshToken = async (session) => {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const record = await sessionRepository.createRefreshToken({
+      id: uuidv4(),
+      sessionId: session.id,
+      tokenHash: hashToken(token),
+      usedAt: null,
+      replacedBy: null,
+      createdAt: new Date().toISOString()
+    });
+    return { token, id: record.id };
+  };
+
+  const revoke = (session, reason) => sessionRepository.update({
+    ...session,
+    revokedAt: new Date().toISOString(),
+    revokedReason: reason
+  });
+
+  // What other services keep to refuse the session's access tokens until they expire
+  const toRevocation = (session) => ({
+    sessionId: session.id,
+    revokedAt: session.revokedAt,
+    expiresAt: addSeconds(new Date(session.revokedAt), ACCESS_TOKEN_TTL)
+  });
+
+  return {
+    accessTokenTtl: ACCESS_TOKEN_TTL,
+
+    // Login / registration. amr: how the user proved who they are, ['pwd'] by default
+    start: async (user, { ip, userAgent, amr = ['pwd'] }) => {
+      const now = new Date();
+      const session = await sessionRepository.create({
+        id: uuidv4(),
+        userId: user.id,
+        ip: ip || null,
+        userAgent: userAgent || null,
+        amr,
+        createdAt: now.toISOString(),
+        lastUsedAt: now.toISOString(),
+        expiresAt: addSeconds(now, REFRESH_TOKEN_TTL),
+        revokedAt: null,
+        revokedReason: null
+      });
+      const refreshToken = await issueRefreshToken(session);
+
+      return {
+        session,
+        token: signAccessToken(user, session),
+        refreshToken: refreshToken.token,
+        expiresIn: ACCESS_TOKEN_TTL
+      };
+    },
+
+    refresh: async (refreshToken) => {
+      const stored = await sessionRepository.findRefreshToken(hashToken(refreshToken));
+      if (!stored) {
+        throw new SessionError('INVALID_REFRESH_TOKEN', 'Invalid refresh token');
+      }
+
+      const session = await sessionRepository.findById(stored.sessionId);
+      if (!session || session.revokedAt) {
+        throw new SessionError('SESSION_REVOKED', 'Session has been revoked');
+      }
+
+      if (stored.usedAt) {
+        await revoke(session, 'refresh_token_reuse');
+        throw new SessionError('REFRESH_TOKEN_REUSED', 'Refresh token has already been used, session revoked');
+      }
+
+      if (session.expiresAt <= new Date().toISOString()) {
+        throw new SessionError('SESSION_EXPIRED', 'Session has expired');
+      }
+
+      const user = await userRepository.findById(session.userId);
+      if (!user) {
+        throw new SessionError('USER_NOT_FOUND', 'User not found');
+      }
+      if (user.active === false) {
+        throw new SessionError('ACCOUNT_DEACTIVATED', 'Account has been deactivated');
+      }
+
+      // Compare-and-set on usedAt: of two concurrent refreshes with the same token only one wins,
+      // the other is treated as reuse
+      const usedAt = new Date().toISOString();
+      const used = await sessionRepository.markRefreshTokenUsed(stored, usedAt);
+      if (!used) {
+        await revoke(session, 'refresh_token_reuse');
+        throw new SessionError('REFRESH_TOKEN_REUSED', 'Refresh token has already been used, session revoked');
+      }
+
+      const next = await issueRefreshToken(session);
+      await sessionRepository.updateRefreshToken({ ...used, replacedBy: next.id });
+      // Must not write back over a revocation made by a concurrent reuse
+      if (!await sessionRepository.updateIfActive({ ...session, lastUsedAt: usedAt })) {
+        throw new SessionError('SESSION_REVOKED', 'Session has been revoked');
+      }
+
+      return {
+        user,
+        token: signAccessToken(user, session),
+        refreshToken: next.token,
+        expiresIn: ACCESS_TOKEN_TTL
+      };
+    },
+
+    // Resolves to false when the session is missing or revoked
+    isActive: async (sessionId) => {
+      const session = await sessionRepository.findById(sessionId);
+      return Boolean(session && !session.revokedAt);
+    },
+
+    list: (userId) => sessionRepository.listActive(userId),
+
+    findById: (id) => sessionRepository.findById(id),
+
+    revoke,
+
+    // Every active session of the user except `exceptId`, e.g. after a password change. Resolves to their revocations.
+    revokeAll: async (userId, reason, exceptId = null) => {
+      const active = await sessionRepository.listActive(userId);
+      const revoked = [];
+      for (const session of active.filter(session => session.id !== exceptId)) {
+        revoked.push(toRevocation(await revoke(session, reason)));
+      }
+      return revoked;
+    },
+
+    // Sessions revoked recently enough that access tokens issued for them may still be valid
+    revokedSince: async (since) => {
+      const windowStart = addSeconds(new Date(), -ACCESS_TOKEN_TTL);
+      const sessions = await sessionRepository.listRevokedSince(since && since > windowStart ? since : windowStart);
+
+      return sessions.map(toRevocation);
+    }
+  };
+};
+
+module.exports = { createSessionManager, SessionError, ACCESS_TOKEN_TTL, hashToken };
@@ -0,0 +1,76 @@
+const { createDatabase, migrate } = require('./db');
+const { createSessionRepository } = require('./repositories/sessionRepository');
+const { createSessionManager } = require('./sessions');
+
+const USER = { id: 'user-1', email: 'user@example.com', roles: ['user'], active: true };
+
+const setup = async () => {
+  process.env.SQLITE_PATH = ':memory:';
+  const db = createDatabase({ driver: 'sqlite' });
+  await migrate(db, () => {});
+  const sessionRepository = createSessionRepository(db);
+  const sessions = createSessionManager({
+    sessionRepository,
+    userRepository: { findById: async (id) => (id === USER.id ? USER : null) },
+    keyStore: { sign: (payload) => `token-for-${payload.sid}` }
+  });
+  return { db, sessions };
+};
+
+describe('refresh token rotation', () => {
+  test('rotates the token and keeps the session', async () => {
+    const { db, sessions } = await setup();
+    const started = await sessions.start(USER, {});
+
+    const refreshed = await sessions.refresh(started.refreshToken);
+
+    expect(refreshed.refreshToken).not.toBe(started.refreshToken);
+    expect(await sessions.isActive(started.session.id)).toBe(true);
+    await db.close();
+  });
+
+  test('presenting a rotated token again revokes the session', async () => {
+    const { db, sessions } = await setup();
+    const started = await sessions.start(USER, {});
+    const refreshed = await sessions.refresh(started.refreshToken);
+
+    await expect(sessions.refresh(started.refreshToken)).rejects.toMatchObject({ code: 'REFRESH_TOKEN_REUSED' });
+    expect(await sessions.isActive(started.session.id)).toBe(false);
+    await expect(sessions.refresh(refreshed.refreshToken)).rejects.toMatchObject({ code: 'SESSION_REVOKED' });
+    await db.close();
+  });
+
+  test('a concurrent refresh with the same token counts as reuse and revokes the session', async () => {
+    const { db, sessions } = await setup();
+    const started = await sessions.start(USER, {});
+
+    const results = await Promise.allSettled([
+      sessions.refresh(started.refreshToken),
+      sessions.refresh(started.refreshToken)
+    ]);
+
+    const codes = results.filter(result => result.status === 'rejected').map(result => result.reason.code);
+    expect(codes).toContain('REFRESH_TOKEN_REUSED');
+    expect(await sessions.isActive(started.session.id)).toBe(false);
+    for (const result of results.filter(result => result.status === 'fulfilled')) {
+      await expect(sessions.refresh(result.value.refreshToken)).rejects.toMatchObject({ code: 'SESSION_REVOKED' });
+    }
+    await db.close();
+  });
+});
+
+describe('revokeAll', () => {
+  test('revokes every other session and returns their revocations for the other services', async () => {
+    const { db, sessions } = await setup();
+    const current = await sessions.start(USER, {});
+    const other = await sessions.start(USER, {});
+
+    const revoked = await sessions.revokeAll(USER.id, 'password_changed', current.session.id);
+
+    expect(revoked).toEqual([expect.objectContaining({ sessionId: other.session.id })]);
+    expect(Date.parse(revoked[0].expiresAt)).toBeGreaterThan(Date.parse(revoked[0].revokedAt));
+    expect(await sessions.isActive(current.session.id)).toBe(true);
+    expect(await sessions.isActive(other.session.id)).toBe(false);
+    await db.close();
+  });
+});
@@ -0,0 +1,52 @@
+const { codeAt, stepAt, verifyCode, otpauthUri, generateSecret } = require('./totp');
+
+// RFC 6238 appendix B, SHA1 seed "12345678901234567890"; the last 6 of the 8 published digits
+const SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const VECTORS = [
+  [59, '287082'],
+  [1111111109, '081804'],
+  [1111111111, '050471'],
+  [1234567890, '005924'],
+  [2000000000, '279037'],
+  [20000000000, '353130']
+];
+
+describe('totp', () => {
+  test.each(VECTORS)('matches the RFC 6238 test vector at %i', (seconds, code) => {
+    expect(codeAt(SECRET, stepAt(seconds * 1000))).toBe(code);
+  });
+
+  test('accepts a code from one step either side and nothing further', () => {
+    const now = 1111111111 * 1000;
+    const step = stepAt(now);
+
+    expect(verifyCode(SECRET, codeAt(SECRET, step - 1), { now })).toBe(step - 1);
+    expect(verifyCode(SECRET, codeAt(SECRET, step + 1), { now })).toBe(step + 1);
+    expect(verifyCode(SECRET, codeAt(SECRET, step - 2), { now })).toBeNull();
+  });
+
+  test('rejects a code from a step already used', () => {
+    const now = 1234567890 * 1000;
+    const step = stepAt(now);
+
+    expect(verifyCode(SECRET, '005924', { now, afterStep: step })).toBeNull();
+    expect(verifyCode(SECRET, '005924', { now, afterStep: step - 1 })).toBe(step);
+  });
+
+  test('rejects anything that is not six digits', () => {
+    expect(verifyCode(SECRET, '12345', { now: 59000 })).toBeNull();
+    expect(verifyCode(SECRET, 'abcdef', { now: 59000 })).toBeNull();
+  });
+
+  test('generates 160-bit base32 secrets that round-trip through codeAt', () => {
+    const secret = generateSecret();
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(codeAt(secret, 1)).toMatch(/^\d{6}$/);
+  });
+
+  test('builds the otpauth URI authenticator apps scan', () => {
+    expect(otpauthUri({ secret: SECRET, account: 'a+b@example.com', issuer: 'Micro Task' })).toBe(
+      `otpauth://totp/Micro%20Task%3Aa%2Bb%40example.com?secret=${SECRET}&issuer=Micro%20Task&algorithm=SHA1&digits=6&period=30`
+    );
+  });
+});
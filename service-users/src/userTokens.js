@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { createUserTokenRepository } = require('./repositories/userTokenRepository');
+const { hashToken } = require('./sessions');
+
+const TOKEN_PURPOSE = {
+  PASSWORD_RESET: 'password_reset',
+  EMAIL_VERIFICATION: 'email_verification',
+  // Not mailed: returned by a login that still needs the second factor
+  MFA_CHALLENGE: 'mfa_challenge'
+};
+
+// A user can't have another email of the same kind sent within this window
+const RESEND_INTERVAL_MS = 60 * 1000;
+
+// Minutes
+const TOKEN_TTL = {
+  [TOKEN_PURPOSE.PASSWORD_RESET]: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60,
+  [TOKEN_PURPOSE.EMAIL_VERIFICATION]: parseInt(process.env.EMAIL_VERIFICATION_TTL_MINUTES, 10) || 48 * 60,
+  [TOKEN_PURPOSE.MFA_CHALLENGE]: parseInt(process.env.MFA_CHALLENGE_TTL_MINUTES, 10) || 5
+};
+
+class UserTokenError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'UserTokenError';
+    this.code = code;
+  }
+}
+
+// Tokens mailed to users to prove they own the address, and MFA login challenges. Single-use, expiring,
+// stored as a SHA-256 hash; issuing a new one for the same purpose voids the earlier ones. `db` may be a transaction.
+const createUserTokens = (db) => {
+  const tokens = createUserTokenRepository(db);
+
+  const verify = async (token, purpose) => {
+    const record = await tokens.findByHash(hashToken(token));
+    if (!record || record.purpose !== purpose || record.usedAt) {
+      throw new UserTokenError('INVALID_TOKEN', 'Token is invalid or has already been used');
+    }
+    if (record.expiresAt <= new Date().toISOString()) {
+      throw new UserTokenError('TOKEN_EXPIRED', 'Token has expired');
+    }
+    return record;
+  };
+
+  return {
+    // Returns the token to put in the email; `email` binds it to the address it was sent to
+    issue: async (user, purpose) => {
+      const now = new Date();
+      for (const earlier of await tokens.listUnused(user.id, purpose)) {
+        await tokens.markUsed(earlier, now.toISOString());
+      }
+
+      const token = crypto.randomBytes(32).toString('base64url');
+      await tokens.create({
+        id: uuidv4(),
+        userId: user.id,
+        purpose,
+        tokenHash: hashToken(token),
+        email: user.email,
+        expiresAt: new Date(now.getTime() + TOKEN_TTL[purpose] * 60 * 1000).toISOString(),
+        usedAt: null,
+        createdAt: now.toISOString()
+      });
+      return token;
+    },
+
+    // The token's record if it can be used; throws UserTokenError otherwise. Doesn't use it up.
+    verify,
+
+    // Uses up the token and returns its record; throws UserTokenError when it can't be used
+    consume: async (token, purpose) => {
+      const record = await verify(token, purpose);
+
+      // Two requests with the same token: only one of them gets it
+      if (!(await tokens.markUsed(record, new Date().toISOString()))) {
+        throw new UserTokenError('INVALID_TOKEN', 'Token is invalid or has already been used');
+      }
+      return record;
+    },
+
+    issuedRecently: async (userId, purpose) => {
+      const since = new Date(Date.now() - RESEND_INTERVAL_MS).toISOString();
+      return (await tokens.listUnused(userId, purpose)).some(token => token.createdAt > since);
+    },
+
+    // Account erasure: the tokens hold the addresses they were sent to
+    forget: (userId) => tokens.removeForUser(userId),
+
+    pruneExpired: () => tokens.pruneExpired(new Date().toISOString())
+  };
+};
+
+module.exports = { TOKEN_PURPOSE, TOKEN_TTL, UserTokenError, createUserTokens };
@@ -0,0 +1,59 @@
+const { createDatabase } = require('./db');
+const { TOKEN_PURPOSE, createUserTokens } = require('./userTokens');
+
+const USER = { id: 'user-1', email: 'user@example.com' };
+
+describe('user tokens', () => {
+  test('a token is used up by consume and refused afterwards', async () => {
+    const userTokens = createUserTokens(createDatabase({ driver: 'memory' }));
+    const token = await userTokens.issue(USER, TOKEN_PURPOSE.PASSWORD_RESET);
+
+    const record = await userTokens.consume(token, TOKEN_PURPOSE.PASSWORD_RESET);
+
+    expect(record).toMatchObject({ userId: USER.id, email: USER.email });
+    await expect(userTokens.consume(token, TOKEN_PURPOSE.PASSWORD_RESET)).rejects.toMatchObject({ code: 'INVALID_TOKEN' });
+  });
+
+  test('only one of two concurrent consumes gets the token', async () => {
+    const userTokens = createUserTokens(createDatabase({ driver: 'memory' }));
+    const token = await userTokens.issue(USER, TOKEN_PURPOSE.PASSWORD_RESET);
+
+    const results = await Promise.allSettled([
+      userTokens.consume(token, TOKEN_PURPOSE.PASSWORD_RESET),
+      userTokens.consume(token, TOKEN_PURPOSE.PASSWORD_RESET)
+    ]);
+
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+  });
+
+  test('a token only works for the purpose it was issued for', async () => {
+    const userTokens = createUserTokens(createDatabase({ driver: 'memory' }));
+    const token = await userTokens.issue(USER, TOKEN_PURPOSE.EMAIL_VERIFICATION);
+
+    await expect(userTokens.verify(token, TOKEN_PURPOSE.PASSWORD_RESET)).rejects.toMatchObject({ code: 'INVALID_TOKEN' });
+  });
+
+  test('issuing a new token voids the earlier ones of the same purpose', async () => {
+    const userTokens = createUserTokens(createDatabase({ driver: 'memory' }));
+    const first = await userTokens.issue(USER, TOKEN_PURPOSE.PASSWORD_RESET);
+    const second = await userTokens.issue(USER, TOKEN_PURPOSE.PASSWORD_RESET);
+
+    await expect(userTokens.verify(first, TOKEN_PURPOSE.PASSWORD_RESET)).rejects.toMatchObject({ code: 'INVALID_TOKEN' });
+    await expect(userTokens.verify(second, TOKEN_PURPOSE.PASSWORD_RESET)).resolves.toBeTruthy();
+    expect(await userTokens.issuedRecently(USER.id, TOKEN_PURPOSE.PASSWORD_RESET)).toBe(true);
+  });
+
+  test('an expired token is refused', async () => {
+    jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+    try {
+      const userTokens = createUserTokens(createDatabase({ driver: 'memory' }));
+      const token = await userTokens.issue(USER, TOKEN_PURPOSE.PASSWORD_RESET);
+
+      jest.setSystemTime(new Date('2026-01-01T01:00:01Z'));
+
+      await expect(userTokens.consume(token, TOKEN_PURPOSE.PASSWORD_RESET)).rejects.toMatchObject({ code: 'TOKEN_EXPIRED' });
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});